@@ -0,0 +1,150 @@
+/**
+ * AI Proxy
+ * Callable function that makes Gemini requests for signed-in users, so the API
+ * key stays on the server. The browser still builds prompts and validates the
+ * answers (src/services/aiProvider.js); this side decides who may call, how
+ * often, with what size of request and which models.
+ */
+
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { defineSecret, defineInt } from 'firebase-functions/params';
+import { logger } from 'firebase-functions';
+import { getFirestore } from 'firebase-admin/firestore';
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { consumeRateLimit } from './rateLimit.js';
+
+const GEMINI_API_KEY = defineSecret('GEMINI_API_KEY');
+const RATE_PER_MINUTE = defineInt('AI_RATE_PER_MINUTE', { default: 10 });
+const RATE_PER_DAY = defineInt('AI_RATE_PER_DAY', { default: 150 });
+
+// Tasks the app sends, and whether they carry a photo
+const TASKS = {
+    prescription: { image: true },
+    medicinePhoto: { image: true },
+    medicineVerification: { image: true },
+    voiceMedicine: { image: false }
+};
+
+// Only the models the app falls back through - nothing pricier
+const ALLOWED_MODELS = new Set(['gemini-2.0-flash', 'gemini-2.5-flash', 'gemini-flash-latest']);
+
+const ALLOWED_IMAGE_TYPES = new Set(['image/jpeg', 'image/png', 'image/webp']);
+
+// Photos are compressed to well under 1 MB before upload; 4 MB leaves headroom
+const MAX_IMAGE_BYTES = 4 * 1024 * 1024;
+const MAX_PROMPT_CHARS = 20000;
+
+// Same region as the client (src/firebase/firebase.js)
+export const REGION = 'asia-south1';
+
+// Give up before the client's own 15 s timeout (AI_TIMEOUT_MS) so it gets a clear answer
+const MODEL_TIMEOUT_MS = 12000;
+
+/**
+ * Reject anything the app would never send
+ * @param {object} data - Callable payload
+ */
+const validateRequest = (data) => {
+    const { task, model, prompt, image } = data || {};
+
+    if (!TASKS[task]) {
+        throw new HttpsError('invalid-argument', `Unknown task: ${task}`);
+    }
+    if (!ALLOWED_MODELS.has(model)) {
+        throw new HttpsError('invalid-argument', `Model not allowed: ${model}`);
+    }
+    if (typeof prompt !== 'string' || prompt.length === 0 || prompt.length > MAX_PROMPT_CHARS) {
+        throw new HttpsError('invalid-argument', `Prompt must be 1-${MAX_PROMPT_CHARS} characters`);
+    }
+
+    if (!image) {
+        if (TASKS[task].image) throw new HttpsError('invalid-argument', `${task} needs an image`);
+        return;
+    }
+    if (!TASKS[task].image) {
+        throw new HttpsError('invalid-argument', `${task} does not take an image`);
+    }
+    if (!ALLOWED_IMAGE_TYPES.has(image.mimeType)) {
+        throw new HttpsError('invalid-argument', `Unsupported image type: ${image.mimeType}`);
+    }
+    // base64 is 4 characters per 3 bytes
+    const imageBytes = Math.floor(((image.base64 || '').length * 3) / 4);
+    if (imageBytes === 0 || imageBytes > MAX_IMAGE_BYTES) {
+        throw new HttpsError('invalid-argument', `Image must be under ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`);
+    }
+};
+
+// Translate a Gemini SDK failure into a callable error the client can classify
+const toHttpsError = (error) => {
+    const message = error?.message || 'Model request failed';
+    if (message === 'MODEL_TIMEOUT') return new HttpsError('deadline-exceeded', message);
+    if (/429|quota|RESOURCE_EXHAUSTED/i.test(message)) {
+        return new HttpsError('resource-exhausted', message, { reason: 'quota' });
+    }
+    if (/\b50[0-4]\b|UNAVAILABLE|overloaded/i.test(message)) return new HttpsError('unavailable', message);
+    if (/API key|API_KEY/i.test(message)) return new HttpsError('failed-precondition', 'AI service is not configured');
+    return new HttpsError('internal', message);
+};
+
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('MODEL_TIMEOUT')), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * aiGenerate - one model request
+ * Payload: { task, model, prompt, image?: { base64, mimeType }, json?, schema? }
+ * Returns: { text, model }
+ */
+export const aiGenerate = onCall(
+    { region: REGION, secrets: [GEMINI_API_KEY], timeoutSeconds: 60, memory: '256MiB', maxInstances: 10 },
+    async (request) => {
+        if (!request.auth) {
+            throw new HttpsError('unauthenticated', 'Sign in to use AI features');
+        }
+        validateRequest(request.data);
+
+        const { uid } = request.auth;
+        const { task, model: modelName, prompt, image, json, schema } = request.data;
+
+        const limit = await consumeRateLimit(getFirestore(), uid, {
+            perMinute: RATE_PER_MINUTE.value(),
+            perDay: RATE_PER_DAY.value()
+        });
+        if (!limit.allowed) {
+            logger.warn('AI rate limit hit', { uid, task });
+            throw new HttpsError('resource-exhausted', 'Too many AI requests', {
+                reason: 'rate-limit',
+                retryAfterSeconds: limit.retryAfterSeconds
+            });
+        }
+
+        const apiKey = GEMINI_API_KEY.value();
+        if (!apiKey) {
+            throw new HttpsError('failed-precondition', 'AI service is not configured');
+        }
+
+        const generationConfig = json
+            ? { responseMimeType: 'application/json', ...(schema ? { responseSchema: schema } : {}) }
+            : undefined;
+        const model = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: modelName, generationConfig });
+        const parts = image
+            ? [prompt, { inlineData: { mimeType: image.mimeType, data: image.base64 } }]
+            : prompt;
+
+        try {
+            const result = await withTimeout(model.generateContent(parts), MODEL_TIMEOUT_MS);
+            const text = result.response.text();
+            logger.info('AI request served', { uid, task, model: modelName, remainingToday: limit.remainingToday });
+            return { text, model: modelName };
+        } catch (error) {
+            logger.error('AI request failed', { uid, task, model: modelName, error: error.message });
+            throw toHttpsError(error);
+        }
+    }
+);
+
+export default aiGenerate;
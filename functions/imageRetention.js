@@ -0,0 +1,93 @@
+/**
+ * Prescription Photo Retention
+ * Daily job that deletes archived prescription photos older than each
+ * user's chosen retention period (users/{uid}.imageRetentionDays, written by
+ * src/services/prescriptionImageService.js). The app also purges on sign-in,
+ * but only the records cached on that device - this job covers photos of
+ * users who never open the app again.
+ */
+
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { logger } from 'firebase-functions';
+import { getFirestore } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import { REGION } from './aiProxy.js';
+
+const PRESCRIPTIONS_COLLECTION = 'prescriptions';
+const USERS_COLLECTION = 'users';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same default as the app (DEFAULT_RETENTION_DAYS) for users who never chose
+const DEFAULT_RETENTION_DAYS = 90;
+
+/**
+ * Retention period of one user
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore
+ * @param {string} uid - Firebase Auth user id
+ * @returns {Promise<number|null>} Days, null for no limit
+ */
+const getRetentionDays = async (db, uid) => {
+    const snapshot = await db.collection(USERS_COLLECTION).doc(uid).get();
+    const days = snapshot.exists ? snapshot.data().imageRetentionDays : undefined;
+    if (days === null) return null;
+    return Number.isInteger(days) && days >= 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * Delete expired photos across all prescriptions
+ * @param {number} now - Current time in ms (for tests)
+ * @returns {Promise<number>} Number of photos deleted
+ */
+export const purgeExpiredPrescriptionImages = async (now = Date.now()) => {
+    const db = getFirestore();
+    const bucket = getStorage().bucket();
+    const retentionByUser = new Map();
+    let purged = 0;
+
+    const snapshot = await db.collection(PRESCRIPTIONS_COLLECTION).select('userId', 'images').get();
+    for (const prescription of snapshot.docs) {
+        const { userId, images = [] } = prescription.data();
+        if (!userId || images.length === 0) continue;
+
+        if (!retentionByUser.has(userId)) {
+            retentionByUser.set(userId, await getRetentionDays(db, userId));
+        }
+        const days = retentionByUser.get(userId);
+        if (days === null) continue;
+
+        const cutoff = now - days * DAY_MS;
+        const expired = images.filter(image => Date.parse(image.uploadedAt) <= cutoff);
+        if (expired.length === 0) continue;
+
+        const results = await Promise.allSettled(expired.map(image =>
+            bucket.file(image.path).delete({ ignoreNotFound: true })));
+        const deletedPaths = new Set(expired
+            .filter((_, i) => results[i].status === 'fulfilled')
+            .map(image => image.path));
+        results.forEach((result, i) => {
+            if (result.status === 'rejected') {
+                logger.error('Could not delete prescription photo', { path: expired[i].path, error: result.reason?.message });
+            }
+        });
+        if (deletedPaths.size === 0) continue;
+
+        await prescription.ref.update({
+            images: images.filter(image => !deletedPaths.has(image.path)),
+            imagesDeletedAt: new Date(now).toISOString()
+        });
+        purged += deletedPaths.size;
+    }
+
+    logger.info(`Deleted ${purged} expired prescription photos`);
+    return purged;
+};
+
+/**
+ * purgePrescriptionImages - runs once a day
+ */
+export const purgePrescriptionImages = onSchedule(
+    { schedule: 'every day 03:00', timeZone: 'Asia/Kolkata', region: REGION, timeoutSeconds: 540, memory: '256MiB' },
+    () => purgeExpiredPrescriptionImages()
+);
+
+export default purgeExpiredPrescriptionImages;
@@ -0,0 +1,12 @@
+/**
+ * SaarthiRx Cloud Functions
+ * Server-side pieces the browser must not hold: the AI proxy, and the daily
+ * job that deletes expired prescription photos.
+ */
+
+import { initializeApp } from 'firebase-admin/app';
+
+initializeApp();
+
+export { aiGenerate } from './aiProxy.js';
+export { purgePrescriptionImages } from './imageRetention.js';
@@ -0,0 +1,51 @@
+/**
+ * Per-user AI Rate Limit
+ * One Firestore document per user (aiUsage/{uid}) counts requests in the
+ * current minute and the current UTC day. The check and the increment run in
+ * one transaction so two scans started together cannot both slip past.
+ */
+
+import { FieldValue } from 'firebase-admin/firestore';
+
+const USAGE_COLLECTION = 'aiUsage';
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Count one request against a user's limits
+ * @param {FirebaseFirestore.Firestore} db - Admin Firestore
+ * @param {string} uid - Firebase Auth user id
+ * @param {object} limits - { perMinute, perDay }
+ * @param {number} now - Current time in ms (for tests)
+ * @returns {Promise<{ allowed: boolean, retryAfterSeconds?: number, remainingToday?: number }>}
+ */
+export const consumeRateLimit = async (db, uid, { perMinute, perDay }, now = Date.now()) => {
+    const ref = db.collection(USAGE_COLLECTION).doc(uid);
+    const minute = Math.floor(now / MINUTE_MS);
+    const day = Math.floor(now / DAY_MS);
+
+    return db.runTransaction(async (transaction) => {
+        const snapshot = await transaction.get(ref);
+        const usage = snapshot.exists ? snapshot.data() : {};
+        const minuteCount = usage.minute === minute ? usage.minuteCount : 0;
+        const dayCount = usage.day === day ? usage.dayCount : 0;
+
+        if (minuteCount >= perMinute) {
+            return { allowed: false, retryAfterSeconds: Math.ceil(((minute + 1) * MINUTE_MS - now) / 1000) };
+        }
+        if (dayCount >= perDay) {
+            return { allowed: false, retryAfterSeconds: Math.ceil(((day + 1) * DAY_MS - now) / 1000) };
+        }
+
+        transaction.set(ref, {
+            minute,
+            minuteCount: minuteCount + 1,
+            day,
+            dayCount: dayCount + 1,
+            updatedAt: FieldValue.serverTimestamp()
+        });
+        return { allowed: true, remainingToday: perDay - dayCount - 1 };
+    });
+};
+
+export default consumeRateLimit;
@@ -0,0 +1,588 @@
+/**
+ * SaarthiRx Service Worker
+ * 1. Offline app shell - precaches the built app so it opens without network
+ * 2. Reminder engine - owns the reminder schedule so alarms can fire while the app is in the background
+ *
+ * The app computes upcoming dose occurrences (see reminderService.getUpcomingOccurrences)
+ * and posts them here. This worker keeps them in IndexedDB, shows persistent
+ * notifications with Taken / Snooze / Skip buttons, and queues the patient's
+ * answer until the app is opened again to record it. A dose left unanswered
+ * past the grace window is marked missed and announced once more.
+ *
+ * Limitation: nothing here can wake a worker the browser has stopped. With the
+ * app fully closed, alarms ring only where Notification Triggers are supported,
+ * or when the browser next wakes the worker (periodic sync runs only for
+ * installed apps, at most every few hours). There is no push server yet.
+ */
+
+// Filled in at build time by the precache plugin in vite.config.js.
+// In dev ('dev') the worker does not touch fetches so Vite HMR keeps working.
+const PRECACHE_VERSION = 'dev';
+const PRECACHE_FILES = [];
+
+const SHELL_CACHE = `saarthirx-shell-${PRECACHE_VERSION}`;
+const RUNTIME_CACHE = 'saarthirx-runtime';
+const SHELL_FILES = ['/', '/index.html', '/manifest.webmanifest', '/logo.png'];
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const ENGINE_DB_NAME = 'saarthirx-engine';
+const ENGINE_DB_VERSION = 1;
+const OCCURRENCES_STORE = 'occurrences';
+const ACTIONS_STORE = 'actions';
+const META_STORE = 'meta';
+
+// Alarms older than this are not shown anymore (matches AlarmPage stale check)
+const STALE_AFTER_MS = 2 * 60 * 60 * 1000;
+// Unanswered doses are kept this long so they can still be marked missed
+const KEEP_UNANSWERED_MS = 24 * 60 * 60 * 1000;
+// Overridden by the grace window the user picks in the app
+const DEFAULT_MISSED_AFTER_MINUTES = 60;
+const SNOOZE_MINUTES = 15;
+const PERIODIC_SYNC_TAG = 'reminder-check';
+
+const DEFAULT_LABELS = {
+    title: '💊 Medicine Time!',
+    body: 'It\'s time to take your {name}',
+    lastDoseBody: 'This is your last dose of {name}',
+    doseBody: 'Take {count} tablets of {name}',
+    taken: '✓ Taken',
+    snooze: '⏰ Snooze 15 min',
+    skip: '✕ Skip',
+    missedTitle: '⚠️ Missed dose',
+    missedBody: 'You missed your {time} dose of {name}. Take it now or skip?'
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// INDEXEDDB HELPERS (service workers cannot read localStorage)
+// ═══════════════════════════════════════════════════════════════════════
+
+const openEngineDB = () => new Promise((resolve, reject) => {
+    const request = indexedDB.open(ENGINE_DB_NAME, ENGINE_DB_VERSION);
+    request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains(OCCURRENCES_STORE)) {
+            database.createObjectStore(OCCURRENCES_STORE, { keyPath: 'key' });
+        }
+        if (!database.objectStoreNames.contains(ACTIONS_STORE)) {
+            database.createObjectStore(ACTIONS_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!database.objectStoreNames.contains(META_STORE)) {
+            database.createObjectStore(META_STORE);
+        }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Run a callback inside a transaction and resolve when it completes
+ */
+const withStore = async (storeName, mode, callback) => {
+    const database = await openEngineDB();
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(storeName, mode);
+        const store = tx.objectStore(storeName);
+        let result;
+        Promise.resolve(callback(store)).then((value) => { result = value; });
+        tx.oncomplete = () => {
+            database.close();
+            resolve(result);
+        };
+        tx.onerror = () => {
+            database.close();
+            reject(tx.error);
+        };
+    });
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const getAllOccurrences = () =>
+    withStore(OCCURRENCES_STORE, 'readonly', (store) => requestToPromise(store.getAll()));
+
+const putOccurrence = (occurrence) =>
+    withStore(OCCURRENCES_STORE, 'readwrite', (store) => { store.put(occurrence); });
+
+const getOccurrence = (key) =>
+    withStore(OCCURRENCES_STORE, 'readonly', (store) => requestToPromise(store.get(key)));
+
+const getLabels = async () => {
+    const labels = await withStore(META_STORE, 'readonly', (store) => requestToPromise(store.get('labels')));
+    return { ...DEFAULT_LABELS, ...(labels || {}) };
+};
+
+const getMissedAfterMs = async () => {
+    const minutes = await withStore(META_STORE, 'readonly', (store) => requestToPromise(store.get('missedAfterMinutes')));
+    return (minutes || DEFAULT_MISSED_AFTER_MINUTES) * 60 * 1000;
+};
+
+/**
+ * Queue an answer given from the notification (or a missed dose)
+ * so the app can record it later
+ */
+const queueAction = (occurrence, action) =>
+    withStore(ACTIONS_STORE, 'readwrite', (store) => {
+        store.add({
+            action,
+            key: occurrence.key,
+            reminderId: occurrence.reminderId,
+            medicineId: occurrence.medicineId || null,
+            medicineName: occurrence.medicineName,
+            // Tablets in this dose (a taper step can be several), taken out of stock
+            doseAmount: occurrence.doseAmount || 1,
+            scheduledTime: new Date(occurrence.scheduledAt || occurrence.fireAt).toISOString(),
+            time: new Date().toISOString(),
+            // Answered after the dose was already recorded as missed
+            wasMissed: occurrence.status === 'missed'
+        });
+    });
+
+const takeQueuedActions = () =>
+    withStore(ACTIONS_STORE, 'readwrite', async (store) => {
+        const actions = await requestToPromise(store.getAll());
+        store.clear();
+        return actions;
+    });
+
+// ═══════════════════════════════════════════════════════════════════════
+// SCHEDULE
+// ═══════════════════════════════════════════════════════════════════════
+
+const getTag = (occurrence) => `medication-reminder-${occurrence.reminderId}`;
+
+const getAlarmUrl = (occurrence) => {
+    const scheduled = new Date(occurrence.scheduledAt || occurrence.fireAt).toISOString();
+    return `/alarm/${occurrence.reminderId}?scheduled=${encodeURIComponent(scheduled)}`;
+};
+
+const supportsTriggers = () =>
+    typeof self.TimestampTrigger === 'function' && 'showTrigger' in Notification.prototype;
+
+/**
+ * Build the notification for one occurrence
+ */
+const buildNotification = (occurrence, labels) => ({
+    title: labels.title,
+    options: {
+        // Tapering doses say how many tablets to take today
+        body: (occurrence.isLastDose
+            ? labels.lastDoseBody
+            : occurrence.doseAmount > 1 ? labels.doseBody : labels.body)
+            .replace('{count}', occurrence.doseAmount)
+            .replace('{name}', occurrence.medicineName),
+        icon: '/logo.png',
+        badge: '/logo.png',
+        tag: getTag(occurrence),
+        renotify: true,
+        requireInteraction: true,
+        vibrate: [200, 100, 200, 100, 300],
+        actions: [
+            { action: 'taken', title: labels.taken },
+            { action: 'snooze', title: labels.snooze },
+            { action: 'skip', title: labels.skip }
+        ],
+        data: {
+            key: occurrence.key,
+            reminderId: occurrence.reminderId,
+            url: getAlarmUrl(occurrence)
+        }
+    }
+});
+
+/**
+ * Build the one follow-up notification for a dose nobody answered
+ */
+const buildMissedNotification = (occurrence, labels) => {
+    const scheduledAt = new Date(occurrence.scheduledAt || occurrence.fireAt);
+    const time = scheduledAt.toLocaleTimeString(labels.locale || 'en-US', { hour: 'numeric', minute: '2-digit' });
+    return {
+        title: labels.missedTitle,
+        options: {
+            body: labels.missedBody
+                .replace('{time}', time)
+                .replace('{name}', occurrence.medicineName),
+            icon: '/logo.png',
+            badge: '/logo.png',
+            tag: getTag(occurrence),
+            renotify: true,
+            requireInteraction: true,
+            vibrate: [300, 100, 300],
+            actions: [
+                { action: 'taken', title: labels.taken },
+                { action: 'skip', title: labels.skip }
+            ],
+            data: {
+                key: occurrence.key,
+                reminderId: occurrence.reminderId,
+                url: `${getAlarmUrl(occurrence)}&missed=1`
+            }
+        }
+    };
+};
+
+const broadcast = async (message) => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    windows.forEach((client) => client.postMessage(message));
+};
+
+// Schedule syncs and due checks both read then rewrite the occurrences, so
+// they run one after another - two overlapping checks would ring a dose twice
+let checkQueue = Promise.resolve();
+
+const runExclusive = (task) => {
+    const run = checkQueue.then(task);
+    checkQueue = run.catch((error) => console.error('❌ [SW] Reminder check failed:', error));
+    return run;
+};
+
+/**
+ * Still waiting to ring: pending, or handed to the OS as a notification trigger
+ */
+const isWaiting = (occurrence, now) =>
+    occurrence.status === 'pending' || (occurrence.status === 'fired' && occurrence.fireAt > now);
+
+/**
+ * Replace the pending schedule with the occurrences computed by the app.
+ * Occurrences that already fired keep their status so they never fire twice.
+ */
+const syncSchedule = async (occurrences, labels, missedAfterMinutes) => {
+    const existing = await getAllOccurrences();
+    const existingByKey = new Map(existing.map((o) => [o.key, o]));
+    const incomingKeys = new Set(occurrences.map((o) => o.key));
+    const now = Date.now();
+
+    await withStore(OCCURRENCES_STORE, 'readwrite', (store) => {
+        // Drop future doses the app no longer knows about (deleted/disabled reminders).
+        // Past doses are kept: they may be snoozed, still waiting to ring or
+        // not answered yet (checkDueReminders marks those missed).
+        existing.forEach((occurrence) => {
+            const isAnswered = occurrence.status === 'done' || occurrence.status === 'missed';
+            const isOld = occurrence.fireAt < now - (isAnswered ? STALE_AFTER_MS : KEEP_UNANSWERED_MS);
+            const isRemoved = isWaiting(occurrence, now)
+                && occurrence.scheduledAt > now
+                && !incomingKeys.has(occurrence.key);
+            if (isRemoved || isOld) {
+                store.delete(occurrence.key);
+            }
+        });
+
+        occurrences.forEach((occurrence) => {
+            const previous = existingByKey.get(occurrence.key);
+            if (previous && !isWaiting(previous, now)) return;
+            store.put({
+                ...occurrence,
+                scheduledAt: occurrence.fireAt,
+                fireAt: previous?.fireAt ?? occurrence.fireAt,
+                status: 'pending'
+            });
+        });
+    });
+
+    if (labels) {
+        await withStore(META_STORE, 'readwrite', (store) => { store.put(labels, 'labels'); });
+    }
+    if (missedAfterMinutes) {
+        await withStore(META_STORE, 'readwrite', (store) => { store.put(missedAfterMinutes, 'missedAfterMinutes'); });
+    }
+
+    await scheduleTriggers();
+    await checkDueReminders();
+};
+
+/**
+ * On browsers with Notification Triggers, hand future alarms to the OS
+ * so they appear even if this worker is never woken up.
+ */
+const scheduleTriggers = async () => {
+    if (!supportsTriggers()) return;
+
+    const [occurrences, labels] = await Promise.all([getAllOccurrences(), getLabels()]);
+    const scheduled = await self.registration.getNotifications({ includeTriggered: false });
+    scheduled.forEach((notification) => notification.close());
+
+    // Mark them fired right away - the OS rings them, checkDueReminders must not
+    const now = Date.now();
+    await Promise.all(occurrences
+        .filter((o) => isWaiting(o, now) && o.fireAt > now)
+        .map(async (occurrence) => {
+            const { title, options } = buildNotification(occurrence, labels);
+            await self.registration.showNotification(title, {
+                ...options,
+                showTrigger: new self.TimestampTrigger(occurrence.fireAt)
+            });
+            await putOccurrence({ ...occurrence, status: 'fired', firedAt: occurrence.fireAt });
+        }));
+};
+
+/**
+ * Mark doses nobody answered within the grace window (counted from the last
+ * ring, so a snooze moves it) as missed, queue them for the adherence log
+ * and ring one last time with Taken / Skip
+ */
+const markMissedDoses = async (occurrences, labels) => {
+    const missedAfterMs = await getMissedAfterMs();
+    const now = Date.now();
+
+    const missed = occurrences.filter((o) =>
+        (o.status === 'pending' || o.status === 'fired') && o.fireAt + missedAfterMs <= now
+    );
+
+    for (const occurrence of missed) {
+        await putOccurrence({ ...occurrence, status: 'missed', missedAt: now });
+        await queueAction(occurrence, 'missed');
+
+        const { title, options } = buildMissedNotification(occurrence, labels);
+        await self.registration.showNotification(title, options);
+        console.log(`⚠️ [SW] Dose missed: ${occurrence.medicineName}`);
+
+        await broadcast({
+            type: 'DOSE_MISSED',
+            reminderId: occurrence.reminderId,
+            key: occurrence.key,
+            url: options.data.url
+        });
+    }
+
+    return new Set(missed.map((o) => o.key));
+};
+
+/**
+ * Show every occurrence that is due and has not fired yet,
+ * then follow up on the ones left unanswered
+ */
+const checkDueReminders = async () => {
+    const [occurrences, labels] = await Promise.all([getAllOccurrences(), getLabels()]);
+    const now = Date.now();
+
+    const missedKeys = await markMissedDoses(occurrences, labels);
+
+    const due = occurrences.filter((o) =>
+        o.status === 'pending' && !missedKeys.has(o.key) && o.fireAt <= now && o.fireAt > now - STALE_AFTER_MS
+    );
+
+    for (const occurrence of due) {
+        await putOccurrence({ ...occurrence, status: 'fired', firedAt: now });
+
+        const { title, options } = buildNotification(occurrence, labels);
+        await self.registration.showNotification(title, options);
+        console.log(`🔔 [SW] Reminder fired: ${occurrence.medicineName}`);
+
+        await broadcast({
+            type: 'REMINDER_FIRED',
+            reminderId: occurrence.reminderId,
+            key: occurrence.key,
+            url: options.data.url
+        });
+    }
+};
+
+const snoozeOccurrence = async (occurrence, minutes = SNOOZE_MINUTES) => {
+    await putOccurrence({
+        ...occurrence,
+        fireAt: Date.now() + minutes * 60 * 1000,
+        status: 'pending'
+    });
+    await scheduleTriggers();
+};
+
+const closeNotificationFor = async (occurrence) => {
+    const shown = await self.registration.getNotifications({ tag: getTag(occurrence) });
+    shown.forEach((notification) => notification.close());
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// OFFLINE APP SHELL
+// ═══════════════════════════════════════════════════════════════════════
+
+const isDevBuild = () => PRECACHE_VERSION === 'dev';
+
+const precacheShell = async () => {
+    if (isDevBuild()) return;
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll([...new Set([...SHELL_FILES, ...PRECACHE_FILES])]);
+    console.log(`📦 [SW] Precached ${PRECACHE_FILES.length} build file(s)`);
+};
+
+const removeOldCaches = async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+        .filter((name) => name.startsWith('saarthirx-shell-') && name !== SHELL_CACHE)
+        .map((name) => caches.delete(name)));
+};
+
+/**
+ * Pages: try the network so users get fresh code, fall back to the cached shell.
+ * React Router handles the actual route once index.html loads.
+ */
+const handleNavigation = async (request) => {
+    try {
+        const response = await fetch(request);
+        const cache = await caches.open(SHELL_CACHE);
+        cache.put('/index.html', response.clone());
+        return response;
+    } catch {
+        const cached = await caches.match('/index.html');
+        return cached || Response.error();
+    }
+};
+
+/**
+ * Hashed build assets never change - serve from cache first
+ */
+const handleAsset = async (request) => {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        const cache = await caches.open(RUNTIME_CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+};
+
+/**
+ * Everything else we cache (logo, manifest, fonts): serve cached copy, refresh in background
+ */
+const handleStaleWhileRevalidate = async (request) => {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await caches.match(request);
+    const network = fetch(request)
+        .then((response) => {
+            if (response.ok || response.type === 'opaque') {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+    return cached || network;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (isDevBuild() || request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const isSameOrigin = url.origin === self.location.origin;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (isSameOrigin && url.pathname.startsWith('/assets/')) {
+        event.respondWith(handleAsset(request));
+    } else if ((isSameOrigin && !url.pathname.startsWith('/api/')) || FONT_HOSTS.includes(url.hostname)) {
+        event.respondWith(handleStaleWhileRevalidate(request));
+    }
+    // Firestore / Gemini calls go straight to the network; Firestore keeps its own offline cache
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// LIFECYCLE
+// ═══════════════════════════════════════════════════════════════════════
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        removeOldCaches()
+            .then(() => self.clients.claim())
+            .then(() => runExclusive(checkDueReminders))
+    );
+});
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag === PERIODIC_SYNC_TAG) {
+        event.waitUntil(runExclusive(checkDueReminders));
+    }
+});
+
+self.addEventListener('message', (event) => {
+    const message = event.data || {};
+
+    switch (message.type) {
+        case 'SYNC_SCHEDULE':
+            event.waitUntil(runExclusive(() =>
+                syncSchedule(message.occurrences || [], message.labels, message.missedAfterMinutes)
+            ));
+            break;
+
+        case 'CHECK_DUE':
+            event.waitUntil(runExclusive(checkDueReminders));
+            break;
+
+        case 'SNOOZE':
+            event.waitUntil(getOccurrence(message.key).then((occurrence) =>
+                occurrence && snoozeOccurrence(occurrence, message.minutes)
+            ));
+            break;
+
+        case 'RESOLVE':
+            // Answered inside the app - stop ringing
+            event.waitUntil(getOccurrence(message.key).then(async (occurrence) => {
+                if (!occurrence) return;
+                await putOccurrence({ ...occurrence, status: 'done' });
+                await closeNotificationFor(occurrence);
+            }));
+            break;
+
+        case 'TAKE_ACTIONS':
+            event.waitUntil(takeQueuedActions().then((actions) => {
+                event.ports[0]?.postMessage({ actions });
+            }));
+            break;
+
+        default:
+            break;
+    }
+});
+
+// ═══════════════════════════════════════════════════════════════════════
+// NOTIFICATION ACTIONS
+// ═══════════════════════════════════════════════════════════════════════
+
+const openAlarm = async (url) => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const existing = windows.find((client) => 'focus' in client);
+
+    if (existing) {
+        await existing.focus();
+        return existing.navigate(url);
+    }
+    return self.clients.openWindow(url);
+};
+
+const handleNotificationClick = async (notification, action) => {
+    const { key, url } = notification.data || {};
+    const occurrence = key ? await getOccurrence(key) : null;
+    notification.close();
+
+    if (!occurrence) {
+        return openAlarm(url || '/alarm');
+    }
+
+    switch (action) {
+        case 'taken':
+        case 'skip':
+            await putOccurrence({ ...occurrence, status: 'done' });
+            await queueAction(occurrence, action === 'taken' ? 'taken' : 'skipped');
+            await broadcast({ type: 'REMINDER_ACTION', key, action });
+            return;
+
+        case 'snooze':
+            await snoozeOccurrence(occurrence);
+            await queueAction(occurrence, 'snoozed');
+            await broadcast({ type: 'REMINDER_ACTION', key, action });
+            return;
+
+        default:
+            return openAlarm(url);
+    }
+};
+
+self.addEventListener('notificationclick', (event) => {
+    event.waitUntil(handleNotificationClick(event.notification, event.action));
+});
@@ -13,10 +13,12 @@ import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import ScanPrescription from './pages/ScanPrescription';
 import PrescriptionView from './pages/PrescriptionView';
+import MyPrescriptions from './pages/MyPrescriptions';
 import ReminderList from './pages/ReminderList';
 import ReminderAlert from './pages/ReminderAlert';
 import MyMedicines from './pages/MyMedicines';
 import MedicineHistory from './pages/MedicineHistory';
+import AdherenceReport from './pages/AdherenceReport';
 import ScanMedicine from './pages/ScanMedicine';
 import AlarmPage from './pages/AlarmPage';
 import DevTools from './components/DevTools';
@@ -35,6 +37,7 @@ function AnimatedRoutes() {
         <Route path="/register" element={<Register />} />
         <Route path="/dashboard" element={<Dashboard />} />
         <Route path="/scan" element={<ScanPrescription />} />
+        <Route path="/prescriptions" element={<MyPrescriptions />} />
         <Route path="/prescription/:id" element={<PrescriptionView />} />
         <Route path="/reminders" element={<ReminderList />} />
         <Route path="/reminder" element={<Navigate to="/reminders" replace />} />
@@ -42,6 +45,7 @@ function AnimatedRoutes() {
         <Route path="/reminder/alert" element={<ReminderAlert />} />
         <Route path="/medicines" element={<MyMedicines />} />
         <Route path="/history" element={<MedicineHistory />} />
+        <Route path="/adherence" element={<AdherenceReport />} />
         <Route path="/scan-medicine" element={<ScanMedicine />} />
         <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
@@ -2,9 +2,17 @@ import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { loadDemoData, clearDemoData, loadDemoPrescription, startDemoScan } from '../utils/demoData';
 import { testNotification } from '../utils/notifications';
+import { getAIProviderName, setAIProviderName } from '../services/aiProvider';
 
 const DevTools = () => {
     const [isOpen, setIsOpen] = useState(false);
+    const isMockAI = getAIProviderName() === 'mock';
+
+    // Offline fixtures instead of Gemini - for demos and testing without a key
+    const toggleMockAI = () => {
+        setAIProviderName(isMockAI ? null : 'mock');
+        window.location.reload();
+    };
     
     // Show in development OR when explicitly enabled via env variable
     // To enable in production: set VITE_SHOW_DEVTOOLS=true in Vercel environment variables
@@ -55,6 +63,13 @@ const DevTools = () => {
                             >
                                 🔔 Test Notification
                             </button>
+
+                            <button
+                                onClick={toggleMockAI}
+                                className={`w-full py-2 px-3 ${isMockAI ? 'bg-green-600 hover:bg-green-500' : 'bg-gray-700 hover:bg-gray-600'} rounded-lg text-xs font-bold transition-colors flex items-center justify-center gap-2`}
+                            >
+                                🧪 Mock AI: {isMockAI ? 'ON' : 'OFF'}
+                            </button>
                         </div>
                         
                         <div className="mt-3 pt-3 border-t border-gray-700 text-[10px] text-gray-500 text-center">
@@ -0,0 +1,192 @@
+import { useState, useEffect, useReducer, useRef } from 'react';
+import { useVoice } from '../context/VoiceContext';
+import { triggerAction } from '../utils/haptics';
+import { getReviewPrompt, matchReviewAnswer, resolveReviewItem } from '../services/extractionReviewService';
+
+// One answer moves to the next item; kept holds the medicines to save
+const answerReducer = (state, medicine) => ({
+    index: state.index + 1,
+    kept: medicine ? [...state.kept, medicine] : state.kept
+});
+
+/**
+ * ExtractionReview - One question per medicine the scan was unsure about.
+ * Shows the cropped prescription line, what was read and the closest known
+ * names; the user keeps, corrects or removes it by tap or voice.
+ * @param {Array} items - reviewItems from the prescription analysis (with cropUrl)
+ * @param {string} language - Language code
+ * @param {number} pageCount - Photos in the scan (page labels only when more than one)
+ * @param {string} intro - Said before the first question
+ * @param {Function} onComplete - Called once with the medicines the user kept
+ */
+const ExtractionReview = ({ items, language, pageCount = 1, intro = '', onComplete }) => {
+    const { speak, transcript, resetTranscript } = useVoice();
+    const [{ index, kept }, answer] = useReducer(answerReducer, { index: 0, kept: [] });
+    // Tied to the item it was typed for, so the box is empty for the next one
+    const [typed, setTyped] = useState({ index: 0, name: '' });
+
+    const item = items[index];
+    const typedName = typed.index === index ? typed.name : '';
+    const completedRef = useRef(false);
+
+    const labels = {
+        'en-US': {
+            title: 'Please check',
+            progress: '{index} of {total}',
+            readAs: 'I read',
+            sure: '{confidence}% sure',
+            notKnown: 'Not a medicine I know',
+            page: 'Page {n}',
+            keep: 'Yes, keep "{name}"',
+            itIs: 'It is {name}',
+            remove: 'No, remove it',
+            typeName: 'Or type the correct name',
+            useName: 'Use this name'
+        },
+        'hi-IN': {
+            title: 'कृपया जांचें',
+            progress: '{total} में से {index}',
+            readAs: 'मैंने पढ़ा',
+            sure: '{confidence}% पक्का',
+            notKnown: 'यह दवाई मैं नहीं जानता',
+            page: 'पेज {n}',
+            keep: 'हाँ, "{name}" रखें',
+            itIs: 'यह {name} है',
+            remove: 'नहीं, हटा दें',
+            typeName: 'या सही नाम लिखें',
+            useName: 'यह नाम रखें'
+        },
+        'mr-IN': {
+            title: 'कृपया तपासा',
+            progress: '{total} पैकी {index}',
+            readAs: 'मी वाचले',
+            sure: '{confidence}% खात्री',
+            notKnown: 'हे औषध मला माहीत नाही',
+            page: 'पान {n}',
+            keep: 'हो, "{name}" ठेवा',
+            itIs: 'हे {name} आहे',
+            remove: 'नाही, काढून टाका',
+            typeName: 'किंवा योग्य नाव लिहा',
+            useName: 'हे नाव वापरा'
+        }
+    };
+
+    const t = labels[language] || labels['en-US'];
+
+    // name: what to save this item as, or null to drop it
+    const answerItem = (name) => {
+        triggerAction();
+        resetTranscript();
+        answer(name ? resolveReviewItem(item, name) : null);
+    };
+
+    // Every item answered
+    useEffect(() => {
+        if (index < items.length || completedRef.current) return;
+        completedRef.current = true;
+        onComplete(kept);
+    }, [index, items.length, kept, onComplete]);
+
+    // Ask about each item as it comes up
+    useEffect(() => {
+        if (!item) return;
+        const prompt = getReviewPrompt(item, index + 1, items.length, language);
+        speak(index === 0 && intro ? `${intro} ${prompt}` : prompt);
+    }, [item, index, items.length, language, intro, speak]);
+
+    // "Yes" / "no" / "it is Pan 40"
+    useEffect(() => {
+        if (!transcript || !item) return;
+        const reply = matchReviewAnswer(transcript, item);
+        if (!reply) return;
+        triggerAction();
+        resetTranscript();
+        answer(reply.action === 'discard' ? null : resolveReviewItem(item, reply.name));
+    }, [transcript, item, resetTranscript]);
+
+    if (!item) return null;
+
+    return (
+        <div className="flex-1 space-y-4" role="dialog" aria-label={t.title}>
+            <div className="flex items-center justify-between">
+                <h2 className="text-2xl font-bold text-gray-800">🔍 {t.title}</h2>
+                <span className="text-lg text-gray-500">
+                    {t.progress.replace('{index}', index + 1).replace('{total}', items.length)}
+                </span>
+            </div>
+
+            <div className="bg-amber-50 border-2 border-amber-300 rounded-2xl p-4 space-y-3">
+                {item.cropUrl && (
+                    <img
+                        src={item.cropUrl}
+                        alt={item.readAs}
+                        className="w-full rounded-xl border border-amber-200 bg-white"
+                    />
+                )}
+                <p className="text-lg text-gray-600">
+                    {t.readAs}: <span className="text-2xl font-bold text-gray-900">{item.readAs}</span>
+                </p>
+                <div className="flex flex-wrap gap-2 text-sm">
+                    <span className="px-3 py-1 rounded-full bg-amber-200 text-amber-900 font-semibold">
+                        {item.reviewReason === 'unrecognised'
+                            ? t.notKnown
+                            : t.sure.replace('{confidence}', Math.round(item.confidence || 0))}
+                    </span>
+                    {pageCount > 1 && item.page && (
+                        <span className="px-3 py-1 rounded-full bg-gray-200 text-gray-700">
+                            {t.page.replace('{n}', item.page)}
+                        </span>
+                    )}
+                </div>
+            </div>
+
+            <button
+                onClick={() => answerItem(item.name)}
+                className="w-full py-4 rounded-2xl bg-green-600 text-white text-xl font-semibold"
+            >
+                ✓ {t.keep.replace('{name}', item.name)}
+            </button>
+
+            {item.suggestions
+                .filter(suggestion => suggestion.name.toLowerCase() !== item.name.toLowerCase())
+                .map(suggestion => (
+                    <button
+                        key={suggestion.name}
+                        onClick={() => answerItem(suggestion.name)}
+                        className="w-full py-3 rounded-2xl bg-white border-2 border-primary text-primary text-lg font-semibold"
+                    >
+                        {t.itIs.replace('{name}', suggestion.name)}
+                        {suggestion.genericName && (
+                            <span className="block text-sm font-normal text-gray-500">{suggestion.genericName}</span>
+                        )}
+                    </button>
+                ))}
+
+            <div className="flex gap-2">
+                <input
+                    type="text"
+                    value={typedName}
+                    onChange={(e) => setTyped({ index, name: e.target.value })}
+                    placeholder={t.typeName}
+                    className="flex-1 px-4 py-3 rounded-xl border-2 border-gray-300 text-lg"
+                />
+                <button
+                    onClick={() => answerItem(typedName.trim())}
+                    disabled={typedName.trim().length < 2}
+                    className="px-4 py-3 rounded-xl bg-primary text-white font-semibold disabled:opacity-40"
+                >
+                    {t.useName}
+                </button>
+            </div>
+
+            <button
+                onClick={() => answerItem(null)}
+                className="w-full py-3 rounded-2xl bg-red-50 border-2 border-red-300 text-red-700 text-lg font-semibold"
+            >
+                ✕ {t.remove}
+            </button>
+        </div>
+    );
+};
+
+export default ExtractionReview;
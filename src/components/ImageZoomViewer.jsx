@@ -0,0 +1,90 @@
+import { useState, useEffect } from 'react';
+import { triggerAction } from '../utils/haptics';
+
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 4;
+const ZOOM_STEP = 0.5;
+// Double tap jumps straight to a readable size
+const DOUBLE_TAP_ZOOM = 2.5;
+
+const LABELS = {
+    'en-US': { zoomIn: 'Zoom in', zoomOut: 'Zoom out', close: 'Close', hint: 'Double tap to zoom' },
+    'hi-IN': { zoomIn: 'बड़ा करें', zoomOut: 'छोटा करें', close: 'बंद करें', hint: 'बड़ा करने के लिए दो बार छुएं' },
+    'mr-IN': { zoomIn: 'मोठे करा', zoomOut: 'लहान करा', close: 'बंद करा', hint: 'मोठे करण्यासाठी दोनदा स्पर्श करा' }
+};
+
+/**
+ * ImageZoomViewer - Full screen photo with large zoom buttons, for reading
+ * small handwriting on a stored prescription. Scroll to move around when
+ * zoomed in.
+ * @param {string} src - Image URL
+ * @param {string} alt - Description for screen readers
+ * @param {string} language - Language code
+ * @param {Function} onClose - Called when the viewer is closed
+ */
+const ImageZoomViewer = ({ src, alt, language, onClose }) => {
+    const [zoom, setZoom] = useState(MIN_ZOOM);
+    const t = LABELS[language] || LABELS['en-US'];
+
+    const changeZoom = (step) => {
+        triggerAction();
+        setZoom(current => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, current + step)));
+    };
+
+    const toggleZoom = () => {
+        triggerAction();
+        setZoom(current => (current > MIN_ZOOM ? MIN_ZOOM : DOUBLE_TAP_ZOOM));
+    };
+
+    // Escape / back key closes
+    useEffect(() => {
+        const handleKey = (e) => {
+            if (e.key === 'Escape') onClose();
+        };
+        window.addEventListener('keydown', handleKey);
+        return () => window.removeEventListener('keydown', handleKey);
+    }, [onClose]);
+
+    return (
+        <div className="fixed inset-0 z-50 flex flex-col bg-black/95" role="dialog" aria-label={alt}>
+            <div className="flex-1 overflow-auto">
+                <img
+                    src={src}
+                    alt={alt}
+                    onDoubleClick={toggleZoom}
+                    className="max-w-none mx-auto select-none"
+                    style={{ width: `${zoom * 100}%` }}
+                />
+            </div>
+
+            <p className="text-center text-white/70 text-base py-2">{t.hint}</p>
+
+            <div className="grid grid-cols-3 gap-3 p-4 pb-8">
+                <button
+                    onClick={() => changeZoom(-ZOOM_STEP)}
+                    disabled={zoom <= MIN_ZOOM}
+                    aria-label={t.zoomOut}
+                    className="min-h-button rounded-2xl bg-white text-gray-800 text-3xl font-bold disabled:opacity-40"
+                >
+                    −
+                </button>
+                <button
+                    onClick={onClose}
+                    className="min-h-button rounded-2xl bg-primary text-white text-xl font-bold"
+                >
+                    ✕ {t.close}
+                </button>
+                <button
+                    onClick={() => changeZoom(ZOOM_STEP)}
+                    disabled={zoom >= MAX_ZOOM}
+                    aria-label={t.zoomIn}
+                    className="min-h-button rounded-2xl bg-white text-gray-800 text-3xl font-bold disabled:opacity-40"
+                >
+                    +
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ImageZoomViewer;
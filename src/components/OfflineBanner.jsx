@@ -0,0 +1,33 @@
+import { useApp } from '../context/AppContext';
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
+
+/**
+ * OfflineBanner - Calm notice shown while there is no network
+ * Saved medicines, reminders and history still work offline.
+ */
+const OfflineBanner = () => {
+    const { language } = useApp();
+    const isOnline = useOnlineStatus();
+
+    const messages = {
+        'en-US': 'No internet. Showing your saved medicines and reminders.',
+        'hi-IN': 'इंटरनेट नहीं है। आपकी सेव की हुई दवाइयां और रिमाइंडर दिख रहे हैं।',
+        'mr-IN': 'इंटरनेट नाही. तुमची जतन केलेली औषधे आणि रिमाइंडर दिसत आहेत.'
+    };
+
+    if (isOnline) return null;
+
+    return (
+        <div
+            className="sticky top-0 z-40 bg-amber-100 border-b-2 border-amber-300 px-4 py-3 flex items-center gap-3"
+            role="status"
+        >
+            <span className="text-2xl">📴</span>
+            <p className="text-lg font-semibold text-amber-900">
+                {messages[language] || messages['en-US']}
+            </p>
+        </div>
+    );
+};
+
+export default OfflineBanner;
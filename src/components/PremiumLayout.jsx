@@ -1,4 +1,5 @@
 import { motion } from 'framer-motion';
+import OfflineBanner from './OfflineBanner';
 
 const PremiumLayout = ({ children }) => {
     return (
@@ -14,6 +15,7 @@ const PremiumLayout = ({ children }) => {
                     animate={{ opacity: 1, scale: 1 }}
                     transition={{ duration: 0.4 }}
                 >
+                    <OfflineBanner />
                     {children}
                 </motion.div>
             </div>
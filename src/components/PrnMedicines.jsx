@@ -0,0 +1,152 @@
+import { useState, useEffect } from 'react';
+import { useApp } from '../context/AppContext';
+import { useVoice } from '../context/VoiceContext';
+import { subscribeToMedicines } from '../services/medicineRepository';
+import { isPrnMedicine, checkPrnDose, takePrnDose } from '../services/prnService';
+import { triggerAction, triggerSuccess, triggerError } from '../utils/haptics';
+
+/**
+ * PrnMedicines - "Take now" buttons for SOS / as-needed medicines
+ * Blocks (and says why) when a dose is too soon or over the daily maximum.
+ */
+const PrnMedicines = () => {
+    const { language } = useApp();
+    const { speak } = useVoice();
+    const [medicines, setMedicines] = useState([]);
+    const [busyId, setBusyId] = useState(null);
+    const [, setTick] = useState(0);
+
+    useEffect(() => {
+        return subscribeToMedicines((all) => setMedicines(all.filter(isPrnMedicine)));
+    }, []);
+
+    // Refresh "next dose after" every minute
+    useEffect(() => {
+        const interval = setInterval(() => setTick(t => t + 1), 60000);
+        return () => clearInterval(interval);
+    }, []);
+
+    const labels = {
+        'en-US': {
+            title: 'As Needed (SOS)',
+            takeNow: 'Take now',
+            lastTaken: 'Last taken {time}',
+            notTaken: 'Not taken today',
+            nextAfter: 'Next dose after {time}',
+            dosesToday: '{count} of {max} today',
+            taken: 'Noted. You took {name}. The next dose is safe after {time}.',
+            tooSoon: 'Please wait. You took {name} at {last}. The next dose is safe only after {time}.',
+            dailyMax: 'Stop. You have already taken {count} doses of {name} in the last 24 hours. That is the maximum. If you still feel unwell, call your doctor.'
+        },
+        'hi-IN': {
+            title: 'ज़रूरत पर (SOS)',
+            takeNow: 'अभी लें',
+            lastTaken: 'आखिरी बार {time}',
+            notTaken: 'आज नहीं ली',
+            nextAfter: 'अगली खुराक {time} के बाद',
+            dosesToday: 'आज {max} में से {count}',
+            taken: 'दर्ज कर लिया। आपने {name} ली। अगली खुराक {time} के बाद ही लें।',
+            tooSoon: 'कृपया रुकिए। आपने {name} {last} बजे ली थी। अगली खुराक {time} के बाद ही सुरक्षित है।',
+            dailyMax: 'रुकिए। आप पिछले 24 घंटों में {name} की {count} खुराक ले चुके हैं। यह अधिकतम है। तबियत ठीक न लगे तो डॉक्टर को फ़ोन करें।'
+        },
+        'mr-IN': {
+            title: 'गरज असल्यास (SOS)',
+            takeNow: 'आता घ्या',
+            lastTaken: 'शेवटचे {time}',
+            notTaken: 'आज घेतले नाही',
+            nextAfter: 'पुढचा डोस {time} नंतर',
+            dosesToday: 'आज {max} पैकी {count}',
+            taken: 'नोंद केली. तुम्ही {name} घेतले. पुढचा डोस {time} नंतरच घ्या.',
+            tooSoon: 'कृपया थांबा. तुम्ही {name} {last} वाजता घेतले होते. पुढचा डोस {time} नंतरच सुरक्षित आहे.',
+            dailyMax: 'थांबा. तुम्ही गेल्या 24 तासांत {name} चे {count} डोस घेतले आहेत. हे कमाल आहे. बरे वाटत नसल्यास डॉक्टरांना फोन करा.'
+        }
+    };
+
+    const t = labels[language] || labels['en-US'];
+
+    const formatTime = (date) => date
+        ? date.toLocaleTimeString(language, { hour: 'numeric', minute: '2-digit' })
+        : '';
+
+    const fill = (text, values) => Object.entries(values)
+        .reduce((result, [key, value]) => result.replace(`{${key}}`, value), text);
+
+    const handleTakeNow = async (medicine) => {
+        if (busyId) return;
+        triggerAction();
+        setBusyId(medicine.id);
+
+        try {
+            const result = await takePrnDose(medicine);
+            const values = {
+                name: medicine.name,
+                count: result.dosesToday,
+                last: formatTime(result.lastTakenAt),
+                time: formatTime(result.nextAllowedAt)
+            };
+
+            if (result.logged) {
+                triggerSuccess();
+                speak(fill(t.taken, values));
+            } else {
+                triggerError();
+                speak(fill(result.reason === 'daily_max' ? t.dailyMax : t.tooSoon, values));
+            }
+        } catch (error) {
+            console.error('Failed to log SOS dose:', error);
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    if (medicines.length === 0) return null;
+
+    return (
+        <div className="mt-6 p-5 bg-white border-2 border-amber-200 rounded-2xl shadow-md">
+            <h3 className="text-lg font-semibold text-amber-800 mb-3">
+                🆘 {t.title}
+            </h3>
+            <div className="space-y-3">
+                {medicines.map((medicine) => {
+                    const status = checkPrnDose(medicine);
+                    return (
+                        <div key={medicine.id} className="flex items-center gap-3">
+                            <div className="flex-1 min-w-0">
+                                <p className="text-lg font-bold text-gray-800 truncate">
+                                    {medicine.name}
+                                </p>
+                                <p className="text-sm text-gray-500">
+                                    {status.lastTakenAt
+                                        ? fill(t.lastTaken, { time: formatTime(status.lastTakenAt) })
+                                        : t.notTaken}
+                                    {' • '}
+                                    {fill(t.dosesToday, { count: status.dosesToday, max: status.limits.maxPerDay })}
+                                </p>
+                                {!status.allowed && (
+                                    <p className="text-sm font-semibold text-red-600">
+                                        {fill(t.nextAfter, { time: formatTime(status.nextAllowedAt) })}
+                                    </p>
+                                )}
+                            </div>
+                            <button
+                                onClick={() => handleTakeNow(medicine)}
+                                disabled={busyId === medicine.id}
+                                className={`
+                                    px-5 py-3 rounded-xl font-bold text-lg transition-colors
+                                    ${status.allowed
+                                        ? 'bg-amber-500 text-white hover:bg-amber-600'
+                                        : 'bg-gray-200 text-gray-500'
+                                    }
+                                `}
+                            >
+                                {t.takeNow}
+                            </button>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export default PrnMedicines;
@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react';
+import { useApp } from '../context/AppContext';
+import { subscribeToMedicines } from '../services/medicineRepository';
+import { getRefillList, getRefillMessage, markRefilled } from '../services/inventoryService';
+import { triggerSuccess } from '../utils/haptics';
+
+/**
+ * RefillChecklist - Medicines running out soon, with a "bought it" step
+ * (The Dashboard speaks these alerts once a day.)
+ */
+const RefillChecklist = () => {
+    const { language } = useApp();
+    const [refills, setRefills] = useState([]);
+    const [refillingId, setRefillingId] = useState(null);
+    const [units, setUnits] = useState('');
+
+    useEffect(() => {
+        return subscribeToMedicines(() => setRefills(getRefillList()));
+    }, []);
+
+    const labels = {
+        'en-US': {
+            title: 'Refill Checklist',
+            bought: 'Bought',
+            howMany: 'Tablets bought',
+            save: 'Save',
+            cancel: 'Cancel'
+        },
+        'hi-IN': {
+            title: 'दवा लाने की सूची',
+            bought: 'ले आए',
+            howMany: 'कितनी गोलियां लाए',
+            save: 'सेव करें',
+            cancel: 'रद्द करें'
+        },
+        'mr-IN': {
+            title: 'औषध आणण्याची यादी',
+            bought: 'आणले',
+            howMany: 'किती गोळ्या आणल्या',
+            save: 'जतन करा',
+            cancel: 'रद्द करा'
+        }
+    };
+
+    const t = labels[language] || labels['en-US'];
+
+    const startRefill = (status) => {
+        setRefillingId(status.medicineId);
+        setUnits(status.packSize ? String(status.packSize) : '');
+    };
+
+    const confirmRefill = () => {
+        if (!(Number(units) > 0)) return;
+        markRefilled(refillingId, Number(units));
+        triggerSuccess();
+        setRefillingId(null);
+    };
+
+    if (refills.length === 0) return null;
+
+    return (
+        <div className="mt-6 p-5 bg-red-50 border-2 border-red-200 rounded-2xl" role="alert">
+            <h3 className="text-lg font-semibold text-red-800 mb-3">
+                📦 {t.title}
+            </h3>
+            <ul className="space-y-3">
+                {refills.map((status) => (
+                    <li key={status.medicineId} className="bg-white rounded-xl p-3 shadow-sm">
+                        <div className="flex items-center gap-3">
+                            <span className="text-2xl">
+                                {status.daysRemaining === 0 || status.quantity === 0 ? '⛔' : '⚠️'}
+                            </span>
+                            <p className="flex-1 text-base font-semibold text-gray-800">
+                                {getRefillMessage(status, language)}
+                            </p>
+                            {refillingId !== status.medicineId && (
+                                <button
+                                    onClick={() => startRefill(status)}
+                                    className="px-4 py-2 rounded-xl bg-green-600 text-white font-semibold"
+                                >
+                                    ✓ {t.bought}
+                                </button>
+                            )}
+                        </div>
+
+                        {refillingId === status.medicineId && (
+                            <div className="flex items-center gap-2 mt-3">
+                                <label className="text-sm text-gray-600 flex-1">
+                                    {t.howMany}
+                                </label>
+                                <input
+                                    type="number"
+                                    min="1"
+                                    value={units}
+                                    onChange={(e) => setUnits(e.target.value)}
+                                    className="w-20 p-2 text-center border-2 border-gray-200 rounded-xl focus:border-primary focus:outline-none"
+                                    autoFocus
+                                />
+                                <button
+                                    onClick={confirmRefill}
+                                    className="px-4 py-2 rounded-xl bg-primary text-white font-semibold"
+                                >
+                                    {t.save}
+                                </button>
+                                <button
+                                    onClick={() => setRefillingId(null)}
+                                    className="px-3 py-2 rounded-xl bg-gray-100 text-gray-600"
+                                >
+                                    {t.cancel}
+                                </button>
+                            </div>
+                        )}
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default RefillChecklist;
@@ -3,6 +3,19 @@ import { motion, AnimatePresence } from 'framer-motion';
 import TimePicker from './TimePicker';
 import { PILL_COLORS, DAYS_OF_WEEK } from '../services/reminderService';
 import { useApp } from '../context/AppContext';
+import { SCHEDULE_TYPES, DEFAULT_TAPER_STEPS, toReminderFields } from '../utils/scheduleModel';
+
+const ALL_DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const INTERVAL_HOURS = [4, 6, 8, 12];
+const ALTERNATE_DAYS = [2, 3];
+
+const DEFAULT_SCHEDULE = {
+    type: SCHEDULE_TYPES.DAILY,
+    everyHours: 8,
+    everyDays: 2,
+    steps: DEFAULT_TAPER_STEPS,
+    anchorDate: null
+};
 
 /**
  * ReminderForm - Modal form for adding/editing reminders
@@ -21,6 +34,7 @@ const ReminderForm = ({ isOpen, onClose, onSave, reminder = null }) => {
         enabled: true
     });
 
+    const [schedule, setSchedule] = useState(DEFAULT_SCHEDULE);
     const [showTimePicker, setShowTimePicker] = useState(false);
 
     // Labels
@@ -36,7 +50,24 @@ const ReminderForm = ({ isOpen, onClose, onSave, reminder = null }) => {
             save: isEditing ? 'Update Reminder' : 'Add Reminder',
             cancel: 'Cancel',
             placeholder: 'e.g. Amlodipine 5mg',
-            descPlaceholder: 'e.g. blue round tablet'
+            descPlaceholder: 'e.g. blue round tablet',
+            schedule: 'How Often',
+            scheduleTypes: {
+                daily: 'Daily',
+                interval: 'Every few hours',
+                alternate: 'Alternate days',
+                weekly: 'Weekly',
+                prn: 'As needed (SOS)',
+                taper: 'Tapering'
+            },
+            firstDose: 'First Dose Time',
+            everyHours: 'Every {n} hrs',
+            everyDays: 'Every {n} days',
+            prnHint: 'No alarm will ring. Log a dose whenever you take it.',
+            taperSteps: 'Dose Steps (starting today)',
+            tablets: 'tablets',
+            forDays: 'days',
+            addStep: '+ Add Step'
         },
         'hi-IN': {
             title: isEditing ? 'रिमाइंडर संपादित करें' : 'रिमाइंडर जोड़ें',
@@ -49,7 +80,24 @@ const ReminderForm = ({ isOpen, onClose, onSave, reminder = null }) => {
             save: isEditing ? 'अपडेट करें' : 'जोड़ें',
             cancel: 'रद्द करें',
             placeholder: 'जैसे: एम्लोडिपिन 5mg',
-            descPlaceholder: 'जैसे: नीली गोल गोली'
+            descPlaceholder: 'जैसे: नीली गोल गोली',
+            schedule: 'कितनी बार',
+            scheduleTypes: {
+                daily: 'रोज़',
+                interval: 'कुछ घंटों में',
+                alternate: 'एक दिन छोड़कर',
+                weekly: 'साप्ताहिक',
+                prn: 'ज़रूरत पर (SOS)',
+                taper: 'घटती खुराक'
+            },
+            firstDose: 'पहली खुराक का समय',
+            everyHours: 'हर {n} घंटे',
+            everyDays: 'हर {n} दिन',
+            prnHint: 'अलार्म नहीं बजेगा। जब भी दवा लें, दर्ज कर लें।',
+            taperSteps: 'खुराक के चरण (आज से)',
+            tablets: 'गोलियां',
+            forDays: 'दिन',
+            addStep: '+ चरण जोड़ें'
         },
         'mr-IN': {
             title: isEditing ? 'रिमाइंडर संपादित करा' : 'रिमाइंडर जोडा',
@@ -62,7 +110,24 @@ const ReminderForm = ({ isOpen, onClose, onSave, reminder = null }) => {
             save: isEditing ? 'अपडेट करा' : 'जोडा',
             cancel: 'रद्द करा',
             placeholder: 'उदा: अम्लोडिपिन 5mg',
-            descPlaceholder: 'उदा: निळी गोल गोळी'
+            descPlaceholder: 'उदा: निळी गोल गोळी',
+            schedule: 'किती वेळा',
+            scheduleTypes: {
+                daily: 'दररोज',
+                interval: 'काही तासांनी',
+                alternate: 'दिवसाआड',
+                weekly: 'साप्ताहिक',
+                prn: 'गरज असल्यास (SOS)',
+                taper: 'कमी होणारा डोस'
+            },
+            firstDose: 'पहिल्या डोसची वेळ',
+            everyHours: 'दर {n} तासांनी',
+            everyDays: 'दर {n} दिवसांनी',
+            prnHint: 'अलार्म वाजणार नाही. औषध घेतल्यावर नोंद करा.',
+            taperSteps: 'डोसचे टप्पे (आजपासून)',
+            tablets: 'गोळ्या',
+            forDays: 'दिवस',
+            addStep: '+ टप्पा जोडा'
         }
     };
 
@@ -76,9 +141,10 @@ const ReminderForm = ({ isOpen, onClose, onSave, reminder = null }) => {
                 description: reminder.description || '',
                 color: reminder.color || PILL_COLORS[0].value,
                 time: reminder.time || '08:00',
-                repeatDays: reminder.repeatDays || ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+                repeatDays: reminder.repeatDays || ALL_DAYS,
                 enabled: reminder.enabled !== undefined ? reminder.enabled : true
             });
+            setSchedule({ ...DEFAULT_SCHEDULE, ...(reminder.schedule || {}) });
         } else {
             // Reset for new reminder
             setFormData({
@@ -86,12 +152,45 @@ const ReminderForm = ({ isOpen, onClose, onSave, reminder = null }) => {
                 description: '',
                 color: PILL_COLORS[0].value,
                 time: '08:00',
-                repeatDays: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+                repeatDays: ALL_DAYS,
                 enabled: true
             });
+            setSchedule(DEFAULT_SCHEDULE);
         }
     }, [reminder, isOpen]);
 
+    // Switch schedule type (interval/alternate/taper restart counting from today)
+    const selectScheduleType = (type) => {
+        if (type === schedule.type) return;
+        setSchedule(prev => ({ ...prev, type, anchorDate: new Date().toISOString() }));
+
+        if (type === SCHEDULE_TYPES.WEEKLY && formData.repeatDays.length !== 1) {
+            const today = new Date().toLocaleDateString('en-US', { weekday: 'short' });
+            setFormData(prev => ({ ...prev, repeatDays: [today] }));
+        } else if (type !== SCHEDULE_TYPES.WEEKLY && type !== SCHEDULE_TYPES.DAILY) {
+            setFormData(prev => ({ ...prev, repeatDays: ALL_DAYS }));
+        }
+    };
+
+    // Edit one taper step
+    const updateTaperStep = (index, field, value) => {
+        setSchedule(prev => ({
+            ...prev,
+            steps: prev.steps.map((step, i) => i === index ? { ...step, [field]: Math.max(0, Number(value) || 0) } : step)
+        }));
+    };
+
+    const addTaperStep = () => {
+        setSchedule(prev => {
+            const last = prev.steps[prev.steps.length - 1] || { dose: 1, days: 3 };
+            return { ...prev, steps: [...prev.steps, { dose: Math.max(1, last.dose - 1), days: last.days }] };
+        });
+    };
+
+    const removeTaperStep = (index) => {
+        setSchedule(prev => ({ ...prev, steps: prev.steps.filter((_, i) => i !== index) }));
+    };
+
     // Handle day toggle
     const toggleDay = (day) => {
         setFormData(prev => {
@@ -117,7 +216,38 @@ const ReminderForm = ({ isOpen, onClose, onSave, reminder = null }) => {
             // Basic validation - require medicine name
             return;
         }
-        onSave(formData);
+
+        let selected = null;
+        switch (schedule.type) {
+            case SCHEDULE_TYPES.INTERVAL:
+                selected = { type: schedule.type, everyHours: schedule.everyHours, anchorDate: schedule.anchorDate };
+                break;
+            case SCHEDULE_TYPES.ALTERNATE:
+                selected = { type: schedule.type, everyDays: schedule.everyDays, anchorDate: schedule.anchorDate };
+                break;
+            case SCHEDULE_TYPES.WEEKLY:
+                selected = { type: schedule.type, days: formData.repeatDays };
+                break;
+            case SCHEDULE_TYPES.PRN:
+                selected = { type: schedule.type };
+                break;
+            case SCHEDULE_TYPES.TAPER:
+                selected = {
+                    type: schedule.type,
+                    steps: schedule.steps.filter(step => step.dose > 0 && step.days > 0),
+                    anchorDate: schedule.anchorDate || new Date().toISOString()
+                };
+                break;
+            default:
+                break;
+        }
+
+        const fields = toReminderFields(selected, formData.time);
+        onSave({
+            ...formData,
+            repeatDays: selected ? fields.repeatDays : formData.repeatDays,
+            schedule: fields.schedule
+        });
         onClose();
     };
 
@@ -209,75 +339,181 @@ const ReminderForm = ({ isOpen, onClose, onSave, reminder = null }) => {
                             </div>
                         )}
 
-                        {/* Time Picker */}
+                        {/* Schedule Type */}
                         <div>
                             <label className="block text-lg font-semibold text-gray-700 mb-3">
-                                {t.time}
+                                {t.schedule}
                             </label>
-                            {showTimePicker ? (
-                                <TimePicker
-                                    value={formData.time}
-                                    onChange={(time) => setFormData(prev => ({ ...prev, time }))}
-                                    onConfirm={(time) => {
-                                        setFormData(prev => ({ ...prev, time }));
-                                        setShowTimePicker(false);
-                                    }}
-                                    onCancel={() => setShowTimePicker(false)}
-                                />
-                            ) : (
-                                <motion.button
-                                    onClick={() => setShowTimePicker(true)}
-                                    className="w-full p-5 bg-gray-50 border-2 border-gray-200 rounded-2xl flex items-center justify-between hover:border-primary transition-colors"
-                                    whileTap={{ scale: 0.98 }}
-                                >
-                                    <span className="text-3xl">⏰</span>
-                                    <span className="text-2xl font-bold text-gray-800">
-                                        {formatTimeDisplay(formData.time)}
-                                    </span>
-                                    <span className="text-gray-400 text-xl">✎</span>
-                                </motion.button>
+                            <div className="grid grid-cols-2 gap-2">
+                                {Object.values(SCHEDULE_TYPES).map((type) => (
+                                    <button
+                                        key={type}
+                                        onClick={() => selectScheduleType(type)}
+                                        className={`
+                                            py-3 px-3 rounded-xl font-semibold text-sm transition-colors
+                                            ${schedule.type === type
+                                                ? 'bg-primary text-white shadow-md'
+                                                : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+                                            }
+                                        `}
+                                    >
+                                        {t.scheduleTypes[type]}
+                                    </button>
+                                ))}
+                            </div>
+
+                            {/* Every N hours */}
+                            {schedule.type === SCHEDULE_TYPES.INTERVAL && (
+                                <div className="flex gap-2 mt-3">
+                                    {INTERVAL_HOURS.map((hours) => (
+                                        <button
+                                            key={hours}
+                                            onClick={() => setSchedule(prev => ({ ...prev, everyHours: hours }))}
+                                            className={`flex-1 py-2 rounded-xl text-sm font-semibold ${schedule.everyHours === hours ? 'bg-primary/15 text-primary border-2 border-primary' : 'bg-gray-50 text-gray-600 border-2 border-gray-200'}`}
+                                        >
+                                            {t.everyHours.replace('{n}', hours)}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+
+                            {/* Every N days */}
+                            {schedule.type === SCHEDULE_TYPES.ALTERNATE && (
+                                <div className="flex gap-2 mt-3">
+                                    {ALTERNATE_DAYS.map((days) => (
+                                        <button
+                                            key={days}
+                                            onClick={() => setSchedule(prev => ({ ...prev, everyDays: days }))}
+                                            className={`flex-1 py-2 rounded-xl text-sm font-semibold ${schedule.everyDays === days ? 'bg-primary/15 text-primary border-2 border-primary' : 'bg-gray-50 text-gray-600 border-2 border-gray-200'}`}
+                                        >
+                                            {t.everyDays.replace('{n}', days)}
+                                        </button>
+                                    ))}
+                                </div>
+                            )}
+
+                            {/* SOS */}
+                            {schedule.type === SCHEDULE_TYPES.PRN && (
+                                <p className="mt-3 p-3 bg-amber-50 text-amber-800 rounded-xl text-sm">
+                                    {t.prnHint}
+                                </p>
+                            )}
+
+                            {/* Taper steps */}
+                            {schedule.type === SCHEDULE_TYPES.TAPER && (
+                                <div className="mt-3 space-y-2">
+                                    <p className="text-sm font-semibold text-gray-600">{t.taperSteps}</p>
+                                    {schedule.steps.map((step, index) => (
+                                        <div key={index} className="flex items-center gap-2">
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                value={step.dose}
+                                                onChange={(e) => updateTaperStep(index, 'dose', e.target.value)}
+                                                className="w-16 p-2 text-center border-2 border-gray-200 rounded-xl focus:border-primary focus:outline-none"
+                                            />
+                                            <span className="text-sm text-gray-500">{t.tablets} ×</span>
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                value={step.days}
+                                                onChange={(e) => updateTaperStep(index, 'days', e.target.value)}
+                                                className="w-16 p-2 text-center border-2 border-gray-200 rounded-xl focus:border-primary focus:outline-none"
+                                            />
+                                            <span className="text-sm text-gray-500 flex-1">{t.forDays}</span>
+                                            {schedule.steps.length > 1 && (
+                                                <button
+                                                    onClick={() => removeTaperStep(index)}
+                                                    className="w-9 h-9 rounded-full bg-gray-100 text-gray-500 hover:bg-red-50 hover:text-red-500"
+                                                >
+                                                    ✕
+                                                </button>
+                                            )}
+                                        </div>
+                                    ))}
+                                    <button
+                                        onClick={addTaperStep}
+                                        className="text-primary font-semibold text-sm"
+                                    >
+                                        {t.addStep}
+                                    </button>
+                                </div>
                             )}
                         </div>
 
-                        {/* Repeat Days */}
-                        <div>
-                            <div className="flex items-center justify-between mb-3">
-                                <label className="text-lg font-semibold text-gray-700">
-                                    {t.repeatDays}
+                        {/* Time Picker */}
+                        {schedule.type !== SCHEDULE_TYPES.PRN && (
+                            <div>
+                                <label className="block text-lg font-semibold text-gray-700 mb-3">
+                                    {schedule.type === SCHEDULE_TYPES.INTERVAL ? t.firstDose : t.time}
                                 </label>
-                                <motion.button
-                                    onClick={toggleAllDays}
-                                    className={`
-                                        px-4 py-2 rounded-xl text-sm font-semibold transition-colors
-                                        ${formData.repeatDays.length === 7
-                                            ? 'bg-primary text-white'
-                                            : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
-                                        }
-                                    `}
-                                    whileTap={{ scale: 0.95 }}
-                                >
-                                    {t.everyday}
-                                </motion.button>
+                                {showTimePicker ? (
+                                    <TimePicker
+                                        value={formData.time}
+                                        onChange={(time) => setFormData(prev => ({ ...prev, time }))}
+                                        onConfirm={(time) => {
+                                            setFormData(prev => ({ ...prev, time }));
+                                            setShowTimePicker(false);
+                                        }}
+                                        onCancel={() => setShowTimePicker(false)}
+                                    />
+                                ) : (
+                                    <motion.button
+                                        onClick={() => setShowTimePicker(true)}
+                                        className="w-full p-5 bg-gray-50 border-2 border-gray-200 rounded-2xl flex items-center justify-between hover:border-primary transition-colors"
+                                        whileTap={{ scale: 0.98 }}
+                                    >
+                                        <span className="text-3xl">⏰</span>
+                                        <span className="text-2xl font-bold text-gray-800">
+                                            {formatTimeDisplay(formData.time)}
+                                        </span>
+                                        <span className="text-gray-400 text-xl">✎</span>
+                                    </motion.button>
+                                )}
                             </div>
-                            <div className="flex justify-between">
-                                {DAYS_OF_WEEK.map((day) => (
+                        )}
+
+                        {/* Repeat Days */}
+                        {(schedule.type === SCHEDULE_TYPES.DAILY || schedule.type === SCHEDULE_TYPES.WEEKLY) && (
+                            <div>
+                                <div className="flex items-center justify-between mb-3">
+                                    <label className="text-lg font-semibold text-gray-700">
+                                        {t.repeatDays}
+                                    </label>
                                     <motion.button
-                                        key={day.short}
-                                        onClick={() => toggleDay(day.short)}
+                                        onClick={toggleAllDays}
                                         className={`
-                                            w-11 h-11 rounded-xl font-semibold text-sm transition-all
-                                            ${formData.repeatDays.includes(day.short)
-                                                ? 'bg-primary text-white shadow-md'
-                                                : 'bg-gray-100 text-gray-500 hover:bg-gray-200'
+                                            px-4 py-2 rounded-xl text-sm font-semibold transition-colors
+                                            ${formData.repeatDays.length === 7
+                                                ? 'bg-primary text-white'
+                                                : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
                                             }
                                         `}
-                                        whileTap={{ scale: 0.9 }}
+                                        whileTap={{ scale: 0.95 }}
                                     >
-                                        {day.short.charAt(0)}
+                                        {t.everyday}
                                     </motion.button>
-                                ))}
+                                </div>
+                                <div className="flex justify-between">
+                                    {DAYS_OF_WEEK.map((day) => (
+                                        <motion.button
+                                            key={day.short}
+                                            onClick={() => toggleDay(day.short)}
+                                            className={`
+                                                w-11 h-11 rounded-xl font-semibold text-sm transition-all
+                                                ${formData.repeatDays.includes(day.short)
+                                                    ? 'bg-primary text-white shadow-md'
+                                                    : 'bg-gray-100 text-gray-500 hover:bg-gray-200'
+                                                }
+                                            `}
+                                            whileTap={{ scale: 0.9 }}
+                                        >
+                                            {day.short.charAt(0)}
+                                        </motion.button>
+                                    ))}
+                                </div>
                             </div>
-                        </div>
+                        )}
                     </div>
 
                     {/* Footer Actions */}
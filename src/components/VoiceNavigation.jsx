@@ -74,6 +74,12 @@ const VoiceNavigation = ({ children }) => {
                 'hi-IN': 'इमरजेंसी अलार्म खोल रहा हूँ',
                 'mr-IN': 'आणीबाणी अलार्म उघडतो आहे'
             },
+            // The page reads the summary itself
+            'summary': {
+                'en-US': '',
+                'hi-IN': '',
+                'mr-IN': ''
+            },
             'stop': {
                 'en-US': '',
                 'hi-IN': '',
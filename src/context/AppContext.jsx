@@ -2,6 +2,7 @@ import { createContext, useContext, useState, useEffect } from 'react';
 import { onAuthStateChanged } from 'firebase/auth';
 import { auth } from '../firebase/firebase';
 import { getUserFromFirestore } from '../services/userService';
+import medicineRepository from '../services/medicineRepository';
 
 const AppContext = createContext();
 
@@ -97,44 +98,29 @@ export const AppProvider = ({ children }) => {
     };
 
     // Saved medicines state (Phase 5: Medicine Safety Shield)
-    const [savedMedicines, setSavedMedicines] = useState(() => {
-        const saved = localStorage.getItem('saarthi_medicines');
-        return saved ? JSON.parse(saved) : [];
-    });
+    // Backed by the medicine repository (local cache + Firestore sync)
+    const [savedMedicines, setSavedMedicines] = useState(() => medicineRepository.getMedicines());
+
+    useEffect(() => {
+        return medicineRepository.subscribeToMedicines(setSavedMedicines);
+    }, []);
 
     // Add medicine to saved list
     const addMedicine = (medicine) => {
-        const updated = [...savedMedicines, { ...medicine, addedAt: Date.now() }];
-        setSavedMedicines(updated);
-        localStorage.setItem('saarthi_medicines', JSON.stringify(updated));
+        return medicineRepository.createMedicine(medicine).medicine;
     };
 
     // Get all saved medicines
     const getMedicines = () => savedMedicines;
 
-    // Clear all medicines
+    // Clear all medicines (this device only)
     const clearMedicines = () => {
-        setSavedMedicines([]);
-        localStorage.removeItem('saarthi_medicines');
+        medicineRepository.clearLocalMedicines();
     };
 
     // Update a specific medicine (e.g., decrement quantity)
     const updateMedicine = (medicineId, updates) => {
-        const updated = savedMedicines.map(med => 
-            med.id === medicineId ? { ...med, ...updates } : med
-        );
-        setSavedMedicines(updated);
-        localStorage.setItem('saarthi_medicines', JSON.stringify(updated));
-        return updated.find(m => m.id === medicineId);
-    };
-
-    // Decrement medicine quantity by 1 (for "Taken" action)
-    const decrementMedicineQuantity = (medicineId) => {
-        const medicine = savedMedicines.find(m => m.id === medicineId);
-        if (medicine && medicine.quantity > 0) {
-            return updateMedicine(medicineId, { quantity: medicine.quantity - 1 });
-        }
-        return medicine;
+        return medicineRepository.updateMedicine(medicineId, updates);
     };
 
     const value = {
@@ -154,7 +140,6 @@ export const AppProvider = ({ children }) => {
         getMedicines,
         clearMedicines,
         updateMedicine,
-        decrementMedicineQuantity,
     };
 
     return <AppContext.Provider value={value}>{children}</AppContext.Provider>;
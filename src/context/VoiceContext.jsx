@@ -39,6 +39,7 @@ export const VoiceProvider = ({ children }) => {
     const silenceTimerRef = useRef(null);
     const cooldownTimerRef = useRef(null);
     const accumulatedTranscriptRef = useRef(''); // For accumulating speech during registration
+    const finalTranscriptListenersRef = useRef(new Set()); // Pages answering spoken commands
 
     // Check if current route needs elder-friendly long timeout
     const isElderRoute = ELDER_FRIENDLY_ROUTES.some(r => location.pathname.startsWith(r));
@@ -95,6 +96,7 @@ export const VoiceProvider = ({ children }) => {
                         console.log('✅ Final transcript:', finalTranscript);
                         setTranscript(finalTranscript.trim());
                     }
+                    finalTranscriptListenersRef.current.forEach(listener => listener(finalTranscript.trim()));
                 } else if (interimTranscript) {
                     console.log('📝 Interim:', interimTranscript);
                     // Show interim for live feedback
@@ -235,6 +237,17 @@ export const VoiceProvider = ({ children }) => {
         accumulatedTranscriptRef.current = '';
     }, []);
 
+    /**
+     * Call a listener with every final recognition result. Pages act on a
+     * spoken answer here, inside the recognition callback, rather than by
+     * watching `transcript` in an effect.
+     * @returns {Function} Unsubscribe
+     */
+    const onFinalTranscript = useCallback((listener) => {
+        finalTranscriptListenersRef.current.add(listener);
+        return () => finalTranscriptListenersRef.current.delete(listener);
+    }, []);
+
     // Text-to-Speech function
     const speak = useCallback((text, options = {}) => {
         return new Promise((resolve, reject) => {
@@ -308,6 +321,7 @@ export const VoiceProvider = ({ children }) => {
         startListening,
         stopListening,
         resetTranscript,
+        onFinalTranscript,
         speak,
         stopSpeaking,
         repeatContent,
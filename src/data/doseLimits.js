@@ -0,0 +1,32 @@
+/**
+ * Maximum Daily Doses for SaarthiRx
+ * Adult maximum total dose per day (mg) for common GENERIC ingredients.
+ * Used to warn when two brands of the same ingredient add up past the limit.
+ */
+
+export const MAX_DAILY_DOSE_MG = {
+    paracetamol: 4000,
+    ibuprofen: 3200,
+    diclofenac: 150,
+    aceclofenac: 200,
+    naproxen: 1500,
+    aspirin: 4000,
+    tramadol: 400,
+    metformin: 2550,
+    amlodipine: 10,
+    telmisartan: 80,
+    cetirizine: 10,
+    pantoprazole: 80
+};
+
+/**
+ * Maximum daily dose of an ingredient
+ * @param {string} ingredient - Canonical generic name
+ * @returns {number|null} mg per day, null when not listed
+ */
+export const getMaxDailyDoseMg = (ingredient) => MAX_DAILY_DOSE_MG[ingredient] ?? null;
+
+export default {
+    MAX_DAILY_DOSE_MG,
+    getMaxDailyDoseMg
+};
@@ -0,0 +1,1538 @@
+/**
+ * Formulary for SaarthiRx
+ * Common Indian brands with their generic ingredients, strengths, dosage form,
+ * typical colour and the way the name is written in Hindi and Marathi.
+ *
+ * Every entry is indexed by medicineDatabase for OCR correction, voice add and
+ * the interaction check, so `aliases` should list the misspellings a scan or a
+ * speech engine actually produces - not every possible spelling.
+ */
+
+export const FORMULARY = [
+    {
+        id: 'alprax',
+        name: 'Alprax',
+        genericName: 'Alprazolam',
+        aliases: ['alprax', 'alpraz', 'alprex', 'alpax', 'alprazolam', 'alprazo'],
+        category: 'Anxiolytic',
+        usualUse: 'Anxiety and panic disorders, helps with sleep',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['0.25mg', '0.5mg', '1mg'],
+        manufacturer: 'Torrent Pharmaceuticals',
+        localAliases: {
+            'hi-IN': ['अल्प्राक्स', 'अल्प्रैक्स'],
+            'mr-IN': ['अल्प्रॅक्स']
+        }
+    },
+    {
+        id: 'cn-paxet',
+        name: 'CN Paxet',
+        genericName: 'Clonazepam + Paroxetine',
+        aliases: ['cn paxet', 'cnpaxet', 'cn-paxet', 'paxet cn', 'cn paxit', 'cn paxat', 'c n paxet', 'cnpaxit'],
+        category: 'Antidepressant + Anxiolytic',
+        usualUse: 'Depression and anxiety disorders',
+        visualType: 'Tablet',
+        visualColor: 'Pink',
+        commonDosages: ['0.5mg + 12.5mg', '0.5mg + 25mg'],
+        manufacturer: 'Various',
+        localAliases: {
+            'hi-IN': ['सीएन पैक्सेट'],
+            'mr-IN': ['सीएन पॅक्सेट']
+        }
+    },
+    {
+        id: 'diclofen-sp',
+        name: 'Diclofen-SP',
+        genericName: 'Diclofenac Sodium + Serratiopeptidase',
+        aliases: [
+            'diclofen sp', 'diclofen-sp', 'diclofensp', 'diclofen', 
+            'diclofin sp', 'diclofen-s', 'diclofinsp', 'diclofenac sp',
+            'diclo sp', 'diclosp', 'diclofen serratiopeptidase'
+        ],
+        category: 'NSAID + Anti-inflammatory Enzyme',
+        usualUse: 'Pain relief, inflammation, swelling reduction',
+        visualType: 'Tablet',
+        visualColor: 'Yellow',
+        commonDosages: ['50mg + 10mg', '50mg + 15mg'],
+        manufacturer: 'Various',
+        localAliases: {
+            'hi-IN': ['डाइक्लोफेन एसपी'],
+            'mr-IN': ['डायक्लोफेन एसपी']
+        }
+    },
+    {
+        id: 'ecosprin',
+        name: 'Ecosprin',
+        genericName: 'Aspirin',
+        aliases: ['ecosprin', 'ecosprin 75', 'ecosprin 150', 'ecospirin', 'ecosprn', 'ecoprin', 'eco sprin'],
+        category: 'Antiplatelet',
+        usualUse: 'Prevents blood clots, heart attack and stroke',
+        visualType: 'Tablet',
+        visualColor: 'Orange',
+        commonDosages: ['75mg', '150mg'],
+        manufacturer: 'USV',
+        localAliases: {
+            'hi-IN': ['इकोस्प्रिन'],
+            'mr-IN': ['इकोस्प्रिन']
+        }
+    },
+    {
+        id: 'clopilet',
+        name: 'Clopilet',
+        genericName: 'Clopidogrel',
+        aliases: ['clopilet', 'clopilet 75', 'clopilat', 'clopilit', 'clopilete', 'clopidogrel'],
+        category: 'Antiplatelet',
+        usualUse: 'Prevents blood clots after heart attack, stent or stroke',
+        visualType: 'Tablet',
+        visualColor: 'Pink',
+        commonDosages: ['75mg'],
+        manufacturer: 'Sun Pharma',
+        localAliases: {
+            'hi-IN': ['क्लोपिलेट'],
+            'mr-IN': ['क्लोपिलेट']
+        }
+    },
+    {
+        id: 'warf',
+        name: 'Warf',
+        genericName: 'Warfarin',
+        aliases: ['warf', 'warf 5', 'warf 2', 'warfarin', 'warfrin', 'warferin'],
+        category: 'Anticoagulant',
+        usualUse: 'Blood thinner for clots, irregular heartbeat and valve problems',
+        visualType: 'Tablet',
+        visualColor: 'Pink',
+        commonDosages: ['1mg', '2mg', '5mg'],
+        manufacturer: 'Cipla',
+        localAliases: {
+            'hi-IN': ['वार्फ'],
+            'mr-IN': ['वॉर्फ']
+        }
+    },
+    {
+        id: 'brufen',
+        name: 'Brufen',
+        genericName: 'Ibuprofen',
+        aliases: ['brufen', 'brufen 400', 'bruffen', 'brufin', 'ibuprofen'],
+        category: 'NSAID',
+        usualUse: 'Pain, fever and inflammation',
+        visualType: 'Tablet',
+        visualColor: 'Pink',
+        commonDosages: ['200mg', '400mg', '600mg'],
+        manufacturer: 'Abbott',
+        localAliases: {
+            'hi-IN': ['ब्रुफेन'],
+            'mr-IN': ['ब्रुफेन']
+        }
+    },
+    {
+        id: 'folitrax',
+        name: 'Folitrax',
+        genericName: 'Methotrexate',
+        aliases: ['folitrax', 'folitrax 7.5', 'folitrex', 'folitrax 10', 'methotrexate'],
+        category: 'Antimetabolite',
+        usualUse: 'Rheumatoid arthritis and psoriasis (once a week)',
+        visualType: 'Tablet',
+        visualColor: 'Yellow',
+        commonDosages: ['2.5mg', '7.5mg', '10mg', '15mg'],
+        manufacturer: 'Ipca',
+        localAliases: {
+            'hi-IN': ['फोलिट्रैक्स'],
+            'mr-IN': ['फोलिट्रॅक्स']
+        }
+    },
+    {
+        id: 'lanoxin',
+        name: 'Lanoxin',
+        genericName: 'Digoxin',
+        aliases: ['lanoxin', 'lanoxin 0.25', 'lanoxn', 'digoxin'],
+        category: 'Cardiac Glycoside',
+        usualUse: 'Heart failure and irregular heartbeat',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['0.25mg'],
+        manufacturer: 'GSK',
+        localAliases: {
+            'hi-IN': ['लैनोक्सिन'],
+            'mr-IN': ['लॅनॉक्सिन']
+        }
+    },
+    {
+        id: 'cordarone',
+        name: 'Cordarone',
+        genericName: 'Amiodarone',
+        aliases: ['cordarone', 'cordarone x', 'cordaron', 'cordarone 200', 'amiodarone'],
+        category: 'Antiarrhythmic',
+        usualUse: 'Irregular heartbeat',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['100mg', '200mg'],
+        manufacturer: 'Sanofi',
+        localAliases: {
+            'hi-IN': ['कॉर्डेरोन'],
+            'mr-IN': ['कॉर्डारोन']
+        }
+    },
+    {
+        id: 'ultracet',
+        name: 'Ultracet',
+        genericName: 'Tramadol + Paracetamol',
+        aliases: ['ultracet', 'ultraset', 'ultracet tab', 'tramadol paracetamol'],
+        category: 'Opioid Analgesic',
+        usualUse: 'Moderate to severe pain',
+        visualType: 'Tablet',
+        visualColor: 'Yellow',
+        commonDosages: ['37.5mg + 325mg'],
+        manufacturer: 'Janssen',
+        localAliases: {
+            'hi-IN': ['अल्ट्रासेट'],
+            'mr-IN': ['अल्ट्रासेट']
+        }
+    },
+    {
+        id: 'omez',
+        name: 'Omez',
+        genericName: 'Omeprazole',
+        aliases: ['omez', 'omez 20', 'omez d', 'omeze', 'omeprazole'],
+        category: 'Proton Pump Inhibitor',
+        usualUse: 'Acidity, ulcers and stomach protection',
+        visualType: 'Capsule',
+        visualColor: 'Pink',
+        commonDosages: ['20mg', '40mg'],
+        manufacturer: 'Dr. Reddy\'s',
+        localAliases: {
+            'hi-IN': ['ओमेज़', 'ओमेज'],
+            'mr-IN': ['ओमेझ']
+        }
+    },
+    {
+        id: 'thyronorm',
+        name: 'Thyronorm',
+        genericName: 'Thyroxine Sodium',
+        aliases: ['thyronorm', 'thyronorm 50', 'thyronorm 25', 'thyronom', 'thyronarm', 'thyroxine'],
+        category: 'Thyroid Hormone',
+        usualUse: 'Underactive thyroid (hypothyroidism)',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['25mcg', '50mcg', '75mcg', '100mcg'],
+        manufacturer: 'Abbott',
+        localAliases: {
+            'hi-IN': ['थायरोनॉर्म'],
+            'mr-IN': ['थायरोनॉर्म']
+        }
+    },
+    {
+        id: 'shelcal',
+        name: 'Shelcal',
+        genericName: 'Calcium Carbonate + Vitamin D3',
+        aliases: ['shelcal', 'shelcal 500', 'shelcal hd', 'shellcal', 'shelcol'],
+        category: 'Calcium Supplement',
+        usualUse: 'Bone strength, calcium and vitamin D deficiency',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['500mg + 250IU'],
+        manufacturer: 'Torrent Pharmaceuticals',
+        localAliases: {
+            'hi-IN': ['शेलकैल'],
+            'mr-IN': ['शेलकॅल']
+        }
+    },
+    {
+        id: 'ciplox',
+        name: 'Ciplox',
+        genericName: 'Ciprofloxacin',
+        aliases: ['ciplox', 'ciplox 500', 'ciplox 250', 'ciplx', 'ciprofloxacin'],
+        category: 'Fluoroquinolone Antibiotic',
+        usualUse: 'Bacterial infections (urine, gut, chest)',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['250mg', '500mg'],
+        manufacturer: 'Cipla',
+        localAliases: {
+            'hi-IN': ['सिप्लॉक्स'],
+            'mr-IN': ['सिप्लॉक्स']
+        }
+    },
+    {
+        id: 'telma',
+        name: 'Telma',
+        genericName: 'Telmisartan',
+        aliases: ['telma', 'telma 40', 'telma 20', 'telmaa', 'telmisartan'],
+        category: 'ARB (Blood Pressure)',
+        usualUse: 'High blood pressure',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['20mg', '40mg', '80mg'],
+        manufacturer: 'Glenmark',
+        localAliases: {
+            'hi-IN': ['टेल्मा'],
+            'mr-IN': ['टेल्मा']
+        }
+    },
+    {
+        id: 'envas',
+        name: 'Envas',
+        genericName: 'Enalapril',
+        aliases: ['envas', 'envas 5', 'envas 2.5', 'enavas', 'enalapril'],
+        category: 'ACE Inhibitor',
+        usualUse: 'High blood pressure and heart failure',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['2.5mg', '5mg', '10mg'],
+        manufacturer: 'Cadila',
+        localAliases: {
+            'hi-IN': ['एनवास'],
+            'mr-IN': ['एन्वास']
+        }
+    },
+    {
+        id: 'aldactone',
+        name: 'Aldactone',
+        genericName: 'Spironolactone',
+        aliases: ['aldactone', 'aldactone 25', 'aldacton', 'spironolactone'],
+        category: 'Potassium-Sparing Diuretic',
+        usualUse: 'Fluid retention, heart failure and high blood pressure',
+        visualType: 'Tablet',
+        visualColor: 'Buff',
+        commonDosages: ['25mg', '50mg', '100mg'],
+        manufacturer: 'RPG Life Sciences',
+        localAliases: {
+            'hi-IN': ['एल्डैक्टोन'],
+            'mr-IN': ['अल्डॅक्टोन']
+        }
+    },
+    {
+        id: 'dolo-650',
+        name: 'Dolo 650',
+        genericName: 'Paracetamol',
+        aliases: ['dolo 650', 'dolo', 'dolo650', 'dollo 650', 'dolo-650', 'dolo 500'],
+        category: 'Analgesic + Antipyretic',
+        usualUse: 'Fever and mild to moderate pain',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['500mg', '650mg'],
+        manufacturer: 'Micro Labs',
+        localAliases: {
+            'hi-IN': ['डोलो 650', 'डोलो'],
+            'mr-IN': ['डोलो 650', 'डोलो']
+        }
+    },
+    {
+        id: 'calpol',
+        name: 'Calpol',
+        genericName: 'Paracetamol',
+        aliases: ['calpol', 'calpol 500', 'calpol 650', 'calpal', 'kalpol'],
+        category: 'Analgesic + Antipyretic',
+        usualUse: 'Fever and mild to moderate pain',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['500mg', '650mg'],
+        manufacturer: 'GSK',
+        localAliases: {
+            'hi-IN': ['कैलपोल'],
+            'mr-IN': ['कॅलपोल']
+        }
+    },
+    {
+        id: 'crocin',
+        name: 'Crocin',
+        genericName: 'Paracetamol',
+        aliases: ['crocin', 'crocin advance', 'crocin 650', 'crosin', 'krocin', 'paracetamol'],
+        category: 'Analgesic + Antipyretic',
+        usualUse: 'Fever and mild to moderate pain',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['500mg', '650mg'],
+        manufacturer: 'GSK',
+        localAliases: {
+            'hi-IN': ['क्रोसिन'],
+            'mr-IN': ['क्रोसिन']
+        }
+    },
+    {
+        id: 'combiflam',
+        name: 'Combiflam',
+        genericName: 'Ibuprofen + Paracetamol',
+        aliases: ['combiflam', 'combiflem', 'combi flam', 'kombiflam'],
+        category: 'NSAID + Analgesic',
+        usualUse: 'Pain, fever and inflammation',
+        visualType: 'Tablet',
+        visualColor: 'Pink',
+        commonDosages: ['400mg + 325mg'],
+        manufacturer: 'Sanofi',
+        localAliases: {
+            'hi-IN': ['कॉम्बिफ्लेम'],
+            'mr-IN': ['कॉम्बिफ्लॅम']
+        }
+    },
+    {
+        id: 'glycomet',
+        name: 'Glycomet',
+        genericName: 'Metformin',
+        aliases: ['glycomet', 'glycomet 500', 'glycomet sr', 'glicomet', 'glycomate', 'glycomat'],
+        category: 'Antidiabetic (Biguanide)',
+        usualUse: 'Type 2 diabetes - lowers blood sugar',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['500mg', '850mg', '1g'],
+        manufacturer: 'USV',
+        localAliases: {
+            'hi-IN': ['ग्लाइकोमेट'],
+            'mr-IN': ['ग्लायकोमेट']
+        }
+    },
+    {
+        id: 'glycomet-gp',
+        name: 'Glycomet GP',
+        genericName: 'Glimepiride + Metformin',
+        aliases: ['glycomet gp', 'glycomet gp1', 'glycomet gp 1', 'glycomet gp2', 'glycomet gp 2', 'glicomet gp'],
+        category: 'Antidiabetic (Sulfonylurea + Biguanide)',
+        usualUse: 'Type 2 diabetes - lowers blood sugar',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['1mg + 500mg', '2mg + 500mg'],
+        manufacturer: 'USV',
+        localAliases: {
+            'hi-IN': ['ग्लाइकोमेट जीपी'],
+            'mr-IN': ['ग्लायकोमेट जीपी']
+        }
+    },
+    {
+        id: 'amaryl',
+        name: 'Amaryl',
+        genericName: 'Glimepiride',
+        aliases: ['amaryl', 'amaryl 1', 'amaryl 2', 'amaril', 'amaryll', 'emaryl'],
+        category: 'Antidiabetic (Sulfonylurea)',
+        usualUse: 'Type 2 diabetes - lowers blood sugar',
+        visualType: 'Tablet',
+        visualColor: 'Pink',
+        commonDosages: ['1mg', '2mg', '4mg'],
+        manufacturer: 'Sanofi',
+        localAliases: {
+            'hi-IN': ['अमेरिल', 'अमारिल'],
+            'mr-IN': ['अमारिल']
+        }
+    },
+    {
+        id: 'janumet',
+        name: 'Janumet',
+        genericName: 'Sitagliptin + Metformin',
+        aliases: ['janumet', 'janumet 50/500', 'janumet 50/1000', 'janumat', 'janument'],
+        category: 'Antidiabetic (DPP-4 Inhibitor + Biguanide)',
+        usualUse: 'Type 2 diabetes - lowers blood sugar',
+        visualType: 'Tablet',
+        visualColor: 'Pink',
+        commonDosages: ['50mg + 500mg', '50mg + 1000mg'],
+        manufacturer: 'MSD',
+        localAliases: {
+            'hi-IN': ['जनुमेट', 'जानुमेट'],
+            'mr-IN': ['जानुमेट']
+        }
+    },
+    {
+        id: 'januvia',
+        name: 'Januvia',
+        genericName: 'Sitagliptin',
+        aliases: ['januvia', 'januvia 100', 'januvia 50', 'januviya', 'januva'],
+        category: 'Antidiabetic (DPP-4 Inhibitor)',
+        usualUse: 'Type 2 diabetes - lowers blood sugar',
+        visualType: 'Tablet',
+        visualColor: 'Beige',
+        commonDosages: ['25mg', '50mg', '100mg'],
+        manufacturer: 'MSD',
+        localAliases: {
+            'hi-IN': ['जनुविया', 'जानुविया'],
+            'mr-IN': ['जानुविया']
+        }
+    },
+    {
+        id: 'galvus-met',
+        name: 'Galvus Met',
+        genericName: 'Vildagliptin + Metformin',
+        aliases: ['galvus met', 'galvusmet', 'galvus-met', 'galvas met'],
+        category: 'Antidiabetic (DPP-4 Inhibitor + Biguanide)',
+        usualUse: 'Type 2 diabetes - lowers blood sugar',
+        visualType: 'Tablet',
+        visualColor: 'Yellow',
+        commonDosages: ['50mg + 500mg', '50mg + 1000mg'],
+        manufacturer: 'Novartis',
+        localAliases: {
+            'hi-IN': ['गैल्वस मेट'],
+            'mr-IN': ['गॅल्वस मेट']
+        }
+    },
+    {
+        id: 'jalra',
+        name: 'Jalra',
+        genericName: 'Vildagliptin',
+        aliases: ['jalra', 'jalra 50', 'jalara', 'jalraa'],
+        category: 'Antidiabetic (DPP-4 Inhibitor)',
+        usualUse: 'Type 2 diabetes - lowers blood sugar',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['50mg'],
+        manufacturer: 'USV',
+        localAliases: {
+            'hi-IN': ['जलरा'],
+            'mr-IN': ['जाल्रा']
+        }
+    },
+    {
+        id: 'amlong',
+        name: 'Amlong',
+        genericName: 'Amlodipine',
+        aliases: ['amlong', 'amlong 5', 'amlong 2.5', 'amlog', 'amlang', 'amlonge'],
+        category: 'Calcium Channel Blocker',
+        usualUse: 'High blood pressure and chest pain (angina)',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['2.5mg', '5mg', '10mg'],
+        manufacturer: 'Micro Labs',
+        localAliases: {
+            'hi-IN': ['एमलोंग', 'अमलोंग'],
+            'mr-IN': ['अम्लॉंग']
+        }
+    },
+    {
+        id: 'stamlo',
+        name: 'Stamlo',
+        genericName: 'Amlodipine',
+        aliases: ['stamlo', 'stamlo 5', 'stamlo 10', 'stemlo', 'stamlow'],
+        category: 'Calcium Channel Blocker',
+        usualUse: 'High blood pressure and chest pain (angina)',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['2.5mg', '5mg', '10mg'],
+        manufacturer: 'Dr. Reddy\'s',
+        localAliases: {
+            'hi-IN': ['स्टैमलो'],
+            'mr-IN': ['स्टॅमलो']
+        }
+    },
+    {
+        id: 'telma-h',
+        name: 'Telma H',
+        genericName: 'Telmisartan + Hydrochlorothiazide',
+        aliases: ['telma h', 'telma-h', 'telmah', 'telma h 40', 'telma 40 h'],
+        category: 'ARB + Diuretic',
+        usualUse: 'High blood pressure',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['40mg + 12.5mg', '80mg + 12.5mg'],
+        manufacturer: 'Glenmark',
+        localAliases: {
+            'hi-IN': ['टेल्मा एच'],
+            'mr-IN': ['टेल्मा एच']
+        }
+    },
+    {
+        id: 'telma-am',
+        name: 'Telma AM',
+        genericName: 'Telmisartan + Amlodipine',
+        aliases: ['telma am', 'telma-am', 'telmaam', 'telma am 40', 'telma a m'],
+        category: 'ARB + Calcium Channel Blocker',
+        usualUse: 'High blood pressure',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['40mg + 5mg', '80mg + 5mg'],
+        manufacturer: 'Glenmark',
+        localAliases: {
+            'hi-IN': ['टेल्मा एएम'],
+            'mr-IN': ['टेल्मा एएम']
+        }
+    },
+    {
+        id: 'losar',
+        name: 'Losar',
+        genericName: 'Losartan Potassium',
+        aliases: ['losar', 'losar 50', 'losar 25', 'loser', 'lossar'],
+        category: 'ARB (Angiotensin Receptor Blocker)',
+        usualUse: 'High blood pressure, protects the kidneys in diabetes',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['25mg', '50mg'],
+        manufacturer: 'Unichem',
+        localAliases: {
+            'hi-IN': ['लोसार'],
+            'mr-IN': ['लोसार']
+        }
+    },
+    {
+        id: 'repace',
+        name: 'Repace',
+        genericName: 'Losartan Potassium',
+        aliases: ['repace', 'repace 50', 'repase', 'ripace'],
+        category: 'ARB (Angiotensin Receptor Blocker)',
+        usualUse: 'High blood pressure, protects the kidneys in diabetes',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['25mg', '50mg'],
+        manufacturer: 'Sun Pharma',
+        localAliases: {
+            'hi-IN': ['रिपेस'],
+            'mr-IN': ['रिपेस']
+        }
+    },
+    {
+        id: 'cilacar',
+        name: 'Cilacar',
+        genericName: 'Cilnidipine',
+        aliases: ['cilacar', 'cilacar 10', 'cilacar 5', 'cilakar', 'silacar'],
+        category: 'Calcium Channel Blocker',
+        usualUse: 'High blood pressure',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['5mg', '10mg'],
+        manufacturer: 'J B Chemicals',
+        localAliases: {
+            'hi-IN': ['सिलाकार'],
+            'mr-IN': ['सिलाकार']
+        }
+    },
+    {
+        id: 'concor',
+        name: 'Concor',
+        genericName: 'Bisoprolol',
+        aliases: ['concor', 'concor 5', 'concor 2.5', 'concore', 'konkor'],
+        category: 'Beta Blocker',
+        usualUse: 'High blood pressure, heart failure and fast heartbeat',
+        visualType: 'Tablet',
+        visualColor: 'Yellow',
+        commonDosages: ['2.5mg', '5mg'],
+        manufacturer: 'Merck',
+        localAliases: {
+            'hi-IN': ['कॉनकोर'],
+            'mr-IN': ['कॉन्कॉर']
+        }
+    },
+    {
+        id: 'met-xl',
+        name: 'Met XL',
+        genericName: 'Metoprolol Succinate',
+        aliases: ['met xl', 'metxl', 'met-xl', 'met xl 25', 'met xl 50', 'met exl'],
+        category: 'Beta Blocker',
+        usualUse: 'High blood pressure, angina and heart failure',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['12.5mg', '25mg', '50mg'],
+        manufacturer: 'Ajanta',
+        localAliases: {
+            'hi-IN': ['मेट एक्सएल'],
+            'mr-IN': ['मेट एक्सएल']
+        }
+    },
+    {
+        id: 'lasix',
+        name: 'Lasix',
+        genericName: 'Furosemide',
+        aliases: ['lasix', 'lasix 40', 'lasics', 'lasiks', 'laxis'],
+        category: 'Loop Diuretic',
+        usualUse: 'Removes extra water - swelling, heart failure, high blood pressure',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['20mg', '40mg'],
+        manufacturer: 'Sanofi',
+        localAliases: {
+            'hi-IN': ['लेसिक्स', 'लासिक्स'],
+            'mr-IN': ['लॅसिक्स']
+        }
+    },
+    {
+        id: 'dytor',
+        name: 'Dytor',
+        genericName: 'Torsemide',
+        aliases: ['dytor', 'dytor 10', 'dytor 20', 'dyter', 'ditor'],
+        category: 'Loop Diuretic',
+        usualUse: 'Removes extra water - swelling, heart failure, high blood pressure',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['5mg', '10mg', '20mg'],
+        manufacturer: 'Cipla',
+        localAliases: {
+            'hi-IN': ['डायटोर'],
+            'mr-IN': ['डायटोर']
+        }
+    },
+    {
+        id: 'cardace',
+        name: 'Cardace',
+        genericName: 'Ramipril',
+        aliases: ['cardace', 'cardace 2.5', 'cardace 5', 'cardase', 'kardace'],
+        category: 'ACE Inhibitor',
+        usualUse: 'High blood pressure and heart protection after a heart attack',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['1.25mg', '2.5mg', '5mg'],
+        manufacturer: 'Sanofi',
+        localAliases: {
+            'hi-IN': ['कार्डेस'],
+            'mr-IN': ['कार्डेस']
+        }
+    },
+    {
+        id: 'atorva',
+        name: 'Atorva',
+        genericName: 'Atorvastatin',
+        aliases: ['atorva', 'atorva 10', 'atorva 20', 'atorva 40', 'atorwa', 'atrova'],
+        category: 'Statin',
+        usualUse: 'Lowers cholesterol, prevents heart attack and stroke',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['10mg', '20mg', '40mg'],
+        manufacturer: 'Zydus Cadila',
+        localAliases: {
+            'hi-IN': ['एटोर्वा'],
+            'mr-IN': ['ॲटोर्व्हा']
+        }
+    },
+    {
+        id: 'storvas',
+        name: 'Storvas',
+        genericName: 'Atorvastatin',
+        aliases: ['storvas', 'storvas 10', 'storvas 20', 'storvass', 'starvas'],
+        category: 'Statin',
+        usualUse: 'Lowers cholesterol, prevents heart attack and stroke',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['10mg', '20mg', '40mg'],
+        manufacturer: 'Sun Pharma',
+        localAliases: {
+            'hi-IN': ['स्टोरवास'],
+            'mr-IN': ['स्टोर्वास']
+        }
+    },
+    {
+        id: 'rosuvas',
+        name: 'Rosuvas',
+        genericName: 'Rosuvastatin',
+        aliases: ['rosuvas', 'rosuvas 10', 'rosuvas 20', 'rosuvass', 'rozuvas'],
+        category: 'Statin',
+        usualUse: 'Lowers cholesterol, prevents heart attack and stroke',
+        visualType: 'Tablet',
+        visualColor: 'Pink',
+        commonDosages: ['5mg', '10mg', '20mg'],
+        manufacturer: 'Sun Pharma',
+        localAliases: {
+            'hi-IN': ['रोसुवास'],
+            'mr-IN': ['रोसुवास']
+        }
+    },
+    {
+        id: 'ecosprin-av',
+        name: 'Ecosprin AV',
+        genericName: 'Aspirin + Atorvastatin',
+        aliases: ['ecosprin av', 'ecosprin-av', 'ecosprinav', 'ecosprin av 75', 'ecosprin av 150'],
+        category: 'Antiplatelet + Statin',
+        usualUse: 'Prevents heart attack and stroke, lowers cholesterol',
+        visualType: 'Capsule',
+        visualColor: 'White',
+        commonDosages: ['75mg + 10mg', '75mg + 20mg', '150mg + 20mg'],
+        manufacturer: 'USV',
+        localAliases: {
+            'hi-IN': ['इकोस्प्रिन एवी'],
+            'mr-IN': ['इकोस्प्रिन एव्ही']
+        }
+    },
+    {
+        id: 'eltroxin',
+        name: 'Eltroxin',
+        genericName: 'Thyroxine Sodium',
+        aliases: ['eltroxin', 'eltroxin 50', 'eltroxin 100', 'eltroxine', 'eltroxn'],
+        category: 'Thyroid Hormone',
+        usualUse: 'Underactive thyroid (hypothyroidism)',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['25mcg', '50mcg', '100mcg'],
+        manufacturer: 'GSK',
+        localAliases: {
+            'hi-IN': ['एल्ट्रोक्सिन'],
+            'mr-IN': ['एल्ट्रॉक्सिन']
+        }
+    },
+    {
+        id: 'thyrox',
+        name: 'Thyrox',
+        genericName: 'Thyroxine Sodium',
+        aliases: ['thyrox', 'thyrox 50', 'thyrox 25', 'thyroks', 'tyrox'],
+        category: 'Thyroid Hormone',
+        usualUse: 'Underactive thyroid (hypothyroidism)',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['25mcg', '50mcg', '100mcg'],
+        manufacturer: 'Macleods',
+        localAliases: {
+            'hi-IN': ['थायरॉक्स'],
+            'mr-IN': ['थायरॉक्स']
+        }
+    },
+    {
+        id: 'pan-40',
+        name: 'Pan 40',
+        genericName: 'Pantoprazole',
+        aliases: ['pan 40', 'pan40', 'pan-40', 'pan 40 tab'],
+        category: 'Proton Pump Inhibitor',
+        usualUse: 'Acidity, heartburn and stomach ulcers',
+        visualType: 'Tablet',
+        visualColor: 'Yellow',
+        commonDosages: ['40mg'],
+        manufacturer: 'Alkem',
+        localAliases: {
+            'hi-IN': ['पैन 40', 'पैन'],
+            'mr-IN': ['पॅन 40', 'पॅन']
+        }
+    },
+    {
+        id: 'pantocid',
+        name: 'Pantocid',
+        genericName: 'Pantoprazole',
+        aliases: ['pantocid', 'pantocid 40', 'pantocide', 'pantosid', 'pentocid'],
+        category: 'Proton Pump Inhibitor',
+        usualUse: 'Acidity, heartburn and stomach ulcers',
+        visualType: 'Tablet',
+        visualColor: 'Yellow',
+        commonDosages: ['20mg', '40mg'],
+        manufacturer: 'Sun Pharma',
+        localAliases: {
+            'hi-IN': ['पैंटोसिड'],
+            'mr-IN': ['पॅन्टोसिड']
+        }
+    },
+    {
+        id: 'pan-d',
+        name: 'Pan D',
+        genericName: 'Pantoprazole + Domperidone',
+        aliases: ['pan d', 'pand', 'pan-d', 'pan dsr', 'pan d capsule'],
+        category: 'Proton Pump Inhibitor + Prokinetic',
+        usualUse: 'Acidity with nausea, bloating and reflux',
+        visualType: 'Capsule',
+        visualColor: 'Yellow',
+        commonDosages: ['40mg + 30mg'],
+        manufacturer: 'Alkem',
+        localAliases: {
+            'hi-IN': ['पैन डी'],
+            'mr-IN': ['पॅन डी']
+        }
+    },
+    {
+        id: 'razo',
+        name: 'Razo',
+        genericName: 'Rabeprazole',
+        aliases: ['razo', 'razo 20', 'rezo', 'raso', 'razzo'],
+        category: 'Proton Pump Inhibitor',
+        usualUse: 'Acidity, heartburn and stomach ulcers',
+        visualType: 'Tablet',
+        visualColor: 'Pink',
+        commonDosages: ['10mg', '20mg'],
+        manufacturer: 'Dr. Reddy\'s',
+        localAliases: {
+            'hi-IN': ['रेज़ो', 'रेजो'],
+            'mr-IN': ['रेझो']
+        }
+    },
+    {
+        id: 'ondem',
+        name: 'Ondem',
+        genericName: 'Ondansetron',
+        aliases: ['ondem', 'ondem 4', 'ondem md', 'ondum', 'ondam'],
+        category: 'Antiemetic',
+        usualUse: 'Nausea and vomiting',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['4mg', '8mg'],
+        manufacturer: 'Alkem',
+        localAliases: {
+            'hi-IN': ['ओनडेम', 'ओंडेम'],
+            'mr-IN': ['ऑनडेम']
+        }
+    },
+    {
+        id: 'augmentin',
+        name: 'Augmentin',
+        genericName: 'Amoxicillin + Clavulanic Acid',
+        aliases: ['augmentin', 'augmentin 625', 'augmentin duo', 'augmentin 625 duo', 'augmentine', 'agmentin'],
+        category: 'Antibiotic (Penicillin)',
+        usualUse: 'Bacterial infections of the chest, ear, throat, skin and urine',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['500mg + 125mg', '875mg + 125mg'],
+        manufacturer: 'GSK',
+        localAliases: {
+            'hi-IN': ['ऑगमेंटिन'],
+            'mr-IN': ['ऑगमेंटिन']
+        }
+    },
+    {
+        id: 'azithral',
+        name: 'Azithral',
+        genericName: 'Azithromycin',
+        aliases: ['azithral', 'azithral 500', 'azithral 250', 'azitral', 'azithrel'],
+        category: 'Antibiotic (Macrolide)',
+        usualUse: 'Bacterial infections of the chest, throat and skin',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['250mg', '500mg'],
+        manufacturer: 'Alembic',
+        localAliases: {
+            'hi-IN': ['एज़िथ्रल', 'एजिथ्रल'],
+            'mr-IN': ['अझिथ्रल']
+        }
+    },
+    {
+        id: 'taxim-o',
+        name: 'Taxim-O',
+        genericName: 'Cefixime',
+        aliases: ['taxim o', 'taxim-o', 'taximo', 'taxim o 200'],
+        category: 'Antibiotic (Cephalosporin)',
+        usualUse: 'Bacterial infections including typhoid and urine infection',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['100mg', '200mg'],
+        manufacturer: 'Alkem',
+        localAliases: {
+            'hi-IN': ['टैक्सिम ओ'],
+            'mr-IN': ['टॅक्सिम ओ']
+        }
+    },
+    {
+        id: 'zifi',
+        name: 'Zifi',
+        genericName: 'Cefixime',
+        aliases: ['zifi', 'zifi 200', 'zifi 100', 'zifee', 'jifi'],
+        category: 'Antibiotic (Cephalosporin)',
+        usualUse: 'Bacterial infections including typhoid and urine infection',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['100mg', '200mg'],
+        manufacturer: 'FDC',
+        localAliases: {
+            'hi-IN': ['ज़िफी', 'जिफी'],
+            'mr-IN': ['झिफी']
+        }
+    },
+    {
+        id: 'norflox',
+        name: 'Norflox',
+        genericName: 'Norfloxacin',
+        aliases: ['norflox', 'norflox 400', 'norflax', 'norflocks'],
+        category: 'Antibiotic (Fluoroquinolone)',
+        usualUse: 'Urine infections and loose motions',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['400mg'],
+        manufacturer: 'Cipla',
+        localAliases: {
+            'hi-IN': ['नॉरफ्लॉक्स'],
+            'mr-IN': ['नॉरफ्लॉक्स']
+        }
+    },
+    {
+        id: 'metrogyl',
+        name: 'Metrogyl',
+        genericName: 'Metronidazole',
+        aliases: ['metrogyl', 'metrogyl 400', 'metrogyl 200', 'metrogil', 'metrojyl'],
+        category: 'Antibiotic + Antiprotozoal',
+        usualUse: 'Amoebic dysentery, loose motions and some infections',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['200mg', '400mg'],
+        manufacturer: 'J B Chemicals',
+        localAliases: {
+            'hi-IN': ['मेट्रोजिल'],
+            'mr-IN': ['मेट्रोजिल']
+        }
+    },
+    {
+        id: 'forcan',
+        name: 'Forcan',
+        genericName: 'Fluconazole',
+        aliases: ['forcan', 'forcan 150', 'forcan 50', 'forkan', 'forcon'],
+        category: 'Antifungal',
+        usualUse: 'Fungal infections',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['50mg', '150mg'],
+        manufacturer: 'Cipla',
+        localAliases: {
+            'hi-IN': ['फोरकैन'],
+            'mr-IN': ['फोरकॅन']
+        }
+    },
+    {
+        id: 'cetzine',
+        name: 'Cetzine',
+        genericName: 'Cetirizine Hydrochloride',
+        aliases: ['cetzine', 'cetzine 10', 'cetzin', 'setzine', 'cetzene'],
+        category: 'Antihistamine',
+        usualUse: 'Allergy, sneezing, runny nose and itching',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['10mg'],
+        manufacturer: 'Dr. Reddy\'s',
+        localAliases: {
+            'hi-IN': ['सेटज़ीन', 'सेटजीन'],
+            'mr-IN': ['सेटझीन']
+        }
+    },
+    {
+        id: 'allegra',
+        name: 'Allegra',
+        genericName: 'Fexofenadine',
+        aliases: ['allegra', 'allegra 120', 'allegra 180', 'alegra', 'allegraa'],
+        category: 'Antihistamine',
+        usualUse: 'Allergy, sneezing, runny nose and itching',
+        visualType: 'Tablet',
+        visualColor: 'Peach',
+        commonDosages: ['120mg', '180mg'],
+        manufacturer: 'Sanofi',
+        localAliases: {
+            'hi-IN': ['एलेग्रा', 'अलेग्रा'],
+            'mr-IN': ['ॲलेग्रा']
+        }
+    },
+    {
+        id: 'montair-lc',
+        name: 'Montair LC',
+        genericName: 'Montelukast + Levocetirizine',
+        aliases: ['montair lc', 'montairlc', 'montair-lc', 'montar lc', 'monteir lc'],
+        category: 'Anti-allergic (Leukotriene Antagonist + Antihistamine)',
+        usualUse: 'Allergic cold, sneezing and allergic asthma',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['10mg + 5mg'],
+        manufacturer: 'Cipla',
+        localAliases: {
+            'hi-IN': ['मोंटेयर एलसी'],
+            'mr-IN': ['मॉन्टेअर एलसी']
+        }
+    },
+    {
+        id: 'zerodol',
+        name: 'Zerodol',
+        genericName: 'Aceclofenac',
+        aliases: ['zerodol', 'zerodol 100', 'zeradol', 'jerodol', 'zerodal'],
+        category: 'NSAID (Painkiller)',
+        usualUse: 'Joint pain, back pain and swelling',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['100mg'],
+        manufacturer: 'Ipca',
+        localAliases: {
+            'hi-IN': ['ज़ीरोडोल', 'जीरोडोल'],
+            'mr-IN': ['झीरोडोल']
+        }
+    },
+    {
+        id: 'zerodol-p',
+        name: 'Zerodol-P',
+        genericName: 'Aceclofenac + Paracetamol',
+        aliases: ['zerodol p', 'zerodol-p', 'zerodolp', 'zeradol p'],
+        category: 'NSAID + Analgesic',
+        usualUse: 'Pain and fever with swelling',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['100mg + 325mg'],
+        manufacturer: 'Ipca',
+        localAliases: {
+            'hi-IN': ['ज़ीरोडोल पी', 'जीरोडोल पी'],
+            'mr-IN': ['झीरोडोल पी']
+        }
+    },
+    {
+        id: 'zerodol-sp',
+        name: 'Zerodol-SP',
+        genericName: 'Aceclofenac + Serratiopeptidase',
+        aliases: ['zerodol sp', 'zerodol-sp', 'zerodolsp', 'zeradol sp'],
+        category: 'NSAID + Anti-inflammatory Enzyme',
+        usualUse: 'Pain with swelling after injury or dental work',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['100mg + 15mg'],
+        manufacturer: 'Ipca',
+        localAliases: {
+            'hi-IN': ['ज़ीरोडोल एसपी', 'जीरोडोल एसपी'],
+            'mr-IN': ['झीरोडोल एसपी']
+        }
+    },
+    {
+        id: 'voveran',
+        name: 'Voveran',
+        genericName: 'Diclofenac Sodium',
+        aliases: ['voveran', 'voveran 50', 'voveran sr', 'voveran sr 100', 'voveron', 'woveran'],
+        category: 'NSAID (Painkiller)',
+        usualUse: 'Joint pain, back pain and swelling',
+        visualType: 'Tablet',
+        visualColor: 'Yellow',
+        commonDosages: ['50mg', '100mg'],
+        manufacturer: 'Dr. Reddy\'s',
+        localAliases: {
+            'hi-IN': ['वोवेरान'],
+            'mr-IN': ['व्होव्हेरान']
+        }
+    },
+    {
+        id: 'saridon',
+        name: 'Saridon',
+        genericName: 'Propyphenazone + Paracetamol + Caffeine',
+        aliases: ['saridon', 'sari don', 'seridon', 'saridone', 'sharidon'],
+        category: 'Analgesic Combination',
+        usualUse: 'Headache and body ache',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['150mg + 250mg + 50mg'],
+        manufacturer: 'Bayer',
+        localAliases: {
+            'hi-IN': ['सेरिडॉन', 'सारिडॉन'],
+            'mr-IN': ['सॅरिडॉन']
+        }
+    },
+    {
+        id: 'neurobion-forte',
+        name: 'Neurobion Forte',
+        genericName: 'Vitamin B Complex',
+        aliases: ['neurobion forte', 'neurobion', 'nurobion', 'neurobian forte', 'neurobion fort'],
+        category: 'Vitamin Supplement',
+        usualUse: 'Vitamin B deficiency, tingling and numbness',
+        visualType: 'Tablet',
+        visualColor: 'Pink',
+        commonDosages: ['Standard'],
+        manufacturer: 'P&G Health',
+        localAliases: {
+            'hi-IN': ['न्यूरोबियन फोर्ट', 'न्यूरोबियन'],
+            'mr-IN': ['न्यूरोबियन फोर्ट']
+        }
+    },
+    {
+        id: 'becosules',
+        name: 'Becosules',
+        genericName: 'Vitamin B Complex + Vitamin C',
+        aliases: ['becosules', 'becosule', 'bicosules', 'becosul'],
+        category: 'Vitamin Supplement',
+        usualUse: 'Vitamin B and C deficiency, mouth ulcers, weakness',
+        visualType: 'Capsule',
+        visualColor: 'Red',
+        commonDosages: ['Standard'],
+        manufacturer: 'Pfizer',
+        localAliases: {
+            'hi-IN': ['बिकोस्यूल्स', 'बीकोस्यूल्स'],
+            'mr-IN': ['बेकोस्युल्स']
+        }
+    },
+    {
+        id: 'uprise-d3',
+        name: 'Uprise D3',
+        genericName: 'Cholecalciferol',
+        aliases: ['uprise d3', 'uprise-d3', 'uprise d3 60k', 'uprised3'],
+        category: 'Vitamin D Supplement',
+        usualUse: 'Vitamin D deficiency - usually once a week',
+        visualType: 'Capsule',
+        visualColor: 'Yellow',
+        commonDosages: ['60000IU'],
+        manufacturer: 'Alkem',
+        localAliases: {
+            'hi-IN': ['अपराइज़ डी3', 'अपराइज डी3'],
+            'mr-IN': ['अपराइझ डी3']
+        }
+    },
+    {
+        id: 'livogen',
+        name: 'Livogen',
+        genericName: 'Ferrous Fumarate + Folic Acid',
+        aliases: ['livogen', 'livogen z', 'livojen', 'livogin'],
+        category: 'Iron Supplement',
+        usualUse: 'Anaemia (low haemoglobin)',
+        visualType: 'Tablet',
+        visualColor: 'Red',
+        commonDosages: ['152mg + 1.5mg'],
+        manufacturer: 'P&G Health',
+        localAliases: {
+            'hi-IN': ['लिवोजेन'],
+            'mr-IN': ['लिव्होजेन']
+        }
+    },
+    {
+        id: 'orofer-xt',
+        name: 'Orofer XT',
+        genericName: 'Ferrous Ascorbate + Folic Acid',
+        aliases: ['orofer xt', 'oroferxt', 'orofar xt', 'orofer-xt'],
+        category: 'Iron Supplement',
+        usualUse: 'Anaemia (low haemoglobin), iron in pregnancy',
+        visualType: 'Tablet',
+        visualColor: 'Brown',
+        commonDosages: ['100mg + 1.5mg'],
+        manufacturer: 'Emcure',
+        localAliases: {
+            'hi-IN': ['ओरोफर एक्सटी'],
+            'mr-IN': ['ओरोफर एक्सटी']
+        }
+    },
+    {
+        id: 'sorbitrate',
+        name: 'Sorbitrate',
+        genericName: 'Isosorbide Dinitrate',
+        aliases: ['sorbitrate', 'sorbitrate 5', 'sorbitrate 10', 'sorbitret', 'sorbitrat'],
+        category: 'Nitrate (Anti-anginal)',
+        usualUse: 'Chest pain (angina) - placed under the tongue',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['5mg', '10mg'],
+        manufacturer: 'Abbott',
+        localAliases: {
+            'hi-IN': ['सॉर्बिट्रेट'],
+            'mr-IN': ['सॉर्बिट्रेट']
+        }
+    },
+    {
+        id: 'monotrate',
+        name: 'Monotrate',
+        genericName: 'Isosorbide Mononitrate',
+        aliases: ['monotrate', 'monotrate 20', 'monotrate od', 'monotret', 'monotrat'],
+        category: 'Nitrate (Anti-anginal)',
+        usualUse: 'Prevents chest pain (angina)',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['10mg', '20mg', '30mg'],
+        manufacturer: 'Sun Pharma',
+        localAliases: {
+            'hi-IN': ['मोनोट्रेट'],
+            'mr-IN': ['मोनोट्रेट']
+        }
+    },
+    {
+        id: 'brilinta',
+        name: 'Brilinta',
+        genericName: 'Ticagrelor',
+        aliases: ['brilinta', 'brilinta 90', 'brilenta', 'brelinta', 'brilinata'],
+        category: 'Antiplatelet',
+        usualUse: 'Prevents blood clots after heart attack or stent',
+        visualType: 'Tablet',
+        visualColor: 'Yellow',
+        commonDosages: ['60mg', '90mg'],
+        manufacturer: 'AstraZeneca',
+        localAliases: {
+            'hi-IN': ['ब्रिलिंटा'],
+            'mr-IN': ['ब्रिलिंटा']
+        }
+    },
+    {
+        id: 'acitrom',
+        name: 'Acitrom',
+        genericName: 'Acenocoumarol',
+        aliases: ['acitrom', 'acitrom 2', 'acitrom 1', 'acitrome', 'asitrom'],
+        category: 'Anticoagulant',
+        usualUse: 'Blood thinner for clots, irregular heartbeat and valve problems',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['1mg', '2mg', '4mg'],
+        manufacturer: 'Abbott',
+        localAliases: {
+            'hi-IN': ['एसिट्रोम'],
+            'mr-IN': ['ॲसिट्रोम']
+        }
+    },
+    {
+        id: 'nexito',
+        name: 'Nexito',
+        genericName: 'Escitalopram',
+        aliases: ['nexito', 'nexito 10', 'nexito 5', 'nexeto', 'naxito'],
+        category: 'Antidepressant (SSRI)',
+        usualUse: 'Depression and anxiety',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['5mg', '10mg', '20mg'],
+        manufacturer: 'Sun Pharma',
+        localAliases: {
+            'hi-IN': ['नेक्सिटो'],
+            'mr-IN': ['नेक्सिटो']
+        }
+    },
+    {
+        id: 'daxid',
+        name: 'Daxid',
+        genericName: 'Sertraline',
+        aliases: ['daxid', 'daxid 50', 'daxid 25', 'daxit', 'daksid'],
+        category: 'Antidepressant (SSRI)',
+        usualUse: 'Depression, anxiety and OCD',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['25mg', '50mg', '100mg'],
+        manufacturer: 'Pfizer',
+        localAliases: {
+            'hi-IN': ['डैक्सिड'],
+            'mr-IN': ['डॅक्सिड']
+        }
+    },
+    {
+        id: 'restyl',
+        name: 'Restyl',
+        genericName: 'Alprazolam',
+        aliases: ['restyl', 'restyl 0.25', 'restyl 0.5', 'restil', 'restyle'],
+        category: 'Anxiolytic',
+        usualUse: 'Anxiety and panic disorders, helps with sleep',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['0.25mg', '0.5mg'],
+        manufacturer: 'Cipla',
+        localAliases: {
+            'hi-IN': ['रेस्टिल'],
+            'mr-IN': ['रेस्टिल']
+        }
+    },
+    {
+        id: 'rivotril',
+        name: 'Rivotril',
+        genericName: 'Clonazepam',
+        aliases: ['rivotril', 'rivotril 0.5', 'rivotril 2', 'rivotrill', 'revotril'],
+        category: 'Anticonvulsant + Anxiolytic',
+        usualUse: 'Seizures, panic disorder and anxiety',
+        visualType: 'Tablet',
+        visualColor: 'Peach',
+        commonDosages: ['0.5mg', '2mg'],
+        manufacturer: 'Abbott',
+        localAliases: {
+            'hi-IN': ['रिवोट्रिल'],
+            'mr-IN': ['रिव्होट्रिल']
+        }
+    },
+    {
+        id: 'lonazep',
+        name: 'Lonazep',
+        genericName: 'Clonazepam',
+        aliases: ['lonazep', 'lonazep 0.5', 'lonazep 0.25', 'lonazap', 'lonajep'],
+        category: 'Anticonvulsant + Anxiolytic',
+        usualUse: 'Seizures, panic disorder and anxiety',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['0.25mg', '0.5mg', '1mg', '2mg'],
+        manufacturer: 'Sun Pharma',
+        localAliases: {
+            'hi-IN': ['लोनाज़ेप', 'लोनाजेप'],
+            'mr-IN': ['लोनाझेप']
+        }
+    },
+    {
+        id: 'etizola',
+        name: 'Etizola',
+        genericName: 'Etizolam',
+        aliases: ['etizola', 'etizola 0.5', 'etizola 0.25', 'etizolla', 'etizla'],
+        category: 'Anxiolytic',
+        usualUse: 'Anxiety and sleep problems',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['0.25mg', '0.5mg'],
+        manufacturer: 'Macleods',
+        localAliases: {
+            'hi-IN': ['एटिज़ोला', 'एटिजोला'],
+            'mr-IN': ['एटिझोला']
+        }
+    },
+    {
+        id: 'gabapin',
+        name: 'Gabapin',
+        genericName: 'Gabapentin',
+        aliases: ['gabapin', 'gabapin 100', 'gabapin 300', 'gabapine', 'gabbapin'],
+        category: 'Anticonvulsant (Nerve Pain)',
+        usualUse: 'Nerve pain, burning feet and seizures',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['100mg', '300mg', '400mg'],
+        manufacturer: 'Intas',
+        localAliases: {
+            'hi-IN': ['गैबापिन'],
+            'mr-IN': ['गॅबापिन']
+        }
+    },
+    {
+        id: 'syndopa',
+        name: 'Syndopa',
+        genericName: 'Levodopa + Carbidopa',
+        aliases: ['syndopa', 'syndopa 110', 'syndopa plus', 'syndopa 275', 'sindopa'],
+        category: 'Anti-Parkinson',
+        usualUse: 'Parkinson\'s disease - tremor and stiffness',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['100mg + 10mg', '100mg + 25mg', '250mg + 25mg'],
+        manufacturer: 'Sun Pharma',
+        localAliases: {
+            'hi-IN': ['सिंडोपा'],
+            'mr-IN': ['सिंडोपा']
+        }
+    },
+    {
+        id: 'donep',
+        name: 'Donep',
+        genericName: 'Donepezil',
+        aliases: ['donep', 'donep 5', 'donep 10', 'donip', 'donepp'],
+        category: 'Anti-dementia',
+        usualUse: 'Memory loss in Alzheimer\'s disease',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['5mg', '10mg'],
+        manufacturer: 'Sun Pharma',
+        localAliases: {
+            'hi-IN': ['डोनेप'],
+            'mr-IN': ['डोनेप']
+        }
+    },
+    {
+        id: 'urimax',
+        name: 'Urimax',
+        genericName: 'Tamsulosin',
+        aliases: ['urimax', 'urimax 0.4', 'urimex', 'yurimax'],
+        category: 'Alpha Blocker',
+        usualUse: 'Enlarged prostate - helps urine flow',
+        visualType: 'Capsule',
+        visualColor: 'Orange',
+        commonDosages: ['0.2mg', '0.4mg'],
+        manufacturer: 'Cipla',
+        localAliases: {
+            'hi-IN': ['यूरीमैक्स', 'युरीमैक्स'],
+            'mr-IN': ['युरीमॅक्स']
+        }
+    },
+    {
+        id: 'manforce',
+        name: 'Manforce',
+        genericName: 'Sildenafil Citrate',
+        aliases: ['manforce', 'manforce 50', 'manforce 100', 'manfors', 'menforce'],
+        category: 'PDE5 Inhibitor',
+        usualUse: 'Erectile dysfunction',
+        visualType: 'Tablet',
+        visualColor: 'Blue',
+        commonDosages: ['25mg', '50mg', '100mg'],
+        manufacturer: 'Mankind',
+        localAliases: {
+            'hi-IN': ['मैनफोर्स'],
+            'mr-IN': ['मॅनफोर्स']
+        }
+    },
+    {
+        id: 'deriphyllin',
+        name: 'Deriphyllin',
+        genericName: 'Etofylline + Theophylline',
+        aliases: ['deriphyllin', 'deriphyllin retard', 'deriphylin', 'deriphylline', 'derifyllin'],
+        category: 'Bronchodilator',
+        usualUse: 'Asthma and COPD - breathlessness and wheezing',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['77mg + 23mg', '231mg + 69mg'],
+        manufacturer: 'Zydus Cadila',
+        localAliases: {
+            'hi-IN': ['डेरिफ़िलिन', 'डेरिफिलिन'],
+            'mr-IN': ['डेरिफिलिन']
+        }
+    },
+    {
+        id: 'asthalin',
+        name: 'Asthalin',
+        genericName: 'Salbutamol',
+        aliases: ['asthalin', 'asthalin 4', 'asthalin 2', 'asthaline', 'astalin'],
+        category: 'Bronchodilator',
+        usualUse: 'Asthma and COPD - breathlessness and wheezing',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['2mg', '4mg'],
+        manufacturer: 'Cipla',
+        localAliases: {
+            'hi-IN': ['अस्थालिन'],
+            'mr-IN': ['अस्थालिन']
+        }
+    },
+    {
+        id: 'wysolone',
+        name: 'Wysolone',
+        genericName: 'Prednisolone',
+        aliases: ['wysolone', 'wysolone 10', 'wysolone 5', 'wysolone 20', 'wisolone', 'wysolon'],
+        category: 'Corticosteroid',
+        usualUse: 'Inflammation, allergy, asthma - often a tapering course',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['5mg', '10mg', '20mg', '40mg'],
+        manufacturer: 'Pfizer',
+        localAliases: {
+            'hi-IN': ['वायसोलोन'],
+            'mr-IN': ['वायसोलोन']
+        }
+    },
+    {
+        id: 'omnacortil',
+        name: 'Omnacortil',
+        genericName: 'Prednisolone',
+        aliases: ['omnacortil', 'omnacortil 10', 'omnacortil 20', 'omnacortel', 'omnacotil'],
+        category: 'Corticosteroid',
+        usualUse: 'Inflammation, allergy, asthma - often a tapering course',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['5mg', '10mg', '20mg', '40mg'],
+        manufacturer: 'Macleods',
+        localAliases: {
+            'hi-IN': ['ओम्नाकोर्टिल'],
+            'mr-IN': ['ओम्नाकॉर्टिल']
+        }
+    },
+    {
+        id: 'medrol',
+        name: 'Medrol',
+        genericName: 'Methylprednisolone',
+        aliases: ['medrol', 'medrol 4', 'medrol 8', 'medrol 16', 'medral', 'medroll'],
+        category: 'Corticosteroid',
+        usualUse: 'Inflammation, allergy and autoimmune conditions',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['4mg', '8mg', '16mg'],
+        manufacturer: 'Pfizer',
+        localAliases: {
+            'hi-IN': ['मेड्रोल'],
+            'mr-IN': ['मेड्रोल']
+        }
+    },
+    {
+        id: 'zyloric',
+        name: 'Zyloric',
+        genericName: 'Allopurinol',
+        aliases: ['zyloric', 'zyloric 100', 'zyloric 300', 'ziloric', 'zylorik'],
+        category: 'Anti-gout',
+        usualUse: 'Gout - lowers uric acid',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['100mg', '300mg'],
+        manufacturer: 'RPG Life Sciences',
+        localAliases: {
+            'hi-IN': ['ज़ाइलोरिक', 'जाइलोरिक'],
+            'mr-IN': ['झायलोरिक']
+        }
+    },
+    {
+        id: 'febutaz',
+        name: 'Febutaz',
+        genericName: 'Febuxostat',
+        aliases: ['febutaz', 'febutaz 40', 'febutaz 80', 'febutas', 'febutax'],
+        category: 'Anti-gout',
+        usualUse: 'Gout - lowers uric acid',
+        visualType: 'Tablet',
+        visualColor: 'White',
+        commonDosages: ['40mg', '80mg'],
+        manufacturer: 'Sun Pharma',
+        localAliases: {
+            'hi-IN': ['फेबुटाज़', 'फेबुटाज'],
+            'mr-IN': ['फेबुटाझ']
+        }
+    },
+    {
+        id: 'potklor',
+        name: 'Potklor',
+        genericName: 'Potassium Chloride',
+        aliases: ['potklor', 'pot klor', 'potchlor', 'potklor liquid', 'kcl syrup'],
+        category: 'Potassium Supplement',
+        usualUse: 'Low potassium in the blood',
+        visualType: 'Syrup',
+        visualColor: 'Colourless',
+        commonDosages: ['15ml'],
+        manufacturer: 'Abbott',
+        localAliases: {
+            'hi-IN': ['पोटक्लोर'],
+            'mr-IN': ['पोटक्लोर']
+        }
+    }
+];
+
+export default FORMULARY;
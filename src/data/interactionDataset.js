@@ -0,0 +1,422 @@
+/**
+ * Drug Interaction Dataset for SaarthiRx
+ * Bundled, versioned list of interacting GENERIC ingredients (not brands).
+ * Brand names are resolved to ingredients through medicineDatabase.
+ *
+ * A rule side is either an ingredient ('warfarin') or a drug class
+ * ('class:nsaid') listed in INGREDIENT_CLASSES.
+ * Bump INTERACTION_DATASET_VERSION whenever a rule is added or changed.
+ */
+
+export const INTERACTION_DATASET_VERSION = '1.0.1';
+
+export const SEVERITY = {
+    CONTRAINDICATED: 'contraindicated',
+    MAJOR: 'major',
+    MODERATE: 'moderate',
+    MINOR: 'minor'
+};
+
+// Higher = more dangerous (used for sorting)
+export const SEVERITY_RANK = {
+    [SEVERITY.CONTRAINDICATED]: 4,
+    [SEVERITY.MAJOR]: 3,
+    [SEVERITY.MODERATE]: 2,
+    [SEVERITY.MINOR]: 1
+};
+
+/**
+ * Other names for the same ingredient → canonical ingredient
+ */
+export const INGREDIENT_ALIASES = {
+    'acetylsalicylic acid': 'aspirin',
+    'acetaminophen': 'paracetamol',
+    'thyroxine': 'levothyroxine',
+    'l-thyroxine': 'levothyroxine',
+    'glyceryl trinitrate': 'nitroglycerin',
+    'isosorbide-5-mononitrate': 'isosorbide mononitrate',
+    'co-trimoxazole': 'trimethoprim',
+    'cotrimoxazole': 'trimethoprim',
+    'kcl': 'potassium chloride'
+};
+
+/**
+ * Drug classes referenced by rules as 'class:<id>'
+ */
+export const INGREDIENT_CLASSES = {
+    nsaid: ['ibuprofen', 'diclofenac', 'aceclofenac', 'naproxen', 'etoricoxib', 'mefenamic acid', 'ketorolac', 'piroxicam'],
+    p2y12_inhibitor: ['clopidogrel', 'prasugrel', 'ticagrelor'],
+    antiplatelet: ['aspirin', 'clopidogrel', 'prasugrel', 'ticagrelor'],
+    warfarin_booster: ['fluconazole', 'metronidazole'],
+    strong_cyp3a4_inhibitor: ['clarithromycin', 'erythromycin', 'itraconazole', 'ketoconazole'],
+    ace_inhibitor: ['enalapril', 'lisinopril', 'ramipril', 'perindopril'],
+    arb: ['telmisartan', 'losartan', 'olmesartan', 'valsartan'],
+    raas_blocker: ['enalapril', 'lisinopril', 'ramipril', 'perindopril', 'telmisartan', 'losartan', 'olmesartan', 'valsartan'],
+    potassium_raising: ['potassium chloride', 'spironolactone', 'eplerenone', 'amiloride'],
+    potassium_sparing_diuretic: ['spironolactone', 'eplerenone', 'amiloride'],
+    pde5_inhibitor: ['sildenafil', 'tadalafil'],
+    nitrate: ['isosorbide mononitrate', 'isosorbide dinitrate', 'nitroglycerin'],
+    cyp2c19_ppi: ['omeprazole', 'esomeprazole'],
+    benzodiazepine: ['alprazolam', 'clonazepam', 'lorazepam', 'diazepam', 'etizolam'],
+    opioid: ['tramadol', 'tapentadol', 'codeine', 'morphine'],
+    ssri: ['sertraline', 'fluoxetine', 'paroxetine', 'escitalopram', 'citalopram'],
+    fluoroquinolone: ['ciprofloxacin', 'levofloxacin', 'ofloxacin', 'norfloxacin'],
+    mineral_supplement: ['calcium carbonate', 'calcium citrate', 'ferrous sulfate', 'ferrous ascorbate', 'ferrous fumarate']
+};
+
+export const INTERACTIONS = [
+    {
+        id: 'aspirin-p2y12',
+        between: ['aspirin', 'class:p2y12_inhibitor'],
+        severity: SEVERITY.MAJOR,
+        mechanism: {
+            'en-US': 'Both stop blood from clotting, so bleeding is more likely.',
+            'hi-IN': 'दोनों खून का थक्का बनने से रोकती हैं, इसलिए खून बहने का खतरा बढ़ जाता है।',
+            'mr-IN': 'दोन्ही रक्त गोठू देत नाहीत, त्यामुळे रक्तस्रावाचा धोका वाढतो.'
+        },
+        management: {
+            'en-US': 'Often prescribed together after a heart stent. Take both only if your doctor knows about both. Report black stools, blood in urine or easy bruising.',
+            'hi-IN': 'हार्ट स्टेंट के बाद अक्सर दोनों साथ दी जाती हैं। दोनों तभी लें जब डॉक्टर को दोनों के बारे में पता हो। काला मल, पेशाब में खून या आसानी से नील पड़ें तो बताएं।',
+            'mr-IN': 'हार्ट स्टेंटनंतर अनेकदा दोन्ही एकत्र दिली जातात. डॉक्टरांना दोन्हींची माहिती असेल तरच घ्या. काळी शौच, लघवीत रक्त किंवा सहज काळे-निळे डाग दिसल्यास सांगा.'
+        }
+    },
+    {
+        id: 'warfarin-antiplatelet',
+        between: ['warfarin', 'class:antiplatelet'],
+        severity: SEVERITY.MAJOR,
+        mechanism: {
+            'en-US': 'Together with warfarin, this antiplatelet medicine makes serious bleeding much more likely.',
+            'hi-IN': 'वारफेरिन के साथ यह खून पतला करने वाली दवा गंभीर रक्तस्राव का खतरा बहुत बढ़ा देती है।',
+            'mr-IN': 'वॉरफेरिनसोबत हे रक्त पातळ करणारे औषध गंभीर रक्तस्रावाचा धोका खूप वाढवते.'
+        },
+        management: {
+            'en-US': 'Take both only if your doctor prescribed them together. Your INR blood test may need to be checked more often. Report any bleeding.',
+            'hi-IN': 'दोनों तभी लें जब डॉक्टर ने साथ में लिखी हों। INR जाँच जल्दी-जल्दी करानी पड़ सकती है। कहीं से भी खून आए तो बताएं।',
+            'mr-IN': 'डॉक्टरांनी एकत्र लिहून दिली असतील तरच दोन्ही घ्या. INR तपासणी अधिक वेळा करावी लागू शकते. कुठूनही रक्त आल्यास सांगा.'
+        }
+    },
+    {
+        id: 'warfarin-nsaid',
+        between: ['warfarin', 'class:nsaid'],
+        severity: SEVERITY.MAJOR,
+        mechanism: {
+            'en-US': 'Painkillers like ibuprofen and diclofenac raise the bleeding risk with warfarin and can cause stomach bleeding.',
+            'hi-IN': 'आइबुप्रोफेन और डाइक्लोफेनाक जैसी दर्द की दवाएं वारफेरिन के साथ खून बहने का खतरा बढ़ाती हैं और पेट में रक्तस्राव कर सकती हैं।',
+            'mr-IN': 'आयबुप्रोफेन आणि डायक्लोफेनाकसारखी वेदनाशामक औषधे वॉरफेरिनसोबत रक्तस्रावाचा धोका वाढवतात आणि पोटात रक्तस्राव होऊ शकतो.'
+        },
+        management: {
+            'en-US': 'Avoid these painkillers. Ask your doctor for a safer option such as paracetamol.',
+            'hi-IN': 'ये दर्द की दवाएं न लें। डॉक्टर से पैरासिटामोल जैसी सुरक्षित दवा पूछें।',
+            'mr-IN': 'ही वेदनाशामक औषधे टाळा. पॅरासिटामॉलसारखा सुरक्षित पर्याय डॉक्टरांना विचारा.'
+        }
+    },
+    {
+        id: 'warfarin-amiodarone',
+        between: ['warfarin', 'amiodarone'],
+        severity: SEVERITY.MAJOR,
+        mechanism: {
+            'en-US': 'Amiodarone slows the breakdown of warfarin, so its blood-thinning effect can become too strong.',
+            'hi-IN': 'एमियोडेरोन वारफेरिन को शरीर से धीरे निकलने देती है, जिससे खून ज़रूरत से ज़्यादा पतला हो सकता है।',
+            'mr-IN': 'ॲमिओडेरोनमुळे वॉरफेरिन शरीरातून हळू बाहेर पडते, त्यामुळे रक्त गरजेपेक्षा जास्त पातळ होऊ शकते.'
+        },
+        management: {
+            'en-US': 'The warfarin dose usually has to be lowered. Get your INR checked within a week of starting.',
+            'hi-IN': 'आमतौर पर वारफेरिन की खुराक घटानी पड़ती है। शुरू करने के एक हफ्ते के अंदर INR जाँच कराएं।',
+            'mr-IN': 'सहसा वॉरफेरिनचा डोस कमी करावा लागतो. सुरू केल्यापासून एका आठवड्यात INR तपासा.'
+        }
+    },
+    {
+        id: 'warfarin-azole-metronidazole',
+        between: ['warfarin', 'class:warfarin_booster'],
+        severity: SEVERITY.MAJOR,
+        mechanism: {
+            'en-US': 'This antifungal or antibiotic makes warfarin much stronger and can cause bleeding.',
+            'hi-IN': 'यह फंगस या संक्रमण की दवा वारफेरिन का असर बहुत बढ़ा देती है और खून बह सकता है।',
+            'mr-IN': 'हे बुरशी किंवा संसर्गावरील औषध वॉरफेरिनचा परिणाम खूप वाढवते आणि रक्तस्राव होऊ शकतो.'
+        },
+        management: {
+            'en-US': 'Tell the doctor you take warfarin. An INR test within 3 to 5 days is usually needed.',
+            'hi-IN': 'डॉक्टर को बताएं कि आप वारफेरिन लेते हैं। आमतौर पर 3 से 5 दिन में INR जाँच ज़रूरी होती है।',
+            'mr-IN': 'तुम्ही वॉरफेरिन घेता हे डॉक्टरांना सांगा. सहसा 3 ते 5 दिवसांत INR तपासणी आवश्यक असते.'
+        }
+    },
+    {
+        id: 'aspirin-nsaid',
+        between: ['aspirin', 'class:nsaid'],
+        severity: SEVERITY.MODERATE,
+        mechanism: {
+            'en-US': 'Ibuprofen can block the heart-protecting effect of low-dose aspirin and adds to the risk of stomach bleeding.',
+            'hi-IN': 'आइबुप्रोफेन कम खुराक वाली एस्पिरिन का दिल बचाने वाला असर रोक सकती है और पेट में रक्तस्राव का खतरा बढ़ाती है।',
+            'mr-IN': 'आयबुप्रोफेनमुळे कमी डोसच्या ॲस्पिरिनचा हृदयाचे रक्षण करणारा परिणाम थांबू शकतो आणि पोटात रक्तस्रावाचा धोका वाढतो.'
+        },
+        management: {
+            'en-US': 'Take aspirin at least 30 minutes before the painkiller, and avoid taking painkillers every day.',
+            'hi-IN': 'एस्पिरिन दर्द की दवा से कम से कम 30 मिनट पहले लें और दर्द की दवा रोज़ न लें।',
+            'mr-IN': 'ॲस्पिरिन वेदनाशामकाच्या किमान 30 मिनिटे आधी घ्या आणि वेदनाशामक रोज घेऊ नका.'
+        }
+    },
+    {
+        id: 'methotrexate-nsaid',
+        between: ['methotrexate', 'class:nsaid'],
+        severity: SEVERITY.MAJOR,
+        mechanism: {
+            'en-US': 'Painkillers like ibuprofen slow the removal of methotrexate by the kidneys, which can make it toxic.',
+            'hi-IN': 'आइबुप्रोफेन जैसी दर्द की दवाएं किडनी से मेथोट्रेक्सेट को धीरे निकालती हैं, जिससे यह ज़हरीली हो सकती है।',
+            'mr-IN': 'आयबुप्रोफेनसारखी वेदनाशामक औषधे मूत्रपिंडातून मेथोट्रेक्सेट हळू बाहेर काढतात, त्यामुळे ते विषारी होऊ शकते.'
+        },
+        management: {
+            'en-US': 'Do not take these painkillers on your methotrexate day without asking your doctor. Report mouth ulcers, fever or unusual tiredness.',
+            'hi-IN': 'डॉक्टर से पूछे बिना मेथोट्रेक्सेट वाले दिन ये दर्द की दवाएं न लें। मुँह में छाले, बुखार या असामान्य थकान हो तो बताएं।',
+            'mr-IN': 'डॉक्टरांना विचारल्याशिवाय मेथोट्रेक्सेटच्या दिवशी ही वेदनाशामक औषधे घेऊ नका. तोंडात फोड, ताप किंवा असामान्य थकवा असल्यास सांगा.'
+        }
+    },
+    {
+        id: 'methotrexate-trimethoprim',
+        between: ['methotrexate', 'trimethoprim'],
+        severity: SEVERITY.CONTRAINDICATED,
+        mechanism: {
+            'en-US': 'Co-trimoxazole and methotrexate both block folic acid, and together they can badly damage the blood cells.',
+            'hi-IN': 'को-ट्राइमोक्साज़ोल और मेथोट्रेक्सेट दोनों फोलिक एसिड को रोकती हैं और साथ में खून की कोशिकाओं को गंभीर नुकसान पहुँचा सकती हैं।',
+            'mr-IN': 'को-ट्रायमोक्साझोल आणि मेथोट्रेक्सेट दोन्ही फॉलिक ॲसिड अडवतात आणि एकत्र घेतल्यास रक्तपेशींना गंभीर इजा होऊ शकते.'
+        },
+        management: {
+            'en-US': 'Do not take them together. Ask the doctor for a different antibiotic.',
+            'hi-IN': 'इन्हें साथ न लें। डॉक्टर से दूसरी एंटीबायोटिक पूछें।',
+            'mr-IN': 'ही एकत्र घेऊ नका. डॉक्टरांना दुसरे अँटिबायोटिक विचारा.'
+        }
+    },
+    {
+        id: 'digoxin-amiodarone',
+        between: ['digoxin', 'amiodarone'],
+        severity: SEVERITY.MAJOR,
+        mechanism: {
+            'en-US': 'Amiodarone raises the digoxin level in the blood, which can cause a dangerously slow or irregular heartbeat.',
+            'hi-IN': 'एमियोडेरोन खून में डिगॉक्सिन की मात्रा बढ़ाती है, जिससे दिल की धड़कन खतरनाक रूप से धीमी या अनियमित हो सकती है।',
+            'mr-IN': 'ॲमिओडेरोनमुळे रक्तातील डिगॉक्सिनचे प्रमाण वाढते, त्यामुळे हृदयाचे ठोके धोकादायकरीत्या मंद किंवा अनियमित होऊ शकतात.'
+        },
+        management: {
+            'en-US': 'The digoxin dose is usually halved. Report nausea, blurred or yellow vision, or a very slow pulse.',
+            'hi-IN': 'आमतौर पर डिगॉक्सिन की खुराक आधी की जाती है। जी मिचलाए, धुंधला या पीला दिखे या नब्ज़ बहुत धीमी हो तो बताएं।',
+            'mr-IN': 'सहसा डिगॉक्सिनचा डोस निम्मा केला जातो. मळमळ, धूसर किंवा पिवळे दिसणे किंवा नाडी खूप मंद असल्यास सांगा.'
+        }
+    },
+    {
+        id: 'simvastatin-cyp3a4',
+        between: ['simvastatin', 'class:strong_cyp3a4_inhibitor'],
+        severity: SEVERITY.CONTRAINDICATED,
+        mechanism: {
+            'en-US': 'This medicine stops the body from clearing simvastatin, which can cause severe muscle damage.',
+            'hi-IN': 'यह दवा शरीर को सिमवास्टेटिन निकालने से रोकती है, जिससे मांसपेशियों को गंभीर नुकसान हो सकता है।',
+            'mr-IN': 'हे औषध शरीराला सिमवास्टॅटिन बाहेर टाकू देत नाही, त्यामुळे स्नायूंना गंभीर इजा होऊ शकते.'
+        },
+        management: {
+            'en-US': 'Do not take them together. Your doctor may pause simvastatin until the course is over.',
+            'hi-IN': 'इन्हें साथ न लें। कोर्स पूरा होने तक डॉक्टर सिमवास्टेटिन रोक सकते हैं।',
+            'mr-IN': 'ही एकत्र घेऊ नका. कोर्स पूर्ण होईपर्यंत डॉक्टर सिमवास्टॅटिन थांबवू शकतात.'
+        }
+    },
+    {
+        id: 'simvastatin-amiodarone',
+        between: ['simvastatin', 'amiodarone'],
+        severity: SEVERITY.MAJOR,
+        mechanism: {
+            'en-US': 'Amiodarone raises simvastatin levels and with them the risk of muscle damage.',
+            'hi-IN': 'एमियोडेरोन सिमवास्टेटिन की मात्रा और मांसपेशियों के नुकसान का खतरा बढ़ाती है।',
+            'mr-IN': 'ॲमिओडेरोनमुळे सिमवास्टॅटिनचे प्रमाण आणि स्नायूंना इजा होण्याचा धोका वाढतो.'
+        },
+        management: {
+            'en-US': 'Simvastatin should not be more than 20 mg a day. Report unexplained muscle pain or dark urine.',
+            'hi-IN': 'सिमवास्टेटिन दिन में 20 mg से ज़्यादा नहीं होनी चाहिए। बिना वजह मांसपेशियों में दर्द या गहरे रंग का पेशाब हो तो बताएं।',
+            'mr-IN': 'सिमवास्टॅटिन दिवसाला 20 mg पेक्षा जास्त नसावे. कारण नसताना स्नायू दुखणे किंवा गडद लघवी असल्यास सांगा.'
+        }
+    },
+    {
+        id: 'simvastatin-amlodipine',
+        between: ['simvastatin', 'amlodipine'],
+        severity: SEVERITY.MODERATE,
+        mechanism: {
+            'en-US': 'Amlodipine raises simvastatin levels a little, which adds to the risk of muscle pain.',
+            'hi-IN': 'एम्लोडिपिन सिमवास्टेटिन की मात्रा थोड़ी बढ़ाती है, जिससे मांसपेशियों में दर्द का खतरा बढ़ता है।',
+            'mr-IN': 'ॲम्लोडिपिनमुळे सिमवास्टॅटिनचे प्रमाण थोडे वाढते, त्यामुळे स्नायू दुखण्याचा धोका वाढतो.'
+        },
+        management: {
+            'en-US': 'Usually fine at 20 mg of simvastatin a day or less. Report muscle pain or weakness.',
+            'hi-IN': 'सिमवास्टेटिन दिन में 20 mg या कम हो तो आमतौर पर ठीक है। मांसपेशियों में दर्द या कमज़ोरी हो तो बताएं।',
+            'mr-IN': 'सिमवास्टॅटिन दिवसाला 20 mg किंवा कमी असल्यास सहसा चालते. स्नायू दुखणे किंवा अशक्तपणा असल्यास सांगा.'
+        }
+    },
+    {
+        id: 'raas-potassium',
+        between: ['class:raas_blocker', 'class:potassium_raising'],
+        severity: SEVERITY.MAJOR,
+        mechanism: {
+            'en-US': 'Both raise the potassium level in the blood. Too much potassium can upset the heartbeat.',
+            'hi-IN': 'दोनों खून में पोटैशियम बढ़ाती हैं। बहुत ज़्यादा पोटैशियम दिल की धड़कन बिगाड़ सकता है।',
+            'mr-IN': 'दोन्ही रक्तातील पोटॅशियम वाढवतात. जास्त पोटॅशियममुळे हृदयाचे ठोके बिघडू शकतात.'
+        },
+        management: {
+            'en-US': 'Your doctor should check potassium and kidney function regularly. Avoid low-sodium salt, which contains potassium.',
+            'hi-IN': 'डॉक्टर को पोटैशियम और किडनी की जाँच नियमित रूप से करनी चाहिए। लो-सोडियम नमक न लें, उसमें पोटैशियम होता है।',
+            'mr-IN': 'डॉक्टरांनी पोटॅशियम आणि मूत्रपिंडाची तपासणी नियमित करावी. लो-सोडियम मीठ टाळा, त्यात पोटॅशियम असते.'
+        }
+    },
+    {
+        id: 'potassium-sparing-supplement',
+        between: ['class:potassium_sparing_diuretic', 'potassium chloride'],
+        severity: SEVERITY.MAJOR,
+        mechanism: {
+            'en-US': 'This water tablet keeps potassium in the body. Extra potassium on top can push it dangerously high.',
+            'hi-IN': 'यह पेशाब की दवा शरीर में पोटैशियम रोकती है। ऊपर से पोटैशियम लेने पर यह खतरनाक रूप से बढ़ सकता है।',
+            'mr-IN': 'हे लघवीचे औषध शरीरात पोटॅशियम टिकवते. वरून पोटॅशियम घेतल्यास ते धोकादायकरीत्या वाढू शकते.'
+        },
+        management: {
+            'en-US': 'Take a potassium supplement only if your doctor has checked your potassium level.',
+            'hi-IN': 'पोटैशियम की दवा तभी लें जब डॉक्टर ने आपका पोटैशियम जाँचा हो।',
+            'mr-IN': 'डॉक्टरांनी तुमचे पोटॅशियम तपासले असेल तरच पोटॅशियमचे औषध घ्या.'
+        }
+    },
+    {
+        id: 'ace-arb',
+        between: ['class:ace_inhibitor', 'class:arb'],
+        severity: SEVERITY.MAJOR,
+        mechanism: {
+            'en-US': 'Two blood pressure medicines that act on the same system can harm the kidneys and raise potassium.',
+            'hi-IN': 'एक ही तरह से काम करने वाली दो बीपी की दवाएं किडनी को नुकसान पहुँचा सकती हैं और पोटैशियम बढ़ा सकती हैं।',
+            'mr-IN': 'एकाच प्रकारे काम करणारी दोन बीपीची औषधे मूत्रपिंडाला इजा करू शकतात आणि पोटॅशियम वाढवू शकतात.'
+        },
+        management: {
+            'en-US': 'These are rarely meant to be taken together. Check with your doctor before taking both.',
+            'hi-IN': 'इन्हें साथ लेना बहुत कम ही ज़रूरी होता है। दोनों लेने से पहले डॉक्टर से पूछें।',
+            'mr-IN': 'ही एकत्र घेणे क्वचितच आवश्यक असते. दोन्ही घेण्यापूर्वी डॉक्टरांना विचारा.'
+        }
+    },
+    {
+        id: 'raas-nsaid',
+        between: ['class:raas_blocker', 'class:nsaid'],
+        severity: SEVERITY.MODERATE,
+        mechanism: {
+            'en-US': 'Painkillers like diclofenac weaken blood pressure medicines and can strain the kidneys.',
+            'hi-IN': 'डाइक्लोफेनाक जैसी दर्द की दवाएं बीपी की दवा का असर कम करती हैं और किडनी पर ज़ोर डाल सकती हैं।',
+            'mr-IN': 'डायक्लोफेनाकसारखी वेदनाशामक औषधे बीपीच्या औषधाचा परिणाम कमी करतात आणि मूत्रपिंडावर ताण आणू शकतात.'
+        },
+        management: {
+            'en-US': 'Take the painkiller for as few days as possible, drink enough water and keep checking your blood pressure.',
+            'hi-IN': 'दर्द की दवा कम से कम दिनों के लिए लें, पर्याप्त पानी पिएं और बीपी जाँचते रहें।',
+            'mr-IN': 'वेदनाशामक शक्य तितके कमी दिवस घ्या, पुरेसे पाणी प्या आणि बीपी तपासत राहा.'
+        }
+    },
+    {
+        id: 'pde5-nitrate',
+        between: ['class:pde5_inhibitor', 'class:nitrate'],
+        severity: SEVERITY.CONTRAINDICATED,
+        mechanism: {
+            'en-US': 'Together they can drop blood pressure suddenly and dangerously.',
+            'hi-IN': 'साथ लेने पर बीपी अचानक और खतरनाक रूप से गिर सकता है।',
+            'mr-IN': 'एकत्र घेतल्यास बीपी अचानक आणि धोकादायकरीत्या कमी होऊ शकतो.'
+        },
+        management: {
+            'en-US': 'Never take them together. If you get chest pain, tell the doctor about sildenafil or tadalafil before taking a nitrate.',
+            'hi-IN': 'इन्हें कभी साथ न लें। सीने में दर्द हो तो नाइट्रेट लेने से पहले डॉक्टर को सिल्डेनाफिल या टाडालाफिल के बारे में बताएं।',
+            'mr-IN': 'ही कधीही एकत्र घेऊ नका. छातीत दुखत असल्यास नायट्रेट घेण्यापूर्वी डॉक्टरांना सिल्डेनाफिल किंवा टाडालाफिलबद्दल सांगा.'
+        }
+    },
+    {
+        id: 'clopidogrel-ppi',
+        between: ['clopidogrel', 'class:cyp2c19_ppi'],
+        severity: SEVERITY.MODERATE,
+        mechanism: {
+            'en-US': 'Omeprazole can make clopidogrel less effective at protecting the heart.',
+            'hi-IN': 'ओमेप्राज़ोल क्लोपिडोग्रेल के दिल बचाने वाले असर को कम कर सकती है।',
+            'mr-IN': 'ओमेप्राझोलमुळे क्लोपिडोग्रेलचा हृदयाचे रक्षण करणारा परिणाम कमी होऊ शकतो.'
+        },
+        management: {
+            'en-US': 'Ask your doctor whether pantoprazole would suit you instead.',
+            'hi-IN': 'डॉक्टर से पूछें कि क्या इसकी जगह पैंटोप्राज़ोल ली जा सकती है।',
+            'mr-IN': 'त्याऐवजी पॅन्टोप्राझोल चालेल का, हे डॉक्टरांना विचारा.'
+        }
+    },
+    {
+        id: 'benzodiazepine-opioid',
+        between: ['class:benzodiazepine', 'class:opioid'],
+        severity: SEVERITY.MAJOR,
+        mechanism: {
+            'en-US': 'Both make you sleepy and slow your breathing. Together this can be dangerous, especially for older people.',
+            'hi-IN': 'दोनों नींद लाती हैं और सांस धीमी करती हैं। साथ में यह खतरनाक हो सकता है, खासकर बुज़ुर्गों में।',
+            'mr-IN': 'दोन्हीमुळे झोप येते आणि श्वास मंदावतो. एकत्र घेतल्यास हे धोकादायक ठरू शकते, विशेषतः वृद्धांमध्ये.'
+        },
+        management: {
+            'en-US': 'Take both only if your doctor prescribed them together. Do not drive, and call for help if breathing becomes slow or shallow.',
+            'hi-IN': 'दोनों तभी लें जब डॉक्टर ने साथ में लिखी हों। गाड़ी न चलाएं, और सांस धीमी या हल्की हो तो तुरंत मदद बुलाएं।',
+            'mr-IN': 'डॉक्टरांनी एकत्र लिहून दिली असतील तरच घ्या. गाडी चालवू नका आणि श्वास मंद किंवा उथळ झाल्यास लगेच मदत बोलवा.'
+        }
+    },
+    {
+        id: 'ssri-tramadol',
+        between: ['class:ssri', 'tramadol'],
+        severity: SEVERITY.MAJOR,
+        mechanism: {
+            'en-US': 'Together they can cause too much serotonin (shaking, fever, confusion) and make fits more likely.',
+            'hi-IN': 'साथ में ये सेरोटोनिन बहुत बढ़ा सकती हैं (कंपकंपी, बुखार, उलझन) और दौरे का खतरा बढ़ाती हैं।',
+            'mr-IN': 'एकत्र घेतल्यास सेरोटोनिन खूप वाढू शकते (थरथर, ताप, गोंधळ) आणि फिट येण्याचा धोका वाढतो.'
+        },
+        management: {
+            'en-US': 'Ask your doctor for a different painkiller if possible. Get help quickly for shaking, high fever or confusion.',
+            'hi-IN': 'हो सके तो डॉक्टर से दूसरी दर्द की दवा पूछें। कंपकंपी, तेज़ बुखार या उलझन हो तो तुरंत मदद लें।',
+            'mr-IN': 'शक्य असल्यास डॉक्टरांना दुसरे वेदनाशामक विचारा. थरथर, जास्त ताप किंवा गोंधळ झाल्यास लगेच मदत घ्या.'
+        }
+    },
+    {
+        id: 'ssri-nsaid',
+        between: ['class:ssri', 'class:nsaid'],
+        severity: SEVERITY.MODERATE,
+        mechanism: {
+            'en-US': 'Antidepressants like paroxetine and painkillers like ibuprofen together raise the risk of stomach bleeding.',
+            'hi-IN': 'पैरोक्सेटिन जैसी अवसाद की दवाएं और आइबुप्रोफेन जैसी दर्द की दवाएं साथ में पेट में रक्तस्राव का खतरा बढ़ाती हैं।',
+            'mr-IN': 'पॅरोक्सेटिनसारखी नैराश्यावरील औषधे आणि आयबुप्रोफेनसारखी वेदनाशामक औषधे एकत्र घेतल्यास पोटात रक्तस्रावाचा धोका वाढतो.'
+        },
+        management: {
+            'en-US': 'Take the painkiller after food and for as few days as possible. Ask about a stomach-protecting tablet.',
+            'hi-IN': 'दर्द की दवा खाना खाने के बाद और कम से कम दिनों के लिए लें। पेट बचाने वाली गोली के बारे में पूछें।',
+            'mr-IN': 'वेदनाशामक जेवणानंतर आणि शक्य तितके कमी दिवस घ्या. पोटाचे रक्षण करणाऱ्या गोळीबद्दल विचारा.'
+        }
+    },
+    {
+        id: 'levothyroxine-minerals',
+        between: ['levothyroxine', 'class:mineral_supplement'],
+        severity: SEVERITY.MINOR,
+        mechanism: {
+            'en-US': 'Calcium and iron tablets stop the thyroid medicine (levothyroxine) from being absorbed properly.',
+            'hi-IN': 'कैल्शियम और आयरन की गोलियां थायरॉइड की दवा (लेवोथायरोक्सिन) को ठीक से सोखने नहीं देतीं।',
+            'mr-IN': 'कॅल्शियम आणि लोहाच्या गोळ्यांमुळे थायरॉईडचे औषध (लेव्होथायरॉक्सिन) नीट शोषले जात नाही.'
+        },
+        management: {
+            'en-US': 'Take the thyroid medicine on an empty stomach and keep a 4-hour gap before calcium or iron.',
+            'hi-IN': 'थायरॉइड की दवा खाली पेट लें और कैल्शियम या आयरन से 4 घंटे का अंतर रखें।',
+            'mr-IN': 'थायरॉईडचे औषध उपाशीपोटी घ्या आणि कॅल्शियम किंवा लोहापासून 4 तासांचे अंतर ठेवा.'
+        }
+    },
+    {
+        id: 'fluoroquinolone-minerals',
+        between: ['class:fluoroquinolone', 'class:mineral_supplement'],
+        severity: SEVERITY.MODERATE,
+        mechanism: {
+            'en-US': 'Calcium and iron bind the antibiotic in the stomach, so it may not cure the infection.',
+            'hi-IN': 'कैल्शियम और आयरन पेट में एंटीबायोटिक से चिपक जाते हैं, जिससे संक्रमण ठीक न हो पाए।',
+            'mr-IN': 'कॅल्शियम आणि लोह पोटात अँटिबायोटिकला चिकटतात, त्यामुळे संसर्ग बरा होणार नाही.'
+        },
+        management: {
+            'en-US': 'Take the antibiotic 2 hours before or 6 hours after calcium or iron.',
+            'hi-IN': 'एंटीबायोटिक कैल्शियम या आयरन से 2 घंटे पहले या 6 घंटे बाद लें।',
+            'mr-IN': 'अँटिबायोटिक कॅल्शियम किंवा लोहाच्या 2 तास आधी किंवा 6 तासांनंतर घ्या.'
+        }
+    }
+];
+
+export default {
+    INTERACTION_DATASET_VERSION,
+    SEVERITY,
+    SEVERITY_RANK,
+    INGREDIENT_ALIASES,
+    INGREDIENT_CLASSES,
+    INTERACTIONS
+};
@@ -1,51 +1,15 @@
 /**
  * Medicine Database for SaarthiRx
- * Contains verified medicine names with aliases and metadata
- * Used for fuzzy matching to correct OCR errors from prescription scanning
+ * Lookup over the bundled formulary: names, aliases, generic names and the
+ * Hindi/Marathi spellings are indexed once (exact, prefix, trigram and
+ * phonetic) so OCR correction and voice add don't scan every entry.
  */
 
-export const MEDICINE_DATABASE = [
-    {
-        id: 'alprax',
-        name: 'Alprax',
-        genericName: 'Alprazolam',
-        aliases: ['alprax', 'alpraz', 'alprex', 'alpax', 'alprazolam', 'alprazo'],
-        category: 'Anxiolytic',
-        usualUse: 'Anxiety and panic disorders, helps with sleep',
-        visualType: 'Tablet',
-        visualColor: 'White',
-        commonDosages: ['0.25mg', '0.5mg', '1mg'],
-        manufacturer: 'Torrent Pharmaceuticals'
-    },
-    {
-        id: 'cn-paxet',
-        name: 'CN Paxet',
-        genericName: 'Clonazepam + Paroxetine',
-        aliases: ['cn paxet', 'cnpaxet', 'cn-paxet', 'paxet cn', 'cn paxit', 'cn paxat', 'c n paxet', 'cnpaxit'],
-        category: 'Antidepressant + Anxiolytic',
-        usualUse: 'Depression and anxiety disorders',
-        visualType: 'Tablet',
-        visualColor: 'Pink',
-        commonDosages: ['0.5mg + 12.5mg', '0.5mg + 25mg'],
-        manufacturer: 'Various'
-    },
-    {
-        id: 'diclofen-sp',
-        name: 'Diclofen-SP',
-        genericName: 'Diclofenac Sodium + Serratiopeptidase',
-        aliases: [
-            'diclofen sp', 'diclofen-sp', 'diclofensp', 'diclofen', 
-            'diclofin sp', 'diclofen-s', 'diclofinsp', 'diclofenac sp',
-            'diclo sp', 'diclosp', 'diclofen serratiopeptidase'
-        ],
-        category: 'NSAID + Anti-inflammatory Enzyme',
-        usualUse: 'Pain relief, inflammation, swelling reduction',
-        visualType: 'Tablet',
-        visualColor: 'Yellow',
-        commonDosages: ['50mg + 10mg', '50mg + 15mg'],
-        manufacturer: 'Various'
-    }
-];
+import { FORMULARY } from './formulary';
+import { replaceNumberWords } from '../utils/numberParser';
+import { transliterateToLatin, hasDevanagari } from '../utils/transliteration';
+
+export const MEDICINE_DATABASE = FORMULARY;
 
 /**
  * Calculate Levenshtein distance between two strings
@@ -87,45 +51,239 @@ const similarityScore = (str1, str2) => {
     return Math.round((1 - distance / maxLen) * 100);
 };
 
+// ═══════════════════════════════════════════════════════════════════════
+// SEARCH INDEX (built once, on first lookup)
+// ═══════════════════════════════════════════════════════════════════════
+
+// Fuzzy scoring only looks at the terms sharing the most trigrams with the input
+const MAX_FUZZY_CANDIDATES = 30;
+// Same-sounding names score at least this much ("krosin" → Crocin)
+const PHONETIC_SCORE = 80;
+const PREFIX_SCORE = 90;
+// Bonus when an alias appears as a whole word in the input ("tab dolo 650")
+const WORD_MATCH_BONUS = 15;
+const MIN_WORD_MATCH_LENGTH = 4;
+
+let searchIndex = null;
+
+const normalizeTerm = (text) => (text || '')
+    .toString()
+    .toLowerCase()
+    .replace(/[-_.,/()]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Handwriting / OCR reads these letters as digits inside a word ("d0lo", "cip1ox")
+const OCR_DIGIT_LETTERS = { '0': 'o', '1': 'l', '5': 's', '8': 'b' };
+
+/**
+ * The forms a query is looked up in: as given, with spoken numbers turned into
+ * digits and Devanagari transliterated ("डोलो छह सौ पचास" → "dolo 650"), and
+ * with OCR digit-for-letter mistakes undone.
+ */
+const getQueryForms = (query) => {
+    const spoken = replaceNumberWords(normalizeTerm(query));
+    const latin = normalizeTerm(transliterateToLatin(spoken));
+    const ocrFixed = latin.replace(/(?<=[a-z])[0158](?=[a-z])/g, digit => OCR_DIGIT_LETTERS[digit]);
+    return [...new Set([normalizeTerm(query), normalizeTerm(spoken), latin, ocrFixed])].filter(Boolean);
+};
+
+/**
+ * Sound-alike key for a Latin-script name: spelling variants that OCR and
+ * speech engines produce ("crocin" / "krosin", "ciplox" / "siplox") share a key.
+ * Returns null for short or non-Latin names, where keys would collide.
+ */
+const phoneticKey = (term) => {
+    const letters = term.replace(/[^a-z]/g, '');
+    if (letters.length < 3) return null;
+
+    const key = letters
+        .replace(/ph/g, 'f')
+        .replace(/c(?=[eiy])/g, 's')
+        .replace(/ck|c|q/g, 'k')
+        .replace(/x/g, 'ks')
+        .replace(/z/g, 'j')
+        .replace(/w/g, 'v')
+        .replace(/([bdgkst])h/g, '$1')
+        .replace(/y/g, 'i')
+        .replace(/(.)\1+/g, '$1');
+    const consonants = key[0] + key.slice(1).replace(/[aeiou]/g, '');
+    return consonants.length >= 3 ? consonants : null;
+};
+
+const compareTerms = (a, b) => {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+};
+
+const trigramsOf = (term) => {
+    const padded = `  ${term} `;
+    const grams = new Set();
+    for (let i = 0; i < padded.length - 2; i++) grams.add(padded.slice(i, i + 3));
+    return grams;
+};
+
+const addToMap = (map, key, value) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(value);
+};
+
+const buildSearchIndex = () => {
+    const terms = [];
+    const exact = new Map();
+    const phonetic = new Map();
+    const trigrams = new Map();
+
+    const addTerm = (text, medicine, kind) => {
+        const term = normalizeTerm(text);
+        if (!term) return;
+        const position = terms.length;
+        terms.push({ term, medicine, kind, label: text });
+        addToMap(exact, term, position);
+        const key = phoneticKey(term);
+        if (key) addToMap(phonetic, key, position);
+        trigramsOf(term).forEach(gram => addToMap(trigrams, gram, position));
+    };
+
+    for (const medicine of MEDICINE_DATABASE) {
+        addTerm(medicine.name, medicine, 'name');
+        medicine.aliases.forEach(alias => addTerm(alias, medicine, 'alias'));
+        addTerm(medicine.genericName, medicine, 'generic');
+        Object.values(medicine.localAliases || {})
+            .flat()
+            .forEach(alias => addTerm(alias, medicine, 'local'));
+    }
+
+    // Term positions in code-unit order, so every term sharing a prefix is adjacent
+    const sorted = terms
+        .map((_, position) => position)
+        .sort((a, b) => compareTerms(terms[a].term, terms[b].term));
+
+    console.log(`📚 Formulary indexed: ${MEDICINE_DATABASE.length} medicines, ${terms.length} names`);
+    return { terms, exact, phonetic, trigrams, sorted };
+};
+
+const getSearchIndex = () => {
+    if (!searchIndex) searchIndex = buildSearchIndex();
+    return searchIndex;
+};
+
+// Positions of terms starting with the input (binary search over the sorted list)
+const findPrefixTerms = (index, input, limit) => {
+    const { terms, sorted } = index;
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (compareTerms(terms[sorted[mid]].term, input) < 0) low = mid + 1;
+        else high = mid;
+    }
+
+    const found = [];
+    for (let i = low; i < sorted.length && found.length < limit; i++) {
+        if (!terms[sorted[i]].term.startsWith(input)) break;
+        found.push(sorted[i]);
+    }
+    return found;
+};
+
+// Terms sharing the most trigrams with the input
+const findFuzzyCandidates = (index, input) => {
+    const shared = new Map();
+    trigramsOf(input).forEach(gram => {
+        (index.trigrams.get(gram) || []).forEach(position => {
+            shared.set(position, (shared.get(position) || 0) + 1);
+        });
+    });
+    return [...shared.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_FUZZY_CANDIDATES)
+        .map(([position]) => position);
+};
+
+const containsWord = (text, word) => word.length >= MIN_WORD_MATCH_LENGTH
+    && ` ${text} `.includes(` ${word} `);
+
+// Scored { term, score, matchType } for every candidate term of the input
+const scoreTerms = (index, input) => {
+    const phoneticMatches = new Set(index.phonetic.get(phoneticKey(input)) || []);
+    const candidates = new Set([...findFuzzyCandidates(index, input), ...phoneticMatches]);
+
+    return [...candidates].map(position => {
+        const entry = index.terms[position];
+        const wordBonus = (containsWord(input, entry.term) || containsWord(entry.term, input))
+            ? WORD_MATCH_BONUS
+            : 0;
+        let score = Math.min(100, similarityScore(input, entry.term) + wordBonus);
+        let matchType = 'fuzzy';
+        if (phoneticMatches.has(position) && score < PHONETIC_SCORE) {
+            score = PHONETIC_SCORE;
+            matchType = 'phonetic';
+        }
+        return { entry, score, matchType };
+    });
+};
+
+/**
+ * Search the formulary by brand, generic or Hindi/Marathi name
+ * (exact, then prefix, then sound-alike and fuzzy matches)
+ * @param {string} query - Typed, spoken or scanned text
+ * @param {object} options - { limit: max results, threshold: min fuzzy score }
+ * @returns {Array<{ medicine, score, matchType, matchedAlias }>} Best first, one per medicine
+ */
+export const searchMedicines = (query, { limit = 5, threshold = 60 } = {}) => {
+    const forms = getQueryForms(query);
+    if (forms.length === 0) return [];
+
+    const index = getSearchIndex();
+    const best = new Map();
+    const keep = (entry, score, matchType) => {
+        const current = best.get(entry.medicine.id);
+        if (!current || score > current.score) {
+            best.set(entry.medicine.id, { medicine: entry.medicine, score, matchType, matchedAlias: entry.label });
+        }
+    };
+
+    forms.forEach(input => {
+        (index.exact.get(input) || []).forEach(position => keep(index.terms[position], 100, 'exact'));
+        findPrefixTerms(index, input, limit * 4)
+            .forEach(position => keep(index.terms[position], PREFIX_SCORE, 'prefix'));
+        scoreTerms(index, input)
+            .filter(({ score }) => score >= threshold)
+            .forEach(({ entry, score, matchType }) => keep(entry, score, matchType));
+    });
+
+    return [...best.values()]
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+};
+
 /**
  * Find the best matching medicine from database for a given input name
- * @param {string} inputName - The possibly misspelled medicine name from OCR
+ * @param {string} inputName - The possibly misspelled medicine name from OCR or voice
  * @param {number} threshold - Minimum similarity score to consider a match (default: 65)
  * @returns {object|null} - Best matching medicine or null if no match found
  */
 export const findBestMedicineMatch = (inputName, threshold = 65) => {
-    if (!inputName || inputName.trim().length < 2) return null;
-    
-    const input = inputName.toLowerCase().trim();
-    let bestMatch = null;
-    let bestScore = 0;
+    const forms = getQueryForms(inputName);
+    if (!forms.some(form => form.length >= 2)) return null;
 
-    for (const medicine of MEDICINE_DATABASE) {
-        // Check exact match with name
-        if (medicine.name.toLowerCase() === input) {
-            return { medicine, score: 100, matchedAlias: medicine.name };
+    const index = getSearchIndex();
+    for (const input of forms) {
+        const exactHit = index.exact.get(input);
+        if (exactHit) {
+            const entry = index.terms[exactHit[0]];
+            return { medicine: entry.medicine, score: 100, matchedAlias: entry.label };
         }
+    }
 
-        // Check against all aliases
-        for (const alias of medicine.aliases) {
-            const score = similarityScore(input, alias);
-            
-            // Also check if input contains the alias or vice versa
-            const containsBonus = (input.includes(alias) || alias.includes(input)) ? 15 : 0;
-            const adjustedScore = Math.min(100, score + containsBonus);
-            
-            if (adjustedScore > bestScore) {
-                bestScore = adjustedScore;
-                bestMatch = { medicine, score: adjustedScore, matchedAlias: alias };
+    let bestMatch = null;
+    for (const input of forms) {
+        for (const { entry, score } of scoreTerms(index, input)) {
+            if (!bestMatch || score > bestMatch.score) {
+                bestMatch = { medicine: entry.medicine, score, matchedAlias: entry.label };
             }
         }
-
-        // Also check generic name
-        const genericScore = similarityScore(input, medicine.genericName.toLowerCase());
-        if (genericScore > bestScore) {
-            bestScore = genericScore;
-            bestMatch = { medicine, score: genericScore, matchedAlias: medicine.genericName };
-        }
     }
 
     // Return match only if above threshold
@@ -134,7 +292,7 @@ export const findBestMedicineMatch = (inputName, threshold = 65) => {
         return bestMatch;
     }
 
-    console.log(`⚠️ No match found for: "${inputName}" (best score: ${bestScore}%)`);
+    console.log(`⚠️ No match found for: "${inputName}" (best score: ${bestMatch?.score || 0}%)`);
     return null;
 };
 
@@ -148,6 +306,18 @@ export const findBestMedicineMatch = (inputName, threshold = 65) => {
 export const correctMedicineName = (inputName, threshold = 65) => {
     const match = findBestMedicineMatch(inputName, threshold);
     
+    // A prescription written by generic name keeps that name (no brand swap);
+    // one spoken in Hindi/Marathi is stored with its English generic name
+    if (match && match.matchedAlias.toLowerCase() === match.medicine.genericName.toLowerCase()) {
+        const spokenInIndic = hasDevanagari(inputName);
+        return {
+            correctedName: spokenInIndic ? match.medicine.genericName : inputName,
+            wasCorrected: spokenInIndic,
+            matchScore: match.score,
+            medicineData: match.medicine
+        };
+    }
+
     if (match) {
         return {
             correctedName: match.medicine.name,
@@ -177,6 +347,7 @@ export const getMedicineById = (id) => MEDICINE_DATABASE.find(m => m.id === id);
 
 export default {
     MEDICINE_DATABASE,
+    searchMedicines,
     findBestMedicineMatch,
     correctMedicineName,
     getAllMedicines,
@@ -1,7 +1,14 @@
 import { initializeApp } from "firebase/app";
 import { getAuth } from "firebase/auth";
-import { getFirestore } from "firebase/firestore";
+import {
+  getFirestore,
+  initializeFirestore,
+  persistentLocalCache,
+  persistentMultipleTabManager
+} from "firebase/firestore";
 import { initializeAppCheck, ReCaptchaV3Provider } from "firebase/app-check";
+import { getFunctions, connectFunctionsEmulator } from "firebase/functions";
+import { getStorage, connectStorageEmulator } from "firebase/storage";
 
 // Firebase config (Vite uses import.meta.env)
 const firebaseConfig = {
@@ -32,7 +39,38 @@ if (import.meta.env.VITE_RECAPTCHA_SITE_KEY) {
 
 // Export services
 export const auth = getAuth(app);
-export const db = getFirestore(app);
+
+// Firestore with IndexedDB cache so medicines and logs stay readable offline
+// (falls back to the default in-memory cache if the browser blocks IndexedDB)
+const createFirestore = () => {
+  try {
+    return initializeFirestore(app, {
+      localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+    });
+  } catch (error) {
+    console.warn('Offline Firestore cache unavailable:', error);
+    return getFirestore(app);
+  }
+};
+
+export const db = createFirestore();
+
+// Cloud Functions (AI proxy) - same region as functions/aiProxy.js
+export const functions = getFunctions(app, "asia-south1");
+
+// `firebase emulators:start` in functions/ serves the proxy locally
+if (import.meta.env.VITE_USE_FUNCTIONS_EMULATOR === "true") {
+  connectFunctionsEmulator(functions, "localhost", 5001);
+  console.log("🔧 Using local Cloud Functions emulator");
+}
+
+// Cloud Storage - archived prescription photos (see storage.rules)
+export const storage = getStorage(app);
+
+if (import.meta.env.VITE_USE_STORAGE_EMULATOR === "true") {
+  connectStorageEmulator(storage, "localhost", 9199);
+  console.log("🔧 Using local Storage emulator");
+}
 
 // Enable testing mode for local development
 // This allows testing with the number +919999888877
@@ -0,0 +1,31 @@
+import { useState, useEffect } from 'react';
+
+/**
+ * useOnlineStatus - Track whether the device currently has network
+ *
+ * Pages keep working offline (app shell is cached by the service worker,
+ * medicines/reminders/history live on the device), this just lets the UI
+ * tell the user they are looking at saved data.
+ *
+ * @returns {boolean} True when the browser reports a connection
+ */
+export const useOnlineStatus = () => {
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    return isOnline;
+};
+
+export default useOnlineStatus;
@@ -1,7 +1,18 @@
 import { useEffect, useRef, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { getReminders, getRemindersForTime } from '../services/reminderService';
+import { getRemindersForTime, getReminderById, disableEndedReminders, isLastDose } from '../services/reminderService';
 import { triggerNotification, getNotificationStatus } from '../services/notificationService';
+import { triggerMissedDoseNotification } from '../utils/notifications';
+import { logDose, hasAnsweredDose, getMissedDoseLogId } from '../services/adherenceLog';
+import { isDoseMissed } from '../services/missedDoseService';
+import {
+    isReminderEngineSupported,
+    registerReminderEngine,
+    syncReminderSchedule,
+    checkDueReminders,
+    onReminderEngineMessage
+} from '../services/reminderEngine';
+import { useApp } from '../context/AppContext';
 
 /**
  * Storage key for tracking which reminders have fired today
@@ -54,16 +65,90 @@ const hasReminderFired = (reminderId) => {
     return fired.ids.includes(reminderId);
 };
 
+/**
+ * In-tab fallback for the engine's missed-dose check: reminders that fired
+ * today and were not answered within the grace window are logged as missed
+ * and announced once more
+ */
+const markMissedReminders = (language) => {
+    const fired = getFiredReminders();
+    const missed = fired.missed || [];
+
+    fired.ids.filter(id => !missed.includes(id)).forEach((reminderId) => {
+        const reminder = getReminderById(reminderId);
+        if (!reminder?.time) return;
+
+        const [hours, minutes] = reminder.time.split(':').map(Number);
+        const scheduledAt = new Date();
+        scheduledAt.setHours(hours, minutes, 0, 0);
+        if (!isDoseMissed(scheduledAt)) return;
+
+        missed.push(reminderId);
+        if (hasAnsweredDose(reminder.medicineName, scheduledAt)) return;
+
+        logDose(reminder.medicineId || null, reminder.medicineName, 'missed', {
+            logId: getMissedDoseLogId(reminder.id, scheduledAt),
+            scheduledTime: scheduledAt,
+            notes: 'No answer within the reminder window'
+        }).catch(error => console.error('Failed to log missed dose:', error));
+
+        triggerMissedDoseNotification({
+            id: reminder.medicineId,
+            reminderId: reminder.id,
+            name: reminder.medicineName,
+            visualDescription: reminder.description
+        }, language, scheduledAt.toISOString());
+    });
+
+    localStorage.setItem(FIRED_REMINDERS_KEY, JSON.stringify({ ...fired, missed }));
+};
+
 /**
  * Custom hook that runs a background scheduler to check reminder times
- * and trigger notifications when it's time to take medicine
+ * and trigger notifications when it's time to take medicine.
+ *
+ * The service worker reminder engine owns the schedule and fires alarms even
+ * when the tab is closed. While the app is open this hook keeps the engine's
+ * schedule in sync, nudges it every few seconds (browsers pause idle workers),
+ * and jumps to the alert screen when a reminder fires in a focused tab.
+ * Browsers without service workers fall back to the in-tab check below.
  * 
  * @param {boolean} enabled - Whether the scheduler should run
  */
 export const useReminderScheduler = (enabled = true) => {
     const navigate = useNavigate();
+    const { language } = useApp();
     const intervalRef = useRef(null);
     const lastCheckedMinute = useRef(null);
+    const useEngine = isReminderEngineSupported();
+
+    /**
+     * Register the engine and resync whenever the language changes
+     * (notification text is localised inside the worker)
+     */
+    useEffect(() => {
+        if (!enabled || !useEngine) return;
+
+        registerReminderEngine().then(() => syncReminderSchedule(language));
+    }, [enabled, useEngine, language]);
+
+    /**
+     * Open the full-screen alert when the engine fires (or marks a dose
+     * missed) while the app is in front
+     */
+    useEffect(() => {
+        if (!enabled || !useEngine) return;
+
+        return onReminderEngineMessage((message) => {
+            const isMissed = message.type === 'DOSE_MISSED';
+            if ((message.type !== 'REMINDER_FIRED' && !isMissed) || !document.hasFocus()) return;
+
+            const scheduled = new URL(message.url, window.location.origin).searchParams.get('scheduled');
+            setTimeout(() => {
+                navigate(`/reminder/alert/${message.reminderId}?scheduled=${encodeURIComponent(scheduled || '')}${isMissed ? '&missed=1' : ''}`);
+            }, 500);
+        });
+    }, [enabled, useEngine, navigate]);
 
     /**
      * Get current time in HH:MM format
@@ -79,6 +164,14 @@ export const useReminderScheduler = (enabled = true) => {
      * Check for reminders that should fire now
      */
     const checkReminders = useCallback(() => {
+        // Finished courses stop ringing
+        disableEndedReminders();
+
+        if (useEngine) {
+            checkDueReminders();
+            return;
+        }
+
         const currentTime = getCurrentTime();
 
         // Only check once per minute
@@ -89,6 +182,8 @@ export const useReminderScheduler = (enabled = true) => {
 
         console.log(`⏰ Checking reminders at ${currentTime}`);
 
+        markMissedReminders(language);
+
         // Get reminders that match current time and day
         const matchingReminders = getRemindersForTime(currentTime);
 
@@ -111,9 +206,14 @@ export const useReminderScheduler = (enabled = true) => {
             console.log(`🚀 Triggering notification for: ${reminder.medicineName}`);
 
             // Trigger browser notification
-            const notification = triggerNotification(
+            const [hours, minutes] = reminder.time.split(':').map(Number);
+            const scheduledAt = new Date();
+            scheduledAt.setHours(hours, minutes, 0, 0);
+            triggerNotification(
                 '💊 Medicine Time!',
-                `It's time to take your ${reminder.medicineName}`,
+                isLastDose(reminder, scheduledAt)
+                    ? `This is your last dose of ${reminder.medicineName}`
+                    : `It's time to take your ${reminder.medicineName}`,
                 reminder.id
             );
 
@@ -121,11 +221,11 @@ export const useReminderScheduler = (enabled = true) => {
             // Also navigate immediately if the tab is focused
             if (document.hasFocus()) {
                 setTimeout(() => {
-                    navigate(`/reminder/alert/${reminder.id}`);
+                    navigate(`/reminder/alert/${reminder.id}?scheduled=${encodeURIComponent(scheduledAt.toISOString())}`);
                 }, 500);
             }
         });
-    }, [getCurrentTime, navigate]);
+    }, [getCurrentTime, navigate, useEngine, language]);
 
     /**
      * Start the scheduler
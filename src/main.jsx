@@ -6,6 +6,23 @@ import App from './App.jsx';
 // Demo data utilities - available on console: loadDemoData(), clearDemoData()
 import './utils/demoData.js';
 
+// Service worker - offline app shell + reminder engine that keeps alarms ringing after the tab is closed
+import { registerReminderEngine } from './services/reminderEngine';
+
+// Offline outbox - replays queued medicine saves and dose logs when back online
+import { startOutboxSync } from './services/offlineQueue';
+
+// Prescription photos - deletes stored originals older than the user's retention setting
+import { startImageRetention } from './services/prescriptionImageService';
+
+// Adherence log - moves older on-phone dose history into Firestore once a user signs in
+import { startAdherenceLog } from './services/adherenceLog';
+
+registerReminderEngine();
+startOutboxSync();
+startImageRetention();
+startAdherenceLog();
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
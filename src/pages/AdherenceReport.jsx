@@ -0,0 +1,283 @@
+/**
+ * AdherenceReport Page
+ * Large charts answering "is the medicine being taken?" - overall and per
+ * medicine, on time vs late, streaks, the most missed time of day and the
+ * last four weeks. The summary is read aloud on request ("summary").
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useApp } from '../context/AppContext';
+import { useVoice } from '../context/VoiceContext';
+import { getLocalDoseLog, getDoseLog } from '../services/adherenceLog';
+import { computeAdherence, getAdherenceSummary, GOOD_RATE, FAIR_RATE } from '../services/adherenceAnalytics';
+import { triggerAction } from '../utils/haptics';
+import DualActionButtons from '../components/DualActionButtons';
+
+const SLOT_ICONS = { morning: '☀️', afternoon: '🌤️', evening: '🌅', night: '🌙' };
+
+// Green / amber / red by how much was taken
+const rateColor = (rate) => {
+    if (rate === null) return { bar: 'bg-gray-300', text: 'text-gray-500', hex: '#D1D5DB' };
+    if (rate >= GOOD_RATE) return { bar: 'bg-green-500', text: 'text-green-700', hex: '#22C55E' };
+    if (rate >= FAIR_RATE) return { bar: 'bg-amber-500', text: 'text-amber-700', hex: '#F59E0B' };
+    return { bar: 'bg-red-500', text: 'text-red-700', hex: '#EF4444' };
+};
+
+const AdherenceReport = () => {
+    const navigate = useNavigate();
+    const { language, firebaseUser, setCurrentPageContent } = useApp();
+    const { speak } = useVoice();
+    const [entries, setEntries] = useState(() => getLocalDoseLog());
+
+    const labels = {
+        'en-US': {
+            title: 'Medicine Report',
+            subtitle: 'Last {days} days',
+            back: 'Back',
+            hear: 'Hear summary',
+            intro: 'Medicine report. Say summary to hear it.',
+            taken: 'taken',
+            dosesTaken: '{taken} of {total} doses',
+            onTime: 'On time',
+            late: 'Late',
+            streak: 'Days in a row',
+            bestStreak: 'Best: {count} days',
+            mostMissed: 'Missed most',
+            nothingMissed: 'Nothing missed',
+            perMedicine: 'Each medicine',
+            weekly: 'Last 4 weeks',
+            thisWeek: 'This week',
+            noData: 'No doses recorded yet',
+            noDataHint: 'Answer your medicine reminders and the report will appear here',
+            slots: { morning: 'Morning', afternoon: 'Afternoon', evening: 'Evening', night: 'Night' }
+        },
+        'hi-IN': {
+            title: 'दवाई रिपोर्ट',
+            subtitle: 'पिछले {days} दिन',
+            back: 'वापस',
+            hear: 'सारांश सुनें',
+            intro: 'दवाई रिपोर्ट। सुनने के लिए सारांश बोलें।',
+            taken: 'ली गई',
+            dosesTaken: '{total} में से {taken} खुराक',
+            onTime: 'समय पर',
+            late: 'देर से',
+            streak: 'लगातार दिन',
+            bestStreak: 'सबसे अच्छा: {count} दिन',
+            mostMissed: 'सबसे ज़्यादा छूटी',
+            nothingMissed: 'कुछ नहीं छूटा',
+            perMedicine: 'हर दवाई',
+            weekly: 'पिछले 4 हफ्ते',
+            thisWeek: 'इस हफ्ते',
+            noData: 'अभी कोई खुराक दर्ज नहीं',
+            noDataHint: 'दवाई के रिमाइंडर का जवाब दें, रिपोर्ट यहाँ दिखेगी',
+            slots: { morning: 'सुबह', afternoon: 'दोपहर', evening: 'शाम', night: 'रात' }
+        },
+        'mr-IN': {
+            title: 'औषध अहवाल',
+            subtitle: 'मागील {days} दिवस',
+            back: 'मागे',
+            hear: 'सारांश ऐका',
+            intro: 'औषध अहवाल. ऐकण्यासाठी सारांश म्हणा.',
+            taken: 'घेतले',
+            dosesTaken: '{total} पैकी {taken} डोस',
+            onTime: 'वेळेवर',
+            late: 'उशिरा',
+            streak: 'सलग दिवस',
+            bestStreak: 'सर्वोत्तम: {count} दिवस',
+            mostMissed: 'सर्वात जास्त चुकले',
+            nothingMissed: 'काहीही चुकले नाही',
+            perMedicine: 'प्रत्येक औषध',
+            weekly: 'मागील 4 आठवडे',
+            thisWeek: 'हा आठवडा',
+            noData: 'अजून एकही डोस नोंदवला नाही',
+            noDataHint: 'औषधाच्या रिमाइंडरला उत्तर द्या, अहवाल येथे दिसेल',
+            slots: { morning: 'सकाळी', afternoon: 'दुपारी', evening: 'संध्याकाळी', night: 'रात्री' }
+        }
+    };
+
+    const t = labels[language] || labels['en-US'];
+    const stats = computeAdherence(entries);
+    const summary = getAdherenceSummary(stats, language);
+    const { overall, medicines, streak, mostMissedSlot, weeklyTrend } = stats;
+
+    // Doses logged on another phone merge in when they arrive
+    useEffect(() => {
+        let cancelled = false;
+        getDoseLog(firebaseUser?.uid).then((log) => {
+            if (!cancelled) setEntries(log);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [firebaseUser?.uid]);
+
+    // "Repeat" reads the summary too
+    useEffect(() => {
+        setCurrentPageContent(summary);
+    }, [summary, setCurrentPageContent]);
+
+    useEffect(() => {
+        speak(t.intro);
+    }, [speak, t.intro]);
+
+    // "Summary" / "सारांश" (context command on this page)
+    useEffect(() => {
+        const handleVoiceAction = (event) => {
+            if (event.detail?.action === 'SUMMARY') speak(summary);
+        };
+        window.addEventListener('voiceAction', handleVoiceAction);
+        return () => window.removeEventListener('voiceAction', handleVoiceAction);
+    }, [speak, summary]);
+
+    const handleHear = () => {
+        triggerAction();
+        speak(summary);
+    };
+
+    const formatDay = (date) => date.toLocaleDateString(language, { day: 'numeric', month: 'short' });
+
+    const overallColor = rateColor(overall.rate);
+    const timedTotal = overall.onTime + overall.late;
+
+    return (
+        <div className="min-h-screen flex flex-col bg-gradient-to-b from-gray-50 to-white pb-32">
+            {/* Header */}
+            <div className="bg-gradient-to-br from-purple-500 to-purple-600 text-white px-4 py-6 pt-8 pb-10 rounded-b-3xl shadow-xl">
+                <button
+                    onClick={() => navigate('/history')}
+                    className="flex items-center gap-2 text-white/80 hover:text-white mb-4"
+                >
+                    <span className="text-2xl">←</span>
+                    <span className="text-lg">{t.back}</span>
+                </button>
+                <h1 className="text-3xl sm:text-4xl font-bold mb-2">📊 {t.title}</h1>
+                <p className="text-base sm:text-lg text-white/80">{t.subtitle.replace('{days}', stats.days)}</p>
+            </div>
+
+            <div className="flex-1 px-4 py-4 -mt-4 space-y-4">
+                <button
+                    onClick={handleHear}
+                    className="w-full min-h-button rounded-2xl bg-white border-2 border-purple-500 text-purple-700 text-xl font-bold shadow-md"
+                >
+                    🔊 {t.hear}
+                </button>
+
+                {overall.total === 0 ? (
+                    <div className="flex flex-col items-center justify-center py-12 text-center">
+                        <div className="text-8xl mb-6">📊</div>
+                        <h2 className="text-2xl font-bold text-gray-700 mb-2">{t.noData}</h2>
+                        <p className="text-gray-500">{t.noDataHint}</p>
+                    </div>
+                ) : (
+                    <>
+                        {/* Overall ring */}
+                        <div className="bg-white rounded-2xl p-5 shadow-md border border-gray-100 flex items-center gap-5">
+                            <div
+                                className="relative w-36 h-36 shrink-0 rounded-full"
+                                style={{ background: `conic-gradient(${overallColor.hex} ${overall.rate * 3.6}deg, #E5E7EB 0deg)` }}
+                                role="img"
+                                aria-label={`${overall.rate}% ${t.taken}`}
+                            >
+                                <div className="absolute inset-3 rounded-full bg-white flex flex-col items-center justify-center">
+                                    <span className={`text-4xl font-bold ${overallColor.text}`}>{overall.rate}%</span>
+                                    <span className="text-base text-gray-500">{t.taken}</span>
+                                </div>
+                            </div>
+                            <div className="space-y-2">
+                                <p className="text-2xl font-bold text-gray-800">
+                                    {t.dosesTaken.replace('{taken}', overall.taken).replace('{total}', overall.total)}
+                                </p>
+                                {timedTotal > 0 && (
+                                    <div>
+                                        <div className="flex h-6 rounded-full overflow-hidden bg-gray-200">
+                                            <div className="bg-green-500" style={{ width: `${(overall.onTime / timedTotal) * 100}%` }} />
+                                            <div className="bg-amber-400" style={{ width: `${(overall.late / timedTotal) * 100}%` }} />
+                                        </div>
+                                        <p className="mt-1 text-lg text-gray-700">
+                                            <span className="text-green-700 font-semibold">● {t.onTime} {overall.onTime}</span>
+                                            {'  '}
+                                            <span className="text-amber-700 font-semibold">● {t.late} {overall.late}</span>
+                                        </p>
+                                    </div>
+                                )}
+                            </div>
+                        </div>
+
+                        {/* Streak + most missed slot */}
+                        <div className="grid grid-cols-2 gap-3">
+                            <div className="bg-white rounded-2xl p-4 shadow-md border border-gray-100 text-center">
+                                <p className="text-base text-gray-500">🔥 {t.streak}</p>
+                                <p className="text-5xl font-bold text-gray-800">{streak.current}</p>
+                                <p className="text-base text-gray-500">{t.bestStreak.replace('{count}', streak.longest)}</p>
+                            </div>
+                            <div className="bg-white rounded-2xl p-4 shadow-md border border-gray-100 text-center">
+                                <p className="text-base text-gray-500">⚠️ {t.mostMissed}</p>
+                                {mostMissedSlot ? (
+                                    <>
+                                        <p className="text-5xl">{SLOT_ICONS[mostMissedSlot.slot]}</p>
+                                        <p className="text-xl font-bold text-gray-800">{t.slots[mostMissedSlot.slot]}</p>
+                                    </>
+                                ) : (
+                                    <p className="text-xl font-bold text-green-700 mt-4">✓ {t.nothingMissed}</p>
+                                )}
+                            </div>
+                        </div>
+
+                        {/* Per medicine */}
+                        <div className="bg-white rounded-2xl p-4 shadow-md border border-gray-100">
+                            <h2 className="text-2xl font-bold text-gray-800 mb-3">💊 {t.perMedicine}</h2>
+                            <ul className="space-y-4">
+                                {medicines.map(medicine => {
+                                    const color = rateColor(medicine.rate);
+                                    return (
+                                        <li key={medicine.name}>
+                                            <div className="flex items-baseline justify-between gap-2">
+                                                <span className="text-xl font-semibold text-gray-800 truncate">{medicine.name}</span>
+                                                <span className={`text-2xl font-bold ${color.text}`}>{medicine.rate}%</span>
+                                            </div>
+                                            <div className="h-5 rounded-full bg-gray-200 overflow-hidden mt-1">
+                                                <div className={`h-full ${color.bar}`} style={{ width: `${medicine.rate}%` }} />
+                                            </div>
+                                            <p className="text-base text-gray-500 mt-1">
+                                                {t.dosesTaken.replace('{taken}', medicine.taken).replace('{total}', medicine.total)}
+                                            </p>
+                                        </li>
+                                    );
+                                })}
+                            </ul>
+                        </div>
+
+                        {/* Weekly trend */}
+                        <div className="bg-white rounded-2xl p-4 shadow-md border border-gray-100">
+                            <h2 className="text-2xl font-bold text-gray-800 mb-3">📈 {t.weekly}</h2>
+                            <div className="flex items-end justify-around gap-3 h-48">
+                                {weeklyTrend.map((week, i) => {
+                                    const color = rateColor(week.rate);
+                                    return (
+                                        <div key={week.weekStart.toISOString()} className="flex-1 h-full flex flex-col items-center justify-end">
+                                            <span className={`text-xl font-bold ${color.text}`}>
+                                                {week.rate === null ? '–' : `${week.rate}%`}
+                                            </span>
+                                            <div
+                                                className={`w-full rounded-t-xl ${color.bar}`}
+                                                style={{ height: `${Math.max(week.rate || 0, 4)}%` }}
+                                            />
+                                            <span className="mt-1 text-sm text-gray-600 text-center">
+                                                {i === weeklyTrend.length - 1 ? t.thisWeek : formatDay(week.weekStart)}
+                                            </span>
+                                        </div>
+                                    );
+                                })}
+                            </div>
+                        </div>
+                    </>
+                )}
+            </div>
+
+            <DualActionButtons />
+        </div>
+    );
+};
+
+export default AdherenceReport;
@@ -4,15 +4,20 @@
  * Phase 3: Interactive Alarm with Taken/Not Taken/Snooze
  */
 
-import { useEffect, useState, useRef } from 'react';
+import { useEffect, useState, useRef, useCallback, useMemo } from 'react';
 import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useApp } from '../context/AppContext';
 import { useVoiceButler } from '../context/VoiceButlerContext';
 import { useVoice } from '../context/VoiceContext';
 import { triggerAlert, triggerSuccess, triggerAction } from '../utils/haptics';
-import { logMedicationAction } from '../services/medicationService';
+import { logDose, getMissedDoseLogId } from '../services/adherenceLog';
 import { scheduleReminderNotification } from '../utils/notifications';
+import { getReminderById, isLastDose, getDoseAmount } from '../services/reminderService';
+import { getMedicineById, findMedicineByName } from '../services/medicineRepository';
+import { snoozeReminderOccurrence, resolveReminderOccurrence } from '../services/reminderEngine';
+import { getExpiredDoseWarning } from '../services/expiryService';
+import { isDoseMissed, getLateDoseAdvice, LATE_DOSE_ADVICE } from '../services/missedDoseService';
 
 // Color mapping for visual pills
 const COLOR_MAP = {
@@ -28,18 +33,20 @@ const COLOR_MAP = {
     'gray': '#6B7280'
 };
 
+// Snoozes allowed per dose before it is closed as not taken
+const MAX_SNOOZES = 3;
+
 const AlarmPage = () => {
     const navigate = useNavigate();
     const { id: medicineId } = useParams();
     const [searchParams] = useSearchParams();
-    const { language, user, savedMedicines: contextMedicines, decrementMedicineQuantity } = useApp();
+    const { language, user, savedMedicines } = useApp();
     const { announce } = useVoiceButler();
-    const { transcript, resetTranscript } = useVoice();
+    const { onFinalTranscript } = useVoice();
     
     const [status, setStatus] = useState('active'); // 'active' | 'taken' | 'skipped' | 'snoozed'
     const [isLoading, setIsLoading] = useState(false);
     const [isInitializing, setIsInitializing] = useState(true);
-    const [localMedicines, setLocalMedicines] = useState([]);
     const vibrationRef = useRef(null);
     const hasSpoken = useRef(false);
 
@@ -48,27 +55,35 @@ const AlarmPage = () => {
         ? JSON.parse(localStorage.getItem('saarthi_user') || '{}').name || 'Friend'
         : 'Friend';
 
-    // Load medicines from localStorage on mount (backup for when context isn't ready)
+    // Give a small delay to ensure the medicine list has loaded
     useEffect(() => {
-        const storedMedicines = localStorage.getItem('saarthi_medicines');
-        if (storedMedicines) {
-            setLocalMedicines(JSON.parse(storedMedicines));
-        }
-        // Give a small delay to ensure context has loaded
-        setTimeout(() => setIsInitializing(false), 300);
+        const timer = setTimeout(() => setIsInitializing(false), 300);
+        return () => clearTimeout(timer);
     }, []);
 
-    // Use context medicines if available, otherwise use localStorage
-    const savedMedicines = contextMedicines.length > 0 ? contextMedicines : localMedicines;
+    // Alarms opened from a reminder notification carry the reminder ID,
+    // which links to the exact medicine record
+    const reminder = useMemo(() => (medicineId ? getReminderById(medicineId) : null), [medicineId]);
 
     // Find medicine from combined sources
-    const medicine = savedMedicines.find(m => m.id === medicineId) || {
-        id: medicineId,
-        name: 'Your Medicine',
-        visualDescription: 'tablet',
-        visualColor: 'blue',
-        dosage: ''
-    };
+    const medicine = useMemo(() => {
+        const reminderMedicine = reminder && (
+            getMedicineById(reminder.medicineId) || findMedicineByName(reminder.medicineName) || {
+                id: reminder.medicineId ?? null,
+                name: reminder.medicineName,
+                visualDescription: reminder.description,
+                color: reminder.color,
+                dosage: ''
+            }
+        );
+        return savedMedicines.find(m => m.id === medicineId) || reminderMedicine || {
+            id: medicineId,
+            name: 'Your Medicine',
+            visualDescription: 'tablet',
+            visualColor: 'blue',
+            dosage: ''
+        };
+    }, [savedMedicines, medicineId, reminder]);
 
     // Check if this is a stale alarm (>2 hours late)
     const scheduledTime = searchParams.get('scheduled');
@@ -76,15 +91,26 @@ const AlarmPage = () => {
         ? (Date.now() - new Date(scheduledTime).getTime()) > 2 * 60 * 60 * 1000 
         : false;
 
+    // Opened from the missed-dose notification, or answered after the grace window
+    const isMissed = isStale || searchParams.get('missed') === '1' || isDoseMissed(scheduledTime);
+    const lateAdvice = isMissed && reminder ? getLateDoseAdvice(reminder, scheduledTime, { language }) : null;
+    // A late answer replaces the missed entry the engine logged for this dose
+    const missedLogId = lateAdvice ? getMissedDoseLogId(reminder.id, scheduledTime) : undefined;
+
+    // Final dose of the course gets an extra announcement
+    const isFinalDose = isLastDose(reminder, scheduledTime);
+    // The strip saved from the last pack photo is past its expiry
+    const expiredWarning = getExpiredDoseWarning(medicine, language);
+
     // Get color for visual pill
-    const pillColor = COLOR_MAP[medicine.visualColor?.toLowerCase()] || COLOR_MAP.blue;
+    const pillColor = COLOR_MAP[medicine.visualColor?.toLowerCase()] || medicine.color || COLOR_MAP.blue;
 
     // Translations
-    const t = {
+    const t = useMemo(() => ({
         title: {
-            'en-US': isStale ? 'Missed Dose' : 'Medicine Time!',
-            'hi-IN': isStale ? 'दवाई छूट गई' : 'दवा का समय!',
-            'mr-IN': isStale ? 'औषध चुकले' : 'औषधाची वेळ!'
+            'en-US': isMissed ? 'Missed Dose' : 'Medicine Time!',
+            'hi-IN': isMissed ? 'दवाई छूट गई' : 'दवा का समय!',
+            'mr-IN': isMissed ? 'औषध चुकले' : 'औषधाची वेळ!'
         },
         medicineName: medicine.name,
         instruction: {
@@ -97,6 +123,11 @@ const AlarmPage = () => {
             'hi-IN': `${userName}, आपकी ${medicine.name} लेने का समय हो गया है। कृपया अभी लें।`,
             'mr-IN': `${userName}, तुमची ${medicine.name} घेण्याची वेळ झाली आहे. कृपया आता घ्या.`
         },
+        voiceLastDose: {
+            'en-US': `This is your last dose of ${medicine.name}. Your course is complete after this.`,
+            'hi-IN': `यह आपकी ${medicine.name} की आखिरी खुराक है। इसके बाद आपका कोर्स पूरा हो जाएगा।`,
+            'mr-IN': `हा तुमच्या ${medicine.name} चा शेवटचा डोस आहे. यानंतर तुमचा कोर्स पूर्ण होईल.`
+        },
         voiceStale: {
             'en-US': `${userName}, you missed your scheduled time for ${medicine.name}. Do you still want to take it?`,
             'hi-IN': `${userName}, आपने ${medicine.name} का समय चूक गया। क्या आप अभी भी लेना चाहते हैं?`,
@@ -132,7 +163,7 @@ const AlarmPage = () => {
             'hi-IN': 'ठीक है, मैं 15 मिनट में फिर याद दिलाऊंगा।',
             'mr-IN': 'ठीक आहे, मी 15 मिनिटांनी पुन्हा आठवण करेन.'
         }
-    };
+    }), [isMissed, medicine.name, medicine.dosage, userName]);
 
     // Only redirect if medicine not found AFTER initialization is complete
     useEffect(() => {
@@ -149,42 +180,55 @@ const AlarmPage = () => {
         }
     }, [medicineId, savedMedicines, navigate, isInitializing]);
 
+    // What the alarm says when it opens
+    let voiceMessage = lateAdvice
+        ? `${lateAdvice.prompt} ${lateAdvice.guidance}`
+        : isStale
+            ? t.voiceStale[language] || t.voiceStale['en-US']
+            : t.voiceNormal[language] || t.voiceNormal['en-US'];
+    if (isFinalDose) {
+        voiceMessage += ` ${t.voiceLastDose[language] || t.voiceLastDose['en-US']}`;
+    }
+    if (expiredWarning) {
+        voiceMessage += ` ${expiredWarning}`;
+    }
+
     // Auto-start voice announcement on mount
     useEffect(() => {
-        if (status === 'active' && !hasSpoken.current) {
-            hasSpoken.current = true;
-            const voiceMessage = isStale 
-                ? t.voiceStale[language] || t.voiceStale['en-US']
-                : t.voiceNormal[language] || t.voiceNormal['en-US'];
-            
-            triggerAlert();
-            announce(voiceMessage);
-
-            // Start vibration pattern
-            vibrationRef.current = setInterval(() => {
-                if ('vibrate' in navigator) {
-                    navigator.vibrate([200, 100, 200]);
-                }
-            }, 3000);
-        }
+        if (status !== 'active' || hasSpoken.current) return;
+        hasSpoken.current = true;
+        triggerAlert();
+        announce(voiceMessage);
+    }, [status, voiceMessage, announce]);
+
+    // Vibration pattern while the alarm is unanswered
+    useEffect(() => {
+        if (status !== 'active') return;
+        vibrationRef.current = setInterval(() => {
+            if ('vibrate' in navigator) {
+                navigator.vibrate([200, 100, 200]);
+            }
+        }, 3000);
 
         return () => {
             if (vibrationRef.current) clearInterval(vibrationRef.current);
         };
-    }, [status, isStale, language, announce]);
+    }, [status]);
 
     // Handle TAKEN action
-    const handleTaken = async () => {
+    const handleTaken = useCallback(async () => {
         setIsLoading(true);
         triggerSuccess();
         
-        // Decrement inventory
-        decrementMedicineQuantity(medicineId);
-        
-        // Log to history
-        await logMedicationAction(medicineId, 'taken', {
-            medicineName: medicine.name,
-            timestamp: new Date().toISOString()
+        // Stop the service worker from ringing this dose again
+        resolveReminderOccurrence(reminder?.id, scheduledTime);
+
+        // Log to history (also takes the dose out of the pill stock)
+        await logDose(medicine.id, medicine.name, 'taken', {
+            scheduledTime,
+            doseAmount: getDoseAmount(reminder, scheduledTime),
+            logId: missedLogId,
+            notes: missedLogId ? 'Taken late' : null
         });
 
         setStatus('taken');
@@ -192,18 +236,19 @@ const AlarmPage = () => {
         await announce(msg);
 
         setTimeout(() => navigate('/dashboard'), 2000);
-    };
+    }, [reminder, medicine, scheduledTime, missedLogId, t, language, announce, navigate]);
 
     // Handle NOT TAKEN action
-    const handleNotTaken = async () => {
+    const handleNotTaken = useCallback(async () => {
         setIsLoading(true);
         triggerAction();
+        resolveReminderOccurrence(reminder?.id, scheduledTime);
         
         // Log as skipped
-        await logMedicationAction(medicineId, 'skipped', {
-            medicineName: medicine.name,
-            reason: 'User Skipped',
-            timestamp: new Date().toISOString()
+        await logDose(medicine.id, medicine.name, 'skipped', {
+            scheduledTime,
+            logId: missedLogId,
+            notes: 'User Skipped'
         });
 
         setStatus('skipped');
@@ -211,13 +256,11 @@ const AlarmPage = () => {
         await announce(msg);
 
         setTimeout(() => navigate('/dashboard'), 2000);
-    };
+    }, [reminder, medicine, scheduledTime, missedLogId, t, language, announce, navigate]);
 
     // Handle SNOOZE action with MAX LIMIT
-    const MAX_SNOOZES = 3;
-    const snoozeKey = `snooze_${medicineId}_${new Date().toDateString()}`;
-    
-    const handleSnooze = async () => {
+    const handleSnooze = useCallback(async () => {
+        const snoozeKey = `snooze_${medicineId}_${new Date().toDateString()}`;
         setIsLoading(true);
         
         // Get current snooze count for this instance
@@ -231,13 +274,12 @@ const AlarmPage = () => {
             // ═══════════════════════════════════════════════════════════
             triggerAlert();
             setStatus('forcedSkip');
+            resolveReminderOccurrence(reminder?.id, scheduledTime);
             
             // Log as auto-skipped
-            await logMedicationAction(medicineId, 'skipped', {
-                medicineName: medicine.name,
-                reason: 'Auto-Closed due to excessive snoozing',
-                snoozeCount: currentCount + 1,
-                timestamp: new Date().toISOString()
+            await logDose(medicine.id, medicine.name, 'skipped', {
+                scheduledTime,
+                notes: `Auto-Closed due to excessive snoozing (${currentCount + 1} snoozes)`
             });
             
             // Clear snooze counter for this instance
@@ -264,16 +306,17 @@ const AlarmPage = () => {
         // Increment snooze count
         localStorage.setItem(snoozeKey, String(currentCount + 1));
         
-        // Schedule notification for 15 minutes later
-        scheduleReminderNotification(medicine.name, 15 * 60 * 1000, language);
+        // Re-ring in 15 minutes - through the service worker when this dose came from it,
+        // so the snooze survives the tab being closed
+        const snoozedInEngine = reminder && await snoozeReminderOccurrence(reminder.id, scheduledTime, 15);
+        if (!snoozedInEngine) {
+            scheduleReminderNotification(medicine.name, 15 * 60 * 1000, language);
+        }
         
         // Log snooze
-        await logMedicationAction(medicineId, 'snoozed', {
-            medicineName: medicine.name,
-            snoozeCount: currentCount + 1,
-            snoozesRemaining: snoozesLeft,
-            snoozeUntil: new Date(Date.now() + 15 * 60 * 1000).toISOString(),
-            timestamp: new Date().toISOString()
+        await logDose(medicine.id, medicine.name, 'snoozed', {
+            scheduledTime,
+            notes: `Snooze ${currentCount + 1}, ${snoozesLeft} left`
         });
 
         setStatus('snoozed');
@@ -288,25 +331,23 @@ const AlarmPage = () => {
 
         // Close/minimize the alarm page
         setTimeout(() => navigate('/dashboard'), 2000);
-    };
+    }, [reminder, medicine, medicineId, scheduledTime, language, announce, navigate]);
 
-    // Voice command detection
+    // Voice commands, answered as they are recognised
     useEffect(() => {
-        if (!transcript || status !== 'active') return;
-        
-        const lower = transcript.toLowerCase();
-        
-        if (lower.includes('taken') || lower.includes('ले लिया') || lower.includes('घेतले')) {
-            resetTranscript();
-            handleTaken();
-        } else if (lower.includes('skip') || lower.includes('नहीं') || lower.includes('नाही')) {
-            resetTranscript();
-            handleNotTaken();
-        } else if (lower.includes('snooze') || lower.includes('later') || lower.includes('बाद') || lower.includes('नंतर')) {
-            resetTranscript();
-            handleSnooze();
-        }
-    }, [transcript, status]);
+        if (status !== 'active') return;
+        return onFinalTranscript((text) => {
+            const lower = text.toLowerCase();
+
+            if (lower.includes('taken') || lower.includes('ले लिया') || lower.includes('घेतले')) {
+                handleTaken();
+            } else if (lower.includes('skip') || lower.includes('नहीं') || lower.includes('नाही')) {
+                handleNotTaken();
+            } else if (!isMissed && (lower.includes('snooze') || lower.includes('later') || lower.includes('बाद') || lower.includes('नंतर'))) {
+                handleSnooze();
+            }
+        });
+    }, [onFinalTranscript, status, isMissed, handleTaken, handleNotTaken, handleSnooze]);
 
     return (
         <motion.div
@@ -327,6 +368,26 @@ const AlarmPage = () => {
                 </h1>
             </motion.div>
 
+            {/* Expired strip warning */}
+            {expiredWarning && (
+                <div className="w-full max-w-md mb-4 p-4 bg-red-600 text-white rounded-2xl shadow-lg text-center font-semibold" role="alert">
+                    ⛔ {expiredWarning}
+                </div>
+            )}
+
+            {/* Missed dose - is it still safe to take? */}
+            {lateAdvice && (
+                <div
+                    className={`w-full max-w-md mb-4 p-4 rounded-2xl border-2 text-center ${lateAdvice.advice === LATE_DOSE_ADVICE.TAKE
+                        ? 'bg-amber-50 border-amber-400 text-amber-900'
+                        : 'bg-gray-100 border-gray-400 text-gray-800'}`}
+                    role="status"
+                >
+                    <p className="text-xl font-bold mb-1">{lateAdvice.prompt}</p>
+                    <p className="text-lg">{lateAdvice.guidance}</p>
+                </div>
+            )}
+
             {/* Central Pill Visual */}
             <motion.div
                 className="relative mb-6"
@@ -389,7 +450,7 @@ const AlarmPage = () => {
 
             {/* Instruction */}
             <motion.p
-                className="text-xl text-gray-700 text-center mb-8"
+                className={`text-xl text-gray-700 text-center ${medicine.specialInstructions ? 'mb-2' : 'mb-8'}`}
                 initial={{ opacity: 0 }}
                 animate={{ opacity: 1 }}
                 transition={{ delay: 0.6 }}
@@ -397,6 +458,13 @@ const AlarmPage = () => {
                 {t.instruction[language] || t.instruction['en-US']}
             </motion.p>
 
+            {/* Doctor's instructions for this medicine */}
+            {medicine.specialInstructions && (
+                <p className="text-lg text-orange-700 text-center mb-8 px-4">
+                    {medicine.specialInstructions}
+                </p>
+            )}
+
             {/* Action Buttons */}
             <AnimatePresence mode="wait">
                 {status === 'active' && (
@@ -429,16 +497,18 @@ const AlarmPage = () => {
                             {t.notTaken[language] || t.notTaken['en-US']}
                         </motion.button>
 
-                        {/* SNOOZE Button - Blue/Gray */}
-                        <motion.button
-                            onClick={handleSnooze}
-                            disabled={isLoading}
-                            className="w-full h-20 bg-gradient-to-r from-blue-400 to-indigo-500 text-white rounded-2xl text-xl font-bold shadow-lg flex items-center justify-center gap-2 disabled:opacity-50"
-                            whileHover={{ scale: 1.02 }}
-                            whileTap={{ scale: 0.98 }}
-                        >
-                            {t.snooze[language] || t.snooze['en-US']}
-                        </motion.button>
+                        {/* SNOOZE Button - Blue/Gray (a missed dose is taken or skipped) */}
+                        {!isMissed && (
+                            <motion.button
+                                onClick={handleSnooze}
+                                disabled={isLoading}
+                                className="w-full h-20 bg-gradient-to-r from-blue-400 to-indigo-500 text-white rounded-2xl text-xl font-bold shadow-lg flex items-center justify-center gap-2 disabled:opacity-50"
+                                whileHover={{ scale: 1.02 }}
+                                whileTap={{ scale: 0.98 }}
+                            >
+                                {t.snooze[language] || t.snooze['en-US']}
+                            </motion.button>
+                        )}
                     </motion.div>
                 )}
 
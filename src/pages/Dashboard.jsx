@@ -7,6 +7,17 @@ import { triggerAction } from '../utils/haptics';
 import { cardHover, staggerContainer, staggerItem } from '../utils/animations';
 import { getPrompt } from '../utils/translations';
 import DualActionButtons from '../components/DualActionButtons';
+import PrnMedicines from '../components/PrnMedicines';
+import RefillChecklist from '../components/RefillChecklist';
+import { getReminders } from '../services/reminderService';
+import {
+    getRefillList,
+    getRefillMessage,
+    getDueRefillAnnouncements,
+    markRefillsAnnounced
+} from '../services/inventoryService';
+import { getWeeklyExpirySummary, markExpirySummaryGiven } from '../services/expiryService';
+import { SCHEDULE_TYPES } from '../utils/scheduleModel';
 
 const Dashboard = () => {
     const navigate = useNavigate();
@@ -56,6 +67,23 @@ const Dashboard = () => {
         }
     }, [language, setCurrentPageContent, speak, startListening, isListening]);
 
+    // Refill (daily) and expiry (weekly) alerts, spoken together once the
+    // greeting is over - a second speak() would cut the first one off
+    useEffect(() => {
+        const timer = setTimeout(() => {
+            const refills = getDueRefillAnnouncements(getRefillList());
+            const expirySummary = getWeeklyExpirySummary(language);
+            const alerts = refills.map(status => getRefillMessage(status, language));
+            if (expirySummary) alerts.push(expirySummary);
+            if (alerts.length === 0) return;
+
+            markRefillsAnnounced(refills);
+            if (expirySummary) markExpirySummaryGiven();
+            speak(alerts.join(' '));
+        }, 3000);
+        return () => clearTimeout(timer);
+    }, [language, speak]);
+
     // ═══════════════════════════════════════════════════════════════════════
     // DASHBOARD COMMAND DICTIONARY - Voice Command Center
     // Handles dashboard-specific commands before global router
@@ -79,9 +107,9 @@ const Dashboard = () => {
             resetTranscript();
             triggerAction();
             
-            // Read next upcoming reminder from localStorage
-            const reminders = JSON.parse(localStorage.getItem('saarthi_reminders') || '[]');
-            const enabledReminders = reminders.filter(r => r.enabled);
+            // Read next upcoming reminder (SOS medicines have no set time)
+            const enabledReminders = getReminders()
+                .filter(r => r.enabled && r.schedule?.type !== SCHEDULE_TYPES.PRN);
             
             if (enabledReminders.length > 0) {
                 const nextReminder = enabledReminders[0];
@@ -139,6 +167,8 @@ const Dashboard = () => {
             navigate('/history');
         } else if (action === 'scanMedicine') {
             navigate('/scan-medicine');
+        } else if (action === 'prescriptions') {
+            navigate('/prescriptions');
         }
     };
 
@@ -290,8 +320,29 @@ const Dashboard = () => {
                             {getPrompt('DASHBOARD_HISTORY', language)}
                         </div>
                     </motion.button>
+
+                    {/* My Prescriptions - saved scans */}
+                    <motion.button
+                        onClick={() => handleAction('prescriptions')}
+                        className="col-span-2 p-5 rounded-2xl bg-white border-2 border-teal-200 shadow-md hover:shadow-premium transition-all flex items-center justify-center gap-3"
+                        variants={{ ...cardHover, ...staggerItem }}
+                        initial="rest"
+                        whileHover="hover"
+                        whileTap="tap"
+                    >
+                        <div className="text-4xl">📄</div>
+                        <div className="text-lg font-semibold text-gray-800">
+                            {getPrompt('DASHBOARD_PRESCRIPTIONS', language)}
+                        </div>
+                    </motion.button>
                 </div>
 
+                {/* Running low - refill before it runs out */}
+                <RefillChecklist />
+
+                {/* SOS / As-needed medicines */}
+                <PrnMedicines />
+
                 {/* Voice Commands Info - Localized */}
                 <motion.div
                     className="mt-6 p-5 bg-blue-50 border-2 border-blue-200 rounded-2xl"
@@ -1,19 +1,25 @@
 /**
  * MedicineHistory Page
- * Shows history of taken/skipped medicines for tracking adherence
+ * Shows history of taken/skipped medicines for tracking adherence,
+ * from the adherence log (this phone + Firestore, without duplicates)
  */
 
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useApp } from '../context/AppContext';
+import { subscribeToOutbox } from '../services/offlineQueue';
+import { getLocalDoseLog, getDoseLog } from '../services/adherenceLog';
 import DualActionButtons from '../components/DualActionButtons';
 
 const MedicineHistory = () => {
     const navigate = useNavigate();
-    const { language } = useApp();
-    const [history, setHistory] = useState([]);
+    const { language, firebaseUser } = useApp();
+    // Snoozes are logged too, but only answers belong in the history
+    const [doseLog, setDoseLog] = useState(() => getLocalDoseLog());
+    const history = doseLog.filter(entry => entry.action !== 'snoozed');
     const [filter, setFilter] = useState('all'); // 'all', 'taken', 'skipped'
+    const [pendingSyncCount, setPendingSyncCount] = useState(0);
 
     // Labels
     const labels = {
@@ -29,7 +35,10 @@ const MedicineHistory = () => {
             today: 'Today',
             yesterday: 'Yesterday',
             takenAt: 'Taken at',
-            skippedAt: 'Skipped at'
+            skippedAt: 'Skipped at',
+            missedAt: 'Missed at',
+            pendingSync: '{count} saved on phone, will sync when online',
+            report: 'See report'
         },
         'hi-IN': {
             title: 'दवाई इतिहास',
@@ -43,7 +52,10 @@ const MedicineHistory = () => {
             today: 'आज',
             yesterday: 'कल',
             takenAt: 'ली गई',
-            skippedAt: 'छोड़ी गई'
+            skippedAt: 'छोड़ी गई',
+            missedAt: 'छूट गई',
+            pendingSync: '{count} फ़ोन में सेव, इंटरनेट आने पर सिंक होंगे',
+            report: 'रिपोर्ट देखें'
         },
         'mr-IN': {
             title: 'औषध इतिहास',
@@ -57,24 +69,38 @@ const MedicineHistory = () => {
             today: 'आज',
             yesterday: 'काल',
             takenAt: 'घेतले',
-            skippedAt: 'वगळले'
+            skippedAt: 'वगळले',
+            missedAt: 'चुकले',
+            pendingSync: '{count} फोनमध्ये जतन, इंटरनेट आल्यावर सिंक होतील',
+            report: 'अहवाल पहा'
         }
     };
 
     const t = labels[language] || labels['en-US'];
 
-    // Load history
+    // This phone's log straight away; doses logged elsewhere merge in when they arrive
     useEffect(() => {
-        const saved = JSON.parse(localStorage.getItem('saarthi_medicine_history') || '[]');
-        // Sort by time descending (newest first)
-        saved.sort((a, b) => new Date(b.time) - new Date(a.time));
-        setHistory(saved);
+        let cancelled = false;
+        getDoseLog(firebaseUser?.uid).then((entries) => {
+            if (!cancelled) setDoseLog(entries);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [firebaseUser?.uid]);
+
+    // Dose logs still waiting in the offline outbox
+    useEffect(() => {
+        return subscribeToOutbox((entries) => {
+            setPendingSyncCount(entries.filter(e => e.collection === 'medication_logs').length);
+        });
     }, []);
 
-    // Filter history
+    // Filter history - a missed dose counts as not taken
+    const isNotTaken = (item) => item.action === 'skipped' || item.action === 'missed';
     const filteredHistory = filter === 'all' 
         ? history 
-        : history.filter(h => h.action === filter);
+        : history.filter(h => (filter === 'skipped' ? isNotTaken(h) : h.action === filter));
 
     // Format date
     const formatDate = (isoString) => {
@@ -118,7 +144,7 @@ const MedicineHistory = () => {
     const stats = {
         total: history.length,
         taken: history.filter(h => h.action === 'taken').length,
-        skipped: history.filter(h => h.action === 'skipped').length
+        skipped: history.filter(isNotTaken).length
     };
 
     return (
@@ -151,7 +177,20 @@ const MedicineHistory = () => {
                         <div className="text-2xl font-bold">{stats.skipped}</div>
                         <div className="text-xs opacity-80">⏭️ {t.skipped}</div>
                     </div>
+                    <motion.button
+                        onClick={() => navigate('/adherence')}
+                        className="flex-1 bg-white text-purple-700 rounded-xl px-4 py-2 font-bold text-lg"
+                        whileTap={{ scale: 0.95 }}
+                    >
+                        📊 {t.report}
+                    </motion.button>
                 </div>
+
+                {pendingSyncCount > 0 && (
+                    <p className="mt-3 text-sm text-white/90">
+                        ☁️ {t.pendingSync.replace('{count}', pendingSyncCount)}
+                    </p>
+                )}
             </div>
 
             {/* Filter Tabs */}
@@ -223,7 +262,7 @@ const MedicineHistory = () => {
                                                             {item.medicineName}
                                                         </h4>
                                                         <p className="text-xs text-gray-500">
-                                                            {item.action === 'taken' ? t.takenAt : t.skippedAt} {formatTime(item.time)}
+                                                            {{ taken: t.takenAt, missed: t.missedAt }[item.action] || t.skippedAt} {formatTime(item.time)}
                                                         </p>
                                                     </div>
                                                 </div>
@@ -5,18 +5,25 @@
  */
 
 import { useState, useEffect, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useApp } from '../context/AppContext';
 import { useVoice } from '../context/VoiceContext';
 import { useVoiceButler } from '../context/VoiceButlerContext';
 import { verifyMedicinePhoto } from '../services/geminiService';
+import { getAIErrorMessage, isUnusableResponse } from '../services/aiErrors';
+import { subscribeToMedicines, updateMedicine, isCourseFinished, getMedicineById } from '../services/medicineRepository';
+import { getInventoryStatus, getRefillMessage, setStock } from '../services/inventoryService';
+import { getMedicineExpiry } from '../services/expiryService';
+import { describeSchedule } from '../utils/scheduleModel';
+import { normalizeExpiryDate, formatExpiryMonth } from '../utils/expiryDate';
 import { triggerAction, triggerSuccess, triggerAlert } from '../utils/haptics';
 import { compressImage, createPreviewUrl } from '../utils/imageUtils';
 import DualActionButtons from '../components/DualActionButtons';
 
 const MyMedicines = () => {
     const navigate = useNavigate();
+    const location = useLocation();
     const { language } = useApp();
     const { speak } = useVoice();
     const { announce } = useVoiceButler();
@@ -24,7 +31,8 @@ const MyMedicines = () => {
     const [medicines, setMedicines] = useState([]);
     const [showCamera, setShowCamera] = useState(false);
     const [analyzing, setAnalyzing] = useState(false);
-    const [selectedMedicine, setSelectedMedicine] = useState(null);
+    // Opened from a prescription: show that medicine's details straight away
+    const [selectedMedicine, setSelectedMedicine] = useState(() => getMedicineById(location.state?.medicineId));
     
     // Blind Verification State
     const [verificationResult, setVerificationResult] = useState(null);
@@ -46,6 +54,8 @@ const MyMedicines = () => {
             quantity: 'Qty',
             lowStock: 'Running Low!',
             expires: 'Expires',
+            expired: 'Expired',
+            expiryUnknown: 'Not known - scan the strip to read it',
             details: 'View Details',
             camera: 'Take Photo',
             analyzing: 'Show me the medicine. I will tell you if it matches.',
@@ -59,12 +69,20 @@ const MyMedicines = () => {
             whenToTake: 'When to Take',
             duration: 'Duration',
             days: 'days',
+            stock: 'Stock',
+            tabletsLeft: 'Tablets left',
+            packSize: 'Tablets per pack',
+            daysLeft: 'Lasts about {n} more days',
+            lastsCourse: 'Enough for the whole course',
+            stockEstimated: 'Estimated from the prescription. Please count and correct it.',
             takeWithFood: 'Take with food',
             takeOnEmptyStomach: 'Take on empty stomach',
             goBack: '← Go Back',
             repeatInstructions: 'Repeat Instructions',
             tryAgain: 'Could not identify medicine. Please try again with a clearer photo.',
-            timeoutError: 'Taking too long. Check internet and try again.'
+            timeoutError: 'Taking too long. Check internet and try again.',
+            finishedCourses: 'Finished Courses',
+            courseEnded: 'Course ended'
         },
         'hi-IN': {
             title: 'मेरी दवाइयां',
@@ -75,6 +93,8 @@ const MyMedicines = () => {
             quantity: 'मात्रा',
             lowStock: 'कम हो रहा है!',
             expires: 'समाप्ति',
+            expired: 'एक्सपायर हो चुकी',
+            expiryUnknown: 'पता नहीं - पढ़ने के लिए पत्ता स्कैन करें',
             details: 'विवरण देखें',
             camera: 'फोटो लें',
             analyzing: 'मुझे दवाई दिखाएं। मैं बताऊंगा यह मेल खाती है या नहीं।',
@@ -88,12 +108,20 @@ const MyMedicines = () => {
             whenToTake: 'कब लेना है',
             duration: 'अवधि',
             days: 'दिन',
+            stock: 'स्टॉक',
+            tabletsLeft: 'बची हुई गोलियां',
+            packSize: 'एक पत्ते में गोलियां',
+            daysLeft: 'लगभग {n} दिन और चलेगी',
+            lastsCourse: 'पूरे कोर्स के लिए काफी है',
+            stockEstimated: 'पर्चे से अनुमान लगाया है। कृपया गिनकर सही करें।',
             takeWithFood: 'खाने के साथ लें',
             takeOnEmptyStomach: 'खाली पेट लें',
             goBack: '← वापस जाएं',
             repeatInstructions: 'निर्देश दोहराएं',
             tryAgain: 'दवाई पहचान नहीं सकी। कृपया स्पष्ट फोटो से पुनः प्रयास करें।',
-            timeoutError: 'बहुत समय लग रहा है। इंटरनेट जांचें और फिर प्रयास करें।'
+            timeoutError: 'बहुत समय लग रहा है। इंटरनेट जांचें और फिर प्रयास करें।',
+            finishedCourses: 'पूरे हुए कोर्स',
+            courseEnded: 'कोर्स पूरा हुआ'
         },
         'mr-IN': {
             title: 'माझी औषधे',
@@ -104,6 +132,8 @@ const MyMedicines = () => {
             quantity: 'प्रमाण',
             lowStock: 'कमी होत आहे!',
             expires: 'कालबाह्य',
+            expired: 'कालबाह्य झाले',
+            expiryUnknown: 'माहीत नाही - वाचण्यासाठी पट्टी स्कॅन करा',
             details: 'तपशील पहा',
             camera: 'फोटो घ्या',
             analyzing: 'औषध तपासत आहे...',
@@ -114,12 +144,20 @@ const MyMedicines = () => {
             whenToTake: 'कधी घ्यायचे',
             duration: 'कालावधी',
             days: 'दिवस',
+            stock: 'साठा',
+            tabletsLeft: 'उरलेल्या गोळ्या',
+            packSize: 'एका पाकिटात गोळ्या',
+            daysLeft: 'अजून सुमारे {n} दिवस पुरेल',
+            lastsCourse: 'संपूर्ण कोर्ससाठी पुरेसे आहे',
+            stockEstimated: 'प्रिस्क्रिप्शनवरून अंदाज लावला आहे. कृपया मोजून दुरुस्त करा.',
             takeWithFood: 'जेवणासोबत घ्या',
             takeOnEmptyStomach: 'रिकाम्या पोटी घ्या',
             goBack: '← मागे जा',
             repeatInstructions: 'सूचना पुन्हा सांगा',
             tryAgain: 'औषध ओळखता आले नाही. कृपया स्पष्ट फोटोसह पुन्हा प्रयत्न करा.',
-            timeoutError: 'खूप वेळ लागत आहे. इंटरनेट तपासा आणि पुन्हा प्रयत्न करा.'
+            timeoutError: 'खूप वेळ लागत आहे. इंटरनेट तपासा आणि पुन्हा प्रयत्न करा.',
+            finishedCourses: 'पूर्ण झालेले कोर्स',
+            courseEnded: 'कोर्स पूर्ण झाला'
         }
     };
 
@@ -132,11 +170,30 @@ const MyMedicines = () => {
         purple: '#8B5CF6', gray: '#9CA3AF'
     };
 
+    // Stock of the medicine open in the details sheet
+    const selectedStock = selectedMedicine ? getInventoryStatus(selectedMedicine) : null;
+    const selectedExpiry = selectedMedicine ? getMedicineExpiry(selectedMedicine) : null;
+
+    const saveStock = (stock) => {
+        // Ignore an emptied count or a field left unchanged
+        if (stock.quantity === '') return;
+        const unchanged = Object.entries(stock)
+            .every(([field, value]) => (Number(value) || null) === (selectedMedicine[field] || null));
+        if (unchanged) return;
+
+        const updated = setStock(selectedMedicine.id, stock);
+        if (updated) setSelectedMedicine(updated);
+    };
+
     const getColor = (colorName) => colorMap[colorName?.toLowerCase()] || '#3B82F6';
 
-    // Load medicines on mount
+    // Medicines whose prescribed course is over move to their own section
+    const currentMedicines = medicines.filter(m => !isCourseFinished(m));
+    const finishedMedicines = medicines.filter(m => isCourseFinished(m));
+
+    // Load medicines and keep them in sync (other devices, other screens)
     useEffect(() => {
-        loadMedicines();
+        return subscribeToMedicines(setMedicines);
     }, []);
 
     // Announce on mount
@@ -152,16 +209,6 @@ const MyMedicines = () => {
         }
     }, [language, speak]);
 
-    const loadMedicines = () => {
-        const saved = JSON.parse(localStorage.getItem('saarthi_medicines') || '[]');
-        // Ensure quantity field
-        const withQuantity = saved.map(m => ({
-            ...m,
-            quantity: m.quantity ?? 30
-        }));
-        setMedicines(withQuantity);
-    };
-
     // Open camera
     const openCamera = async () => {
         triggerAction();
@@ -227,7 +274,10 @@ const MyMedicines = () => {
             
             if (!result.success) {
                 triggerAlert();
-                speak(labels.blurryImage);
+                // A busy or offline service is not a blurry photo
+                speak(isUnusableResponse(result.errorCode)
+                    ? labels.blurryImage
+                    : getAIErrorMessage(result.errorCode, language));
                 return;
             }
             
@@ -251,14 +301,13 @@ const MyMedicines = () => {
                 triggerSuccess();
                 speak(`${labels.matchFound} ${result.detectedName}`);
                 
-                // Update the matched medicine with user's photo
-                const updatedMeds = medicines.map(med => 
-                    med.id === result.matchedMedicine.id 
-                        ? { ...med, userPhoto: previewUrl, verified: true }
-                        : med
-                );
-                setMedicines(updatedMeds);
-                localStorage.setItem('saarthi_medicines', JSON.stringify(updatedMeds));
+                // Update the matched medicine with user's photo (and expiry, if printed)
+                const expiryDate = normalizeExpiryDate(result.expiryDate);
+                updateMedicine(result.matchedMedicine.id, {
+                    userPhoto: previewUrl,
+                    verified: true,
+                    ...(expiryDate ? { expiryDate } : {})
+                });
                 
             } else {
                 // WARNING: Not in prescription
@@ -325,7 +374,7 @@ const MyMedicines = () => {
                     </motion.div>
                 ) : (
                     <div className="space-y-3">
-                        {medicines.map((medicine, index) => (
+                        {currentMedicines.map((medicine, index) => (
                             <motion.div
                                 key={medicine.id || index}
                                 className="bg-white rounded-2xl p-3 shadow-md border border-gray-100 min-h-[90px] relative overflow-hidden"
@@ -374,7 +423,7 @@ const MyMedicines = () => {
                                     {/* Quantity + Details */}
                                     <div className="flex flex-col items-end gap-1 shrink-0">
                                         <div className={`px-2 py-0.5 rounded-full text-xs sm:text-sm font-bold ${
-                                            medicine.quantity < 3
+                                            getInventoryStatus(medicine).needsRefill
                                                 ? 'bg-red-100 text-red-600'
                                                 : 'bg-gray-100 text-gray-700'
                                         }`}>
@@ -391,13 +440,63 @@ const MyMedicines = () => {
                                     </div>
                                 </div>
 
-                                {medicine.quantity < 3 && (
+                                {getInventoryStatus(medicine).needsRefill && (
                                     <div className="mt-2 pl-6 text-xs text-red-500 font-medium">
-                                        ⚠️ {labels.lowStock}
+                                        ⚠️ {labels.lowStock} {getRefillMessage(getInventoryStatus(medicine), language)}
                                     </div>
                                 )}
+
+                                {(() => {
+                                    const expiry = getMedicineExpiry(medicine);
+                                    if (expiry.status === 'expired') {
+                                        return (
+                                            <div className="mt-2 ml-6 inline-block px-2 py-0.5 rounded-full bg-red-600 text-white text-xs font-bold">
+                                                ⛔ {labels.expired} {formatExpiryMonth(expiry.date, language)}
+                                            </div>
+                                        );
+                                    }
+                                    if (expiry.status === 'expiring') {
+                                        return (
+                                            <div className="mt-2 ml-6 inline-block px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 text-xs font-bold">
+                                                📅 {labels.expires} {formatExpiryMonth(expiry.date, language)}
+                                            </div>
+                                        );
+                                    }
+                                    return null;
+                                })()}
                             </motion.div>
                         ))}
+
+                        {/* Finished Courses */}
+                        {finishedMedicines.length > 0 && (
+                            <div className="pt-4">
+                                <h2 className="text-lg font-bold text-gray-600 mb-2 px-1">
+                                    ✅ {labels.finishedCourses}
+                                </h2>
+                                <div className="space-y-2">
+                                    {finishedMedicines.map((medicine, index) => (
+                                        <button
+                                            key={medicine.id || index}
+                                            onClick={() => setSelectedMedicine(medicine)}
+                                            className="w-full bg-gray-50 rounded-2xl p-3 border border-gray-200 flex items-center gap-3 text-left opacity-80"
+                                        >
+                                            <div
+                                                className="w-8 h-8 rounded-full shrink-0"
+                                                style={{ backgroundColor: getColor(medicine.visualColor) }}
+                                            />
+                                            <div className="flex-1 min-w-0">
+                                                <h3 className="text-base font-semibold text-gray-700 truncate">
+                                                    {medicine.name}
+                                                </h3>
+                                                <p className="text-xs text-gray-500">
+                                                    {labels.courseEnded} • {new Date(medicine.endDate).toLocaleDateString(language)}
+                                                </p>
+                                            </div>
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        )}
                     </div>
                 )}
             </div>
@@ -559,6 +658,13 @@ const MyMedicines = () => {
                                     })}
                                 </div>
 
+                                {/* Non-daily schedule (every N hours, alternate days, SOS, taper) */}
+                                {describeSchedule(selectedMedicine.schedule, language) && (
+                                    <p className="text-gray-700 font-semibold mb-1">
+                                        🔁 {describeSchedule(selectedMedicine.schedule, language)}
+                                    </p>
+                                )}
+
                                 {/* Frequency summary */}
                                 <p className="text-gray-500 text-sm">
                                     {selectedMedicine.frequency || `${(selectedMedicine.timing || ['morning']).length}x daily`}
@@ -595,6 +701,76 @@ const MyMedicines = () => {
                             </div>
                         </div>
 
+                        {/* Expiry */}
+                        <div className="p-4">
+                            <div className="bg-white rounded-2xl p-5 shadow-md flex items-center gap-4">
+                                <div className="w-12 h-12 bg-amber-50 rounded-full flex items-center justify-center">
+                                    <span className="text-2xl">⏳</span>
+                                </div>
+                                <div>
+                                    <p className="text-sm text-gray-500">{labels.expires}</p>
+                                    {selectedExpiry.status === 'unknown' ? (
+                                        <p className="text-base text-gray-500">{labels.expiryUnknown}</p>
+                                    ) : (
+                                        <p className={`text-xl font-bold ${
+                                            selectedExpiry.status === 'expired' ? 'text-red-600'
+                                                : selectedExpiry.status === 'expiring' ? 'text-amber-600'
+                                                    : 'text-gray-800'
+                                        }`}>
+                                            {selectedExpiry.status === 'expired' && `⛔ ${labels.expired} `}
+                                            {formatExpiryMonth(selectedExpiry.date, language)}
+                                        </p>
+                                    )}
+                                </div>
+                            </div>
+                        </div>
+
+                        {/* Stock */}
+                        <div className="p-4" key={`stock-${selectedMedicine.id}`}>
+                            <div className="bg-white rounded-2xl p-5 shadow-md">
+                                <div className="flex items-center gap-4 mb-4">
+                                    <div className="w-12 h-12 bg-green-50 rounded-full flex items-center justify-center">
+                                        <span className="text-2xl">📦</span>
+                                    </div>
+                                    <div>
+                                        <p className="text-sm text-gray-500">{labels.stock}</p>
+                                        <p className={`text-lg font-bold ${selectedStock.needsRefill ? 'text-red-600' : 'text-gray-800'}`}>
+                                            {selectedStock.courseEndsFirst
+                                                ? labels.lastsCourse
+                                                : selectedStock.daysRemaining !== null
+                                                    ? labels.daysLeft.replace('{n}', selectedStock.daysRemaining)
+                                                    : `${selectedMedicine.quantity} ${labels.tabletsLeft}`}
+                                        </p>
+                                    </div>
+                                </div>
+                                <div className="grid grid-cols-2 gap-3">
+                                    <label className="text-sm text-gray-600">
+                                        {labels.tabletsLeft}
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            defaultValue={selectedMedicine.quantity ?? ''}
+                                            onBlur={(e) => saveStock({ quantity: e.target.value })}
+                                            className="mt-1 w-full p-3 text-lg text-center border-2 border-gray-200 rounded-xl focus:border-primary focus:outline-none"
+                                        />
+                                    </label>
+                                    <label className="text-sm text-gray-600">
+                                        {labels.packSize}
+                                        <input
+                                            type="number"
+                                            min="1"
+                                            defaultValue={selectedMedicine.packSize ?? ''}
+                                            onBlur={(e) => saveStock({ packSize: e.target.value })}
+                                            className="mt-1 w-full p-3 text-lg text-center border-2 border-gray-200 rounded-xl focus:border-primary focus:outline-none"
+                                        />
+                                    </label>
+                                </div>
+                                {selectedMedicine.stockEstimated && (
+                                    <p className="mt-3 text-sm text-amber-700">{labels.stockEstimated}</p>
+                                )}
+                            </div>
+                        </div>
+
                         {/* Bottom Buttons */}
                         <div className="p-4 pb-8 flex gap-3">
                             <motion.button
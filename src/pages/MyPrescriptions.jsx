@@ -0,0 +1,212 @@
+/**
+ * MyPrescriptions Page
+ * Every scanned prescription, newest first - opens PrescriptionView
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useApp } from '../context/AppContext';
+import { useVoice } from '../context/VoiceContext';
+import { getLocalPrescriptions, getUserPrescriptions } from '../services/prescriptionService';
+import { IMAGE_RETENTION_OPTIONS, getImageRetentionDays, setImageRetentionDays } from '../services/prescriptionImageService';
+import { triggerAction } from '../utils/haptics';
+import DualActionButtons from '../components/DualActionButtons';
+
+const MyPrescriptions = () => {
+    const navigate = useNavigate();
+    const { language, firebaseUser } = useApp();
+    const { speak } = useVoice();
+    // Device copies straight away; Firestore ones merge in when they arrive
+    const [prescriptions, setPrescriptions] = useState(() => getLocalPrescriptions());
+    const [retentionDays, setRetentionDays] = useState(() => getImageRetentionDays());
+
+    const labels = {
+        'en-US': {
+            title: 'My Prescriptions',
+            subtitle: 'Every prescription you have scanned',
+            back: 'Back',
+            empty: 'No prescriptions yet',
+            emptyHint: 'Scan a prescription and it will be kept here',
+            scan: 'Scan a prescription',
+            unknownDoctor: 'Doctor not written',
+            medicines: '{count} medicines',
+            pages: '{count} pages',
+            scannedOn: 'Scanned {date}',
+            summary: 'You have {count} saved prescriptions.',
+            keepPhotos: 'Keep prescription photos',
+            keepPhotosHint: 'Older photos are deleted automatically. Your medicines and reminders stay.',
+            dontKeep: "Don't keep",
+            forDays: '{n} days',
+            always: 'Always'
+        },
+        'hi-IN': {
+            title: 'मेरे पर्चे',
+            subtitle: 'आपके स्कैन किए सभी पर्चे',
+            back: 'वापस',
+            empty: 'अभी कोई पर्चा नहीं',
+            emptyHint: 'पर्चा स्कैन करें, वह यहाँ रखा जाएगा',
+            scan: 'पर्चा स्कैन करें',
+            unknownDoctor: 'डॉक्टर का नाम नहीं लिखा',
+            medicines: '{count} दवाइयां',
+            pages: '{count} पेज',
+            scannedOn: '{date} को स्कैन किया',
+            summary: 'आपके {count} पर्चे सेव हैं।',
+            keepPhotos: 'पर्चे की फोटो कब तक रखें',
+            keepPhotosHint: 'पुरानी फोटो अपने आप हट जाएंगी। आपकी दवाइयां और रिमाइंडर बने रहेंगे।',
+            dontKeep: 'न रखें',
+            forDays: '{n} दिन',
+            always: 'हमेशा'
+        },
+        'mr-IN': {
+            title: 'माझी प्रिस्क्रिप्शन',
+            subtitle: 'तुम्ही स्कॅन केलेली सर्व प्रिस्क्रिप्शन',
+            back: 'मागे',
+            empty: 'अजून प्रिस्क्रिप्शन नाही',
+            emptyHint: 'प्रिस्क्रिप्शन स्कॅन करा, ते येथे ठेवले जाईल',
+            scan: 'प्रिस्क्रिप्शन स्कॅन करा',
+            unknownDoctor: 'डॉक्टरांचे नाव लिहिलेले नाही',
+            medicines: '{count} औषधे',
+            pages: '{count} पाने',
+            scannedOn: '{date} रोजी स्कॅन केले',
+            summary: 'तुमची {count} प्रिस्क्रिप्शन जतन आहेत.',
+            keepPhotos: 'प्रिस्क्रिप्शनचे फोटो किती दिवस ठेवायचे',
+            keepPhotosHint: 'जुने फोटो आपोआप हटवले जातील. तुमची औषधे आणि रिमाइंडर राहतील.',
+            dontKeep: 'ठेवू नका',
+            forDays: '{n} दिवस',
+            always: 'नेहमी'
+        }
+    };
+
+    const t = labels[language] || labels['en-US'];
+
+    useEffect(() => {
+        let cancelled = false;
+        getUserPrescriptions(firebaseUser?.uid).then((list) => {
+            if (!cancelled) setPrescriptions(list);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [firebaseUser?.uid]);
+
+    useEffect(() => {
+        const count = getLocalPrescriptions().length;
+        speak(count > 0 ? t.summary.replace('{count}', count) : t.empty);
+    }, [speak, t.summary, t.empty]);
+
+    const formatDate = (iso) => new Date(iso).toLocaleDateString(language, {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric'
+    });
+
+    const retentionLabel = (days) => {
+        if (days === 0) return t.dontKeep;
+        if (days === null) return t.always;
+        return t.forDays.replace('{n}', days);
+    };
+
+    // Shorter setting deletes older photos now - reload so the list reflects it
+    const changeRetention = (days) => {
+        triggerAction();
+        setRetentionDays(days);
+        setImageRetentionDays(days).then(() => setPrescriptions(getLocalPrescriptions()));
+    };
+
+    const openPrescription = (id) => {
+        triggerAction();
+        navigate(`/prescription/${id}`);
+    };
+
+    return (
+        <div className="min-h-screen flex flex-col bg-gradient-to-b from-gray-50 to-white pb-32">
+            {/* Header */}
+            <div className="bg-gradient-to-br from-teal-500 to-teal-600 text-white px-4 py-6 pt-8 pb-10 rounded-b-3xl shadow-xl">
+                <button
+                    onClick={() => navigate('/dashboard')}
+                    className="flex items-center gap-2 text-white/80 hover:text-white mb-4"
+                >
+                    <span className="text-2xl">←</span>
+                    <span className="text-lg">{t.back}</span>
+                </button>
+                <h1 className="text-3xl sm:text-4xl font-bold mb-2">{t.title}</h1>
+                <p className="text-base sm:text-lg text-white/80">{t.subtitle}</p>
+            </div>
+
+            <div className="flex-1 px-4 py-4 -mt-4">
+                {prescriptions.length === 0 ? (
+                    <div className="flex flex-col items-center justify-center py-16 text-center">
+                        <div className="text-8xl mb-6">📄</div>
+                        <h2 className="text-2xl font-bold text-gray-700 mb-2">{t.empty}</h2>
+                        <p className="text-gray-500 mb-6">{t.emptyHint}</p>
+                        <button
+                            onClick={() => navigate('/scan')}
+                            className="px-8 py-4 bg-primary text-white rounded-full text-xl font-semibold"
+                        >
+                            📸 {t.scan}
+                        </button>
+                    </div>
+                ) : (
+                    <ul className="space-y-3">
+                        {prescriptions.map((prescription) => (
+                            <li key={prescription.id}>
+                                <button
+                                    onClick={() => openPrescription(prescription.id)}
+                                    className="w-full bg-white rounded-2xl p-4 shadow-md border border-gray-100 text-left flex items-center gap-4"
+                                >
+                                    <span className="text-4xl">📄</span>
+                                    <span className="flex-1 min-w-0">
+                                        <span className="block text-xl font-bold text-gray-800 truncate">
+                                            {prescription.doctorName || t.unknownDoctor}
+                                        </span>
+                                        <span className="block text-base text-gray-500">
+                                            {prescription.prescriptionDate || t.scannedOn.replace('{date}', formatDate(prescription.createdAt))}
+                                        </span>
+                                        <span className="block text-base text-gray-700 truncate">
+                                            {(prescription.medicines || []).map(m => m.name).join(', ')}
+                                        </span>
+                                    </span>
+                                    <span className="flex flex-col items-end gap-1 text-sm">
+                                        <span className="px-3 py-1 rounded-full bg-teal-100 text-teal-800 font-semibold">
+                                            {t.medicines.replace('{count}', prescription.medicines?.length || 0)}
+                                        </span>
+                                        {prescription.pageCount > 1 && (
+                                            <span className="px-3 py-1 rounded-full bg-gray-100 text-gray-600">
+                                                {t.pages.replace('{count}', prescription.pageCount)}
+                                            </span>
+                                        )}
+                                    </span>
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+
+                {/* Photo retention (privacy) */}
+                <div className="mt-6 bg-white rounded-2xl p-4 shadow-md border border-gray-100">
+                    <h2 className="text-xl font-bold text-gray-800">🖼️ {t.keepPhotos}</h2>
+                    <p className="text-base text-gray-500 mb-3">{t.keepPhotosHint}</p>
+                    <div className="flex flex-wrap gap-2" role="radiogroup" aria-label={t.keepPhotos}>
+                        {IMAGE_RETENTION_OPTIONS.map(days => (
+                            <button
+                                key={String(days)}
+                                role="radio"
+                                aria-checked={retentionDays === days}
+                                onClick={() => changeRetention(days)}
+                                className={`px-4 py-3 rounded-full text-lg font-semibold border-2 ${retentionDays === days
+                                    ? 'bg-teal-600 border-teal-600 text-white'
+                                    : 'bg-white border-gray-300 text-gray-700'}`}
+                            >
+                                {retentionLabel(days)}
+                            </button>
+                        ))}
+                    </div>
+                </div>
+            </div>
+
+            <DualActionButtons />
+        </div>
+    );
+};
+
+export default MyPrescriptions;
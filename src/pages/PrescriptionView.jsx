@@ -1,144 +1,220 @@
-import { useEffect } from 'react';
-import { useParams } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useApp } from '../context/AppContext';
 import { useVoiceButler } from '../context/VoiceButlerContext';
+import { getPrescriptionById } from '../services/prescriptionService';
+import { getPrescriptionImageUrl, getImageDeleteDate, deletePrescriptionImages } from '../services/prescriptionImageService';
+import { getMedicineById } from '../services/medicineRepository';
+import { getRemindersForMedicine, formatTime } from '../services/reminderService';
 import { triggerAction } from '../utils/haptics';
 import { staggerContainer, staggerItem } from '../utils/animations';
 import DualActionButtons from '../components/DualActionButtons';
+import ImageZoomViewer from '../components/ImageZoomViewer';
 
-// Enhanced 3D Visual pill component with premium rendering
-const PillVisual = ({ description }) => {
-    // Parse description (e.g., "Small round blue tablet")
-    const desc = description.toLowerCase();
-    const isRound = desc.includes('round');
-    const isOval = desc.includes('oval');
-    const isTablet = desc.includes('tablet');
-    const isCapsule = desc.includes('capsule');
-
-    // Determine color
-    let color = '#3B82F6'; // default blue
-    let borderColor = '#2563EB';
-    if (desc.includes('white')) {
-        color = '#F3F4F6';
-        borderColor = '#D1D5DB';
-    }
-    if (desc.includes('yellow')) {
-        color = '#FCD34D';
-        borderColor = '#F59E0B';
-    }
-    if (desc.includes('pink')) {
-        color = '#F472B6';
-        borderColor = '#EC4899';
-    }
-    if (desc.includes('green')) {
-        color = '#10B981';
-        borderColor = '#059669';
-    }
-    if (desc.includes('orange')) {
-        color = '#FB923C';
-        borderColor = '#F97316';
-    }
-    if (desc.includes('red')) {
-        color = '#EF4444';
-        borderColor = '#DC2626';
-    }
+const TIMING_ICONS = { morning: '☀️', afternoon: '🌤️', evening: '🌅', night: '🌙' };
 
-    // Determine shape and size
-    let shapeClasses = 'w-32 h-32 rounded-full'; // Default round
-    if (isOval || isCapsule) {
-        shapeClasses = 'w-40 h-24 rounded-full';
-    }
-    if (isTablet && !isRound) {
-        shapeClasses = 'w-32 h-32 rounded-2xl';
+const LABELS = {
+    'en-US': {
+        title: 'Prescription',
+        loading: 'Opening prescription...',
+        notFound: 'This prescription could not be found.',
+        backToList: 'My Prescriptions',
+        doctor: 'Doctor',
+        unknownDoctor: 'Not written',
+        date: 'Date',
+        scannedOn: 'Scanned on',
+        medicines: 'Medicines',
+        page: 'Page {n}',
+        withFood: 'With food',
+        emptyStomach: 'Empty stomach',
+        days: '{n} days',
+        reminders: 'Reminders',
+        noReminders: 'No reminders set',
+        openMedicine: 'Open medicine',
+        notSaved: 'Not in your medicine list',
+        photos: 'Original photo',
+        photoPage: 'Page {n}',
+        photoLoading: 'Loading photo...',
+        photoUnavailable: 'Photo not available',
+        deletesOn: 'Photo will be deleted on {date}',
+        keptUntilDeleted: 'Photo is kept until you delete it',
+        deletePhotos: 'Delete photo now',
+        unreadable: 'Could not be read',
+        times: { morning: 'Morning', afternoon: 'Afternoon', evening: 'Evening', night: 'Night' },
+        quality: { CLEAR: 'Clearly read', PARTIAL: 'Partly read', POOR: 'Hard to read' },
+        summary: 'Prescription from {doctor}, with {count} medicines: {names}.',
+        summaryNoDoctor: 'This prescription has {count} medicines: {names}.',
+        repeat: 'Repeat'
+    },
+    'hi-IN': {
+        title: 'पर्चा',
+        loading: 'पर्चा खोल रहा हूँ...',
+        notFound: 'यह पर्चा नहीं मिला।',
+        backToList: 'मेरे पर्चे',
+        doctor: 'डॉक्टर',
+        unknownDoctor: 'नहीं लिखा',
+        date: 'तारीख',
+        scannedOn: 'स्कैन किया',
+        medicines: 'दवाइयां',
+        page: 'पेज {n}',
+        withFood: 'खाने के साथ',
+        emptyStomach: 'खाली पेट',
+        days: '{n} दिन',
+        reminders: 'रिमाइंडर',
+        noReminders: 'कोई रिमाइंडर नहीं',
+        openMedicine: 'दवाई खोलें',
+        notSaved: 'आपकी दवाई सूची में नहीं',
+        photos: 'असली फोटो',
+        photoPage: 'पेज {n}',
+        photoLoading: 'फोटो खुल रही है...',
+        photoUnavailable: 'फोटो उपलब्ध नहीं',
+        deletesOn: 'फोटो {date} को हटा दी जाएगी',
+        keptUntilDeleted: 'फोटो तब तक रखी जाएगी जब तक आप न हटाएं',
+        deletePhotos: 'फोटो अभी हटाएं',
+        unreadable: 'पढ़ा नहीं जा सका',
+        times: { morning: 'सुबह', afternoon: 'दोपहर', evening: 'शाम', night: 'रात' },
+        quality: { CLEAR: 'साफ पढ़ा गया', PARTIAL: 'कुछ हिस्सा पढ़ा गया', POOR: 'पढ़ने में मुश्किल' },
+        summary: '{doctor} का पर्चा, {count} दवाइयां: {names}।',
+        summaryNoDoctor: 'इस पर्चे में {count} दवाइयां हैं: {names}।',
+        repeat: 'फिर से सुनें'
+    },
+    'mr-IN': {
+        title: 'प्रिस्क्रिप्शन',
+        loading: 'प्रिस्क्रिप्शन उघडत आहे...',
+        notFound: 'हे प्रिस्क्रिप्शन सापडले नाही.',
+        backToList: 'माझी प्रिस्क्रिप्शन',
+        doctor: 'डॉक्टर',
+        unknownDoctor: 'लिहिलेले नाही',
+        date: 'तारीख',
+        scannedOn: 'स्कॅन केले',
+        medicines: 'औषधे',
+        page: 'पान {n}',
+        withFood: 'जेवणासोबत',
+        emptyStomach: 'रिकाम्या पोटी',
+        days: '{n} दिवस',
+        reminders: 'रिमाइंडर',
+        noReminders: 'रिमाइंडर नाही',
+        openMedicine: 'औषध उघडा',
+        notSaved: 'तुमच्या औषध यादीत नाही',
+        photos: 'मूळ फोटो',
+        photoPage: 'पान {n}',
+        photoLoading: 'फोटो उघडत आहे...',
+        photoUnavailable: 'फोटो उपलब्ध नाही',
+        deletesOn: 'फोटो {date} रोजी हटवला जाईल',
+        keptUntilDeleted: 'तुम्ही हटवेपर्यंत फोटो ठेवला जाईल',
+        deletePhotos: 'फोटो आता हटवा',
+        unreadable: 'वाचता आले नाही',
+        times: { morning: 'सकाळी', afternoon: 'दुपारी', evening: 'संध्याकाळी', night: 'रात्री' },
+        quality: { CLEAR: 'स्पष्ट वाचले', PARTIAL: 'अंशतः वाचले', POOR: 'वाचायला कठीण' },
+        summary: '{doctor} यांचे प्रिस्क्रिप्शन, {count} औषधे: {names}.',
+        summaryNoDoctor: 'या प्रिस्क्रिप्शनमध्ये {count} औषधे आहेत: {names}.',
+        repeat: 'पुन्हा ऐका'
     }
+};
 
-    return (
-        <div className="flex items-center justify-center my-8">
-            <motion.div
-                className={`
-          ${shapeClasses}
-          border-4
-          relative
-        `}
-                style={{
-                    backgroundColor: color,
-                    borderColor: borderColor,
-                    boxShadow: `
-            0 20px 50px rgba(0,0,0,0.25),
-            inset 0 -10px 20px rgba(0,0,0,0.15),
-            inset 0 10px 20px rgba(255,255,255,0.3)
-          `
-                }}
-                initial={{ scale: 0, rotateY: 0, rotateX: 0 }}
-                animate={{
-                    scale: 1,
-                    rotateY: 360,
-                    rotateX: 10
-                }}
-                transition={{
-                    scale: { duration: 0.6, delay: 0.2 },
-                    rotateY: { duration: 1.5, delay: 0.3, ease: "easeOut" }
-                }}
-            >
-                {/* Shine effect */}
-                <div
-                    className="absolute inset-0 rounded-inherit opacity-40"
-                    style={{
-                        background: 'linear-gradient(135deg, rgba(255,255,255,0.8) 0%, rgba(255,255,255,0) 50%, rgba(255,255,255,0.8) 100%)',
-                        borderRadius: 'inherit'
-                    }}
-                />
-
-                {/* Center line for tablets */}
-                {isTablet && !isRound && (
-                    <div
-                        className="absolute top-0 bottom-0 left-1/2 w-0.5 transform -translate-x-1/2"
-                        style={{
-                            backgroundColor: borderColor,
-                            opacity: 0.3
-                        }}
-                    />
-                )}
-            </motion.div>
-        </div>
-    );
+const sameName = (a, b) => {
+    const first = (a || '').toLowerCase().trim();
+    const second = (b || '').toLowerCase().trim();
+    return !!first && !!second && (first === second || first.includes(second) || second.includes(first));
 };
 
+// The saved medicine record a line of the prescription became (if it still exists)
+const findSavedMedicine = (prescription, medicine) => (prescription.medicineIds || [])
+    .map(getMedicineById)
+    .find(saved => saved && sameName(saved.name, medicine.name)) || null;
+
 const PrescriptionView = () => {
     const { id } = useParams();
+    const navigate = useNavigate();
     const { language, setCurrentPageContent } = useApp();
     const { announcePageAndAction } = useVoiceButler();
+    // undefined while loading, null when not found
+    const [prescription, setPrescription] = useState(undefined);
+    // Download URLs by storage path; null when a photo could not be loaded
+    const [imageUrls, setImageUrls] = useState({});
+    const [zoomedPath, setZoomedPath] = useState(null);
 
-    // Sample prescription data
-    const prescription = {
-        name: 'Amlodipine',
-        dosage: '5mg',
-        visualDescription: 'Small round blue tablet',
-        timing: [
-            { time: 'morning', icon: '☀️', label: 'Morning' },
-            { time: 'evening', icon: '🌙', label: 'Evening' }
-        ],
-        withFood: true,
-        instructions: {
-            'en-US': 'Take one tablet in the morning and one in the evening with food.',
-            'hi-IN': 'सुबह और शाम को भोजन के साथ एक गोली लें।',
-            'mr-IN': 'सकाळी आणि संध्याकाळी जेवणासोबत एक गोळी घ्या.'
-        }
-    };
+    const t = LABELS[language] || LABELS['en-US'];
 
-    const instruction = prescription.instructions[language] || prescription.instructions['en-US'];
+    useEffect(() => {
+        let cancelled = false;
+        getPrescriptionById(id).then((record) => {
+            if (!cancelled) setPrescription(record);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [id]);
+
+    const images = prescription?.images;
 
     useEffect(() => {
-        setCurrentPageContent(instruction);
-        announcePageAndAction('Prescription Details', instruction, false);
-    }, [instruction, setCurrentPageContent, announcePageAndAction]);
+        if (!images?.length) return;
+        let cancelled = false;
+        Promise.all(images.map(image => getPrescriptionImageUrl(image.path))).then((urls) => {
+            if (cancelled) return;
+            setImageUrls(Object.fromEntries(images.map((image, i) => [image.path, urls[i]])));
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [images]);
+
+    const medicines = prescription?.medicines || [];
+    const names = medicines.map(m => m.name).join(', ');
+    const summary = prescription
+        ? (prescription.doctorName ? t.summary : t.summaryNoDoctor)
+            .replace('{doctor}', prescription.doctorName)
+            .replace('{count}', medicines.length)
+            .replace('{names}', names)
+        : '';
+
+    useEffect(() => {
+        if (!summary) return;
+        setCurrentPageContent(summary);
+        announcePageAndAction('Prescription Details', summary, false);
+    }, [summary, setCurrentPageContent, announcePageAndAction]);
 
     const handleRepeat = () => {
         triggerAction();
-        announcePageAndAction('', instruction, false);
+        announcePageAndAction('', summary, false);
+    };
+
+    const handleDeletePhotos = () => {
+        triggerAction();
+        setZoomedPath(null);
+        deletePrescriptionImages(prescription)
+            .then(() => getPrescriptionById(id))
+            .then(setPrescription);
     };
 
+    const formatDate = (iso) => new Date(iso).toLocaleDateString(language, {
+        day: 'numeric',
+        month: 'short',
+        year: 'numeric'
+    });
+
+    if (!prescription) {
+        return (
+            <div className="min-h-screen flex flex-col items-center justify-center p-6 pb-32 bg-gradient-to-b from-gray-50 to-white">
+                <div className="text-6xl mb-4">{prescription === null ? '📄' : '⏳'}</div>
+                <p className="text-xl text-gray-600 text-center mb-6">
+                    {prescription === null ? t.notFound : t.loading}
+                </p>
+                {prescription === null && (
+                    <button
+                        onClick={() => navigate('/prescriptions')}
+                        className="px-8 py-4 bg-primary text-white rounded-full text-xl font-semibold"
+                    >
+                        {t.backToList}
+                    </button>
+                )}
+                <DualActionButtons />
+            </div>
+        );
+    }
+
     return (
         <motion.div
             className="min-h-screen flex flex-col p-6 pb-32 overflow-y-auto bg-gradient-to-b from-gray-50 to-white"
@@ -146,102 +222,189 @@ const PrescriptionView = () => {
             animate={{ opacity: 1 }}
             exit={{ opacity: 0 }}
         >
+            <button
+                onClick={() => navigate('/prescriptions')}
+                className="flex items-center gap-2 text-gray-600 hover:text-gray-800 mb-4"
+            >
+                <span className="text-2xl">←</span>
+                <span className="text-lg font-medium">{t.backToList}</span>
+            </button>
+
             {/* Header */}
             <motion.div
-                className="text-center mb-6 mt-6"
+                className="bg-white p-6 rounded-2xl shadow-premium border-2 border-gray-100 mb-6"
                 initial={{ y: -20, opacity: 0 }}
                 animate={{ y: 0, opacity: 1 }}
             >
-                <h1 className="text-4xl font-display font-bold text-gray-800">
-                    {prescription.name}
-                </h1>
-                <p className="text-2xl text-gray-500 mt-1">{prescription.dosage}</p>
+                <h1 className="text-3xl font-display font-bold text-gray-800 mb-3">📄 {t.title}</h1>
+                <dl className="grid grid-cols-2 gap-3 text-lg">
+                    <div>
+                        <dt className="text-gray-500">{t.doctor}</dt>
+                        <dd className="font-semibold text-gray-800">{prescription.doctorName || t.unknownDoctor}</dd>
+                    </div>
+                    <div>
+                        <dt className="text-gray-500">{prescription.prescriptionDate ? t.date : t.scannedOn}</dt>
+                        <dd className="font-semibold text-gray-800">
+                            {prescription.prescriptionDate || formatDate(prescription.createdAt)}
+                        </dd>
+                    </div>
+                </dl>
+                {prescription.extractionQuality && (
+                    <span className="inline-block mt-3 px-3 py-1 rounded-full bg-gray-100 text-gray-700 text-sm">
+                        {t.quality[prescription.extractionQuality] || prescription.extractionQuality}
+                    </span>
+                )}
             </motion.div>
 
-            {/* Enhanced 3D Pill Visual */}
-            <PillVisual description={prescription.visualDescription} />
-            <motion.p
-                className="text-center text-lg text-gray-600 mb-8"
-                initial={{ opacity: 0 }}
-                animate={{ opacity: 1 }}
-                transition={{ delay: 0.4 }}
-            >
-                {prescription.visualDescription}
-            </motion.p>
+            {/* Original photo (Cloud Storage) */}
+            {images?.length > 0 && (
+                <div className="bg-white p-5 rounded-2xl shadow-premium border-2 border-gray-100 mb-6">
+                    <h2 className="text-2xl font-semibold text-gray-800 mb-3">🖼️ {t.photos}</h2>
+                    <div className="grid grid-cols-2 gap-3">
+                        {images.map(image => {
+                            const url = imageUrls[image.path];
+                            return (
+                                <button
+                                    key={image.path}
+                                    onClick={() => {
+                                        triggerAction();
+                                        setZoomedPath(image.path);
+                                    }}
+                                    disabled={!url}
+                                    className="rounded-xl border-2 border-gray-200 overflow-hidden bg-gray-50 text-left"
+                                >
+                                    {url ? (
+                                        <img src={url} alt={t.photoPage.replace('{n}', image.page)} className="w-full h-40 object-cover" />
+                                    ) : (
+                                        <span className="flex h-40 items-center justify-center text-gray-500 p-2 text-center">
+                                            {url === null ? t.photoUnavailable : t.photoLoading}
+                                        </span>
+                                    )}
+                                    {images.length > 1 && (
+                                        <span className="block px-3 py-1 text-base text-gray-600">
+                                            {t.photoPage.replace('{n}', image.page)}
+                                        </span>
+                                    )}
+                                </button>
+                            );
+                        })}
+                    </div>
+                    <p className="mt-3 text-base text-gray-500">
+                        {getImageDeleteDate(images[0])
+                            ? t.deletesOn.replace('{date}', formatDate(getImageDeleteDate(images[0])))
+                            : t.keptUntilDeleted}
+                    </p>
+                    <button
+                        onClick={handleDeletePhotos}
+                        className="mt-3 w-full py-3 rounded-xl bg-red-50 border-2 border-red-300 text-red-700 text-lg font-semibold"
+                    >
+                        🗑️ {t.deletePhotos}
+                    </button>
+                </div>
+            )}
 
-            {/* Content Cards */}
-            <motion.div
+            {zoomedPath && imageUrls[zoomedPath] && (
+                <ImageZoomViewer
+                    src={imageUrls[zoomedPath]}
+                    alt={t.photos}
+                    language={language}
+                    onClose={() => setZoomedPath(null)}
+                />
+            )}
+
+            {/* Medicines */}
+            <h2 className="text-2xl font-semibold text-gray-800 mb-3">💊 {t.medicines}</h2>
+            <motion.ul
                 className="space-y-4"
                 variants={staggerContainer}
                 initial="initial"
                 animate="animate"
             >
-                {/* Timing Timeline */}
-                <motion.div
-                    className="bg-white p-6 rounded-2xl shadow-premium border-2 border-gray-100"
-                    variants={staggerItem}
-                >
-                    <h2 className="text-2xl font-semibold text-gray-800 mb-4">When to Take</h2>
-                    <div className="flex items-center justify-around">
-                        {prescription.timing.map((time, index) => (
-                            <motion.div
-                                key={time.time}
-                                className="flex flex-col items-center"
-                                initial={{ scale: 0 }}
-                                animate={{ scale: 1 }}
-                                transition={{ delay: 0.5 + index * 0.1 }}
-                            >
-                                <div className="w-16 h-16 bg-gradient-to-br from-primary to-primary-dark rounded-full flex items-center justify-center text-3xl shadow-premium mb-2">
-                                    {time.icon}
+                {medicines.map((medicine, index) => {
+                    const saved = findSavedMedicine(prescription, medicine);
+                    const reminders = saved ? getRemindersForMedicine(saved.id) : [];
+
+                    return (
+                        <motion.li
+                            key={`${medicine.name}-${index}`}
+                            className="bg-white p-5 rounded-2xl shadow-premium border-2 border-gray-100"
+                            variants={staggerItem}
+                        >
+                            <div className="flex items-start justify-between gap-3">
+                                <div>
+                                    <h3 className="text-2xl font-bold text-gray-800">{medicine.name}</h3>
+                                    <p className="text-lg text-gray-500">
+                                        {[medicine.dosage, medicine.frequency].filter(Boolean).join(' • ')}
+                                    </p>
                                 </div>
-                                <p className="text-lg font-medium text-gray-700">{time.label}</p>
-                            </motion.div>
-                        ))}
-                    </div>
-                </motion.div>
-
-                {/* Food Instructions */}
-                <motion.div
-                    className="bg-white p-6 rounded-2xl shadow-premium border-2 border-gray-100"
-                    variants={staggerItem}
-                >
-                    <h2 className="text-2xl font-semibold text-gray-800 mb-3">Food Instructions</h2>
-                    <div className="flex items-center space-x-3">
-                        <div className="text-4xl">{prescription.withFood ? '✅' : '❌'}</div>
-                        <p className="text-xl text-gray-700">
-                            {prescription.withFood ? 'Take with food' : 'Take on empty stomach'}
-                        </p>
-                    </div>
-                </motion.div>
-
-                {/* Full Instructions */}
-                <motion.div
-                    className="bg-gradient-to-br from-blue-50 to-blue-100 p-6 rounded-2xl border-2 border-blue-200"
-                    variants={staggerItem}
-                >
-                    <h2 className="text-2xl font-semibold text-blue-900 mb-3">Instructions</h2>
-                    <p className="text-xl leading-relaxed text-blue-800">
-                        {instruction}
-                    </p>
-                </motion.div>
-
-                {/* Repeat Button */}
-                <motion.button
-                    onClick={handleRepeat}
-                    className="
-            w-full min-h-button p-4 rounded-xl
-            bg-white border-2 border-primary
-            text-primary font-bold text-xl
-            shadow-md hover:shadow-premium
-            transition-all
-          "
-                    variants={staggerItem}
-                    whileHover={{ scale: 1.02 }}
-                    whileTap={{ scale: 0.98 }}
-                >
-                    🔊 Repeat Instructions
-                </motion.button>
-            </motion.div>
+                                {prescription.pageCount > 1 && medicine.page && (
+                                    <span className="px-3 py-1 rounded-full bg-gray-100 text-gray-600 text-sm shrink-0">
+                                        {t.page.replace('{n}', medicine.page)}
+                                    </span>
+                                )}
+                            </div>
+
+                            <div className="flex flex-wrap gap-2 mt-3 text-base">
+                                {(medicine.timing || []).map(time => (
+                                    <span key={time} className="px-3 py-1 rounded-full bg-primary/10 text-primary-dark">
+                                        {TIMING_ICONS[time] || '💊'} {t.times[time] || time}
+                                    </span>
+                                ))}
+                                <span className="px-3 py-1 rounded-full bg-gray-100 text-gray-700">
+                                    {medicine.withFood === false ? `❌ ${t.emptyStomach}` : `✅ ${t.withFood}`}
+                                </span>
+                                {medicine.durationDays && (
+                                    <span className="px-3 py-1 rounded-full bg-gray-100 text-gray-700">
+                                        {t.days.replace('{n}', medicine.durationDays)}
+                                    </span>
+                                )}
+                            </div>
+
+                            {medicine.specialInstructions && (
+                                <p className="mt-3 text-lg text-blue-800">{medicine.specialInstructions}</p>
+                            )}
+
+                            {saved ? (
+                                <div className="mt-4 grid grid-cols-2 gap-2">
+                                    <button
+                                        onClick={() => navigate('/medicines', { state: { medicineId: saved.id } })}
+                                        className="py-3 rounded-xl bg-white border-2 border-primary text-primary font-semibold"
+                                    >
+                                        💊 {t.openMedicine}
+                                    </button>
+                                    <button
+                                        onClick={() => navigate('/reminders')}
+                                        className="py-3 rounded-xl bg-white border-2 border-gray-300 text-gray-700 font-semibold"
+                                    >
+                                        ⏰ {reminders.length > 0
+                                            ? reminders.map(r => formatTime(r.time)).join(', ')
+                                            : t.noReminders}
+                                    </button>
+                                </div>
+                            ) : (
+                                <p className="mt-4 text-base text-gray-500">{t.notSaved}</p>
+                            )}
+                        </motion.li>
+                    );
+                })}
+            </motion.ul>
+
+            {prescription.unreadableSections?.length > 0 && (
+                <div className="mt-6 p-5 bg-amber-50 rounded-2xl border-2 border-amber-200">
+                    <h2 className="text-xl font-semibold text-amber-900 mb-2">⚠️ {t.unreadable}</h2>
+                    <ul className="list-disc pl-6 text-lg text-amber-800">
+                        {prescription.unreadableSections.map(section => <li key={section}>{section}</li>)}
+                    </ul>
+                </div>
+            )}
+
+            {/* Repeat Button */}
+            <button
+                onClick={handleRepeat}
+                className="mt-6 w-full min-h-button p-4 rounded-xl bg-white border-2 border-primary text-primary font-bold text-xl shadow-md hover:shadow-premium transition-all"
+            >
+                🔊 {t.repeat}
+            </button>
 
             {/* Global Action Button */}
             <DualActionButtons />
@@ -12,7 +12,9 @@ import { useApp } from '../context/AppContext';
 import { useVoiceButler } from '../context/VoiceButlerContext';
 import { useVoice } from '../context/VoiceContext';
 import { triggerAlert, triggerSuccess, triggerAction } from '../utils/haptics';
-import { logMedicationAction } from '../services/medicationService';
+import { logDose } from '../services/adherenceLog';
+import { getMedicines, getMedicineById, findMedicineByName } from '../services/medicineRepository';
+import { getInventoryStatus, getRefillMessage } from '../services/inventoryService';
 import { requestNotificationPermission, triggerMissedDoseNotification } from '../utils/notifications';
 
 // Color mapping for visual pills
@@ -48,8 +50,8 @@ const Reminder = () => {
     const medicineId = searchParams.get('id');
     const timing = searchParams.get('timing') || 'morning';
     
-    // Load medicine from localStorage (or could be from Firestore)
-    const savedMedicines = JSON.parse(localStorage.getItem('saarthi_medicines') || '[]');
+    // Load medicine from the medicine repository
+    const savedMedicines = getMedicines();
     const medicine = medicineId 
         ? savedMedicines.find(m => m.id === medicineId) 
         : savedMedicines[0] || {
@@ -192,37 +194,20 @@ const Reminder = () => {
         triggerSuccess();
         setStatus('taken');
 
-        // Log to Firestore
-        await logMedicationAction(
+        // Log the dose (device history + Firestore)
+        await logDose(
             medicine.id || 'unknown',
             medicine.name,
             'taken',
             { timing, scheduledTime: new Date().toISOString() }
         );
 
-        // Phase 4: Inventory Decrement
-        const allMedicines = JSON.parse(localStorage.getItem('saarthi_medicines') || '[]');
-        const updatedMedicines = allMedicines.map(m => {
-            if (m.id === medicine.id || (m.name === medicine.name && !medicine.id)) {
-                const newQty = Math.max((m.quantity || 30) - 1, 0);
-                return { ...m, quantity: newQty };
-            }
-            return m;
-        });
-        localStorage.setItem('saarthi_medicines', JSON.stringify(updatedMedicines));
-
-        // Check for low stock (quantity < 3)
-        const updatedMed = updatedMedicines.find(m => 
-            m.id === medicine.id || (m.name === medicine.name && !medicine.id)
-        );
-        if (updatedMed && updatedMed.quantity < 3) {
-            const lowStockMsg = {
-                'en-US': `Warning! You are running low on ${medicine.name}.`,
-                'hi-IN': `चेतावनी! आपकी ${medicine.name} कम हो रही है।`,
-                'mr-IN': `चेतावणी! तुमची ${medicine.name} कमी होत आहे.`
-            };
+        // Phase 4: the log took the dose out of stock - warn if a refill is due
+        const storedMed = (medicine.id && getMedicineById(medicine.id)) || findMedicineByName(medicine.name);
+        const stock = storedMed && getInventoryStatus(storedMed);
+        if (stock?.needsRefill) {
             setTimeout(() => {
-                announce(lowStockMsg[language] || lowStockMsg['en-US']);
+                announce(getRefillMessage(stock, language));
             }, 1500);
         }
 
@@ -241,8 +226,8 @@ const Reminder = () => {
         triggerAction();
         setStatus('snoozed');
 
-        // Log snooze to Firestore
-        await logMedicationAction(
+        // Log the snooze
+        await logDose(
             medicine.id || 'unknown',
             medicine.name,
             'snoozed',
@@ -268,8 +253,8 @@ const Reminder = () => {
         triggerAlert();
         setStatus('missed');
 
-        // Log missed to Firestore
-        await logMedicationAction(
+        // Log as missed
+        await logDose(
             medicine.id || 'unknown',
             medicine.name,
             'missed',
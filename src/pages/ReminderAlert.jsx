@@ -1,26 +1,53 @@
-import { useEffect, useState, useRef } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
+import { useEffect, useState, useRef, useCallback, useMemo } from 'react';
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import { useApp } from '../context/AppContext';
 import { useVoiceButler } from '../context/VoiceButlerContext';
 import { useVoice } from '../context/VoiceContext';
-import { getReminderById, formatTime } from '../services/reminderService';
+import { getReminderById, formatTime, isLastDose, getDoseAmount } from '../services/reminderService';
+import { logDose, getMissedDoseLogId } from '../services/adherenceLog';
 import { triggerAlert, triggerSuccess } from '../utils/haptics';
+import { snoozeReminderOccurrence, resolveReminderOccurrence } from '../services/reminderEngine';
+import { scheduleReminderNotification } from '../utils/notifications';
+import { isDoseMissed, getLateDoseAdvice, LATE_DOSE_ADVICE } from '../services/missedDoseService';
+
+// Helper function to convert color names to hex
+const getColorHex = (colorName) => {
+    const colors = {
+        'white': '#F9FAFB',
+        'pink': '#F472B6',
+        'blue': '#3B82F6',
+        'red': '#EF4444',
+        'yellow': '#FBBF24',
+        'green': '#10B981',
+        'orange': '#F97316',
+        'brown': '#92400E',
+        'purple': '#8B5CF6',
+        'gray': '#6B7280'
+    };
+    return colors[colorName?.toLowerCase()] || colors.blue;
+};
 
 /**
  * ReminderAlert - Full-screen alert when a reminder fires
  * Can be triggered from:
- * 1. ReminderScheduler (passes reminder ID)
- * 2. Notification click (passes medicine ID)
+ * 1. ReminderScheduler / reminder engine: /reminder/alert/:reminderId
+ * 2. Missed-dose notification click: /reminder/alert?medicine=:medicineId
+ * With ?missed=1 (or once the grace window has passed) it asks "take it now
+ * or skip?" and says whether a late dose is still safe.
+ * The medicine shown is the record the reminder is linked to (reminder.medicineId).
  */
 const ReminderAlert = () => {
     const navigate = useNavigate();
     const { id } = useParams();
+    const [searchParams] = useSearchParams();
+    const scheduledTime = searchParams.get('scheduled');
+    const medicineParam = searchParams.get('medicine');
+    const missedParam = searchParams.get('missed') === '1';
     const { language, savedMedicines } = useApp();
     const { announce } = useVoiceButler();
-    const { transcript } = useVoice();
+    const { onFinalTranscript } = useVoice();
 
-    const [reminder, setReminder] = useState(null);
     const [dismissed, setDismissed] = useState(false);
     const [skipped, setSkipped] = useState(false);
     const [snoozed, setSnoozed] = useState(false);
@@ -37,6 +64,7 @@ const ReminderAlert = () => {
     const labels = {
         'en-US': {
             title: 'Medicine Time!',
+            missedTitle: 'Missed Dose',
             taken: '✓ I have taken it',
             snooze: 'Snooze',
             skip: 'Skip',
@@ -46,6 +74,7 @@ const ReminderAlert = () => {
         },
         'hi-IN': {
             title: 'दवा का समय!',
+            missedTitle: 'दवाई छूट गई',
             taken: '✓ मैंने ले लिया',
             snooze: 'स्नूज़',
             skip: 'छोड़ें',
@@ -55,6 +84,7 @@ const ReminderAlert = () => {
         },
         'mr-IN': {
             title: 'औषधाची वेळ!',
+            missedTitle: 'औषध चुकले',
             taken: '✓ मी घेतली',
             snooze: 'स्नूझ',
             skip: 'वगळा',
@@ -66,144 +96,172 @@ const ReminderAlert = () => {
 
     const t = labels[language] || labels['en-US'];
 
-    // Helper function to convert color names to hex
-    const getColorHex = (colorName) => {
-        const colors = {
-            'white': '#F9FAFB',
-            'pink': '#F472B6',
-            'blue': '#3B82F6',
-            'red': '#EF4444',
-            'yellow': '#FBBF24',
-            'green': '#10B981',
-            'orange': '#F97316',
-            'brown': '#92400E',
-            'purple': '#8B5CF6',
-            'gray': '#6B7280'
-        };
-        return colors[colorName?.toLowerCase()] || colors.blue;
-    };
+    // Load reminder and the medicine record it points to
+    const { reminder, medicine } = useMemo(() => {
+        const reminderData = id ? getReminderById(id) : null;
+        const medicineId = reminderData?.medicineId || medicineParam;
+        const medicineData = medicineId
+            ? savedMedicines.find(m => m.id === medicineId) || null
+            : null;
 
-    // Load reminder or medicine data
-    useEffect(() => {
-        if (id) {
-            // First try to load as a reminder
-            const reminderData = getReminderById(id);
-            if (reminderData) {
-                setReminder(reminderData);
-                return;
-            }
-            
-            // If not found as reminder, try to load as medicine (from notification click)
-            // First check context, then localStorage
-            const storedMedicines = savedMedicines.length > 0 
-                ? savedMedicines 
-                : JSON.parse(localStorage.getItem('saarthi_medicines') || '[]');
-            
-            const medicineData = storedMedicines.find(m => m.id === id);
-            if (medicineData) {
-                // Convert medicine data to reminder format for display
-                setReminder({
-                    id: medicineData.id,
-                    medicineName: medicineData.name,
-                    description: medicineData.visualDescription || `${medicineData.visualColor || 'blue'} tablet`,
-                    color: getColorHex(medicineData.visualColor) || '#3B82F6',
-                    time: new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false })
-                });
-                return;
-            }
-            
+        if (reminderData) {
+            return { reminder: reminderData, medicine: medicineData };
+        }
+
+        if (medicineData) {
+            // Convert medicine data to reminder format for display
+            return { medicine: medicineData, reminder: {
+                id: medicineData.id,
+                medicineId: medicineData.id,
+                medicineName: medicineData.name,
+                description: medicineData.visualDescription || `${medicineData.visualColor || 'blue'} tablet`,
+                color: getColorHex(medicineData.visualColor) || '#3B82F6',
+                time: new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false })
+            } };
+        }
+
+        if (id || medicineParam) {
             // Fallback demo if nothing found
-            setReminder({
+            return { medicine: null, reminder: {
                 id: 'demo',
                 medicineName: 'Your Medicine',
                 description: 'tablet',
                 color: '#3B82F6',
                 time: new Date().toLocaleTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false })
-            });
-        } else {
-            // Demo reminder if no ID
-            setReminder({
+            } };
+        }
+
+        // Demo reminder if no ID
+        return {
+            medicine: null,
+            reminder: {
                 id: 'demo',
                 medicineName: 'Amlodipine 5mg',
                 description: 'blue round tablet',
                 color: '#3B82F6',
                 time: '08:00'
-            });
+            }
+        };
+    }, [id, medicineParam, savedMedicines]);
+
+    // Final dose of the course, and late-dose advice once nobody answered in time
+    const { lastDose, isMissed, lateAdvice, missedLogId } = useMemo(() => {
+        // In-tab alerts have no ?scheduled, use today's slot
+        let doseTime = scheduledTime;
+        if (!doseTime && reminder?.time) {
+            const [hours, minutes] = reminder.time.split(':').map(Number);
+            doseTime = new Date();
+            doseTime.setHours(hours, minutes, 0, 0);
         }
-    }, [id, savedMedicines]);
 
-    // Create message
+        const missed = missedParam || isDoseMissed(scheduledTime);
+        const advice = missed && reminder && reminder.id !== 'demo'
+            ? getLateDoseAdvice(reminder, doseTime, { language })
+            : null;
+        return {
+            lastDose: isLastDose(reminder, doseTime),
+            isMissed: missed,
+            lateAdvice: advice,
+            // Reminders opened by medicine only carry no engine entry to replace
+            missedLogId: advice && id && scheduledTime ? getMissedDoseLogId(id, scheduledTime) : undefined
+        };
+    }, [id, reminder, scheduledTime, missedParam, language]);
+
+    // Spoken and shown message
     const getMessage = () => {
         if (!reminder) return '';
+        if (lateAdvice) return `${lateAdvice.prompt} ${lateAdvice.guidance}`;
         const messages = {
             'en-US': `${userName}, it is time for your ${reminder.medicineName}. Please take it now.`,
             'hi-IN': `${userName}, आपकी ${reminder.medicineName} लेने का समय हो गया है। कृपया अभी लें।`,
             'mr-IN': `${userName}, तुमची ${reminder.medicineName} घेण्याची वेळ झाली आहे. कृपया आता घ्या.`
         };
-        return messages[language] || messages['en-US'];
+        const lastDoseMessages = {
+            'en-US': `This is your last dose of ${reminder.medicineName}. Your course is complete after this.`,
+            'hi-IN': `यह आपकी ${reminder.medicineName} की आखिरी खुराक है। इसके बाद आपका कोर्स पूरा हो जाएगा।`,
+            'mr-IN': `हा तुमच्या ${reminder.medicineName} चा शेवटचा डोस आहे. यानंतर तुमचा कोर्स पूर्ण होईल.`
+        };
+        const message = messages[language] || messages['en-US'];
+        return lastDose
+            ? `${message} ${lastDoseMessages[language] || lastDoseMessages['en-US']}`
+            : message;
     };
+    const message = getMessage();
 
     // Utility function to clear intervals
-    const clearIntervals = () => {
+    const clearIntervals = useCallback(() => {
         clearInterval(vibrationInterval.current);
         clearInterval(voiceInterval.current);
-    };
+    }, []);
 
     // Handle taken - defined before useEffect that uses it
-    const handleTaken = () => {
+    const handleTaken = useCallback(() => {
         triggerSuccess();
         setDismissed(true);
         clearIntervals();
+        resolveReminderOccurrence(reminder?.id, scheduledTime);
         
-        // Save to history
-        const history = JSON.parse(localStorage.getItem('saarthi_medicine_history') || '[]');
-        history.push({
-            id: Date.now().toString(),
-            medicineName: reminder?.medicineName || 'Medicine',
-            action: 'taken',
-            time: new Date().toISOString(),
-            scheduledTime: reminder?.time
-        });
-        localStorage.setItem('saarthi_medicine_history', JSON.stringify(history));
+        // Log the dose (also takes it out of the pill stock)
+        logDose(
+            medicine?.id || reminder?.medicineId || null,
+            medicine?.name || reminder?.medicineName || 'Medicine',
+            'taken',
+            {
+                scheduledTime,
+                doseAmount: getDoseAmount(reminder, scheduledTime),
+                logId: missedLogId,
+                notes: missedLogId ? 'Taken late' : null
+            }
+        ).catch(error => console.error('Failed to log dose:', error));
         
         setTimeout(() => {
             navigate('/reminders');
         }, 1000);
-    };
+    }, [reminder, medicine, scheduledTime, missedLogId, navigate, clearIntervals]);
 
     // Handle snooze
-    const handleSnooze = (_minutes) => {
+    const handleSnooze = useCallback(async (minutes) => {
         triggerSuccess();
         setSnoozed(true);
         setShowSnoozeOptions(false);
         clearIntervals();
 
-        // In a real app, you'd schedule a new notification
+        // Let the service worker re-ring this dose; fall back to an in-tab timer
+        const snoozedInEngine = await snoozeReminderOccurrence(reminder?.id, scheduledTime, minutes);
+        if (!snoozedInEngine) {
+            scheduleReminderNotification(reminder?.medicineName || 'Medicine', minutes * 60 * 1000, language);
+        }
+
+        logDose(
+            medicine?.id || reminder?.medicineId || null,
+            medicine?.name || reminder?.medicineName || 'Medicine',
+            'snoozed',
+            { scheduledTime, notes: `Snoozed ${minutes} min` }
+        ).catch(error => console.error('Failed to log snooze:', error));
+
         setTimeout(() => {
             navigate('/reminders');
         }, 1500);
-    };
+    }, [reminder, medicine, scheduledTime, language, navigate, clearIntervals]);
 
     // Handle skip - shows different feedback than taken
-    const handleSkip = () => {
+    const handleSkip = useCallback(() => {
         setSkipped(true);
         clearIntervals();
+        resolveReminderOccurrence(reminder?.id, scheduledTime);
         
-        // Save to history as skipped
-        const history = JSON.parse(localStorage.getItem('saarthi_medicine_history') || '[]');
-        history.push({
-            id: Date.now().toString(),
-            medicineName: reminder?.medicineName || 'Medicine',
-            action: 'skipped',
-            time: new Date().toISOString(),
-            scheduledTime: reminder?.time
-        });
-        localStorage.setItem('saarthi_medicine_history', JSON.stringify(history));
+        // Log as skipped
+        logDose(
+            medicine?.id || reminder?.medicineId || null,
+            medicine?.name || reminder?.medicineName || 'Medicine',
+            'skipped',
+            { scheduledTime, logId: missedLogId }
+        ).catch(error => console.error('Failed to log skipped dose:', error));
         
         setTimeout(() => {
             navigate('/reminders');
         }, 800);
-    };
+    }, [reminder, medicine, scheduledTime, missedLogId, navigate, clearIntervals]);
 
     // Start alerts
     useEffect(() => {
@@ -216,26 +274,28 @@ const ReminderAlert = () => {
 
         // Voice every 10 seconds
         voiceInterval.current = setInterval(() => {
-            announce(getMessage());
+            announce(message);
         }, 10000);
 
         // Initial announcement
-        announce(getMessage());
+        announce(message);
 
         return () => {
             clearInterval(vibrationInterval.current);
             clearInterval(voiceInterval.current);
         };
-    }, [reminder, dismissed, snoozed, announce, getMessage]);
+    }, [reminder, dismissed, snoozed, skipped, announce, message]);
 
-    // Listen for voice commands
+    // Spoken answers, handled as they are recognised
     useEffect(() => {
-        if (!transcript) return;
-        const lower = transcript.toLowerCase();
-        if (lower.includes('taken') || lower.includes('ले लिया') || lower.includes('घेतली')) {
-            handleTaken();
-        }
-    }, [transcript, handleTaken]);
+        if (dismissed || snoozed || skipped) return;
+        return onFinalTranscript((text) => {
+            const lower = text.toLowerCase();
+            if (lower.includes('taken') || lower.includes('ले लिया') || lower.includes('घेतली')) {
+                handleTaken();
+            }
+        });
+    }, [onFinalTranscript, handleTaken, dismissed, snoozed, skipped]);
 
     // Dismissed state
     if (dismissed) {
@@ -335,7 +395,7 @@ const ReminderAlert = () => {
                     initial={{ scale: 0.9 }}
                     animate={{ scale: 1 }}
                 >
-                    {t.title}
+                    {isMissed ? t.missedTitle : t.title}
                 </motion.h1>
 
                 {/* Message */}
@@ -345,24 +405,54 @@ const ReminderAlert = () => {
                     animate={{ opacity: 1, y: 0 }}
                     transition={{ delay: 0.2 }}
                 >
-                    {getMessage()}
+                    {lateAdvice ? lateAdvice.prompt : message}
                 </motion.p>
 
-                {/* Pill Visual */}
+                {/* Missed dose - is it still safe to take? */}
+                {lateAdvice && (
+                    <div
+                        className={`mb-6 mx-4 p-4 rounded-2xl text-lg font-semibold ${lateAdvice.advice === LATE_DOSE_ADVICE.TAKE
+                            ? 'bg-white text-orange-700'
+                            : 'bg-gray-800/60 text-white'}`}
+                        role="status"
+                    >
+                        {lateAdvice.guidance}
+                    </div>
+                )}
+
+                {/* Pill Visual - the patient's own photo when we have one */}
                 <motion.div
-                    className="flex justify-center mb-8"
+                    className="flex justify-center mb-4"
                     animate={{ y: [0, -15, 0] }}
                     transition={{ duration: 2, repeat: Infinity, ease: "easeInOut" }}
                 >
-                    <div
-                        className="w-24 h-24 rounded-full shadow-2xl border-4 border-white"
-                        style={{
-                            backgroundColor: reminder.color,
-                            boxShadow: '0 15px 40px rgba(0,0,0,0.4), inset 0 -8px 15px rgba(0,0,0,0.2)'
-                        }}
-                    />
+                    {medicine?.userPhoto ? (
+                        <img
+                            src={medicine.userPhoto}
+                            alt={reminder.medicineName}
+                            className="w-32 h-32 rounded-3xl object-cover shadow-2xl border-4 border-white"
+                        />
+                    ) : (
+                        <div
+                            className="w-24 h-24 rounded-full shadow-2xl border-4 border-white"
+                            style={{
+                                backgroundColor: reminder.color,
+                                boxShadow: '0 15px 40px rgba(0,0,0,0.4), inset 0 -8px 15px rgba(0,0,0,0.2)'
+                            }}
+                        />
+                    )}
                 </motion.div>
 
+                {/* Dose details from the medicine record */}
+                <div className="mb-6 space-y-1">
+                    <p className="text-lg font-semibold">
+                        {[medicine?.dosage, reminder.description].filter(Boolean).join(' • ')}
+                    </p>
+                    {medicine?.specialInstructions && (
+                        <p className="text-base opacity-90">{medicine.specialInstructions}</p>
+                    )}
+                </div>
+
                 {/* Time */}
                 <p className="text-xl opacity-80 mb-8">
                     {formatTime(reminder.time)}
@@ -387,36 +477,38 @@ const ReminderAlert = () => {
 
                 {/* Secondary Actions */}
                 <div className="flex gap-3">
-                    {/* Snooze */}
-                    <div className="flex-1 relative">
-                        <motion.button
-                            onClick={() => setShowSnoozeOptions(!showSnoozeOptions)}
-                            className="w-full py-4 px-6 bg-white/20 backdrop-blur rounded-2xl font-semibold text-lg border-2 border-white/30"
-                            whileTap={{ scale: 0.95 }}
-                        >
-                            😴 {t.snooze}
-                        </motion.button>
-
-                        {/* Snooze Options */}
-                        {showSnoozeOptions && (
-                            <motion.div
-                                className="absolute bottom-full left-0 right-0 mb-2 bg-white rounded-2xl p-2 shadow-xl"
-                                initial={{ opacity: 0, y: 10 }}
-                                animate={{ opacity: 1, y: 0 }}
+                    {/* Snooze (a missed dose is taken or skipped) */}
+                    {!isMissed && (
+                        <div className="flex-1 relative">
+                            <motion.button
+                                onClick={() => setShowSnoozeOptions(!showSnoozeOptions)}
+                                className="w-full py-4 px-6 bg-white/20 backdrop-blur rounded-2xl font-semibold text-lg border-2 border-white/30"
+                                whileTap={{ scale: 0.95 }}
                             >
-                                {[5, 10, 15].map((mins, idx) => (
-                                    <motion.button
-                                        key={mins}
-                                        onClick={() => handleSnooze(mins)}
-                                        className="w-full py-3 text-gray-800 font-semibold hover:bg-gray-100 rounded-xl"
-                                        whileTap={{ scale: 0.95 }}
-                                    >
-                                        {t.snoozeOptions[idx]}
-                                    </motion.button>
-                                ))}
-                            </motion.div>
-                        )}
-                    </div>
+                                😴 {t.snooze}
+                            </motion.button>
+
+                            {/* Snooze Options */}
+                            {showSnoozeOptions && (
+                                <motion.div
+                                    className="absolute bottom-full left-0 right-0 mb-2 bg-white rounded-2xl p-2 shadow-xl"
+                                    initial={{ opacity: 0, y: 10 }}
+                                    animate={{ opacity: 1, y: 0 }}
+                                >
+                                    {[5, 10, 15].map((mins, idx) => (
+                                        <motion.button
+                                            key={mins}
+                                            onClick={() => handleSnooze(mins)}
+                                            className="w-full py-3 text-gray-800 font-semibold hover:bg-gray-100 rounded-xl"
+                                            whileTap={{ scale: 0.95 }}
+                                        >
+                                            {t.snoozeOptions[idx]}
+                                        </motion.button>
+                                    ))}
+                                </motion.div>
+                            )}
+                        </div>
+                    )}
 
                     {/* Skip */}
                     <motion.button
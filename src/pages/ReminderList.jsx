@@ -12,11 +12,14 @@ import {
     formatTime,
     getTimePeriod
 } from '../services/reminderService';
+import { findMedicineByName } from '../services/medicineRepository';
+import { describeSchedule, SCHEDULE_TYPES } from '../utils/scheduleModel';
 import {
     getNotificationStatus,
     requestNotificationPermission,
     sendTestNotification
 } from '../services/notificationService';
+import { MISSED_GRACE_OPTIONS, getMissedGraceMinutes, setMissedGraceMinutes } from '../services/reminderEngine';
 import ReminderForm from '../components/ReminderForm';
 import DualActionButtons from '../components/DualActionButtons';
 import { triggerAction, triggerSuccess } from '../utils/haptics';
@@ -34,6 +37,7 @@ const ReminderList = () => {
     const [editingReminder, setEditingReminder] = useState(null);
     const [deleteConfirm, setDeleteConfirm] = useState(null);
     const [notificationStatus, setNotificationStatus] = useState('default');
+    const [graceMinutes, setGraceMinutes] = useState(() => getMissedGraceMinutes());
 
     const hasAnnounced = useRef(false);
 
@@ -50,7 +54,12 @@ const ReminderList = () => {
             deleteConfirm: 'Delete',
             cancel: 'Cancel',
             enabled: 'On',
-            disabled: 'Off'
+            disabled: 'Off',
+            closedAppNote: 'Keep SaarthiRx open or in the background. If you close it fully, your phone may ring late or not at all.',
+            missedAfter: 'Mark a dose missed after',
+            missedAfterHint: 'If you do not answer a reminder in this time, it is saved as missed and you get one more reminder.',
+            minutes: '{n} min',
+            hours: '{n} hr'
         },
         'hi-IN': {
             title: 'मेरे रिमाइंडर',
@@ -63,7 +72,12 @@ const ReminderList = () => {
             deleteConfirm: 'हटाएं',
             cancel: 'रद्द करें',
             enabled: 'चालू',
-            disabled: 'बंद'
+            disabled: 'बंद',
+            closedAppNote: 'SaarthiRx को खुला या बैकग्राउंड में रखें। पूरी तरह बंद करने पर रिमाइंडर देर से या बिल्कुल नहीं बज सकता है।',
+            missedAfter: 'खुराक कब छूटी मानें',
+            missedAfterHint: 'इतने समय में रिमाइंडर का जवाब न देने पर खुराक छूटी हुई दर्ज होगी और एक बार फिर याद दिलाया जाएगा।',
+            minutes: '{n} मिनट',
+            hours: '{n} घंटे'
         },
         'mr-IN': {
             title: 'माझे रिमाइंडर',
@@ -76,12 +90,27 @@ const ReminderList = () => {
             deleteConfirm: 'हटवा',
             cancel: 'रद्द करा',
             enabled: 'चालू',
-            disabled: 'बंद'
+            disabled: 'बंद',
+            closedAppNote: 'SaarthiRx उघडे किंवा बॅकग्राउंडमध्ये ठेवा. पूर्णपणे बंद केल्यास रिमाइंडर उशिरा वाजू शकतो किंवा वाजणारही नाही.',
+            missedAfter: 'डोस कधी चुकला मानायचा',
+            missedAfterHint: 'या वेळेत रिमाइंडरला उत्तर न दिल्यास डोस चुकला म्हणून नोंदवला जाईल आणि पुन्हा एकदा आठवण केली जाईल.',
+            minutes: '{n} मिनिटे',
+            hours: '{n} तास'
         }
     };
 
     const t = labels[language] || labels['en-US'];
 
+    const graceLabel = (minutes) => (minutes < 60
+        ? t.minutes.replace('{n}', minutes)
+        : t.hours.replace('{n}', minutes / 60));
+
+    const changeGrace = (minutes) => {
+        triggerAction();
+        setGraceMinutes(minutes);
+        setMissedGraceMinutes(minutes);
+    };
+
     // Load reminders function - defined before useEffect that uses it
     const loadReminders = () => {
         const data = getReminders();
@@ -131,10 +160,14 @@ const ReminderList = () => {
 
     // Handle save (add or update)
     const handleSave = (formData) => {
+        // Link to the saved medicine with this name so the alarm shows the right pill
+        const medicine = findMedicineByName(formData.medicineName);
+        const data = { ...formData, medicineId: medicine?.id || null };
+
         if (editingReminder) {
-            updateReminder(editingReminder.id, formData);
+            updateReminder(editingReminder.id, data);
         } else {
-            addReminder(formData);
+            addReminder(data);
         }
         triggerSuccess();
         loadReminders();
@@ -155,10 +188,13 @@ const ReminderList = () => {
         loadReminders();
     };
 
-    // Format days display
-    const formatDays = (days) => {
+    // Format days display (non-daily schedules describe themselves)
+    const formatDays = (reminder) => {
+        const days = reminder.repeatDays || [];
+        const scheduleText = describeSchedule(reminder.schedule, language);
+        if (scheduleText && reminder.schedule.type !== SCHEDULE_TYPES.WEEKLY) return scheduleText;
         if (days.length === 7) return t.everyday;
-        return days.join(', ');
+        return scheduleText ? `${scheduleText} • ${days.join(', ')}` : days.join(', ');
     };
 
     return (
@@ -213,6 +249,9 @@ const ReminderList = () => {
                     Notifications enabled - you'll be reminded automatically
                 </div>
             )}
+            {notificationStatus === 'granted' && (
+                <p className="mx-6 mt-1 text-sm text-gray-500">{t.closedAppNote}</p>
+            )}
 
             {notificationStatus === 'denied' && (
                 <motion.div
@@ -288,7 +327,7 @@ const ReminderList = () => {
                                             </span>
                                         </div>
                                         <p className="text-xs sm:text-sm text-gray-400 mt-0.5 sm:mt-1">
-                                            {formatDays(reminder.repeatDays)}
+                                            {formatDays(reminder)}
                                         </p>
                                     </div>
 
@@ -335,6 +374,27 @@ const ReminderList = () => {
                 )}
             </div>
 
+            {/* Missed-dose grace window */}
+            <div className="mx-6 mb-8 p-4 bg-white rounded-2xl shadow-md border border-gray-100">
+                <h2 className="text-xl font-bold text-gray-800">⏳ {t.missedAfter}</h2>
+                <p className="text-base text-gray-500 mb-3">{t.missedAfterHint}</p>
+                <div className="flex flex-wrap gap-2" role="radiogroup" aria-label={t.missedAfter}>
+                    {MISSED_GRACE_OPTIONS.map(minutes => (
+                        <button
+                            key={minutes}
+                            role="radio"
+                            aria-checked={graceMinutes === minutes}
+                            onClick={() => changeGrace(minutes)}
+                            className={`px-4 py-3 rounded-full text-lg font-semibold border-2 ${graceMinutes === minutes
+                                ? 'bg-primary border-primary text-white'
+                                : 'bg-white border-gray-300 text-gray-700'}`}
+                        >
+                            {graceLabel(minutes)}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
             {/* Add Button - Above Mic, Centered, Simple */}
             <motion.button
                 onClick={handleAdd}
@@ -12,7 +12,11 @@ import { useVoice } from '../context/VoiceContext';
 import { triggerAction, triggerSuccess, triggerAlert } from '../utils/haptics';
 import { compressImage, createPreviewUrl, revokePreviewUrl } from '../utils/imageUtils';
 import { verifyMedicinePhoto } from '../services/geminiService';
+import { getAIErrorMessage, isUnusableResponse } from '../services/aiErrors';
+import { subscribeToMedicines, updateMedicine } from '../services/medicineRepository';
 import { findBestMedicineMatch } from '../data/medicineDatabase';
+import { getMedicineExpiry, getExpiredDoseWarning } from '../services/expiryService';
+import { normalizeExpiryDate, formatExpiryMonth } from '../utils/expiryDate';
 import DualActionButtons from '../components/DualActionButtons';
 
 
@@ -51,6 +55,7 @@ const ScanMedicine = () => {
             noMatch: 'Not in Your Prescription',
             medicineDetails: 'Medicine Details',
             expires: 'Expires',
+            expired: 'Expired - do not take',
             expiryUpdated: 'Expiry date saved!',
             tryAgain: 'Scan Again',
             back: 'Back',
@@ -68,6 +73,7 @@ const ScanMedicine = () => {
             noMatch: 'आपके पर्चे में नहीं है',
             medicineDetails: 'दवाई का विवरण',
             expires: 'समाप्ति',
+            expired: 'एक्सपायर हो चुकी - न लें',
             expiryUpdated: 'समाप्ति तिथि सहेजी गई!',
             tryAgain: 'फिर स्कैन करें',
             back: 'वापस',
@@ -85,6 +91,7 @@ const ScanMedicine = () => {
             noMatch: 'तुमच्या प्रिस्क्रिप्शनमध्ये नाही',
             medicineDetails: 'औषध तपशील',
             expires: 'कालबाह्य',
+            expired: 'कालबाह्य झाले - घेऊ नका',
             expiryUpdated: 'कालबाह्यता तारीख जतन केली!',
             tryAgain: 'पुन्हा स्कॅन करा',
             back: 'मागे',
@@ -98,8 +105,7 @@ const ScanMedicine = () => {
 
     // Load user's medicines
     useEffect(() => {
-        const saved = JSON.parse(localStorage.getItem('saarthi_medicines') || '[]');
-        setMedicines(saved);
+        return subscribeToMedicines(setMedicines);
     }, []);
 
     // Cleanup
@@ -186,6 +192,14 @@ const ScanMedicine = () => {
             // Call blind verification API with fuzzy matching
             const result = await verifyMedicinePhoto(base64, mimeType, medicines);
 
+            // A busy or offline service is not a blurry photo - say which it is
+            if (!result.success && !isUnusableResponse(result.errorCode)) {
+                setScanState(SCAN_STATES.NO_MATCH);
+                triggerAlert();
+                speak(getAIErrorMessage(result.errorCode, language));
+                return;
+            }
+
             // Handle unreadable image (blurry, glare, etc.) - from teammate
             if (!result.success || !result.isReadable) {
                 setScanState(SCAN_STATES.NO_MATCH);
@@ -200,10 +214,12 @@ const ScanMedicine = () => {
                 return;
             }
 
+            const scannedExpiry = normalizeExpiryDate(result.expiryDate);
             setScannedData({
                 packagingText: result.detectedName,
                 visualDescription: result.visualDescription,
-                confidence: result.confidence
+                confidence: result.confidence,
+                expiryDate: scannedExpiry
             });
 
             // Try to use medicine database for enhanced matching when API doesn't find a match
@@ -261,14 +277,16 @@ const ScanMedicine = () => {
                 setScanState(SCAN_STATES.MATCH_FOUND);
                 triggerSuccess();
 
-                // Update medicine with last scanned time
-                const updated = medicines.map(m => 
-                    m.id === matchedMed.id 
-                        ? { ...m, lastScanned: new Date().toISOString(), verified: true }
-                        : m
+                // Update medicine with last scanned time (and the strip's expiry, if printed)
+                updateMedicine(matchedMed.id, {
+                    lastScanned: new Date().toISOString(),
+                    verified: true,
+                    ...(scannedExpiry ? { expiryDate: scannedExpiry } : {})
+                });
+                const expiredWarning = getExpiredDoseWarning(
+                    { ...matchedMed, expiryDate: scannedExpiry || matchedMed.expiryDate },
+                    language
                 );
-                setMedicines(updated);
-                localStorage.setItem('saarthi_medicines', JSON.stringify(updated));
 
                 // Voice feedback with timing info
                 const timingMessage = matchedMed.timing?.length > 0 
@@ -280,7 +298,7 @@ const ScanMedicine = () => {
                     'hi-IN': `हाँ! यह ${result.detectedName} है। यह आपके पर्चे से मेल खाती है। इसे ${timingMessage} में लें।`,
                     'mr-IN': `हो! हे ${result.detectedName} आहे. हे तुमच्या प्रिस्क्रिप्शनशी जुळते. हे ${timingMessage} मध्ये घ्या.`
                 };
-                speak(matchMessage[language] || matchMessage['en-US']);
+                speak(expiredWarning || matchMessage[language] || matchMessage['en-US']);
 
             } else {
                 // ❌ NO MATCH - Medicine NOT in prescription (DANGER)
@@ -470,15 +488,22 @@ const ScanMedicine = () => {
                                 <p className="text-gray-600 mb-4">{matchedMedicine.visualDescription || matchedMedicine.dosage}</p>
                                 
                                 {/* Expiry if available */}
-                                {(scannedData?.expiryDate || matchedMedicine.expiryDate) && (
-                                    <div className="flex items-center gap-2 p-3 bg-yellow-50 rounded-xl">
-                                        <span className="text-2xl">📅</span>
-                                        <div>
-                                            <p className="text-sm text-gray-500">{labels.expires}</p>
-                                            <p className="font-bold text-gray-800">{scannedData?.expiryDate || matchedMedicine.expiryDate}</p>
+                                {(() => {
+                                    const expiry = getMedicineExpiry({ expiryDate: scannedData?.expiryDate || matchedMedicine.expiryDate });
+                                    if (expiry.status === 'unknown') return null;
+                                    const isExpired = expiry.status === 'expired';
+                                    return (
+                                        <div className={`flex items-center gap-2 p-3 rounded-xl ${isExpired ? 'bg-red-100' : 'bg-yellow-50'}`}>
+                                            <span className="text-2xl">{isExpired ? '⛔' : '📅'}</span>
+                                            <div>
+                                                <p className="text-sm text-gray-500">{isExpired ? labels.expired : labels.expires}</p>
+                                                <p className={`font-bold ${isExpired ? 'text-red-700' : 'text-gray-800'}`}>
+                                                    {formatExpiryMonth(expiry.date, language)}
+                                                </p>
+                                            </div>
                                         </div>
-                                    </div>
-                                )}
+                                    );
+                                })()}
                             </div>
 
                             {/* Try Again Button */}
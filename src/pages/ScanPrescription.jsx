@@ -4,22 +4,51 @@
  * Enhanced with Voice Negotiation, Visual Verifier, and Auto-Scheduler
  */
 
-import { useState, useRef, useEffect } from 'react';
+import { useState, useRef, useEffect, useEffectEvent } from 'react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { motion, AnimatePresence } from 'framer-motion';
 import { useApp } from '../context/AppContext';
 import { useVoice } from '../context/VoiceContext';
 import { triggerAction, triggerSuccess, triggerAlert } from '../utils/haptics';
-import { compressImage, createPreviewUrl, revokePreviewUrl, clearImageData, validateImageFile } from '../utils/imageUtils';
-import { analyzePrescription, checkDrugInteractions, generateVoiceSummary, generateConflictWarning } from '../services/geminiService';
-import { saveMedicines } from '../services/medicationService';
+import { compressImage, createPreviewUrl, revokePreviewUrl, clearImageData, cropImageRegion, validateImageFile } from '../utils/imageUtils';
+import { generateVoiceSummary } from '../services/geminiService';
+import { analyzePrescriptionPages, MAX_PRESCRIPTION_PAGES } from '../services/prescriptionPages';
+import {
+    checkDrugInteractions,
+    generateConflictWarning,
+    getInteractionText,
+    requiresAcknowledgement,
+    isAcknowledgement
+} from '../services/interactionService';
+import {
+    findDuplicateTherapies,
+    applyKeepChoice,
+    getDuplicateTherapyPrompt,
+    getKeepConfirmation,
+    matchKeepChoice
+} from '../services/duplicateTherapyService';
+import { saveMedicines, deactivateMedicine } from '../services/medicationService';
+import { getMedicines, findMedicineByName } from '../services/medicineRepository';
+import { savePrescription, updatePrescription } from '../services/prescriptionService';
+import { archivePrescriptionImages, getImageRetentionDays } from '../services/prescriptionImageService';
+import { setStock } from '../services/inventoryService';
 import { createRemindersFromPrescription } from '../services/reminderService';
 import { getPrompt } from '../utils/translations';
+import { AI_ERROR_CODES, getAIErrorMessage } from '../services/aiErrors';
 import DualActionButtons from '../components/DualActionButtons';
 import VoiceNegotiation from '../components/VoiceNegotiation';
 import MedicineVerifier from '../components/MedicineVerifier';
+import ExtractionReview from '../components/ExtractionReview';
 import { getDemoPrescriptionData } from '../utils/demoData';
 
+// Badge colours per interaction severity
+const SEVERITY_STYLES = {
+    contraindicated: 'bg-red-700 text-white',
+    major: 'bg-red-500 text-white',
+    moderate: 'bg-amber-400 text-gray-900',
+    minor: 'bg-gray-200 text-gray-700'
+};
+
 // Scan states
 const SCAN_STATES = {
     IDLE: 'IDLE',
@@ -27,10 +56,18 @@ const SCAN_STATES = {
     CAPTURING: 'CAPTURING',
     PREVIEW: 'PREVIEW',
     ANALYZING: 'ANALYZING',
+    REVIEW: 'REVIEW',
     RESULTS: 'RESULTS',
     ERROR: 'ERROR'
 };
 
+// Time to add another page before reading starts on its own
+const AUTO_READ_DELAY_MS = 8000;
+
+// "Next page" / "read it" while pages are being collected
+const ADD_PAGE_COMMANDS = ['next page', 'another page', 'add page', 'अगला पेज', 'दूसरा पेज', 'और पेज', 'पुढचे पान', 'दुसरे पान', 'आणखी पान'];
+const READ_NOW_COMMANDS = ['read', 'done', 'पढ़ो', 'बस', 'हो गया', 'वाचा', 'झाले'];
+
 const ScanPrescription = () => {
     const navigate = useNavigate();
     const location = useLocation();
@@ -41,9 +78,18 @@ const ScanPrescription = () => {
     const isDemoMode = new URLSearchParams(location.search).get('demo') === 'true';
 
     const [scanState, setScanState] = useState(SCAN_STATES.IDLE);
-    const [previewUrl, setPreviewUrl] = useState(null);
+    // Preview URLs of the pages captured so far, in page order
+    const [pagePreviews, setPagePreviews] = useState([]);
+    const [autoReadPending, setAutoReadPending] = useState(false);
     const [analysisResult, setAnalysisResult] = useState(null);
+    // Analysis held while the user checks the medicines the scan was unsure about
+    const [reviewData, setReviewData] = useState(null);
     const [conflicts, setConflicts] = useState([]);
+    // Analysis held back until a serious interaction is acknowledged and
+    // every duplicate-ingredient question is answered
+    const [pendingSave, setPendingSave] = useState(null);
+    const [awaitingAck, setAwaitingAck] = useState(false);
+    const [duplicateGroups, setDuplicateGroups] = useState([]);
     const [error, setError] = useState('');
     
     // Voice Negotiation & Visual Verifier states
@@ -51,10 +97,15 @@ const ScanPrescription = () => {
     const [showVerifier, setShowVerifier] = useState(false);
     const [selectedMedicineForVerify, setSelectedMedicineForVerify] = useState(null);
     const [savedMedicineIds, setSavedMedicineIds] = useState([]);
+    const [savedPrescriptionId, setSavedPrescriptionId] = useState(null);
 
     const fileInputRef = useRef(null);
     const cameraInputRef = useRef(null);
-    const imageDataRef = useRef(null);
+    // Compressed pages waiting to be analyzed ({ base64, mimeType, previewUrl })
+    const pagesRef = useRef([]);
+    // Analysed pages waiting to be archived with the saved prescription
+    const archivePagesRef = useRef([]);
+    const autoReadTimerRef = useRef(null);
     const videoRef = useRef(null);
     const streamRef = useRef(null);
 
@@ -125,6 +176,106 @@ const ScanPrescription = () => {
             'hi-IN': 'इसमें बहुत समय लग रहा है। कृपया इंटरनेट की जाँच करें और फिर से प्रयास करें।',
             'mr-IN': 'याला खूप वेळ लागत आहे. कृपया तुमचे इंटरनेट तपासा आणि पुन्हा प्रयत्न करा.'
         },
+        interactionTitle: {
+            'en-US': 'Medicine interaction warning',
+            'hi-IN': 'दवाओं के आपसी असर की चेतावनी',
+            'mr-IN': 'औषधांच्या परस्पर परिणामाचा इशारा'
+        },
+        notSavedYet: {
+            'en-US': 'These medicines are not saved yet. Say "I understand" or tap below.',
+            'hi-IN': 'ये दवाएं अभी सेव नहीं हुई हैं। "मैं समझ गया" बोलें या नीचे दबाएं।',
+            'mr-IN': 'ही औषधे अजून जतन झालेली नाहीत. "मला समजले" म्हणा किंवा खाली दाबा.'
+        },
+        acknowledgeAndSave: {
+            'en-US': 'I understand - save medicines',
+            'hi-IN': 'मैं समझ गया - दवाएं सेव करें',
+            'mr-IN': 'मला समजले - औषधे जतन करा'
+        },
+        duplicateTitle: {
+            'en-US': 'Same medicine twice',
+            'hi-IN': 'एक ही दवा दो बार',
+            'mr-IN': 'एकच औषध दोनदा'
+        },
+        keepOnly: {
+            'en-US': 'Keep {name}',
+            'hi-IN': '{name} रखें',
+            'mr-IN': '{name} ठेवा'
+        },
+        keepBoth: {
+            'en-US': 'Keep both (doctor said so)',
+            'hi-IN': 'दोनों रखें (डॉक्टर ने कहा है)',
+            'mr-IN': 'दोन्ही ठेवा (डॉक्टरांनी सांगितले आहे)'
+        },
+        alreadySaved: {
+            'en-US': 'already saved',
+            'hi-IN': 'पहले से सेव',
+            'mr-IN': 'आधीच जतन'
+        },
+        tabletsYouHave: {
+            'en-US': 'Tablets you have',
+            'hi-IN': 'आपके पास कितनी गोलियां हैं',
+            'mr-IN': 'तुमच्याकडे किती गोळ्या आहेत'
+        },
+        packSize: {
+            'en-US': 'Per pack',
+            'hi-IN': 'एक पत्ते में',
+            'mr-IN': 'एका पाकिटात'
+        },
+        addPage: {
+            'en-US': 'Add another page',
+            'hi-IN': 'एक और पेज जोड़ें',
+            'mr-IN': 'आणखी एक पान जोडा'
+        },
+        readNow: {
+            'en-US': 'Read prescription now',
+            'hi-IN': 'अभी पर्चा पढ़ें',
+            'mr-IN': 'आता प्रिस्क्रिप्शन वाचा'
+        },
+        pageLabel: {
+            'en-US': 'Page {n}',
+            'hi-IN': 'पेज {n}',
+            'mr-IN': 'पान {n}'
+        },
+        pageCaptured: {
+            'en-US': 'Page {n} is ready. Say "next page" to add another, or I will start reading.',
+            'hi-IN': 'पेज {n} तैयार है। दूसरा पेज जोड़ने के लिए "अगला पेज" बोलें, नहीं तो मैं पढ़ना शुरू करूँगा।',
+            'mr-IN': 'पान {n} तयार आहे. आणखी पान जोडण्यासाठी "पुढचे पान" म्हणा, नाहीतर मी वाचायला सुरुवात करेन.'
+        },
+        autoReadSoon: {
+            'en-US': 'Reading will start by itself in a few seconds...',
+            'hi-IN': 'कुछ सेकंड में अपने आप पढ़ना शुरू होगा...',
+            'mr-IN': 'काही सेकंदांत आपोआप वाचन सुरू होईल...'
+        },
+        analyzingPages: {
+            'en-US': 'Reading all {count} pages of your prescription...',
+            'hi-IN': 'आपके पर्चे के सभी {count} पेज पढ़ रहा हूँ...',
+            'mr-IN': 'तुमच्या प्रिस्क्रिप्शनची सर्व {count} पाने वाचत आहे...'
+        },
+        maxPages: {
+            'en-US': 'That is the most pages I can read at once. Reading now.',
+            'hi-IN': 'मैं एक बार में इतने ही पेज पढ़ सकता हूँ। अब पढ़ रहा हूँ।',
+            'mr-IN': 'मी एका वेळी एवढीच पाने वाचू शकतो. आता वाचत आहे.'
+        },
+        pagesNotRead: {
+            'en-US': 'I could not read page {pages}. If it has medicines, please scan it again.',
+            'hi-IN': 'मैं पेज {pages} नहीं पढ़ सका। अगर उस पर दवाइयां हैं तो कृपया उसे फिर से स्कैन करें।',
+            'mr-IN': 'मला पान {pages} वाचता आले नाही. त्यावर औषधे असल्यास कृपया ते पुन्हा स्कॅन करा.'
+        },
+        viewPrescription: {
+            'en-US': 'View saved prescription',
+            'hi-IN': 'सेव किया पर्चा देखें',
+            'mr-IN': 'जतन केलेले प्रिस्क्रिप्शन पहा'
+        },
+        reviewIntro: {
+            'en-US': 'I found {count} medicines I am not sure about. Please check them before I save anything.',
+            'hi-IN': 'मुझे {count} दवाइयां मिलीं जिनके बारे में मैं पक्का नहीं हूँ। कुछ भी सेव करने से पहले कृपया उन्हें जांचें।',
+            'mr-IN': 'मला {count} औषधे सापडली ज्यांची मला खात्री नाही. काहीही जतन करण्यापूर्वी कृपया ती तपासा.'
+        },
+        nothingKept: {
+            'en-US': 'No medicines were kept from this prescription. Please take a clearer photo to try again.',
+            'hi-IN': 'इस पर्चे से कोई दवाई नहीं रखी गई। फिर से कोशिश करने के लिए कृपया साफ फोटो लें।',
+            'mr-IN': 'या प्रिस्क्रिप्शनमधून कोणतेही औषध ठेवले नाही. पुन्हा प्रयत्न करण्यासाठी कृपया स्पष्ट फोटो घ्या.'
+        },
         handwritingError: {
             'en-US': 'I had trouble reading the doctor\'s handwriting. Please try again with better light.',
             'hi-IN': 'मुझे डॉक्टर की लिखावट पढ़ने में परेशानी हुई। कृपया बेहतर रोशनी में फिर से कोशिश करें।',
@@ -134,20 +285,34 @@ const ScanPrescription = () => {
 
     const getText = (key) => t[key]?.[language] || t[key]?.['en-US'] || key;
 
+    // Scan-specific wording where we have it, the shared AI message otherwise
+    const ANALYSIS_ERROR_TEXT = {
+        [AI_ERROR_CODES.QUOTA]: 'quotaError',
+        [AI_ERROR_CODES.TIMEOUT]: 'timeoutError',
+        [AI_ERROR_CODES.INVALID_RESPONSE]: 'handwritingError',
+        [AI_ERROR_CODES.SCHEMA_MISMATCH]: 'handwritingError'
+    };
+    const getPagesNotReadText = (failedPages) =>
+        getText('pagesNotRead').replace('{pages}', failedPages.map(p => p.page).join(', '));
+
+    const getAnalysisErrorText = (errorCode) => ANALYSIS_ERROR_TEXT[errorCode]
+        ? getText(ANALYSIS_ERROR_TEXT[errorCode])
+        : getAIErrorMessage(errorCode, language);
+
     // Cleanup on unmount
     useEffect(() => {
         return () => {
-            if (previewUrl) revokePreviewUrl(previewUrl);
-            if (imageDataRef.current) {
-                clearImageData(imageDataRef.current);
-                imageDataRef.current = null;
-            }
+            clearTimeout(autoReadTimerRef.current);
+            pagesRef.current.forEach(clearImageData);
+            pagesRef.current = [];
+            archivePagesRef.current.forEach(clearImageData);
+            archivePagesRef.current = [];
             // Stop camera stream on unmount
             if (streamRef.current) {
                 streamRef.current.getTracks().forEach(track => track.stop());
             }
         };
-    }, [previewUrl]);
+    }, []);
 
     // Demo Mode: Simulate AI scanning experience for judges
     useEffect(() => {
@@ -197,12 +362,40 @@ const ScanPrescription = () => {
     }, [isDemoMode, language]);
 
     // Voice command detection for camera control (local handling)
+    // Page collection from voice; these handlers change every render
+    const addPageByVoice = useEffectEvent(() => addAnotherPage());
+    const readPagesByVoice = useEffectEvent(() => analyzePages());
+
+    // Spoken answer to a held-back save; reads the latest review state
+    // without re-running the voice command effect on every change
+    const answerPendingSave = useEffectEvent((cmd) => {
+        // "I understand" releases medicines held back by a serious interaction
+        if (pendingSave && awaitingAck && isAcknowledgement(cmd)) {
+            resetTranscript();
+            handleAcknowledgeConflicts();
+            return true;
+        }
+
+        // "Keep Dolo" / "both" answers the duplicate-ingredient question
+        if (pendingSave && !awaitingAck && duplicateGroups.length > 0) {
+            const choice = matchKeepChoice(cmd, duplicateGroups[0]);
+            if (choice) {
+                resetTranscript();
+                handleKeepChoice(choice.keepName);
+                return true;
+            }
+        }
+        return false;
+    });
+
     useEffect(() => {
         if (!transcript) return;
 
         const cmd = transcript.toLowerCase().trim();
         console.log('🎤 Voice command detected:', cmd);
 
+        if (answerPendingSave(cmd)) return;
+
         // Commands to OPEN camera (when in IDLE state)
         const openCameraCommands = ['camera', 'कैमरा', 'कॅमेरा', 'photo', 'फोटो', 'scan', 'स्कैन'];
 
@@ -228,6 +421,17 @@ const ScanPrescription = () => {
                 return;
             }
         }
+
+        // Collecting pages: another one, or read what we have
+        if (scanState === SCAN_STATES.PREVIEW) {
+            if (ADD_PAGE_COMMANDS.some(c => cmd.includes(c))) {
+                resetTranscript();
+                addPageByVoice();
+            } else if (READ_NOW_COMMANDS.some(c => cmd.includes(c))) {
+                resetTranscript();
+                readPagesByVoice();
+            }
+        }
     }, [transcript, scanState]);
 
     // ═══════════════════════════════════════════════════════════════════════
@@ -244,11 +448,14 @@ const ScanPrescription = () => {
                     if (scanState === SCAN_STATES.IDLE) {
                         console.log('📷 Opening camera via Omni-Router');
                         startCamera();
+                    } else if (scanState === SCAN_STATES.PREVIEW) {
+                        addPageByVoice();
                     }
                     break;
                     
                 case 'GALLERY':
-                    if (scanState === SCAN_STATES.IDLE) {
+                    if (scanState === SCAN_STATES.IDLE || scanState === SCAN_STATES.PREVIEW) {
+                        cancelAutoRead();
                         console.log('🖼️ Opening gallery via Omni-Router');
                         fileInputRef.current?.click();
                     }
@@ -291,7 +498,7 @@ const ScanPrescription = () => {
         } catch (err) {
             console.error('Camera error:', err);
             // Fallback to file input if camera not available (desktop)
-            setScanState(SCAN_STATES.IDLE);
+            setScanState(pagesRef.current.length > 0 ? SCAN_STATES.PREVIEW : SCAN_STATES.IDLE);
             cameraInputRef.current?.click();
         }
     };
@@ -302,7 +509,48 @@ const ScanPrescription = () => {
             streamRef.current.getTracks().forEach(track => track.stop());
             streamRef.current = null;
         }
-        setScanState(SCAN_STATES.IDLE);
+        // Cancelling "add another page" goes back to the pages already taken
+        setScanState(pagesRef.current.length > 0 ? SCAN_STATES.PREVIEW : SCAN_STATES.IDLE);
+    };
+
+    // ═══════════════════════════════════════════════════════════════════════
+    // PAGE COLLECTION - one scan can hold several photos
+    // ═══════════════════════════════════════════════════════════════════════
+    const cancelAutoRead = () => {
+        clearTimeout(autoReadTimerRef.current);
+        autoReadTimerRef.current = null;
+        setAutoReadPending(false);
+    };
+
+    // Returns false once the session is full
+    const addPage = (page) => {
+        if (pagesRef.current.length >= MAX_PRESCRIPTION_PAGES) return false;
+        pagesRef.current = [...pagesRef.current, page];
+        setPagePreviews(pagesRef.current.map(p => p.previewUrl));
+        return true;
+    };
+
+    // Show the pages taken so far; reading starts by itself unless another page is added
+    const showPages = () => {
+        const count = pagesRef.current.length;
+        setScanState(SCAN_STATES.PREVIEW);
+        cancelAutoRead();
+
+        if (count >= MAX_PRESCRIPTION_PAGES) {
+            speak(getText('maxPages'));
+            autoReadTimerRef.current = setTimeout(() => analyzePages(), 1000);
+            return;
+        }
+
+        speak(getText('pageCaptured').replace('{n}', count));
+        setAutoReadPending(true);
+        autoReadTimerRef.current = setTimeout(() => analyzePages(), AUTO_READ_DELAY_MS);
+    };
+
+    const addAnotherPage = () => {
+        if (pagesRef.current.length >= MAX_PRESCRIPTION_PAGES) return;
+        cancelAutoRead();
+        startCamera();
     };
 
     // Capture photo from video stream
@@ -324,19 +572,12 @@ const ScanPrescription = () => {
         const dataUrl = canvas.toDataURL('image/jpeg', 0.8);
         const base64 = dataUrl.split(',')[1];
 
-        setPreviewUrl(dataUrl);
-        imageDataRef.current = {
+        addPage({
             base64,
             mimeType: 'image/jpeg',
             previewUrl: dataUrl
-        };
-
-        setScanState(SCAN_STATES.PREVIEW);
-
-        // Auto-analyze after brief preview
-        setTimeout(() => {
-            analyzeImage();
-        }, 1000);
+        });
+        showPages();
     };
 
     // Handle camera capture (fallback for file input)
@@ -348,38 +589,33 @@ const ScanPrescription = () => {
     // Handle gallery selection
     const handleGallerySelect = () => {
         triggerAction();
+        cancelAutoRead();
         fileInputRef.current?.click();
     };
 
-    // Process selected/captured image
+    // Process selected/captured image(s) - the gallery allows several pages at once
     const handleImageSelect = async (event) => {
-        const file = event.target.files?.[0];
-        if (!file) return;
-
-        const validation = validateImageFile(file);
-        if (!validation.valid) {
-            setError(validation.error);
+        const files = Array.from(event.target.files || [])
+            .slice(0, MAX_PRESCRIPTION_PAGES - pagesRef.current.length);
+        // Let the same photo be picked again later
+        event.target.value = '';
+        if (files.length === 0) return;
+
+        const invalid = files.map(validateImageFile).find(validation => !validation.valid);
+        if (invalid && pagesRef.current.length === 0) {
+            setError(invalid.error);
             setScanState(SCAN_STATES.ERROR);
-            speak(validation.error);
+            speak(invalid.error);
             return;
         }
 
         try {
-            setScanState(SCAN_STATES.PREVIEW);
-
-            // Create preview
-            const preview = createPreviewUrl(file);
-            setPreviewUrl(preview);
-
-            // Compress image
-            const compressed = await compressImage(file);
-            imageDataRef.current = { ...compressed, previewUrl: preview };
-
-            // Auto-analyze after brief preview
-            setTimeout(() => {
-                analyzeImage();
-            }, 1000);
-
+            for (const file of files.filter(f => validateImageFile(f).valid)) {
+                const preview = createPreviewUrl(file);
+                const compressed = await compressImage(file);
+                addPage({ ...compressed, previewUrl: preview });
+            }
+            showPages();
         } catch (err) {
             console.error('Image processing error:', err);
             setError('Failed to process image');
@@ -387,64 +623,124 @@ const ScanPrescription = () => {
         }
     };
 
-    // Analyze image with Gemini
-    const analyzeImage = async () => {
-        if (!imageDataRef.current) return;
-
-        setScanState(SCAN_STATES.ANALYZING);
-        speak(getText('analyzing'));
-
-        try {
-            const result = await analyzePrescription(
-                imageDataRef.current.base64,
-                imageDataRef.current.mimeType
-            );
-
-            // Privacy: Clear image data immediately after API call
-            clearImageData(imageDataRef.current);
-            imageDataRef.current = null;
+    // Show the medicines, check them against saved ones, then save or ask
+    const showResults = async (data) => {
+        setAnalysisResult(data);
+
+        // Check for drug interactions (Phase 5)
+        const savedMeds = getMedicines();
+        const drugConflicts = checkDrugInteractions(data.medicines, savedMeds);
+        const duplicates = findDuplicateTherapies(data.medicines, savedMeds);
+        setConflicts(drugConflicts);
+        setDuplicateGroups(duplicates);
+
+        setScanState(SCAN_STATES.RESULTS);
+        triggerSuccess();
+
+        // Announce results (and any page that could not be read)
+        const summary = generateVoiceSummary(data.medicines, language);
+        await speak(data.failedPages?.length > 0
+            ? `${summary} ${getPagesNotReadText(data.failedPages)}`
+            : summary);
+
+        // ═══════════════════════════════════════════════════════════
+        // PHASE 1: AUTO-COMMIT - Zero-Touch Medicine & Reminder Save
+        // No "Save" button needed - unless a serious interaction must be
+        // acknowledged or the same ingredient appears twice
+        // ═══════════════════════════════════════════════════════════
+        const needsAck = requiresAcknowledgement(drugConflicts);
+        if (drugConflicts.length === 0 && duplicates.length === 0) {
+            await autoCommitMedicinesAndReminders(data);
+        } else if (needsAck || duplicates.length > 0) {
+            setPendingSave(data);
+            setAwaitingAck(needsAck);
+            triggerAlert(); // Heavy vibration
+            // The duplicate question waits until the interaction is acknowledged
+            const prompts = [
+                generateConflictWarning(drugConflicts, language),
+                !needsAck && duplicates.length > 0 && getDuplicateTherapyPrompt(duplicates[0], language)
+            ].filter(Boolean);
+            await speak(prompts.join(' '));
+        } else {
+            const savedMessage = await autoCommitMedicinesAndReminders(data, { quiet: true });
+            triggerAlert();
+            await speak(generateConflictWarning(drugConflicts, language));
+            if (savedMessage) await speak(savedMessage);
+        }
+    };
 
-            if (result.success && result.data?.medicines?.length > 0) {
-                setAnalysisResult(result.data);
+    // Review finished: keep what the user accepted or corrected
+    const handleReviewComplete = async (accepted) => {
+        const data = reviewData;
+        setReviewData(null);
+        const medicines = [...data.medicines, ...accepted];
 
-                // Check for drug interactions (Phase 5)
-                const savedMeds = JSON.parse(localStorage.getItem('saarthi_medicines') || '[]');
-                const drugConflicts = checkDrugInteractions(result.data.medicines, savedMeds);
-                setConflicts(drugConflicts);
+        if (medicines.length === 0) {
+            const message = getText('nothingKept');
+            setError(message);
+            setScanState(SCAN_STATES.ERROR);
+            speak(message);
+            return;
+        }
+        await showResults({
+            ...data,
+            medicines,
+            reviewItems: [],
+            needsDurationConfirmation: medicines.some(m => m.durationWasGuessed)
+        });
+    };
 
-                setScanState(SCAN_STATES.RESULTS);
-                triggerSuccess();
+    // Analyze every collected page with Gemini
+    const analyzePages = async () => {
+        cancelAutoRead();
+        const pages = pagesRef.current;
+        if (pages.length === 0) return;
 
-                // Announce results
-                const summary = generateVoiceSummary(result.data.medicines, language);
-                await speak(summary);
-
-                // If conflicts, announce warning with heavy vibration
-                if (drugConflicts.length > 0) {
-                    triggerAlert(); // Heavy vibration
-                    setTimeout(async () => {
-                        const warning = generateConflictWarning(drugConflicts, language);
-                        await speak(warning);
-                    }, 1500);
-                }
-
-                // ═══════════════════════════════════════════════════════════
-                // PHASE 1: AUTO-COMMIT - Zero-Touch Medicine & Reminder Save
-                // No "Save" button needed - happens instantly after analysis
-                // ═══════════════════════════════════════════════════════════
-                await autoCommitMedicinesAndReminders(result.data);
+        setScanState(SCAN_STATES.ANALYZING);
+        speak(pages.length > 1
+            ? getText('analyzingPages').replace('{count}', pages.length)
+            : getText('analyzing'));
 
+        try {
+            const result = await analyzePrescriptionPages(pages);
+
+            const reviewItems = result.success ? (result.data?.reviewItems || []) : [];
+            // Crop each unsure line before the photos are cleared - the crop is all that stays
+            const croppedItems = await Promise.all(reviewItems.map(async item => ({
+                ...item,
+                cropUrl: await cropImageRegion(pages[(item.boxPage || item.page || 1) - 1], item.box)
+            })));
+
+            // Privacy: Clear image data immediately after API call, unless the
+            // user keeps prescription photos - then it goes once archived
+            if (getImageRetentionDays() === 0) {
+                pages.forEach(clearImageData);
+            } else {
+                archivePagesRef.current = pages;
+            }
+            pagesRef.current = [];
+
+            if (croppedItems.length > 0) {
+                // Nothing is saved until the user has checked the unsure medicines
+                setReviewData({ ...result.data, reviewItems: croppedItems });
+                setScanState(SCAN_STATES.REVIEW);
+                triggerAlert();
+            } else if (result.success && result.data?.medicines?.length > 0) {
+                await showResults(result.data);
             } else {
-                // Better error message for elders
-                const errorMsg = result.isQuotaError
-                    ? getText('quotaError')
-                    : getText('noMedicinesFound');
+                // Better error message for elders - say WHY it failed when we know
+                const errorMsg = result.success
+                    ? getText('noMedicinesFound')
+                    : getAnalysisErrorText(result.errorCode);
                 throw new Error(errorMsg);
             }
 
         } catch (err) {
             console.error('Analysis error:', err);
-            
+            // Nothing will be saved, so there is nothing to archive
+            archivePagesRef.current.forEach(clearImageData);
+            archivePagesRef.current = [];
+
             let errorMessage = err.message;
             
             // Handle specific error types with user-friendly messages
@@ -467,68 +763,43 @@ const ScanPrescription = () => {
     // PHASE 1: AUTO-COMMIT - Brain-to-Body Connection
     // Automatically saves medicines & creates reminders after Gemini analysis
     // ═══════════════════════════════════════════════════════════════════════
-    const autoCommitMedicinesAndReminders = async (analysisData) => {
-        if (!analysisData?.medicines || analysisData.medicines.length === 0) return;
+    const autoCommitMedicinesAndReminders = async (analysisData, { quiet = false } = {}) => {
+        if (!analysisData?.medicines || analysisData.medicines.length === 0) return null;
 
         console.log('🔄 Auto-commit starting for', analysisData.medicines.length, 'medicines');
 
-        // STEP 1: LOCAL STORAGE SAVE (GUARANTEED - no auth required)
-        const existing = JSON.parse(localStorage.getItem('saarthi_medicines') || '[]');
-        const duplicates = [];
-        const newMedicines = [];
-
-        analysisData.medicines.forEach(medicine => {
-            // Check for duplicates in localStorage
-            const isDuplicate = existing.some(m => 
-                m.name?.toLowerCase().trim() === medicine.name?.toLowerCase().trim()
-            );
-            
-            if (isDuplicate) {
-                duplicates.push(medicine.name);
-                console.log(`⚠️ Duplicate detected: ${medicine.name} - NOT adding`);
-            } else {
-                newMedicines.push({
-                    ...medicine,
-                    id: `local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                    quantity: 30,
-                    addedAt: Date.now(),
-                    prescriptionDate: analysisData.date,
-                    doctorName: analysisData.doctorName
-                });
-            }
-        });
-
-        // Save new medicines to localStorage
-        if (newMedicines.length > 0) {
-            localStorage.setItem('saarthi_medicines', JSON.stringify([...existing, ...newMedicines]));
-            console.log(`💊 Saved ${newMedicines.length} medicines to localStorage`);
-        }
-
-        const newCount = newMedicines.length;
-        const duplicateCount = duplicates.length;
+        // STEP 1: SAVE THE PRESCRIPTION AND ITS MEDICINES
+        // (device first, Firestore via the offline outbox)
+        const prescription = savePrescription(analysisData);
+        const { savedIds, savedMedicines, duplicates, newCount, duplicateCount } = await saveMedicines(
+            analysisData.medicines,
+            { doctorName: analysisData.doctorName, date: analysisData.date, prescriptionId: prescription.id }
+        );
+        setSavedMedicineIds(savedIds);
+
+        // Medicines already in the list still belong to this prescription
+        const existingIds = duplicates.map(name => findMedicineByName(name)?.id).filter(Boolean);
+        updatePrescription(prescription.id, { medicineIds: [...savedIds, ...existingIds] });
+        setSavedPrescriptionId(prescription.id);
+
+        // Keep the original photos with the record (Cloud Storage), then drop them from memory
+        const pages = archivePagesRef.current;
+        archivePagesRef.current = [];
+        archivePrescriptionImages(prescription.id, pages)
+            .then((images) => {
+                if (images.length > 0) updatePrescription(prescription.id, { images });
+            })
+            .finally(() => pages.forEach(clearImageData));
 
         // STEP 2: CREATE REMINDERS (GUARANTEED - no auth required)
         let remindersCreated = 0;
-        if (newMedicines.length > 0) {
-            const schedulerResult = createRemindersFromPrescription(newMedicines, language);
+        if (savedMedicines.length > 0) {
+            const schedulerResult = createRemindersFromPrescription(savedMedicines, language);
             remindersCreated = schedulerResult.created;
             console.log(`📅 Auto-scheduled ${remindersCreated} reminders`);
         }
 
-        // STEP 3: TRY FIREBASE SYNC (OPTIONAL - if user is authenticated)
-        try {
-            const saveResult = await saveMedicines(analysisData.medicines, {
-                doctorName: analysisData.doctorName,
-                date: analysisData.date
-            });
-            setSavedMedicineIds(saveResult.savedIds);
-            console.log('☁️ Firebase sync successful');
-        } catch (firebaseErr) {
-            console.warn('☁️ Firebase sync skipped (not logged in):', firebaseErr.message);
-            // No problem - localStorage is the source of truth for demo
-        }
-
-        // STEP 4: VOICE FEEDBACK
+        // STEP 3: VOICE FEEDBACK
         let voiceMessage;
         if (duplicateCount > 0 && newCount > 0) {
             voiceMessage = {
@@ -550,11 +821,69 @@ const ScanPrescription = () => {
             };
         }
         
-        // Announce after a brief delay
-        setTimeout(async () => {
-            await speak(voiceMessage[language] || voiceMessage['en-US']);
-            triggerSuccess();
-        }, 2000);
+        const message = voiceMessage[language] || voiceMessage['en-US'];
+
+        // Announce after a brief delay (quiet: the caller speaks it after its own warning)
+        if (!quiet) {
+            setTimeout(async () => {
+                await speak(message);
+                triggerSuccess();
+            }, 2000);
+        }
+        return message;
+    };
+
+    // Save what was held back, then say what was saved
+    const commitPendingSave = async (analysisData, prefix = '') => {
+        setPendingSave(null);
+        const savedMessage = await autoCommitMedicinesAndReminders(analysisData, { quiet: true });
+        const message = [prefix, savedMessage].filter(Boolean).join(' ');
+        if (message) await speak(message);
+        triggerSuccess();
+    };
+
+    // Serious interaction acknowledged (tap or "I understand")
+    const handleAcknowledgeConflicts = async () => {
+        if (!pendingSave || !awaitingAck) return;
+        setAwaitingAck(false);
+        triggerAction();
+        console.log('✅ Interaction warning acknowledged:', conflicts.map(c => c.id).join(', '));
+
+        if (duplicateGroups.length > 0) {
+            await speak(getDuplicateTherapyPrompt(duplicateGroups[0], language));
+            return;
+        }
+        await commitPendingSave(pendingSave);
+    };
+
+    // Duplicate ingredient answered: keep one medicine (null keeps all)
+    const handleKeepChoice = async (keepName) => {
+        const group = duplicateGroups[0];
+        if (!pendingSave || !group) return;
+        triggerAction();
+
+        const { medicines, replaced } = applyKeepChoice(pendingSave.medicines, group, keepName);
+        // Keeping the new brand stops the one already saved
+        await Promise.all(replaced.map(medicine => deactivateMedicine(medicine.id)));
+
+        const analysisData = { ...pendingSave, medicines };
+        const stillListed = (m) => !m.isNew || medicines.includes(m.medicine);
+        const remaining = duplicateGroups.slice(1)
+            .map(g => ({ ...g, medicines: g.medicines.filter(stillListed) }))
+            .filter(g => g.medicines.length > 1 && g.medicines.some(m => m.isNew));
+
+        setAnalysisResult(prev => ({ ...prev, medicines }));
+        setPendingSave(analysisData);
+        setDuplicateGroups(remaining);
+
+        const confirmation = getKeepConfirmation(keepName, language);
+        if (remaining.length > 0) {
+            await speak(`${confirmation} ${getDuplicateTherapyPrompt(remaining[0], language)}`);
+        } else if (awaitingAck) {
+            await speak(confirmation);
+        } else {
+            await commitPendingSave(analysisData, confirmation);
+        }
     };
 
     // Save medicines and set reminders (with Auto-Scheduler + Deduplication)
@@ -570,28 +899,12 @@ const ScanPrescription = () => {
                 date: analysisResult.date
             });
             
-            const { savedIds, duplicates, newCount, duplicateCount } = saveResult;
+            const { savedIds, savedMedicines, newCount, duplicateCount } = saveResult;
             setSavedMedicineIds(savedIds);
 
-            // Only save NEW medicines to localStorage (not duplicates)
-            if (newCount > 0) {
-                const existing = JSON.parse(localStorage.getItem('saarthi_medicines') || '[]');
-                const newMedicines = analysisResult.medicines
-                    .filter(m => !duplicates.includes(m.name))
-                    .map((m, i) => ({
-                        ...m,
-                        id: savedIds[i],
-                        quantity: 30,
-                        addedAt: Date.now(),
-                        prescriptionDate: analysisResult.date
-                    }));
-                localStorage.setItem('saarthi_medicines', JSON.stringify([...existing, ...newMedicines]));
-            }
-
             // Phase 2: Auto-Scheduler - Only for NEW medicines
-            const newMeds = analysisResult.medicines.filter(m => !duplicates.includes(m.name));
-            if (newMeds.length > 0) {
-                const schedulerResult = createRemindersFromPrescription(newMeds, language);
+            if (savedMedicines.length > 0) {
+                const schedulerResult = createRemindersFromPrescription(savedMedicines, language);
                 console.log(`📅 Auto-scheduled ${schedulerResult.created} reminders`);
             }
 
@@ -651,14 +964,22 @@ const ScanPrescription = () => {
 
     // Retry scan
     const handleRetry = () => {
+        cancelAutoRead();
+        pagesRef.current.forEach(clearImageData);
+        pagesRef.current = [];
+        archivePagesRef.current.forEach(clearImageData);
+        archivePagesRef.current = [];
+        pagePreviews.forEach(revokePreviewUrl);
+        setPagePreviews([]);
         setError('');
         setAnalysisResult(null);
+        setReviewData(null);
+        setSavedPrescriptionId(null);
         setConflicts([]);
+        setPendingSave(null);
+        setAwaitingAck(false);
+        setDuplicateGroups([]);
         setScanState(SCAN_STATES.IDLE);
-        if (previewUrl) {
-            revokePreviewUrl(previewUrl);
-            setPreviewUrl(null);
-        }
     };
 
     // Get timing icon
@@ -670,6 +991,11 @@ const ScanPrescription = () => {
         return '💊';
     };
 
+    // Saved records behind the result cards (stock is edited on these)
+    const savedRecords = savedMedicineIds.length > 0
+        ? (analysisResult?.medicines || []).map(med => findMedicineByName(med.name))
+        : [];
+
     return (
         <motion.div
             className="min-h-screen flex flex-col p-6 pb-32 bg-gradient-to-b from-gray-50 to-white"
@@ -690,6 +1016,7 @@ const ScanPrescription = () => {
                 type="file"
                 ref={fileInputRef}
                 accept="image/*"
+                multiple
                 onChange={handleImageSelect}
                 className="hidden"
             />
@@ -793,8 +1120,8 @@ const ScanPrescription = () => {
                     </motion.div>
                 )}
 
-                {/* PREVIEW State */}
-                {scanState === SCAN_STATES.PREVIEW && previewUrl && (
+                {/* PREVIEW State - pages collected so far */}
+                {scanState === SCAN_STATES.PREVIEW && pagePreviews.length > 0 && (
                     <motion.div
                         key="preview"
                         className="flex-1 flex flex-col items-center justify-center"
@@ -802,18 +1129,47 @@ const ScanPrescription = () => {
                         animate={{ opacity: 1 }}
                         exit={{ opacity: 0 }}
                     >
-                        <img
-                            src={previewUrl}
-                            alt="Prescription preview"
-                            className="max-w-full max-h-64 rounded-2xl shadow-lg"
-                        />
-                        <motion.div
-                            className="mt-6 text-xl text-gray-600"
-                            animate={{ opacity: [0.5, 1, 0.5] }}
-                            transition={{ duration: 1.5, repeat: Infinity }}
+                        <div className={`grid ${pagePreviews.length > 1 ? 'grid-cols-2' : 'grid-cols-1'} gap-3 w-full max-w-md`}>
+                            {pagePreviews.map((url, idx) => (
+                                <div key={`page-${idx}`} className="relative">
+                                    <img
+                                        src={url}
+                                        alt={getText('pageLabel').replace('{n}', idx + 1)}
+                                        className="w-full max-h-64 object-contain rounded-2xl shadow-lg bg-white"
+                                    />
+                                    <span className="absolute top-2 left-2 px-2 py-0.5 rounded-full bg-primary text-white text-sm font-bold">
+                                        📄 {getText('pageLabel').replace('{n}', idx + 1)}
+                                    </span>
+                                </div>
+                            ))}
+                        </div>
+
+                        {pagePreviews.length < MAX_PRESCRIPTION_PAGES && (
+                            <motion.button
+                                onClick={addAnotherPage}
+                                className="mt-6 w-full max-w-md py-4 rounded-2xl bg-white border-2 border-primary text-primary text-xl font-bold shadow-md"
+                                whileTap={{ scale: 0.98 }}
+                            >
+                                ➕ {getText('addPage')}
+                            </motion.button>
+                        )}
+                        <motion.button
+                            onClick={analyzePages}
+                            className="mt-3 w-full max-w-md py-4 rounded-2xl bg-primary text-white text-xl font-bold shadow-lg"
+                            whileTap={{ scale: 0.98 }}
                         >
-                            {getText('analyzing')}
-                        </motion.div>
+                            📖 {getText('readNow')}
+                        </motion.button>
+
+                        {autoReadPending && (
+                            <motion.p
+                                className="mt-4 text-lg text-gray-500 text-center"
+                                animate={{ opacity: [0.5, 1, 0.5] }}
+                                transition={{ duration: 1.5, repeat: Infinity }}
+                            >
+                                {getText('autoReadSoon')}
+                            </motion.p>
+                        )}
                     </motion.div>
                 )}
 
@@ -835,6 +1191,25 @@ const ScanPrescription = () => {
                     </motion.div>
                 )}
 
+                {/* REVIEW State - unsure medicines, one at a time */}
+                {scanState === SCAN_STATES.REVIEW && reviewData && (
+                    <motion.div
+                        key="review"
+                        className="flex-1"
+                        initial={{ opacity: 0, y: 20 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        exit={{ opacity: 0 }}
+                    >
+                        <ExtractionReview
+                            items={reviewData.reviewItems}
+                            language={language}
+                            pageCount={reviewData.pageCount}
+                            intro={getText('reviewIntro').replace('{count}', reviewData.reviewItems.length)}
+                            onComplete={handleReviewComplete}
+                        />
+                    </motion.div>
+                )}
+
                 {/* RESULTS State */}
                 {scanState === SCAN_STATES.RESULTS && analysisResult && (
                     <motion.div
@@ -852,13 +1227,78 @@ const ScanPrescription = () => {
                                 animate={{ scale: [1, 1.02, 1] }}
                                 transition={{ duration: 0.5, repeat: 3 }}
                             >
-                                <div className="text-2xl mb-2">⚠️ {conflicts[0].warning}</div>
-                                <p className="text-red-700">
-                                    {generateConflictWarning(conflicts, language)}
-                                </p>
+                                <div className="text-2xl font-bold text-red-800 mb-3">⚠️ {getText('interactionTitle')}</div>
+                                <ul className="space-y-3">
+                                    {conflicts.map((conflict, idx) => {
+                                        const text = getInteractionText(conflict, language);
+                                        return (
+                                            <li key={`${conflict.id}-${idx}`} className="p-3 bg-white rounded-xl">
+                                                <div className="flex items-center justify-between gap-2 mb-1">
+                                                    <span className="font-bold text-gray-800">
+                                                        {conflict.drug1} + {conflict.drug2}
+                                                    </span>
+                                                    <span className={`px-2 py-0.5 rounded-full text-xs font-bold shrink-0 ${SEVERITY_STYLES[conflict.severity]}`}>
+                                                        {text.severity}
+                                                    </span>
+                                                </div>
+                                                <p className="text-red-700">{text.mechanism}</p>
+                                                <p className="text-gray-700 mt-1">👉 {text.management}</p>
+                                            </li>
+                                        );
+                                    })}
+                                </ul>
+
+                                {pendingSave && awaitingAck && (
+                                    <div className="mt-4">
+                                        <p className="text-red-800 font-semibold mb-2">{getText('notSavedYet')}</p>
+                                        <button
+                                            onClick={handleAcknowledgeConflicts}
+                                            className="w-full py-4 rounded-2xl bg-red-600 text-white text-xl font-bold shadow-lg"
+                                        >
+                                            ✓ {getText('acknowledgeAndSave')}
+                                        </button>
+                                    </div>
+                                )}
                             </motion.div>
                         )}
 
+                        {/* Duplicate Ingredient - which one to keep */}
+                        {pendingSave && duplicateGroups.length > 0 && (
+                            <div className="p-4 bg-amber-50 border-2 border-amber-400 rounded-2xl">
+                                <div className="text-xl font-bold text-amber-900 mb-2">💊 {getText('duplicateTitle')}</div>
+                                <p className="text-gray-800 mb-3">
+                                    {getDuplicateTherapyPrompt(duplicateGroups[0], language)}
+                                </p>
+                                <div className="space-y-2">
+                                    {duplicateGroups[0].medicines.map((entry) => (
+                                        <button
+                                            key={`${entry.name}-${entry.isNew}`}
+                                            onClick={() => handleKeepChoice(entry.name)}
+                                            disabled={awaitingAck}
+                                            className="w-full py-3 rounded-xl bg-white border-2 border-amber-400 text-lg font-bold text-gray-800 disabled:opacity-50"
+                                        >
+                                            {getText('keepOnly').replace('{name}', entry.name)}
+                                            {!entry.isNew && <span className="text-sm font-normal text-gray-500"> ({getText('alreadySaved')})</span>}
+                                        </button>
+                                    ))}
+                                    <button
+                                        onClick={() => handleKeepChoice(null)}
+                                        disabled={awaitingAck}
+                                        className="w-full py-3 rounded-xl bg-amber-100 text-amber-900 font-semibold disabled:opacity-50"
+                                    >
+                                        {getText('keepBoth')}
+                                    </button>
+                                </div>
+                            </div>
+                        )}
+
+                        {/* Pages that could not be read */}
+                        {analysisResult.failedPages?.length > 0 && (
+                            <div className="p-4 bg-amber-50 border-2 border-amber-400 rounded-2xl text-lg text-amber-900">
+                                📄 {getPagesNotReadText(analysisResult.failedPages)}
+                            </div>
+                        )}
+
                         {/* Medicine Cards */}
                         {analysisResult.medicines.map((med, idx) => (
                             <motion.div
@@ -874,6 +1314,11 @@ const ScanPrescription = () => {
                                     </div>
                                     <div className="flex-1">
                                         <h3 className="text-xl font-bold text-gray-800">{med.name}</h3>
+                                        {analysisResult.pageCount > 1 && med.pages && (
+                                            <span className="inline-block mt-1 px-2 py-0.5 rounded-full bg-gray-100 text-gray-600 text-sm font-semibold">
+                                                📄 {getText('pageLabel').replace('{n}', med.pages.join(', '))}
+                                            </span>
+                                        )}
                                         <p className="text-gray-600">{med.dosage} - {med.frequency}</p>
                                         {med.visualDescription && (
                                             <p className="text-sm text-gray-500 mt-1">
@@ -882,6 +1327,32 @@ const ScanPrescription = () => {
                                         )}
                                     </div>
                                 </div>
+
+                                {/* Stock - starts as the prescribed/estimated amount */}
+                                {savedRecords[idx] && (
+                                    <div className="grid grid-cols-2 gap-3 mt-4">
+                                        <label className="text-sm text-gray-600">
+                                            {getText('tabletsYouHave')}
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                defaultValue={savedRecords[idx].quantity ?? ''}
+                                                onBlur={(e) => e.target.value !== '' && setStock(savedRecords[idx].id, { quantity: e.target.value })}
+                                                className="mt-1 w-full p-2 text-lg text-center border-2 border-gray-200 rounded-xl focus:border-primary focus:outline-none"
+                                            />
+                                        </label>
+                                        <label className="text-sm text-gray-600">
+                                            {getText('packSize')}
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                defaultValue={savedRecords[idx].packSize ?? ''}
+                                                onBlur={(e) => setStock(savedRecords[idx].id, { packSize: e.target.value })}
+                                                className="mt-1 w-full p-2 text-lg text-center border-2 border-gray-200 rounded-xl focus:border-primary focus:outline-none"
+                                            />
+                                        </label>
+                                    </div>
+                                )}
                             </motion.div>
                         ))}
 
@@ -902,6 +1373,14 @@ const ScanPrescription = () => {
                                     </p>
                                 </div>
                             </div>
+                            {savedPrescriptionId && (
+                                <button
+                                    onClick={() => navigate(`/prescription/${savedPrescriptionId}`)}
+                                    className="mt-3 w-full py-3 rounded-xl bg-white border-2 border-green-300 text-green-700 font-semibold"
+                                >
+                                    📄 {getText('viewPrescription')}
+                                </button>
+                            )}
                         </div>
                     </motion.div>
                 )}
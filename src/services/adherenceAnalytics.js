@@ -0,0 +1,260 @@
+/**
+ * Adherence Analytics
+ * Turns the adherence log into the numbers a family asks about: how many
+ * doses were taken, per medicine and overall, whether they were on time,
+ * the current run of days with every dose taken, which time of day gets
+ * missed most and how the last few weeks compare.
+ *
+ * Works on answered doses only (taken / skipped / missed); SOS doses and
+ * snoozes are left out, since they are not part of the schedule.
+ */
+
+import { getTimePeriod } from './reminderService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * A dose taken within this many minutes of its scheduled time is on time
+ */
+export const ON_TIME_MINUTES = 30;
+
+export const DEFAULT_WINDOW_DAYS = 30;
+const TREND_WEEKS = 4;
+
+// Rates at or above these read as good / needs attention in charts and speech
+export const GOOD_RATE = 80;
+export const FAIR_RATE = 50;
+
+const ANSWER_ACTIONS = ['taken', 'skipped', 'missed'];
+const SLOTS = ['morning', 'afternoon', 'evening', 'night'];
+
+const SUMMARY_TEXT = {
+    'en-US': {
+        none: 'No doses have been recorded in the last {days} days yet.',
+        overall: 'In the last {days} days, {taken} of {total} doses were taken. That is {rate} percent.',
+        onTime: 'On time: {onTime}. Late: {late}.',
+        worst: '{name} is missed most often: only {rate} percent taken.',
+        allGood: 'Every medicine was taken at least {rate} percent of the time. Well done.',
+        slot: 'Most missed doses are in the {slot}.',
+        streak: 'Every dose has been taken for {count} days in a row.',
+        slots: { morning: 'morning', afternoon: 'afternoon', evening: 'evening', night: 'night' }
+    },
+    'hi-IN': {
+        none: 'पिछले {days} दिनों में अभी कोई खुराक दर्ज नहीं हुई।',
+        overall: 'पिछले {days} दिनों में {total} में से {taken} खुराकें ली गईं। यानी {rate} प्रतिशत।',
+        onTime: 'इनमें से {onTime} समय पर और {late} देर से ली गईं।',
+        worst: '{name} सबसे ज़्यादा छूटती है: सिर्फ {rate} प्रतिशत ली गई।',
+        allGood: 'हर दवाई कम से कम {rate} प्रतिशत ली गई। बहुत अच्छा।',
+        slot: 'सबसे ज़्यादा खुराकें {slot} के समय छूटती हैं।',
+        streak: 'लगातार {count} दिनों से हर खुराक ली गई है।',
+        slots: { morning: 'सुबह', afternoon: 'दोपहर', evening: 'शाम', night: 'रात' }
+    },
+    'mr-IN': {
+        none: 'मागील {days} दिवसांत अजून एकही डोस नोंदवलेला नाही.',
+        overall: 'मागील {days} दिवसांत {total} पैकी {taken} डोस घेतले. म्हणजे {rate} टक्के.',
+        onTime: 'त्यापैकी {onTime} वेळेवर आणि {late} उशिरा घेतले.',
+        worst: '{name} सर्वात जास्त चुकते: फक्त {rate} टक्के घेतले.',
+        allGood: 'प्रत्येक औषध किमान {rate} टक्के घेतले. छान.',
+        slot: 'सर्वात जास्त डोस {slot} चुकतात.',
+        streak: 'सलग {count} दिवस प्रत्येक डोस घेतला आहे.',
+        slots: { morning: 'सकाळी', afternoon: 'दुपारी', evening: 'संध्याकाळी', night: 'रात्री' }
+    }
+};
+
+const toRate = (taken, total) => (total > 0 ? Math.round((taken / total) * 100) : null);
+
+const dayKey = (date) => {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${d.getMonth() + 1}-${d.getDate()}`;
+};
+
+const startOfDay = (date) => {
+    const d = new Date(date);
+    d.setHours(0, 0, 0, 0);
+    return d;
+};
+
+// Time of day a dose belongs to: its reminder timing, else when it was due
+const getSlot = (entry) => {
+    if (SLOTS.includes(entry.timing)) return entry.timing;
+    const at = new Date(entry.scheduledTime || entry.time);
+    return getTimePeriod(`${at.getHours()}:${String(at.getMinutes()).padStart(2, '0')}`).toLowerCase();
+};
+
+// true / false, or null when the dose had no scheduled time
+const wasOnTime = (entry) => {
+    if (!entry.scheduledTime) return null;
+    const delay = Date.parse(entry.time) - Date.parse(entry.scheduledTime);
+    return delay <= ON_TIME_MINUTES * 60 * 1000;
+};
+
+const countDoses = (entries) => {
+    const taken = entries.filter(e => e.action === 'taken');
+    const timed = taken.map(wasOnTime).filter(onTime => onTime !== null);
+    return {
+        taken: taken.length,
+        notTaken: entries.length - taken.length,
+        total: entries.length,
+        rate: toRate(taken.length, entries.length),
+        onTime: timed.filter(Boolean).length,
+        late: timed.filter(onTime => !onTime).length
+    };
+};
+
+/**
+ * Runs of days on which every answered dose was taken. A day with no
+ * answers ends a run, except today while its doses may still be ahead.
+ */
+const getStreaks = (entries, now, days) => {
+    const byDay = new Map();
+    entries.forEach(entry => {
+        const key = dayKey(entry.time);
+        byDay.set(key, (byDay.get(key) ?? true) && entry.action === 'taken');
+    });
+
+    let current = 0;
+    let longest = 0;
+    let run = 0;
+    let currentDone = false;
+    const day = startOfDay(now);
+
+    for (let i = 0; i < days; i++) {
+        const good = byDay.get(dayKey(day));
+        if (good === undefined && i === 0) {
+            day.setDate(day.getDate() - 1);
+            continue;
+        }
+        if (good) {
+            run++;
+            longest = Math.max(longest, run);
+        } else {
+            if (!currentDone) current = run;
+            currentDone = true;
+            run = 0;
+        }
+        day.setDate(day.getDate() - 1);
+    }
+    if (!currentDone) current = run;
+
+    return { current, longest };
+};
+
+/**
+ * Compute adherence statistics
+ * @param {Array} entries - Adherence log entries (getDoseLog / getLocalDoseLog)
+ * @param {object} options - { now: reference time, days: look-back window (default 30) }
+ * @returns {object} {
+ *   days, overall: { taken, notTaken, total, rate, onTime, late },
+ *   medicines: [{ name, ...counts }] lowest rate first,
+ *   streak: { current, longest },
+ *   mostMissedSlot: { slot, count } | null,
+ *   slots: { morning: { taken, total, rate }, ... },
+ *   weeklyTrend: [{ weekStart, weekEnd, taken, total, rate }] oldest first
+ * }
+ */
+export const computeAdherence = (entries, { now = new Date(), days = DEFAULT_WINDOW_DAYS } = {}) => {
+    const nowMs = new Date(now).getTime();
+    const windowStart = startOfDay(nowMs - (days - 1) * DAY_MS).getTime();
+
+    const doses = (entries || []).filter(entry => ANSWER_ACTIONS.includes(entry.action)
+        && !entry.asNeeded
+        && entry.time
+        && Date.parse(entry.time) >= windowStart
+        && Date.parse(entry.time) <= nowMs);
+
+    // Per medicine, by name - older entries carry no medicine ID
+    const byMedicine = new Map();
+    doses.forEach(entry => {
+        const key = (entry.medicineName || '').toLowerCase().trim();
+        if (!byMedicine.has(key)) byMedicine.set(key, { name: entry.medicineName, entries: [] });
+        byMedicine.get(key).entries.push(entry);
+    });
+    const medicines = [...byMedicine.values()]
+        .map(({ name, entries: medicineEntries }) => ({ name, ...countDoses(medicineEntries) }))
+        .sort((a, b) => a.rate - b.rate || b.total - a.total);
+
+    const slots = Object.fromEntries(SLOTS.map(slot => {
+        const slotDoses = doses.filter(entry => getSlot(entry) === slot);
+        const taken = slotDoses.filter(e => e.action === 'taken').length;
+        return [slot, { taken, total: slotDoses.length, rate: toRate(taken, slotDoses.length) }];
+    }));
+    const [worstSlot] = SLOTS
+        .map(slot => ({ slot, count: slots[slot].total - slots[slot].taken }))
+        .filter(({ count }) => count > 0)
+        .sort((a, b) => b.count - a.count);
+
+    // Whole days, the last week ending today
+    const todayStart = startOfDay(nowMs).getTime();
+    const weeklyTrend = [];
+    for (let week = TREND_WEEKS - 1; week >= 0; week--) {
+        const weekStart = todayStart - (week * 7 + 6) * DAY_MS;
+        const weekEnd = week === 0 ? nowMs : todayStart - (week * 7 - 1) * DAY_MS - 1;
+        const weekDoses = (entries || []).filter(entry => ANSWER_ACTIONS.includes(entry.action)
+            && !entry.asNeeded
+            && Date.parse(entry.time) >= weekStart
+            && Date.parse(entry.time) <= weekEnd);
+        const { taken, total, rate } = countDoses(weekDoses);
+        weeklyTrend.push({ weekStart: new Date(weekStart), weekEnd: new Date(weekEnd), taken, total, rate });
+    }
+
+    return {
+        days,
+        overall: countDoses(doses),
+        medicines,
+        streak: getStreaks(doses, nowMs, days),
+        mostMissedSlot: worstSlot || null,
+        slots,
+        weeklyTrend
+    };
+};
+
+/**
+ * Spoken summary of computeAdherence results
+ * @param {object} stats - computeAdherence result
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+export const getAdherenceSummary = (stats, language = 'en-US') => {
+    const t = SUMMARY_TEXT[language] || SUMMARY_TEXT['en-US'];
+    const { overall, medicines, streak, mostMissedSlot, days } = stats;
+
+    if (overall.total === 0) return t.none.replace('{days}', days);
+
+    const parts = [
+        t.overall
+            .replace('{days}', days)
+            .replace('{taken}', overall.taken)
+            .replace('{total}', overall.total)
+            .replace('{rate}', overall.rate)
+    ];
+
+    if (overall.onTime + overall.late > 0) {
+        parts.push(t.onTime.replace('{onTime}', overall.onTime).replace('{late}', overall.late));
+    }
+
+    const [worst] = medicines;
+    if (medicines.length > 1 && worst.rate < GOOD_RATE) {
+        parts.push(t.worst.replace('{name}', worst.name).replace('{rate}', worst.rate));
+    } else if (worst.rate >= GOOD_RATE) {
+        parts.push(t.allGood.replace('{rate}', worst.rate));
+    }
+
+    if (mostMissedSlot) {
+        parts.push(t.slot.replace('{slot}', t.slots[mostMissedSlot.slot]));
+    }
+
+    if (streak.current > 1) {
+        parts.push(t.streak.replace('{count}', streak.current));
+    }
+
+    return parts.join(' ');
+};
+
+export default {
+    ON_TIME_MINUTES,
+    DEFAULT_WINDOW_DAYS,
+    GOOD_RATE,
+    FAIR_RATE,
+    computeAdherence,
+    getAdherenceSummary
+};
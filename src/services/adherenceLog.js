@@ -0,0 +1,281 @@
+/**
+ * Adherence Log
+ * The one place doses are recorded (taken, skipped, missed, snoozed),
+ * whichever screen or notification the answer came from.
+ *
+ * Every entry is written to the device history (`saarthi_medicine_history`)
+ * straight away - the SOS guard and the history screen work offline from it -
+ * and to the Firestore `medication_logs` collection through the offline
+ * outbox, under the same ID. Reading merges both, so doses logged on another
+ * phone show up and nothing is listed twice.
+ */
+
+import { collection, getDocs, query, where } from 'firebase/firestore';
+import { onAuthStateChanged } from 'firebase/auth';
+import { db, auth } from '../firebase/firebase';
+import { enqueueWrite, flushOutbox, generateClientId } from './offlineQueue';
+import { recordDoseTaken } from './inventoryService';
+import { getOccurrenceKey } from './reminderService';
+
+const HISTORY_KEY = 'saarthi_medicine_history';
+const MIGRATED_KEY = 'saarthi_history_migrated';
+const MEDICATION_LOGS_COLLECTION = 'medication_logs';
+
+// Older screens saved the same dose locally and remotely under different IDs
+const DUPLICATE_WINDOW_MS = 2 * 60 * 1000;
+// Answers saved without a scheduled time count for a dose due this close by
+const UNSCHEDULED_ANSWER_WINDOW_MS = 3 * 60 * 60 * 1000;
+
+export const DOSE_ACTIONS = {
+    TAKEN: 'taken',
+    SKIPPED: 'skipped',
+    MISSED: 'missed',
+    SNOOZED: 'snoozed'
+};
+
+let syncStarted = false;
+
+// ═══════════════════════════════════════════════════════════════════════
+// LOCAL HISTORY
+// ═══════════════════════════════════════════════════════════════════════
+
+const readHistory = () => {
+    try {
+        return JSON.parse(localStorage.getItem(HISTORY_KEY) || '[]');
+    } catch (error) {
+        console.error('Error reading medicine history:', error);
+        return [];
+    }
+};
+
+const writeHistory = (history) => {
+    try {
+        localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+    } catch (error) {
+        console.error('Error saving medicine history:', error);
+    }
+};
+
+const toMillis = (value) => {
+    if (!value) return 0;
+    if (typeof value === 'number') return value;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? 0 : parsed;
+};
+
+const toIso = (value) => (value ? new Date(toMillis(value)).toISOString() : null);
+
+const newestFirst = (a, b) => toMillis(b.time) - toMillis(a.time);
+
+// A medication_logs document in the local entry shape
+const fromRemote = (id, data) => ({
+    id,
+    medicineId: data.medicineId || null,
+    medicineName: data.medicineName,
+    action: data.action,
+    time: toIso(data.actionTime || data.createdAt),
+    scheduledTime: toIso(data.scheduledTime),
+    timing: data.timing || null,
+    notes: data.notes || null,
+    asNeeded: data.timing === 'sos'
+});
+
+const toRemote = (entry, uid) => ({
+    userId: uid,
+    medicineId: entry.medicineId || null,
+    medicineName: entry.medicineName,
+    action: entry.action,
+    scheduledTime: entry.scheduledTime || null,
+    actionTime: new Date(entry.time),
+    timing: entry.timing || (entry.asNeeded ? 'sos' : null),
+    notes: entry.notes || null,
+    createdAt: new Date(entry.time)
+});
+
+const isSameDose = (a, b) => a.action === b.action
+    && (a.medicineName || '').toLowerCase() === (b.medicineName || '').toLowerCase()
+    && Math.abs(toMillis(a.time) - toMillis(b.time)) <= DUPLICATE_WINDOW_MS;
+
+const fetchRemoteLogs = async (uid) => {
+    const q = query(collection(db, MEDICATION_LOGS_COLLECTION), where('userId', '==', uid));
+    const snapshot = await getDocs(q);
+    return snapshot.docs.map(d => fromRemote(d.id, d.data()));
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// WRITE API
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Record a dose answer. A 'taken' dose also comes out of the pill stock.
+ * @param {string} medicineId - Medicine ID (null when only the name is known)
+ * @param {string} medicineName - Medicine name for display
+ * @param {string} action - One of DOSE_ACTIONS
+ * @param {object} details - { scheduledTime, actionTime (to backdate), timing, notes,
+ *                             doseAmount, asNeeded, logId (to reuse an ID) }
+ * @returns {Promise<string>} Log ID (device history and Firestore)
+ */
+export const logDose = async (medicineId, medicineName, action, details = {}) => {
+    const entry = {
+        id: details.logId || generateClientId('log'),
+        medicineId: medicineId || null,
+        medicineName: medicineName || 'Medicine',
+        action,
+        // Recorded on the device so a late replay keeps the real time of the dose
+        time: toIso(details.actionTime) || new Date().toISOString(),
+        scheduledTime: toIso(details.scheduledTime),
+        timing: details.timing || null,
+        notes: details.notes || null,
+        asNeeded: !!details.asNeeded || details.timing === 'sos'
+    };
+
+    writeHistory([...readHistory().filter(e => e.id !== entry.id), entry]);
+
+    await enqueueWrite({
+        collection: MEDICATION_LOGS_COLLECTION,
+        docId: entry.id,
+        data: toRemote(entry, auth.currentUser?.uid || null)
+    });
+    flushOutbox();
+
+    if (action === DOSE_ACTIONS.TAKEN) {
+        recordDoseTaken(entry.medicineId, entry.medicineName, details.doseAmount || 1);
+    }
+
+    console.log(`📝 Logged ${action}: ${entry.medicineName} (ID: ${entry.id})`);
+    return entry.id;
+};
+
+/**
+ * Log ID of one scheduled dose once it has been marked missed. A late answer
+ * is saved under the same ID, so it replaces the missed entry instead of
+ * counting the dose twice.
+ * @param {string} reminderId - Reminder ID
+ * @param {string|number} scheduledTime - Originally scheduled time of the dose
+ * @returns {string}
+ */
+export const getMissedDoseLogId = (reminderId, scheduledTime) =>
+    `${getOccurrenceKey(reminderId, scheduledTime)}:missed`;
+
+// ═══════════════════════════════════════════════════════════════════════
+// READ API
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Doses recorded on this device, newest first
+ * @returns {Array<{ id, medicineId, medicineName, action, time, scheduledTime, timing, notes, asNeeded }>}
+ */
+export const getLocalDoseLog = () => readHistory().sort(newestFirst);
+
+/**
+ * Whether a scheduled dose was already answered (taken or skipped) on this device
+ * @param {string} medicineName - Medicine name
+ * @param {string|number} scheduledTime - Originally scheduled time of the dose
+ * @returns {boolean}
+ */
+export const hasAnsweredDose = (medicineName, scheduledTime) => {
+    const scheduledAt = toMillis(scheduledTime);
+    if (!scheduledAt) return false;
+    return readHistory().some(e => (e.action === DOSE_ACTIONS.TAKEN || e.action === DOSE_ACTIONS.SKIPPED)
+        && !e.asNeeded
+        && (e.medicineName || '').toLowerCase() === (medicineName || '').toLowerCase()
+        && (e.scheduledTime
+            ? toMillis(e.scheduledTime) === scheduledAt
+            : Math.abs(toMillis(e.time) - scheduledAt) <= UNSCHEDULED_ANSWER_WINDOW_MS));
+};
+
+/**
+ * All of a user's doses, newest first: the device history plus Firestore
+ * (other devices, older screens), without duplicates. Firestore-only
+ * entries are kept on the device too. Offline or signed out, the device
+ * history is returned.
+ * @param {string} uid - User's Firebase UID (optional)
+ * @returns {Promise<Array>}
+ */
+export const getDoseLog = async (uid = auth.currentUser?.uid) => {
+    const local = readHistory();
+    if (!uid || !navigator.onLine) return local.sort(newestFirst);
+
+    try {
+        const remote = await fetchRemoteLogs(uid);
+        const ids = new Set(local.map(e => e.id));
+        const added = remote.filter(entry => entry.time
+            && !ids.has(entry.id)
+            && !local.some(e => isSameDose(e, entry)));
+
+        if (added.length > 0) {
+            writeHistory([...local, ...added]);
+            console.log(`📋 Added ${added.length} doses logged elsewhere`);
+        }
+        return [...local, ...added].sort(newestFirst);
+    } catch (error) {
+        console.warn('Dose log fetch failed, showing this phone only:', error.message);
+        return local.sort(newestFirst);
+    }
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// ONE-TIME MIGRATION
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Upload device history that never reached Firestore (written by older
+ * screens). Entries already there - by ID or as the same dose within a
+ * couple of minutes - are left alone. Runs once per device.
+ * @param {string} uid - User's Firebase UID
+ * @returns {Promise<number>} Entries uploaded (0 when already done or not possible yet)
+ */
+export const migrateLocalHistory = async (uid = auth.currentUser?.uid) => {
+    if (localStorage.getItem(MIGRATED_KEY) || !uid || !navigator.onLine) return 0;
+
+    try {
+        const remote = await fetchRemoteLogs(uid);
+        const remoteIds = new Set(remote.map(e => e.id));
+        const missing = readHistory().filter(entry => entry.time
+            && !remoteIds.has(String(entry.id))
+            && !remote.some(r => isSameDose(r, entry)));
+
+        for (const entry of missing) {
+            await enqueueWrite({
+                collection: MEDICATION_LOGS_COLLECTION,
+                docId: entry.id ? String(entry.id) : generateClientId('log'),
+                data: { ...toRemote(entry, uid), notes: entry.notes || 'Moved from phone history' }
+            });
+        }
+
+        localStorage.setItem(MIGRATED_KEY, new Date().toISOString());
+        if (missing.length > 0) {
+            flushOutbox();
+            console.log(`📦 Moved ${missing.length} history entries to the cloud log`);
+        }
+        return missing.length;
+    } catch (error) {
+        console.warn('History migration postponed:', error.message);
+        return 0;
+    }
+};
+
+/**
+ * Run the history migration when a user is signed in (call once at app start)
+ */
+export const startAdherenceLog = () => {
+    if (syncStarted) return;
+    syncStarted = true;
+
+    onAuthStateChanged(auth, (firebaseUser) => {
+        if (firebaseUser) migrateLocalHistory(firebaseUser.uid);
+    });
+};
+
+export default {
+    DOSE_ACTIONS,
+    logDose,
+    getMissedDoseLogId,
+    getLocalDoseLog,
+    hasAnsweredDose,
+    getDoseLog,
+    migrateLocalHistory,
+    startAdherenceLog
+};
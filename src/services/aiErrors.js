@@ -0,0 +1,113 @@
+/**
+ * AI Errors
+ * Every failed model call ends up as an Error carrying one of the codes below,
+ * so screens can tell the user WHY a scan failed (busy, offline, unreadable
+ * answer...) instead of a generic "Could not analyze".
+ */
+
+import { getPrompt } from '../utils/translations';
+
+/**
+ * Error codes, in the same "area/reason" form Firebase uses
+ */
+export const AI_ERROR_CODES = {
+    TIMEOUT: 'ai/timeout',
+    QUOTA: 'ai/quota-exceeded',
+    NETWORK: 'ai/network',
+    NOT_CONFIGURED: 'ai/not-configured',
+    // The answer was not JSON, even after repair
+    INVALID_RESPONSE: 'ai/invalid-response',
+    // JSON, but missing required fields or full of impossible values
+    SCHEMA_MISMATCH: 'ai/schema-mismatch',
+    UNKNOWN: 'ai/unknown'
+};
+
+/**
+ * Create an AI error
+ * @param {string} code - One of AI_ERROR_CODES
+ * @param {string} message - Developer-facing message
+ * @param {object} details - Extra context: { issues, repairs, model, rawText }
+ * @returns {Error} Error with code and details
+ */
+export const createAIError = (code, message, details = {}) => {
+    const error = new Error(message);
+    error.code = code;
+    error.details = details;
+    return error;
+};
+
+const isAIError = (error) => typeof error?.code === 'string' && error.code.startsWith('ai/');
+
+/**
+ * Work out the code for any error thrown during a model call
+ * @param {Error} error - Thrown error
+ * @returns {string} One of AI_ERROR_CODES
+ */
+export const classifyAIError = (error) => {
+    if (isAIError(error)) return error.code;
+    const message = error?.message || '';
+    if (message === 'API_TIMEOUT') return AI_ERROR_CODES.TIMEOUT;
+    if (/429|quota|RESOURCE_EXHAUSTED/i.test(message)) return AI_ERROR_CODES.QUOTA;
+    if (/API key|API_KEY|PERMISSION_DENIED|\b40[13]\b/i.test(message)) return AI_ERROR_CODES.NOT_CONFIGURED;
+    if (/network|Failed to fetch|fetch failed|ECONN|offline/i.test(message)) return AI_ERROR_CODES.NETWORK;
+    if (error instanceof SyntaxError || /JSON/.test(message)) return AI_ERROR_CODES.INVALID_RESPONSE;
+    return AI_ERROR_CODES.UNKNOWN;
+};
+
+/**
+ * Wrap any error as an AI error (already-typed errors pass through)
+ * @param {Error} error - Thrown error
+ * @returns {Error} Error with an AI_ERROR_CODES code
+ */
+export const toAIError = (error) => {
+    if (isAIError(error)) return error;
+    return createAIError(classifyAIError(error), error?.message || 'AI request failed', { cause: error });
+};
+
+/**
+ * Was the quota exhausted?
+ * @param {Error|string} errorOrCode - Error or code
+ * @returns {boolean}
+ */
+export const isQuotaError = (errorOrCode) =>
+    (typeof errorOrCode === 'string' ? errorOrCode : classifyAIError(errorOrCode)) === AI_ERROR_CODES.QUOTA;
+
+/**
+ * Did the model answer, just not usefully? (Usually a poor photo or unclear
+ * speech - worth asking the user to try again, unlike a busy or offline service.)
+ * @param {string} code - One of AI_ERROR_CODES
+ * @returns {boolean}
+ */
+export const isUnusableResponse = (code) =>
+    code === AI_ERROR_CODES.INVALID_RESPONSE || code === AI_ERROR_CODES.SCHEMA_MISMATCH;
+
+/**
+ * Get a user-friendly message for an AI error
+ * @param {Error|string} errorOrCode - Error or code
+ * @param {string} language - Language code
+ * @returns {string} Message in the user's language
+ */
+export const getAIErrorMessage = (errorOrCode, language = 'hi-IN') => {
+    const code = typeof errorOrCode === 'string' ? errorOrCode : classifyAIError(errorOrCode);
+
+    const errorMap = {
+        [AI_ERROR_CODES.TIMEOUT]: 'ERR_AI_TIMEOUT',
+        [AI_ERROR_CODES.QUOTA]: 'ERR_AI_BUSY',
+        [AI_ERROR_CODES.NETWORK]: 'ERR_NETWORK',
+        [AI_ERROR_CODES.NOT_CONFIGURED]: 'ERR_CONFIG',
+        [AI_ERROR_CODES.INVALID_RESPONSE]: 'ERR_AI_UNREADABLE',
+        [AI_ERROR_CODES.SCHEMA_MISMATCH]: 'ERR_AI_UNREADABLE'
+    };
+
+    return getPrompt(errorMap[code] || 'ERR_GENERIC', language);
+};
+
+export default {
+    AI_ERROR_CODES,
+    createAIError,
+    classifyAIError,
+    toAIError,
+    isQuotaError,
+    isUnusableResponse,
+    getAIErrorMessage
+};
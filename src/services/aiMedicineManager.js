@@ -4,9 +4,12 @@
  * Elder-Friendly: Simple voice commands to add medicines without scanning
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
-
-const genAI = new GoogleGenerativeAI(import.meta.env.VITE_GEMINI_API_KEY);
+import { generateJson } from './aiProvider';
+import { classifyAIError, getAIErrorMessage, isUnusableResponse } from './aiErrors';
+import { VOICE_MEDICINE_SCHEMA } from './aiSchemas';
+import { createMedicine } from './medicineRepository';
+import { correctMedicineName } from '../data/medicineDatabase';
+import { parseScheduleFromFrequency, getTaperLength, describeSchedule, SCHEDULE_TYPES } from '../utils/scheduleModel';
 
 /**
  * Parse natural language medicine input from user voice
@@ -15,8 +18,6 @@ const genAI = new GoogleGenerativeAI(import.meta.env.VITE_GEMINI_API_KEY);
  * @returns {Promise<object>} Parsed medicine object
  */
 export const parseMedicineFromVoice = async (voiceInput, language = 'en-US') => {
-    const MODELS = ['gemini-2.5-flash', 'gemini-2.0-flash'];
-
     const prompt = `You are a medical assistant for elderly patients. Parse the following voice input about a medicine.
 
 VOICE INPUT: "${voiceInput}"
@@ -24,15 +25,17 @@ LANGUAGE: ${language}
 
 TASK: Extract medicine information and return ONLY this JSON:
 {
-    "name": "Medicine name (e.g., Paracetamol, Amlodipine)",
+    "name": "Medicine name as spoken, keeping any number that is part of a brand (e.g., Paracetamol, Amlodipine, Dolo 650, Pan 40). Do not translate or guess a different medicine",
     "dosage": "Dosage if mentioned (e.g., 500mg, 5mg)",
     "timing": ["morning", "night"] or ["morning"] etc based on when to take,
-    "frequency": "once daily" or "twice daily" or "every other day",
+    "frequency": "once daily" or "twice daily" or "every 8 hours" or "alternate days" or "once a week on Sunday" or "as needed" or "taper 3-2-1 x 3 days",
     "durationDays": Number of days if mentioned, default 30,
     "withFood": true or false,
     "visualColor": "white" or "pink" or "blue" etc if mentioned,
     "visualType": "tablet" or "capsule" or "syrup",
     "specialInstructions": "Any special instructions mentioned",
+    "quantity": Number of tablets the user has if mentioned, else null,
+    "packSize": Tablets in one strip/bottle if mentioned (e.g. "strip of 10" → 10), else null,
     "confidence": 0.0 to 1.0 (how confident you are in the parsing)
 }
 
@@ -40,45 +43,57 @@ EXAMPLES:
 - "Add Paracetamol 500mg morning and night" → {name: "Paracetamol", dosage: "500mg", timing: ["morning", "night"]...}
 - "मुझे Amlodipine रात को लेना है" → {name: "Amlodipine", timing: ["night"]...}
 - "Take Metformin with food" → {name: "Metformin", withFood: true...}
+- "pan forty before breakfast" → {name: "Pan 40", timing: ["morning"]...}
+- "डोलो छह सौ पचास बुखार में" → {name: "डोलो 650", frequency: "as needed"...}
 
 Return ONLY valid JSON.`;
 
-    for (const modelName of MODELS) {
-        try {
-            const model = genAI.getGenerativeModel({ model: modelName });
-            const result = await model.generateContent(prompt);
-            const response = await result.response;
-            let text = response.text().replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-            
-            const parsed = JSON.parse(text);
-            console.log('🤖 AI parsed medicine:', parsed);
-
-            return {
-                success: true,
-                medicine: {
-                    id: Date.now().toString(),
-                    name: parsed.name || 'Unknown Medicine',
-                    dosage: parsed.dosage || '',
-                    timing: parsed.timing || ['morning'],
-                    frequency: parsed.frequency || 'once daily',
-                    durationDays: parsed.durationDays || 30,
-                    withFood: parsed.withFood ?? true,
-                    visualColor: parsed.visualColor || 'white',
-                    visualType: parsed.visualType || 'tablet',
-                    specialInstructions: parsed.specialInstructions || '',
-                    quantity: 30,
-                    addedAt: Date.now(),
-                    addedBy: 'voice'
-                },
-                confidence: parsed.confidence || 0.8
-            };
-        } catch (error) {
-            console.warn(`AI medicine parsing failed with ${modelName}:`, error);
-            continue;
+    try {
+        const { data: parsed } = await generateJson(prompt, {
+            task: 'voiceMedicine',
+            schema: VOICE_MEDICINE_SCHEMA
+        });
+        console.log('🤖 AI parsed medicine:', parsed);
+
+        // Every N hours / alternate days / weekly / SOS / tapering
+        const schedule = parseScheduleFromFrequency(parsed.frequency);
+        const isTaper = schedule?.type === SCHEDULE_TYPES.TAPER;
+
+        // Speech recognition garbles brand names ("dolo six fifty", "डोलो") -
+        // snap to the formulary spelling
+        const nameCorrection = correctMedicineName(parsed.name || 'Unknown Medicine');
+        const formularyEntry = nameCorrection.medicineData;
+        if (nameCorrection.wasCorrected) {
+            console.log(`📝 Voice name corrected: "${parsed.name}" → "${nameCorrection.correctedName}"`);
         }
-    }
 
-    return { success: false, medicine: null, confidence: 0 };
+        return {
+            success: true,
+            medicine: {
+                id: Date.now().toString(),
+                name: nameCorrection.correctedName,
+                genericName: formularyEntry?.genericName || null,
+                dosage: parsed.dosage || '',
+                timing: schedule?.type === SCHEDULE_TYPES.PRN ? [] : (parsed.timing || ['morning']),
+                frequency: parsed.frequency || 'once daily',
+                schedule,
+                durationDays: parsed.durationDays || (isTaper ? getTaperLength(schedule) : 30),
+                withFood: parsed.withFood ?? true,
+                visualColor: parsed.visualColor || formularyEntry?.visualColor || 'white',
+                visualType: parsed.visualType || formularyEntry?.visualType || 'tablet',
+                specialInstructions: parsed.specialInstructions || '',
+                // Unknown stock is estimated from the course when saved
+                quantity: Number(parsed.quantity) || null,
+                packSize: Number(parsed.packSize) || null,
+                addedAt: Date.now(),
+                addedBy: 'voice'
+            },
+            confidence: parsed.confidence || 0.8
+        };
+    } catch (error) {
+        console.warn('AI medicine parsing failed:', error);
+        return { success: false, medicine: null, confidence: 0, errorCode: classifyAIError(error) };
+    }
 };
 
 /**
@@ -91,6 +106,11 @@ export const addMedicineByVoice = async (voiceInput, language = 'en-US') => {
     try {
         const result = await parseMedicineFromVoice(voiceInput, language);
 
+        // Offline, busy or slow is not the user's fault - say so rather than "say it again"
+        if (!result.success && result.errorCode && !isUnusableResponse(result.errorCode)) {
+            return { success: false, voiceFeedback: getAIErrorMessage(result.errorCode, language) };
+        }
+
         if (!result.success || result.confidence < 0.5) {
             return {
                 success: false,
@@ -102,14 +122,10 @@ export const addMedicineByVoice = async (voiceInput, language = 'en-US') => {
             };
         }
 
-        // Check for duplicates in localStorage
-        const existing = JSON.parse(localStorage.getItem('saarthi_medicines') || '[]');
-        const isDuplicate = existing.some(m => 
-            m.name?.toLowerCase().includes(result.medicine.name.toLowerCase()) ||
-            result.medicine.name.toLowerCase().includes(m.name?.toLowerCase())
-        );
+        // Save through the medicine repository (skips names already in the list)
+        const { medicine, duplicate } = createMedicine(result.medicine, { source: 'voice' });
 
-        if (isDuplicate) {
+        if (duplicate) {
             return {
                 success: false,
                 voiceFeedback: {
@@ -120,12 +136,8 @@ export const addMedicineByVoice = async (voiceInput, language = 'en-US') => {
             };
         }
 
-        // Add to localStorage
-        const updated = [...existing, result.medicine];
-        localStorage.setItem('saarthi_medicines', JSON.stringify(updated));
-
         // Generate confirmation message
-        const timingText = {
+        const timingText = describeSchedule(result.medicine.schedule, language) || {
             'en-US': result.medicine.timing.join(' and '),
             'hi-IN': result.medicine.timing.map(t => 
                 t === 'morning' ? 'सुबह' : t === 'night' ? 'रात' : t === 'afternoon' ? 'दोपहर' : t
@@ -137,7 +149,7 @@ export const addMedicineByVoice = async (voiceInput, language = 'en-US') => {
 
         return {
             success: true,
-            medicine: result.medicine,
+            medicine,
             voiceFeedback: {
                 'en-US': `Added ${result.medicine.name}. Take it ${timingText}.`,
                 'hi-IN': `${result.medicine.name} जोड़ दी। ${timingText} लेनी है।`,
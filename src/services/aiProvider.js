@@ -0,0 +1,245 @@
+/**
+ * AI Provider
+ * Single entry point for every model call in the app. Chooses the provider
+ * (the Cloud Function proxy, direct Gemini in development, or the offline
+ * mock), walks the model fallback list for the task,
+ * applies the timeout, retries transient failures and turns JSON answers into
+ * validated objects. Services describe WHAT to ask; this module decides HOW.
+ * Everything it throws carries an AI_ERROR_CODES code (see aiErrors).
+ */
+
+import { createGeminiProvider } from './providers/geminiProvider';
+import { createMockProvider } from './providers/mockProvider';
+import { createProxyProvider } from './providers/proxyProvider';
+import { AI_ERROR_CODES, createAIError, toAIError } from './aiErrors';
+import { parseJsonLenient, validateAgainstSchema } from '../utils/schemaValidator';
+
+const PROVIDER_KEY = 'saarthi_ai_provider';
+
+/**
+ * API timeout in milliseconds - elderly users shouldn't wait more than 15 seconds
+ */
+export const AI_TIMEOUT_MS = 15000;
+
+// Pause before retrying an overloaded model (doubles each attempt)
+const RETRY_DELAY_MS = 1000;
+
+/**
+ * Models to try for each task, in order of preference
+ */
+export const TASK_MODELS = {
+    prescription: ['gemini-2.0-flash', 'gemini-2.5-flash', 'gemini-flash-latest'],
+    medicinePhoto: ['gemini-2.0-flash', 'gemini-2.5-flash'],
+    medicineVerification: ['gemini-2.0-flash', 'gemini-2.5-flash'],
+    voiceMedicine: ['gemini-2.5-flash', 'gemini-2.0-flash']
+};
+
+const DEFAULT_MODELS = ['gemini-2.0-flash', 'gemini-2.5-flash'];
+
+let activeProvider = null;
+
+const PROVIDER_FACTORIES = {
+    proxy: createProxyProvider,
+    gemini: createGeminiProvider,
+    mock: createMockProvider
+};
+
+/**
+ * Which provider is selected: a DevTools override, then VITE_AI_PROVIDER,
+ * then the proxy. Direct Gemini needs a key in the bundle, so production
+ * builds always use the proxy instead.
+ * @returns {string} 'proxy' | 'gemini' | 'mock'
+ */
+export const getAIProviderName = () => {
+    const saved = typeof localStorage !== 'undefined' ? localStorage.getItem(PROVIDER_KEY) : null;
+    const name = saved || import.meta.env.VITE_AI_PROVIDER || 'proxy';
+    if (!PROVIDER_FACTORIES[name] || (name === 'gemini' && !import.meta.env.DEV)) return 'proxy';
+    return name;
+};
+
+/**
+ * Remember a provider choice on this device (null clears the override)
+ * @param {string|null} name - 'proxy' | 'gemini' | 'mock'
+ */
+export const setAIProviderName = (name) => {
+    if (name) localStorage.setItem(PROVIDER_KEY, name);
+    else localStorage.removeItem(PROVIDER_KEY);
+    activeProvider = null;
+};
+
+/**
+ * The provider in use (created on first call)
+ * @returns {object} Provider { name, isConfigured, generate }
+ */
+export const getAIProvider = () => {
+    if (!activeProvider) {
+        activeProvider = PROVIDER_FACTORIES[getAIProviderName()]();
+        console.log(`🤖 AI provider: ${activeProvider.name}`);
+    }
+    return activeProvider;
+};
+
+/**
+ * Use a specific provider instance - tests pass a mock with their own fixtures
+ * @param {object|null} provider - Provider, or null to go back to the configured one
+ */
+export const setAIProvider = (provider) => {
+    activeProvider = provider;
+};
+
+// Worth asking the same model again: overload and dropped connections.
+// A timeout moves on to the next model instead - the user has already waited.
+const isTransientError = (error) => /\b50[0-4]\b|UNAVAILABLE|overloaded|network|Failed to fetch/i
+    .test(error?.message || '');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(createAIError(AI_ERROR_CODES.TIMEOUT, 'API_TIMEOUT')), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Remove markdown code fences models like to wrap JSON in
+ * @param {string} text - Raw model output
+ * @returns {string}
+ */
+export const stripMarkdown = (text) => (text || '')
+    .replace(/```json\n?/g, '')
+    .replace(/```\n?/g, '')
+    .trim();
+
+/**
+ * Try each model in turn (retrying transient failures) until one answers
+ * and its answer survives `parse`
+ */
+const runWithFallback = async (request, { models, timeoutMs = AI_TIMEOUT_MS, retries = 1, parse }) => {
+    const provider = getAIProvider();
+    const modelList = models || TASK_MODELS[request.task] || DEFAULT_MODELS;
+    let lastError = null;
+
+    for (const model of modelList) {
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            try {
+                console.log(`🔄 Trying model: ${model}${attempt > 0 ? ` (retry ${attempt})` : ''}`);
+                const text = await withTimeout(provider.generate({ ...request, model }), timeoutMs);
+                const output = parse ? parse(text) : text;
+                console.log(`✅ Success with model: ${model}`);
+                return { output, model, provider: provider.name };
+            } catch (error) {
+                console.warn(`⚠️ Model ${model} failed:`, error.message);
+                lastError = error;
+                // The proxy's per-user limit applies to every model alike
+                if (error.details?.rateLimited) throw error;
+                // Quota and bad answers won't improve by asking this model again
+                if (!isTransientError(error) || attempt === retries) break;
+                await delay(RETRY_DELAY_MS * 2 ** attempt);
+            }
+        }
+    }
+
+    console.error('❌ All AI models failed:', lastError);
+    throw lastError ? toAIError(lastError) : createAIError(AI_ERROR_CODES.UNKNOWN, 'AI_UNAVAILABLE');
+};
+
+/**
+ * Generate text from a prompt
+ * @param {string} prompt - Prompt text
+ * @param {object} options - { task, models, timeoutMs, retries }
+ * @returns {Promise<{ text: string, model: string, provider: string }>}
+ */
+export const generateText = async (prompt, options = {}) => {
+    const { output, model, provider } = await runWithFallback({ task: options.task, prompt }, options);
+    return { text: output, model, provider };
+};
+
+/**
+ * Generate text from a prompt and an image
+ * @param {string} prompt - Prompt text
+ * @param {object} image - { base64, mimeType }
+ * @param {object} options - { task, models, timeoutMs, retries }
+ * @returns {Promise<{ text: string, model: string, provider: string }>}
+ */
+export const generateFromImage = async (prompt, image, options = {}) => {
+    const { output, model, provider } = await runWithFallback({ task: options.task, prompt, image }, options);
+    return { text: output, model, provider };
+};
+
+// Keep enough of a bad answer to debug it without logging a whole prescription
+const RAW_TEXT_EXCERPT = 500;
+
+/**
+ * Parse (repairing if needed) and validate one JSON answer
+ * @param {string} text - Raw model output
+ * @param {object} schema - Validation schema, or undefined to skip validation
+ * @returns {{ data: any, repairs: string[], issues: Array }}
+ */
+export const parseJsonResponse = (text, schema) => {
+    const rawText = (text || '').slice(0, RAW_TEXT_EXCERPT);
+    const parsed = parseJsonLenient(text);
+    if (!parsed.ok) {
+        throw createAIError(AI_ERROR_CODES.INVALID_RESPONSE, `Response is not JSON: ${parsed.error}`, {
+            repairs: parsed.repairs,
+            rawText
+        });
+    }
+    if (parsed.repairs.length > 0) {
+        console.warn('🩹 Repaired AI JSON:', parsed.repairs.join(', '));
+    }
+    if (!schema) return { data: parsed.data, repairs: parsed.repairs, issues: [] };
+
+    const { valid, value, issues } = validateAgainstSchema(parsed.data, schema);
+    if (issues.length > 0) {
+        console.warn('🧾 AI response issues:', issues.map(i => `${i.path}: ${i.message}`));
+    }
+    if (!valid) {
+        throw createAIError(AI_ERROR_CODES.SCHEMA_MISMATCH, 'Response does not match the expected shape', {
+            issues,
+            repairs: parsed.repairs,
+            rawText
+        });
+    }
+    return { data: value, repairs: parsed.repairs, issues };
+};
+
+/**
+ * Generate a JSON answer (optionally from an image). Near-JSON is repaired and,
+ * when a schema is given, coerced to it; an answer that still fails counts as
+ * a failed model and the next one is tried.
+ * @param {string} prompt - Prompt text
+ * @param {object} options - { task, image, schema, responseSchema, models, timeoutMs, retries }
+ *   schema is checked here (utils/schemaValidator); responseSchema is passed
+ *   through to the provider as-is
+ * @returns {Promise<{ data: object, issues: Array, repairs: string[], model: string, provider: string }>}
+ */
+export const generateJson = async (prompt, options = {}) => {
+    const request = {
+        task: options.task,
+        prompt,
+        image: options.image,
+        json: true,
+        schema: options.responseSchema
+    };
+    const { output, model, provider } = await runWithFallback(request, {
+        ...options,
+        parse: (text) => parseJsonResponse(text, options.schema)
+    });
+    return { data: output.data, issues: output.issues, repairs: output.repairs, model, provider };
+};
+
+export default {
+    AI_TIMEOUT_MS,
+    TASK_MODELS,
+    getAIProviderName,
+    setAIProviderName,
+    getAIProvider,
+    setAIProvider,
+    stripMarkdown,
+    parseJsonResponse,
+    generateText,
+    generateFromImage,
+    generateJson
+};
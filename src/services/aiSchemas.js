@@ -0,0 +1,116 @@
+/**
+ * AI Response Schemas
+ * The shape each model task must answer in, checked by utils/schemaValidator.
+ * Ranges are deliberately wide - they only reject values no real prescription
+ * or strip could carry (a 900-day course, 40 doses a day).
+ */
+
+const nullableText = { type: 'string', default: null };
+const text = { type: 'string', default: '' };
+
+const PRESCRIPTION_MEDICINE = {
+    type: 'object',
+    fields: {
+        name: { type: 'string', required: true, minLength: 2, maxLength: 80 },
+        confidence: { type: 'number', min: 0, max: 100, percent: true, default: 0 },
+        dosage: text,
+        frequency: { type: 'string', default: 'OD' },
+        duration_days: { type: 'integer', min: 1, max: 365, default: null },
+        sos_min_gap_hours: { type: 'number', min: 0.5, max: 72, default: null },
+        sos_max_per_day: { type: 'integer', min: 1, max: 24, default: null },
+        quantity: { type: 'integer', min: 1, max: 1000, default: null },
+        with_food: { type: 'boolean', default: true },
+        visual_type: nullableText,
+        visual_color: nullableText,
+        special_instructions: text,
+        probable_reason: text,
+        // [ymin, xmin, ymax, xmax] on a 0-1000 scale - crops the line for the review step
+        box_2d: { type: 'array', items: { type: 'number', min: 0, max: 1000 }, default: null }
+    }
+};
+
+/**
+ * analyzePrescription
+ */
+export const PRESCRIPTION_SCHEMA = {
+    type: 'object',
+    required: true,
+    fields: {
+        medicines: { type: 'array', items: PRESCRIPTION_MEDICINE, default: [] },
+        extraction_quality: { type: 'enum', values: ['CLEAR', 'PARTIAL', 'POOR'], default: 'CLEAR' },
+        doctor_name: nullableText,
+        prescription_date: nullableText,
+        unreadable_sections: { type: 'array', items: { type: 'string' }, default: [] },
+        missing_info: { type: 'array', items: { type: 'string' }, default: [] }
+    }
+};
+
+/**
+ * analyzeMedicinePhoto
+ */
+export const MEDICINE_PHOTO_SCHEMA = {
+    type: 'object',
+    required: true,
+    fields: {
+        expiry_date: nullableText,
+        visual_description: text,
+        shape: nullableText,
+        color: nullableText,
+        size: nullableText,
+        medicine_type: nullableText,
+        packaging_text: nullableText,
+        matches_expected: { type: 'boolean', default: null },
+        usual_use: text
+    }
+};
+
+/**
+ * verifyMedicinePhoto - "readable" decides everything else, so it must be there
+ */
+export const MEDICINE_VERIFICATION_SCHEMA = {
+    type: 'object',
+    required: true,
+    fields: {
+        readable: { type: 'boolean', required: true },
+        detected_text: nullableText,
+        detected_medicine_name: { type: 'string', maxLength: 80, default: null },
+        confidence: { type: 'number', min: 0, max: 100, percent: true, default: 0 },
+        reason_if_unreadable: nullableText,
+        visual_description: text,
+        expiry_date: nullableText
+    }
+};
+
+/**
+ * parseMedicineFromVoice - confidence here is 0-1
+ */
+export const VOICE_MEDICINE_SCHEMA = {
+    type: 'object',
+    required: true,
+    fields: {
+        name: { type: 'string', required: true, minLength: 2, maxLength: 80 },
+        dosage: text,
+        timing: {
+            type: 'array',
+            items: { type: 'enum', values: ['morning', 'afternoon', 'evening', 'night'] },
+            minItems: 1,
+            default: ['morning']
+        },
+        frequency: { type: 'string', default: 'once daily' },
+        durationDays: { type: 'integer', min: 1, max: 365, default: null },
+        withFood: { type: 'boolean', default: true },
+        visualColor: nullableText,
+        visualType: nullableText,
+        specialInstructions: text,
+        quantity: { type: 'integer', min: 1, max: 1000, default: null },
+        packSize: { type: 'integer', min: 1, max: 500, default: null },
+        confidence: { type: 'number', min: 0, max: 1, fraction: true, default: 0.8 }
+    }
+};
+
+export default {
+    PRESCRIPTION_SCHEMA,
+    MEDICINE_PHOTO_SCHEMA,
+    MEDICINE_VERIFICATION_SCHEMA,
+    VOICE_MEDICINE_SCHEMA
+};
@@ -0,0 +1,258 @@
+/**
+ * Duplicate Therapy Service
+ * Finds medicines that share a generic ingredient under different brands
+ * ("Dolo 650" and "Calpol 500" are both paracetamol), adds up how much of
+ * that ingredient would be taken per day, and builds the "which one do you
+ * want to keep?" voice prompt.
+ */
+
+import { resolveIngredients } from './interactionService';
+import { getPrnLimits, isPrnMedicine } from './prnService';
+import { getUnitsOnDay } from '../utils/scheduleModel';
+import { getMaxDailyDoseMg } from '../data/doseLimits';
+
+// Look a week ahead so alternate-day and weekly schedules count their dose day
+const PEAK_DAY_WINDOW = 7;
+
+const normalizeName = (name) => (name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Strength of each ingredient in mg, as written ("400mg + 325mg", "Dolo 650")
+ * @param {Object} medicine - Medicine (dosage, name)
+ * @param {number} ingredientCount - Number of ingredients it contains
+ * @returns {Array<number|null>} One entry per ingredient (null when unknown)
+ */
+export const parseStrengthsMg = (medicine, ingredientCount) => {
+    const strengths = [...(medicine.dosage || '').matchAll(/(\d+(?:\.\d+)?)\s*(mg|mcg|g)\b/gi)]
+        .map(([, value, unit]) => {
+            const amount = Number(value);
+            if (unit.toLowerCase() === 'g') return amount * 1000;
+            if (unit.toLowerCase() === 'mcg') return amount / 1000;
+            return amount;
+        });
+
+    // Single-ingredient brands often carry the strength in the name
+    if (strengths.length === 0 && ingredientCount === 1) {
+        const inName = (medicine.name || '').match(/\b(\d{2,4})\b/);
+        if (inName) strengths.push(Number(inName[1]));
+    }
+
+    if (strengths.length === ingredientCount) return strengths;
+    if (ingredientCount === 1 && strengths.length > 0) return [strengths[0]];
+    return Array(ingredientCount).fill(null);
+};
+
+/**
+ * Most tablets the medicine can use on one day
+ * (SOS medicines: their daily maximum)
+ * @param {Object} medicine - Medicine (schedule, timing, reminderTimes)
+ * @param {Date} from - First day to look at
+ * @returns {number}
+ */
+export const getPeakDailyUnits = (medicine, from = new Date()) => {
+    if (isPrnMedicine(medicine)) return getPrnLimits(medicine).maxPerDay;
+
+    let peak = 0;
+    for (let i = 0; i < PEAK_DAY_WINDOW; i++) {
+        const day = new Date(from);
+        day.setDate(day.getDate() + i);
+        peak = Math.max(peak, getUnitsOnDay(medicine, day));
+    }
+    return peak || medicine.timesPerDay || 1;
+};
+
+/**
+ * Groups of medicines containing the same ingredient. A group is only
+ * reported when at least one of its medicines is newly scanned.
+ * @param {Array} newMedicines - Newly scanned medicines
+ * @param {Array} existingMedicines - Medicines already saved
+ * @returns {Array} [{ ingredient, medicines: [{ name, medicine, isNew, dailyMg }],
+ *                     totalDailyMg, maxDailyMg, exceedsDailyMax }]
+ */
+export const findDuplicateTherapies = (newMedicines, existingMedicines = []) => {
+    const newNames = newMedicines.map(m => normalizeName(m.name));
+    const entries = [
+        ...newMedicines.map(medicine => ({ medicine, isNew: true })),
+        // Same name is the same medicine - saving already skips those
+        ...existingMedicines
+            .filter(existing => !newNames.includes(normalizeName(existing.name)))
+            .map(medicine => ({ medicine, isNew: false }))
+    ];
+
+    const byIngredient = new Map();
+    entries.forEach(({ medicine, isNew }) => {
+        const ingredients = resolveIngredients(medicine);
+        const strengths = parseStrengthsMg(medicine, ingredients.length);
+        const dailyUnits = getPeakDailyUnits(medicine);
+
+        ingredients.forEach((ingredient, index) => {
+            if (!byIngredient.has(ingredient)) byIngredient.set(ingredient, []);
+            byIngredient.get(ingredient).push({
+                name: medicine.name,
+                medicine,
+                isNew,
+                dailyMg: strengths[index] !== null ? strengths[index] * dailyUnits : null
+            });
+        });
+    });
+
+    const groups = [];
+    byIngredient.forEach((medicines, ingredient) => {
+        if (medicines.length < 2 || !medicines.some(m => m.isNew)) return;
+
+        const maxDailyMg = getMaxDailyDoseMg(ingredient);
+        const totalDailyMg = medicines.every(m => m.dailyMg !== null)
+            ? medicines.reduce((sum, m) => sum + m.dailyMg, 0)
+            : null;
+
+        groups.push({
+            ingredient,
+            medicines,
+            totalDailyMg,
+            maxDailyMg,
+            exceedsDailyMax: totalDailyMg !== null && maxDailyMg !== null && totalDailyMg > maxDailyMg
+        });
+    });
+
+    if (groups.length > 0) {
+        console.log(`💊 Duplicate therapy: ${groups.map(g => g.ingredient).join(', ')}`);
+    }
+    // Over-the-limit groups first
+    return groups.sort((a, b) => Number(b.exceedsDailyMax) - Number(a.exceedsDailyMax));
+};
+
+/**
+ * Apply the user's choice to the scanned medicine list
+ * @param {Array} newMedicines - Newly scanned medicines
+ * @param {Object} group - Group from findDuplicateTherapies
+ * @param {string|null} keepName - Medicine to keep (null keeps all)
+ * @returns {Object} { medicines: scanned medicines to save, replaced: saved medicines to stop }
+ */
+export const applyKeepChoice = (newMedicines, group, keepName) => {
+    if (!keepName) return { medicines: newMedicines, replaced: [] };
+
+    const dropped = group.medicines.filter(m => m.name !== keepName);
+    const droppedNew = dropped.filter(m => m.isNew).map(m => m.medicine);
+
+    return {
+        medicines: newMedicines.filter(m => !droppedNew.includes(m)),
+        replaced: dropped.filter(m => !m.isNew).map(m => m.medicine)
+    };
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// VOICE PROMPTS
+// ═══════════════════════════════════════════════════════════════════════
+
+const PROMPTS = {
+    'en-US': {
+        and: 'and',
+        duplicate: '{names} contain the same medicine, {ingredient}. Taking them together is a double dose.',
+        overLimit: 'Together that is {total} mg of {ingredient} a day, more than the safe limit of {max} mg.',
+        ask: 'Which one do you want to keep? Say its name, or say "both" if your doctor wants you to take both.',
+        kept: 'Okay, I will keep only {name}.',
+        keptBoth: 'Okay, I will keep both as your doctor prescribed.'
+    },
+    'hi-IN': {
+        and: 'और',
+        duplicate: '{names} में एक ही दवा है, {ingredient}। इन्हें साथ लेना दोहरी खुराक होगी।',
+        overLimit: 'साथ में यह रोज़ {total} mg {ingredient} होता है, जो सुरक्षित सीमा {max} mg से ज़्यादा है।',
+        ask: 'आप कौन सी रखना चाहते हैं? उसका नाम बोलें, या डॉक्टर ने दोनों कहा हो तो "दोनों" बोलें।',
+        kept: 'ठीक है, मैं सिर्फ {name} रखूंगा।',
+        keptBoth: 'ठीक है, डॉक्टर के कहे अनुसार दोनों रखूंगा।'
+    },
+    'mr-IN': {
+        and: 'आणि',
+        duplicate: '{names} मध्ये एकच औषध आहे, {ingredient}. ती एकत्र घेणे म्हणजे दुहेरी डोस होईल.',
+        overLimit: 'एकत्र हे दिवसाला {total} mg {ingredient} होते, जे सुरक्षित मर्यादा {max} mg पेक्षा जास्त आहे.',
+        ask: 'तुम्हाला कोणते ठेवायचे आहे? त्याचे नाव सांगा, किंवा डॉक्टरांनी दोन्ही सांगितले असल्यास "दोन्ही" म्हणा.',
+        kept: 'ठीक आहे, मी फक्त {name} ठेवेन.',
+        keptBoth: 'ठीक आहे, डॉक्टरांनी सांगितल्याप्रमाणे दोन्ही ठेवतो.'
+    }
+};
+
+// Spoken words for "keep both"
+const KEEP_BOTH_WORDS = ['both', 'all', 'दोनों', 'सभी', 'दोन्ही', 'सगळी'];
+
+// Dosage-form and unit words that do not tell one medicine from another
+const NAME_NOISE_WORDS = ['tab', 'tabs', 'tablet', 'cap', 'caps', 'capsule', 'syp', 'syrup', 'inj', 'mg', 'mcg', 'ml'];
+
+/**
+ * Whole words of a name or transcript ("Dolo 650mg" -> dolo, 650, mg)
+ * @param {string} text - Text to split
+ * @returns {string[]}
+ */
+const toWords = (text) => normalizeName(text)
+    .replace(/(\d)(\p{L})/gu, '$1 $2')
+    .split(/[^\p{L}\p{M}\p{N}]+/u)
+    .filter(Boolean);
+
+/**
+ * Spoken "same medicine twice - which one?" prompt for one group
+ * @param {Object} group - Group from findDuplicateTherapies
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+export const getDuplicateTherapyPrompt = (group, language = 'en-US') => {
+    const t = PROMPTS[language] || PROMPTS['en-US'];
+    const names = group.medicines.map(m => m.name);
+    const nameList = names.length > 1
+        ? `${names.slice(0, -1).join(', ')} ${t.and} ${names[names.length - 1]}`
+        : names[0];
+
+    const parts = [t.duplicate.replace('{names}', nameList).replace('{ingredient}', group.ingredient)];
+    if (group.exceedsDailyMax) {
+        parts.push(t.overLimit
+            .replace('{total}', group.totalDailyMg)
+            .replace('{ingredient}', group.ingredient)
+            .replace('{max}', group.maxDailyMg));
+    }
+    parts.push(t.ask);
+    return parts.join(' ');
+};
+
+/**
+ * Spoken confirmation after a choice
+ * @param {string|null} keepName - Medicine kept (null = kept all)
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+export const getKeepConfirmation = (keepName, language = 'en-US') => {
+    const t = PROMPTS[language] || PROMPTS['en-US'];
+    return keepName ? t.kept.replace('{name}', keepName) : t.keptBoth;
+};
+
+/**
+ * Understand a spoken answer to the "which one?" prompt
+ * @param {string} transcript - Recognised speech
+ * @param {Object} group - Group from findDuplicateTherapies
+ * @returns {Object|null} { keepName } (null keepName = keep all), or null if unclear or ambiguous
+ */
+export const matchKeepChoice = (transcript, group) => {
+    const spoken = new Set(toWords(transcript));
+    if (spoken.size === 0) return null;
+    if (KEEP_BOTH_WORDS.some(word => spoken.has(word))) return { keepName: null };
+
+    // Only words that tell the medicines apart count: "Dolo 650" and
+    // "Dolo 500" differ by strength, "Tab Dolo" and "Tab Calpol" by brand
+    const nameWords = group.medicines.map(m => toWords(m.name)
+        .filter(word => !NAME_NOISE_WORDS.includes(word) && (word.length >= 3 || /^\d+$/.test(word))));
+    const scores = nameWords.map(words => words
+        .filter(word => nameWords.some(other => !other.includes(word)))
+        .filter(word => spoken.has(word))
+        .length);
+
+    const best = Math.max(...scores);
+    if (best === 0 || scores.filter(score => score === best).length > 1) return null;
+    return { keepName: group.medicines[scores.indexOf(best)].name };
+};
+
+export default {
+    parseStrengthsMg,
+    getPeakDailyUnits,
+    findDuplicateTherapies,
+    applyKeepChoice,
+    getDuplicateTherapyPrompt,
+    getKeepConfirmation,
+    matchKeepChoice
+};
@@ -0,0 +1,112 @@
+/**
+ * Expiry Service
+ * Reads back the expiry dates saved from verified pack photos: per-medicine
+ * status for badges and alarm warnings, plus a weekly spoken summary of
+ * medicines that have expired or are about to.
+ */
+
+import { getMedicines } from './medicineRepository';
+import { getExpiryStatus, formatExpiryMonth } from '../utils/expiryDate';
+
+const SUMMARY_KEY = 'saarthi_expiry_summary_at';
+const SUMMARY_EVERY_MS = 7 * 24 * 60 * 60 * 1000;
+
+const MESSAGES = {
+    'en-US': {
+        expired: '{name} expired in {month}.',
+        expiring: '{name} expires in {month}.',
+        summaryIntro: 'Weekly medicine check.',
+        summaryOutro: 'Please replace these strips.',
+        alarmExpired: 'Careful! The {name} strip you saved expired in {month}. Please do not take it. Use a fresh pack and tell your family.'
+    },
+    'hi-IN': {
+        expired: '{name} {month} में एक्सपायर हो चुकी है।',
+        expiring: '{name} {month} में एक्सपायर होगी।',
+        summaryIntro: 'साप्ताहिक दवा जाँच।',
+        summaryOutro: 'कृपया ये पत्ते बदल लीजिए।',
+        alarmExpired: 'सावधान! आपकी {name} की पत्ती {month} में एक्सपायर हो चुकी है। इसे न लें। नया पत्ता इस्तेमाल करें और परिवार को बताएं।'
+    },
+    'mr-IN': {
+        expired: '{name} {month} मध्ये कालबाह्य झाले आहे.',
+        expiring: '{name} {month} मध्ये कालबाह्य होईल.',
+        summaryIntro: 'साप्ताहिक औषध तपासणी.',
+        summaryOutro: 'कृपया ही पाकिटे बदला.',
+        alarmExpired: 'सावधान! तुमच्या {name} ची पट्टी {month} मध्ये कालबाह्य झाली आहे. ती घेऊ नका. नवीन पाकीट वापरा आणि कुटुंबाला सांगा.'
+    }
+};
+
+const fill = (template, medicine, status, language) => template
+    .replace('{name}', medicine.name)
+    .replace('{month}', formatExpiryMonth(status.date, language));
+
+/**
+ * Expiry status of a medicine's saved strip
+ * @param {Object} medicine - Medicine record
+ * @param {Date} now - Reference time
+ * @returns {Object} { status: 'expired' | 'expiring' | 'ok' | 'unknown', date, daysLeft }
+ */
+export const getMedicineExpiry = (medicine, now = new Date()) => {
+    return getExpiryStatus(medicine?.expiryDate, now);
+};
+
+/**
+ * Active medicines that have expired or expire soon (expired first)
+ * @param {Date} now - Reference time
+ * @returns {Array<{ medicine, expiry }>}
+ */
+export const getExpiringMedicines = (now = new Date()) => {
+    return getMedicines()
+        .map(medicine => ({ medicine, expiry: getMedicineExpiry(medicine, now) }))
+        .filter(({ expiry }) => expiry.status === 'expired' || expiry.status === 'expiring')
+        .sort((a, b) => a.expiry.date - b.expiry.date);
+};
+
+/**
+ * Spoken warning for the alarm screen when the saved strip has expired
+ * @param {Object} medicine - Medicine record
+ * @param {string} language - Language code
+ * @returns {string|null} null when the strip is fine or its expiry is unknown
+ */
+export const getExpiredDoseWarning = (medicine, language = 'en-US') => {
+    const expiry = getMedicineExpiry(medicine);
+    if (expiry.status !== 'expired') return null;
+    const t = MESSAGES[language] || MESSAGES['en-US'];
+    return fill(t.alarmExpired, medicine, expiry, language);
+};
+
+/**
+ * Weekly spoken summary of expired / expiring medicines.
+ * Returns null if a summary was given in the last 7 days or nothing is due.
+ * @param {string} language - Language code
+ * @param {Date} now - Reference time
+ * @returns {string|null}
+ */
+export const getWeeklyExpirySummary = (language = 'en-US', now = new Date()) => {
+    const lastGiven = Number(localStorage.getItem(SUMMARY_KEY) || 0);
+    if (now.getTime() - lastGiven < SUMMARY_EVERY_MS) return null;
+
+    const due = getExpiringMedicines(now);
+    if (due.length === 0) return null;
+
+    const t = MESSAGES[language] || MESSAGES['en-US'];
+    const lines = due.map(({ medicine, expiry }) =>
+        fill(expiry.status === 'expired' ? t.expired : t.expiring, medicine, expiry, language));
+
+    return [t.summaryIntro, ...lines, t.summaryOutro].join(' ');
+};
+
+/**
+ * Remember that this week's expiry summary was spoken
+ * @param {Date} now - Time it was given
+ */
+export const markExpirySummaryGiven = (now = new Date()) => {
+    localStorage.setItem(SUMMARY_KEY, String(now.getTime()));
+};
+
+export default {
+    getMedicineExpiry,
+    getExpiringMedicines,
+    getExpiredDoseWarning,
+    getWeeklyExpirySummary,
+    markExpirySummaryGiven
+};
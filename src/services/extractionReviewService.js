@@ -0,0 +1,185 @@
+/**
+ * Extraction Review Service
+ * Medicines the model was unsure about are not dropped: they are held back
+ * for the user to check, with the model's reading, the closest formulary
+ * names and (on screen) the part of the photo they came from. This module
+ * decides what needs checking, builds the spoken question and understands
+ * the answer ("yes", "no", or the right name).
+ */
+
+import { searchMedicines, correctMedicineName } from '../data/medicineDatabase';
+
+/**
+ * Below this confidence a medicine is never saved without the user's OK
+ */
+export const CONFIDENCE_THRESHOLD = 80;
+
+// Above the threshold but still not sure, and not a name we know
+const BORDERLINE_CONFIDENCE = 90;
+
+const MAX_SUGGESTIONS = 3;
+const SUGGESTION_THRESHOLD = 50;
+// A spoken correction must be a fairly close formulary match
+const SPOKEN_MATCH_THRESHOLD = 70;
+
+// Only used while reviewing - never saved with the medicine
+const REVIEW_FIELDS = ['reviewReason', 'readAs', 'box', 'boxPage', 'suggestions', 'cropUrl'];
+
+export const REVIEW_REASONS = {
+    LOW_CONFIDENCE: 'low-confidence',
+    UNRECOGNISED: 'unrecognised'
+};
+
+// Whole words only - "हो" (yes) must not match inside "होगा"
+const ACCEPT_WORDS = ['yes', 'ok', 'okay', 'correct', 'right', 'keep', 'haan', 'हाँ', 'हां', 'सही', 'ठीक', 'रखो', 'हो', 'बरोबर', 'ठेवा'];
+const DISCARD_WORDS = ['no', 'discard', 'remove', 'wrong', 'delete', 'नहीं', 'नही', 'हटाओ', 'गलत', 'नाही', 'काढा', 'चूक'];
+// "It is Pan 40" → "Pan 40"
+const FILLER_WORDS = ['it', 'is', 'its', "it's", 'the', 'this', 'medicine', 'यह', 'ये', 'है', 'दवाई', 'हे', 'आहे', 'औषध'];
+
+const PROMPTS = {
+    'en-US': {
+        check: 'Please check medicine {index} of {total}.',
+        readAs: 'I read {name}, but I am only {confidence} percent sure.',
+        unknown: 'I read {name}, but I do not know this medicine.',
+        ask: 'Say yes to keep it, no to remove it, or say the correct name.'
+    },
+    'hi-IN': {
+        check: 'कृपया {total} में से दवाई {index} जांचें।',
+        readAs: 'मैंने {name} पढ़ा, लेकिन मैं केवल {confidence} प्रतिशत पक्का हूँ।',
+        unknown: 'मैंने {name} पढ़ा, लेकिन मैं यह दवाई नहीं जानता।',
+        ask: 'रखने के लिए हाँ, हटाने के लिए नहीं बोलें, या सही नाम बोलें।'
+    },
+    'mr-IN': {
+        check: 'कृपया {total} पैकी औषध {index} तपासा.',
+        readAs: 'मी {name} वाचले, पण मला फक्त {confidence} टक्के खात्री आहे.',
+        unknown: 'मी {name} वाचले, पण हे औषध मला माहीत नाही.',
+        ask: 'ठेवण्यासाठी हो, काढण्यासाठी नाही म्हणा, किंवा योग्य नाव सांगा.'
+    }
+};
+
+const normalize = (text) => (text || '').toLowerCase().replace(/[.,!?।]/g, ' ').replace(/\s+/g, ' ').trim();
+
+/**
+ * Why a processed medicine should be checked by the user
+ * @param {Object} medicine - Medicine from analyzePrescription (confidence, genericName)
+ * @returns {string|null} One of REVIEW_REASONS, or null when it can be saved as read
+ */
+export const getReviewReason = (medicine) => {
+    const confidence = medicine.confidence || 0;
+    if (confidence < CONFIDENCE_THRESHOLD) return REVIEW_REASONS.LOW_CONFIDENCE;
+    if (confidence < BORDERLINE_CONFIDENCE && !medicine.genericName) return REVIEW_REASONS.UNRECOGNISED;
+    return null;
+};
+
+/**
+ * Closest formulary medicines to what the model read
+ * @param {string} readAs - Name as read from the prescription
+ * @returns {Array<{ name, genericName, score }>}
+ */
+export const getSuggestions = (readAs) => searchMedicines(readAs, { limit: MAX_SUGGESTIONS, threshold: SUGGESTION_THRESHOLD })
+    .map(({ medicine, score }) => ({ name: medicine.name, genericName: medicine.genericName, score }));
+
+/**
+ * Wrap a processed medicine for the review step
+ * @param {Object} medicine - Medicine from analyzePrescription
+ * @param {Object} details - { reason, readAs: name as written, box: [ymin, xmin, ymax, xmax] 0-1000 }
+ * @returns {Object} Medicine plus reviewReason, readAs, box and suggestions
+ */
+export const createReviewItem = (medicine, { reason, readAs, box = null }) => ({
+    ...medicine,
+    reviewReason: reason,
+    readAs: readAs || medicine.name,
+    box: Array.isArray(box) && box.length === 4 ? box : null,
+    suggestions: getSuggestions(readAs || medicine.name)
+});
+
+/**
+ * Turn a reviewed item back into a medicine to save. A different name is
+ * looked up again so the formulary's generic name and look come with it.
+ * @param {Object} item - Review item
+ * @param {string} name - Name the user kept or chose (defaults to the reading)
+ * @returns {Object} Medicine, marked as confirmed by the user
+ */
+export const resolveReviewItem = (item, name = item.name) => {
+    const medicine = Object.fromEntries(Object.entries(item).filter(([key]) => !REVIEW_FIELDS.includes(key)));
+    const isCorrection = normalize(name) !== normalize(item.name);
+
+    const resolved = { ...medicine, confidence: 100, userConfirmed: true };
+    if (!isCorrection) return resolved;
+
+    const { correctedName, medicineData } = correctMedicineName(name);
+    return {
+        ...resolved,
+        name: correctedName,
+        originalName: item.readAs,
+        nameCorrected: true,
+        genericName: medicineData?.genericName || null,
+        visualType: medicineData?.visualType || medicine.visualType,
+        visualColor: medicineData?.visualColor || medicine.visualColor,
+        visualDescription: medicineData
+            ? `${medicineData.visualColor} ${medicineData.visualType}`
+            : medicine.visualDescription,
+        probableReason: medicineData?.usualUse || ''
+    };
+};
+
+/**
+ * Spoken question for one item
+ * @param {Object} item - Review item
+ * @param {number} index - 1-based position
+ * @param {number} total - Items to review
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+export const getReviewPrompt = (item, index, total, language = 'en-US') => {
+    const t = PROMPTS[language] || PROMPTS['en-US'];
+    const reading = item.reviewReason === REVIEW_REASONS.UNRECOGNISED ? t.unknown : t.readAs;
+    return [
+        total > 1 ? t.check.replace('{index}', index).replace('{total}', total) : '',
+        reading.replace('{name}', item.readAs || item.name).replace('{confidence}', Math.round(item.confidence || 0)),
+        t.ask
+    ].filter(Boolean).join(' ');
+};
+
+/**
+ * Understand a spoken answer for one item
+ * @param {string} transcript - Recognised speech
+ * @param {Object} item - Review item
+ * @returns {Object|null} { action: 'accept' | 'discard' | 'correct', name }, or null if unclear
+ */
+export const matchReviewAnswer = (transcript, item) => {
+    const words = normalize(transcript).split(' ').filter(Boolean);
+    if (words.length === 0) return null;
+
+    // A yes or no decides first
+    if (words.some(word => DISCARD_WORDS.includes(word))) return { action: 'discard', name: null };
+    if (words.some(word => ACCEPT_WORDS.includes(word))) return { action: 'accept', name: item.name };
+
+    // Otherwise the words left may be the right name: "it is Pan 40" → "Pan 40"
+    const nameWords = words.filter(word => !FILLER_WORDS.includes(word));
+    const spoken = nameWords.join(' ');
+    if (spoken.length < 3) return null;
+
+    const suggestion = item.suggestions?.find(s => {
+        const firstWord = normalize(s.name).split(' ')[0];
+        return firstWord.length >= 3 && nameWords.includes(firstWord);
+    });
+    if (suggestion) return { action: 'correct', name: suggestion.name };
+
+    // Prefix hits skip searchMedicines' own threshold, so check the score here
+    const [match] = searchMedicines(spoken, { limit: 1, threshold: SPOKEN_MATCH_THRESHOLD });
+    return match && match.score >= SPOKEN_MATCH_THRESHOLD
+        ? { action: 'correct', name: match.medicine.name }
+        : null;
+};
+
+export default {
+    CONFIDENCE_THRESHOLD,
+    REVIEW_REASONS,
+    getReviewReason,
+    getSuggestions,
+    createReviewItem,
+    resolveReviewItem,
+    getReviewPrompt,
+    matchReviewAnswer
+};
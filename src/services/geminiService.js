@@ -1,37 +1,22 @@
 /**
  * Gemini AI Service for Prescription Analysis
- * Uses Google's Gemini 1.5 Flash for prescription OCR and drug interaction checks
+ * Prescription OCR and medicine photo checks. Prompts and post-processing live
+ * here; the model call itself (fallback, timeout, retry) goes through aiProvider.
+ * Drug interactions are checked offline by interactionService.
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { generateJson } from './aiProvider';
+import { classifyAIError, AI_ERROR_CODES } from './aiErrors';
+import { PRESCRIPTION_SCHEMA, MEDICINE_PHOTO_SCHEMA, MEDICINE_VERIFICATION_SCHEMA } from './aiSchemas';
 import { correctMedicineName } from '../data/medicineDatabase';
-
-// Initialize Gemini with API key validation
-const API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
-
-// DEV: Log API key status (never log the actual key!)
-if (import.meta.env.DEV) {
-    console.log(`🔑 Gemini API Key: ${API_KEY ? 'CONFIGURED (' + API_KEY.substring(0, 8) + '...)' : '❌ MISSING!'}`);
-}
-
-if (!API_KEY) {
-    console.error('❌ CRITICAL: VITE_GEMINI_API_KEY is not set in .env file!');
-}
-
-const genAI = new GoogleGenerativeAI(API_KEY || 'MISSING_KEY');
-
-// Known dangerous drug combinations (Phase 5: Safety Shield)
-const DANGEROUS_COMBOS = [
-    { drugs: ['aspirin', 'clopidogrel'], warning: 'Blood thinners - increased bleeding risk' },
-    { drugs: ['aspirin', 'warfarin'], warning: 'Blood thinners - serious bleeding risk' },
-    { drugs: ['warfarin', 'ibuprofen'], warning: 'Increased bleeding risk' },
-    { drugs: ['warfarin', 'aspirin'], warning: 'Major bleeding risk' },
-    { drugs: ['metformin', 'alcohol'], warning: 'Low blood sugar risk' },
-    { drugs: ['lisinopril', 'potassium'], warning: 'High potassium levels' },
-    { drugs: ['simvastatin', 'grapefruit'], warning: 'Muscle damage risk' },
-    { drugs: ['methotrexate', 'nsaid'], warning: 'Kidney damage risk' },
-    { drugs: ['digoxin', 'amiodarone'], warning: 'Heart rhythm problems' },
-];
+import { getReviewReason, createReviewItem } from './extractionReviewService';
+import {
+    parseScheduleFromFrequency,
+    getIntervalStartTime,
+    getDosesPerDay,
+    getTaperLength,
+    SCHEDULE_TYPES
+} from '../utils/scheduleModel';
 
 // ═══════════════════════════════════════════════════════════════════════════
 // ANTI-HALLUCINATION SAFETY LAYER
@@ -44,26 +29,6 @@ const BLACKLISTED_DRUGS = [
     'lsd', 'ecstasy', 'mdma', 'pcp', 'ketamine recreational'
 ];
 
-// Minimum confidence threshold for medicine extraction (0-100)
-// Medicines below this threshold will be filtered out
-const CONFIDENCE_THRESHOLD = 80;
-
-// API timeout in milliseconds - elderly users shouldn't wait more than 15 seconds
-const API_TIMEOUT_MS = 15000;
-
-/**
- * Wrap a promise with a timeout
- * @param {Promise} promise - The promise to wrap
- * @param {number} ms - Timeout in milliseconds
- * @returns {Promise} - Resolves with result or rejects on timeout
- */
-const withTimeout = (promise, ms = API_TIMEOUT_MS) => {
-    const timeout = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('API_TIMEOUT')), ms);
-    });
-    return Promise.race([promise, timeout]);
-};
-
 /**
  * Parse frequency codes to actual time slots
  * Handles: OD, BD, TDS, QID, 1-1-1, 1-0-1, etc.
@@ -122,6 +87,48 @@ const parseFrequencyToTimes = (frequency) => {
     return { times: ['morning'], timesPerDay: 1 };
 };
 
+/**
+ * Add the SOS limits the model read off the prescription (explicit fields win
+ * over limits parsed from the frequency text)
+ * @param {Object|null} schedule - Result of parseScheduleFromFrequency
+ * @param {Object} med - Raw medicine from the model
+ * @returns {Object|null} Schedule
+ */
+const withPrnLimits = (schedule, med) => {
+    if (schedule?.type !== SCHEDULE_TYPES.PRN) return schedule;
+    const minIntervalHours = Number(med.sos_min_gap_hours) || schedule.minIntervalHours;
+    const maxPerDay = Number(med.sos_max_per_day) || schedule.maxPerDay;
+    return {
+        ...schedule,
+        ...(minIntervalHours ? { minIntervalHours } : {}),
+        ...(maxPerDay ? { maxPerDay } : {})
+    };
+};
+
+/**
+ * Time slots for a frequency, taking non-daily schedules into account
+ * @param {string} frequency - Frequency as written on the prescription
+ * @param {Object|null} schedule - Result of parseScheduleFromFrequency
+ * @returns {object} { times, timesPerDay, reminderTimes? }
+ */
+const getFrequencyInfo = (frequency, schedule) => {
+    if (schedule?.type === SCHEDULE_TYPES.PRN) {
+        return { times: [], timesPerDay: 0, reminderTimes: [] };
+    }
+    if (schedule?.type === SCHEDULE_TYPES.INTERVAL) {
+        const startTime = getIntervalStartTime(schedule.everyHours);
+        const timesPerDay = getDosesPerDay(schedule);
+        const [startHour, startMinute] = startTime.split(':').map(Number);
+        const reminderTimes = Array.from({ length: timesPerDay }, (_, i) => {
+            const hour = (startHour + i * schedule.everyHours) % 24;
+            return `${hour.toString().padStart(2, '0')}:${startMinute.toString().padStart(2, '0')}`;
+        });
+        return { times: ['morning'], timesPerDay, reminderTimes };
+    }
+    // Alternate-day, weekly and taper doses use the usual slots on the days they fall
+    return parseFrequencyToTimes(frequency);
+};
+
 /**
  * Default reminder times for each slot
  */
@@ -139,14 +146,6 @@ const DEFAULT_TIMES = {
  * @returns {Promise<object>} Extracted medicine data with parsed frequencies
  */
 export const analyzePrescription = async (base64Image, mimeType = 'image/jpeg') => {
-    // Models to try in order of preference
-    // NOTE: Model names available for this API key (as per API query)
-    const MODELS_TO_TRY = [
-        'gemini-2.0-flash',       // Primary: Latest flash with vision
-        'gemini-2.5-flash',       // Fallback: Newer flash model
-        'gemini-flash-latest',    // Last resort: Generic flash
-    ];
-
     // OCR-optimized prompt for handwritten Indian prescriptions
     // ANTI-HALLUCINATION: Conservative extraction with confidence scoring
     const prompt = `You are an expert pharmacist OCR system specialized in reading handwritten Indian medical prescriptions.
@@ -159,13 +158,17 @@ OCR MODE - CRITICAL INSTRUCTIONS:
 2. Ignore layout noise, letterheads, stamps, and irrelevant marks.
 3. Indian doctors often write: Dosage codes like OD, BD, TDS, 1-1-1, 1-0-1
 4. Common Indian medicine formats: "Tab. Dolo 650", "Cap. Omez 20", "Inj. Pan 40"
+5. Copy non-daily schedules into "frequency" as written: "every 8 hours", "alternate days",
+   "once a week on Sunday", "SOS / as needed", tapering doses like "3 tab x 3 days, 2 tab x 3 days, 1 tab x 3 days"
+6. For SOS medicines copy any written limits: minimum hours between doses and maximum doses per day
 ═══════════════════════════════════════════════════════════════════════════════
 
 ANTI-HALLUCINATION RULES:
 1. Do NOT invent medicines. Only extract what is CLEARLY READABLE.
-2. If text is blurry, smudged, or ambiguous - SKIP that medicine entirely.
+2. If text is blurry, smudged, or ambiguous - still list it with your best reading and a LOW confidence.
+   The patient will check it; a medicine left out is never seen again.
 3. For EACH medicine, include a confidence score (0-100).
-4. It is BETTER to miss a medicine than to guess wrong.
+4. It is BETTER to give a low confidence than to guess wrong with a high one.
 
 OUTPUT FORMAT - Return RAW JSON only (no markdown, no backticks, no preamble):
 {
@@ -174,13 +177,17 @@ OUTPUT FORMAT - Return RAW JSON only (no markdown, no backticks, no preamble):
       "name": "Medicine Name (EXACTLY as written)",
       "confidence": 95,
       "dosage": "5mg, 500mg, etc.",
-      "frequency": "OD, BD, TDS, 1-1-1, 1-0-1, etc.",
+      "frequency": "OD, BD, TDS, 1-1-1, 1-0-1, Q8H, alternate days, weekly on Sunday, SOS, taper 3-2-1 x 3 days, etc.",
       "duration_days": 5,
+      "sos_min_gap_hours": "Hours between SOS doses if written, else null",
+      "sos_max_per_day": "Maximum SOS doses per day if written, else null",
+      "quantity": "Total tablets to dispense if written (e.g. '#30', 'x 10 tabs'), else null",
       "with_food": true,
       "visual_type": "Tablet | Capsule | Syrup | Injection",
       "visual_color": "White | Pink | Blue | Red | Yellow",
       "special_instructions": "Any specific notes",
-      "probable_reason": "Simple explanation: High BP, Diabetes, Pain, Fever, etc."
+      "probable_reason": "Simple explanation: High BP, Diabetes, Pain, Fever, etc.",
+      "box_2d": [ymin, xmin, ymax, xmax]
     }
   ],
   "extraction_quality": "CLEAR | PARTIAL | POOR",
@@ -194,156 +201,144 @@ RULES:
 1. Return ONLY the JSON object - no text before or after
 2. Do NOT wrap in markdown code blocks
 3. duration_days: Use 5 as default if not specified
-4. confidence: 80-100 for clear, 50-79 for partial, skip below 50
-5. Extract ALL medicines that are clearly readable`;
-
-    let lastError = null;
-
-    for (const modelName of MODELS_TO_TRY) {
-        try {
-            console.log(`🔄 Trying model: ${modelName}`);
-            const model = genAI.getGenerativeModel({ model: modelName });
-
-            // Wrap API call with timeout - elderly users shouldn't wait forever
-            const result = await withTimeout(
-                model.generateContent([
-                    prompt,
-                    {
-                        inlineData: {
-                            mimeType,
-                            data: base64Image
-                        }
-                    }
-                ]),
-                API_TIMEOUT_MS
-            );
-
-            const response = await result.response;
-            let text = response.text();
-
-            // Clean up response - remove markdown code blocks if present
-            text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
-            // Parse JSON
-            const rawData = JSON.parse(text);
-
-            console.log(`✅ Success with model: ${modelName}`);
-            console.log('📋 Raw Gemini extraction:', rawData);
-
-            // ═══════════════════════════════════════════════════════════════
-            // ANTI-HALLUCINATION SAFETY FILTER
-            // ═══════════════════════════════════════════════════════════════
-            const safeMedicines = (rawData.medicines || []).filter(med => {
-                const confidence = med.confidence || 0;
-                const nameLower = (med.name || '').toLowerCase();
-                
-                // 1. Filter by confidence threshold
-                if (confidence < CONFIDENCE_THRESHOLD) {
-                    console.warn(`⚠️ SKIPPED low-confidence medicine: "${med.name}" (${confidence}% < ${CONFIDENCE_THRESHOLD}%)`);
-                    return false;
-                }
-                
-                // 2. Filter blacklisted drugs (silent flag - security concern)
-                const isBlacklisted = BLACKLISTED_DRUGS.some(drug => nameLower.includes(drug));
-                if (isBlacklisted) {
-                    console.error(`🚨 BLACKLISTED DRUG DETECTED AND BLOCKED: "${med.name}"`);
-                    // TODO: Log to security audit in production
-                    return false;
-                }
-                
-                // 3. Skip obviously invalid names
-                if (!med.name || med.name.length < 2 || med.name === 'Unknown Medicine') {
-                    console.warn(`⚠️ SKIPPED invalid medicine name: "${med.name}"`);
-                    return false;
-                }
-                
-                return true;
-            });
-
-            console.log(`🛡️ Safety filter: ${rawData.medicines?.length || 0} → ${safeMedicines.length} medicines passed`);
-
-            // Post-process medicines with frequency parsing and fuzzy name correction
-            const processedMedicines = safeMedicines.map(med => {
-                const frequencyInfo = parseFrequencyToTimes(med.frequency);
-                
-                // Apply fuzzy matching to correct OCR errors
-                const nameCorrection = correctMedicineName(med.name || 'Unknown Medicine');
-                if (nameCorrection.wasCorrected) {
-                    console.log(`📝 Name corrected: "${med.name}" → "${nameCorrection.correctedName}" (${nameCorrection.matchScore}% match)`);
-                }
-                
-                // Use corrected data from database if available
-                const dbMedicine = nameCorrection.medicineData;
-                
-                return {
-                    name: nameCorrection.correctedName,
-                    originalName: nameCorrection.wasCorrected ? med.name : null, // Track original for debugging
-                    nameCorrected: nameCorrection.wasCorrected,
-                    confidence: med.confidence || 100,
-                    dosage: med.dosage || '',
-                    frequency: med.frequency || 'OD',
-                    timing: frequencyInfo.times,
-                    timesPerDay: frequencyInfo.timesPerDay,
-                    reminderTimes: frequencyInfo.times.map(t => DEFAULT_TIMES[t]),
-                    durationDays: med.duration_days || 5,
-                    withFood: med.with_food ?? true,
-                    visualType: dbMedicine?.visualType || med.visual_type || 'Tablet',
-                    visualColor: dbMedicine?.visualColor || med.visual_color || 'White',
-                    visualDescription: dbMedicine 
-                        ? `${dbMedicine.visualColor} ${dbMedicine.visualType}`
-                        : `${med.visual_color || 'White'} ${med.visual_type || 'Tablet'}`.trim(),
-                    specialInstructions: med.special_instructions || '',
-                    probableReason: dbMedicine?.usualUse || med.probable_reason || '',
-                    // Track if duration was explicitly set or defaulted
-                    durationWasGuessed: !med.duration_days
-                };
-            });
-
-            const processedData = {
-                medicines: processedMedicines,
-                doctorName: rawData.doctor_name || null,
-                date: rawData.prescription_date || null,
-                extractionQuality: rawData.extraction_quality || 'CLEAR',
-                unreadableSections: rawData.unreadable_sections || [],
-                missingInfo: rawData.missing_info || [],
-                // Flag if any medicine needs duration confirmation
-                needsDurationConfirmation: processedMedicines.some(m => m.durationWasGuessed),
-                // Safety metrics
-                filteredCount: (rawData.medicines?.length || 0) - processedMedicines.length
+   (for a tapering course, the total number of days of the taper)
+4. confidence: 80-100 for clear, 50-79 for partial, below 50 for a guess
+5. box_2d: where the medicine's line is in the image, on a 0-1000 scale
+6. Extract ALL medicines, including the ones you are unsure about`;
+
+    try {
+        const { data: rawData } = await generateJson(prompt, {
+            task: 'prescription',
+            image: { base64: base64Image, mimeType },
+            schema: PRESCRIPTION_SCHEMA
+        });
+
+        console.log('📋 Raw Gemini extraction:', rawData);
+
+        // ═══════════════════════════════════════════════════════════════
+        // ANTI-HALLUCINATION SAFETY FILTER
+        // ═══════════════════════════════════════════════════════════════
+        // Low confidence is not filtered here - those medicines go to the review step
+        const safeMedicines = (rawData.medicines || []).filter(med => {
+            const nameLower = (med.name || '').toLowerCase();
+            
+            // 1. Filter blacklisted drugs (silent flag - security concern)
+            const isBlacklisted = BLACKLISTED_DRUGS.some(drug => nameLower.includes(drug));
+            if (isBlacklisted) {
+                console.error(`🚨 BLACKLISTED DRUG DETECTED AND BLOCKED: "${med.name}"`);
+                // TODO: Log to security audit in production
+                return false;
+            }
+            
+            // 2. Skip obviously invalid names
+            if (!med.name || med.name.length < 2 || med.name === 'Unknown Medicine') {
+                console.warn(`⚠️ SKIPPED invalid medicine name: "${med.name}"`);
+                return false;
+            }
+            
+            return true;
+        });
+
+        console.log(`🛡️ Safety filter: ${rawData.medicines?.length || 0} → ${safeMedicines.length} medicines passed`);
+
+        // Post-process medicines with frequency parsing and fuzzy name correction
+        const processedMedicines = safeMedicines.map(med => {
+            const schedule = withPrnLimits(parseScheduleFromFrequency(med.frequency), med);
+            const frequencyInfo = getFrequencyInfo(med.frequency, schedule);
+            // A taper's own length is the course length when none was written
+            const durationDays = med.duration_days
+                || (schedule?.type === SCHEDULE_TYPES.TAPER ? getTaperLength(schedule) : 5);
+            
+            // Apply fuzzy matching to correct OCR errors
+            const nameCorrection = correctMedicineName(med.name || 'Unknown Medicine');
+            if (nameCorrection.wasCorrected) {
+                console.log(`📝 Name corrected: "${med.name}" → "${nameCorrection.correctedName}" (${nameCorrection.matchScore}% match)`);
+            }
+            
+            // Use corrected data from database if available
+            const dbMedicine = nameCorrection.medicineData;
+            
+            return {
+                name: nameCorrection.correctedName,
+                // Lets the interaction check see ingredients behind a brand name
+                genericName: dbMedicine?.genericName || null,
+                originalName: nameCorrection.wasCorrected ? med.name : null, // Track original for debugging
+                nameCorrected: nameCorrection.wasCorrected,
+                confidence: med.confidence ?? 0,
+                dosage: med.dosage || '',
+                frequency: med.frequency || 'OD',
+                timing: frequencyInfo.times,
+                timesPerDay: frequencyInfo.timesPerDay,
+                reminderTimes: frequencyInfo.reminderTimes || frequencyInfo.times.map(t => DEFAULT_TIMES[t]),
+                schedule,
+                durationDays,
+                // Unknown stock is estimated from the course when saved
+                quantity: Number(med.quantity) || null,
+                withFood: med.with_food ?? true,
+                visualType: dbMedicine?.visualType || med.visual_type || 'Tablet',
+                visualColor: dbMedicine?.visualColor || med.visual_color || 'White',
+                visualDescription: dbMedicine 
+                    ? `${dbMedicine.visualColor} ${dbMedicine.visualType}`
+                    : `${med.visual_color || 'White'} ${med.visual_type || 'Tablet'}`.trim(),
+                specialInstructions: med.special_instructions || '',
+                probableReason: dbMedicine?.usualUse || med.probable_reason || '',
+                // Track if duration was explicitly set or defaulted
+                durationWasGuessed: !med.duration_days && schedule?.type !== SCHEDULE_TYPES.TAPER
             };
-
-            console.log('📋 Processed prescription:', processedData);
-            return { success: true, data: processedData };
-
-        } catch (error) {
-            console.warn(`⚠️ Model ${modelName} failed:`, error.message);
-            lastError = error;
-
-            // If quota exhausted, try next model
-            if (error.message?.includes('429') || error.message?.includes('quota') || error.message?.includes('RESOURCE_EXHAUSTED')) {
-                continue;
+        });
+
+        // ═══════════════════════════════════════════════════════════════
+        // HUMAN REVIEW: unsure readings are asked about, never dropped
+        // ═══════════════════════════════════════════════════════════════
+        const confidentMedicines = [];
+        const reviewItems = [];
+        processedMedicines.forEach((medicine, i) => {
+            const reason = getReviewReason(medicine);
+            if (!reason) {
+                confidentMedicines.push(medicine);
+                return;
             }
+            console.warn(`⚠️ Needs review (${reason}): "${safeMedicines[i].name}" (${medicine.confidence}%)`);
+            reviewItems.push(createReviewItem(medicine, {
+                reason,
+                readAs: safeMedicines[i].name,
+                box: safeMedicines[i].box_2d
+            }));
+        });
+
+        const processedData = {
+            medicines: confidentMedicines,
+            // Shown to the user to accept, correct or discard before saving
+            reviewItems,
+            doctorName: rawData.doctor_name || null,
+            date: rawData.prescription_date || null,
+            extractionQuality: rawData.extraction_quality || 'CLEAR',
+            unreadableSections: rawData.unreadable_sections || [],
+            missingInfo: rawData.missing_info || [],
+            // Flag if any medicine needs duration confirmation
+            needsDurationConfirmation: confidentMedicines.some(m => m.durationWasGuessed),
+            // Safety metrics
+            filteredCount: (rawData.medicines?.length || 0) - processedMedicines.length
+        };
 
-            // If it's a different error, still try next model
-            continue;
-        }
+        console.log('📋 Processed prescription:', processedData);
+        return { success: true, data: processedData };
+    } catch (error) {
+        const errorCode = classifyAIError(error);
+        const quotaError = errorCode === AI_ERROR_CODES.QUOTA;
+        return {
+            success: false,
+            error: quotaError
+                ? 'AI service is temporarily busy. Please try again in a few minutes.'
+                : (error?.message || 'Failed to analyze prescription'),
+            // Screens turn this into a spoken explanation (getAIErrorMessage)
+            errorCode,
+            // What the validator rejected, for debugging bad extractions
+            issues: error?.details?.issues || [],
+            data: null,
+            isQuotaError: quotaError
+        };
     }
-
-    // All models failed
-    console.error('❌ All Gemini models failed:', lastError);
-
-    const isQuotaError = lastError?.message?.includes('429') ||
-        lastError?.message?.includes('quota') ||
-        lastError?.message?.includes('RESOURCE_EXHAUSTED');
-
-    return {
-        success: false,
-        error: isQuotaError
-            ? 'AI service is temporarily busy. Please try again in a few minutes.'
-            : (lastError?.message || 'Failed to analyze prescription'),
-        data: null,
-        isQuotaError
-    };
 };
 
 /**
@@ -355,12 +350,6 @@ RULES:
  * @returns {Promise<object>} Visual details and expiry information
  */
 export const analyzeMedicinePhoto = async (base64Image, mimeType = 'image/jpeg', expectedMedicine = null) => {
-    // Use available model names for this API key
-    const MODELS_TO_TRY = [
-        'gemini-2.0-flash',       // Primary: Latest flash with vision
-        'gemini-2.5-flash',       // Fallback: Newer flash model
-    ];
-
     const prompt = `You are analyzing a photo of medicine (tablet, capsule, syrup, or packaging).
 
 TASK: Extract visual identification details, expiry information, and usage.
@@ -369,7 +358,7 @@ ${expectedMedicine ? `EXPECTED MEDICINE(S) from user's prescription: ${expectedM
 
 STRICT OUTPUT FORMAT - Return ONLY this JSON:
 {
-    "expiry_date": "MM/YYYY format if visible, null if not",
+    "expiry_date": "Expiry exactly as printed (e.g. 'EXP 08/26', 'EXP. AUG 2026') if visible, null if not",
     "visual_description": "Detailed description (e.g., 'Small round pink tablet with 'A' engraving')",
     "shape": "Round | Oval | Oblong | Square | Capsule",
     "color": "Primary color (e.g., Pink, White, Blue)",
@@ -382,54 +371,37 @@ STRICT OUTPUT FORMAT - Return ONLY this JSON:
 
 Return ONLY valid JSON, no explanation.`;
 
-    for (const modelName of MODELS_TO_TRY) {
-        try {
-            console.log(`🔍 Analyzing medicine photo with: ${modelName}`);
-            const model = genAI.getGenerativeModel({ model: modelName });
-
-            const result = await model.generateContent([
-                prompt,
-                {
-                    inlineData: {
-                        mimeType,
-                        data: base64Image
-                    }
-                }
-            ]);
-
-            const response = await result.response;
-            let text = response.text();
-            text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
-            const data = JSON.parse(text);
-            console.log('💊 Medicine photo analysis:', data);
-
-            return {
-                success: true,
-                data: {
-                    expiryDate: data.expiry_date,
-                    visualDescription: data.visual_description,
-                    shape: data.shape,
-                    color: data.color,
-                    size: data.size,
-                    medicineType: data.medicine_type,
-                    packagingText: data.packaging_text,
-                    matchesExpected: data.matches_expected,
-                    usualUse: data.usual_use
-                }
-            };
-
-        } catch (error) {
-            console.warn(`⚠️ Medicine photo analysis failed with ${modelName}:`, error.message);
-            continue;
-        }
+    try {
+        const { data } = await generateJson(prompt, {
+            task: 'medicinePhoto',
+            image: { base64: base64Image, mimeType },
+            schema: MEDICINE_PHOTO_SCHEMA
+        });
+        console.log('💊 Medicine photo analysis:', data);
+
+        return {
+            success: true,
+            data: {
+                expiryDate: data.expiry_date,
+                visualDescription: data.visual_description,
+                shape: data.shape,
+                color: data.color,
+                size: data.size,
+                medicineType: data.medicine_type,
+                packagingText: data.packaging_text,
+                matchesExpected: data.matches_expected,
+                usualUse: data.usual_use
+            }
+        };
+    } catch (error) {
+        console.warn('⚠️ Medicine photo analysis failed:', error.message);
+        return {
+            success: false,
+            error: 'Could not analyze the medicine photo. Please try again with a clearer image.',
+            errorCode: classifyAIError(error),
+            data: null
+        };
     }
-
-    return {
-        success: false,
-        error: 'Could not analyze the medicine photo. Please try again with a clearer image.',
-        data: null
-    };
 };
 
 /**
@@ -442,12 +414,6 @@ Return ONLY valid JSON, no explanation.`;
  * @returns {object} Match result with verification status
  */
 export const verifyMedicinePhoto = async (base64Image, mimeType = 'image/jpeg', prescriptionMedicines = []) => {
-    // Use available model names for this API key
-    const MODELS_TO_TRY = [
-        'gemini-2.0-flash',       // Primary: Latest flash with vision
-        'gemini-2.5-flash',       // Fallback: Newer flash model
-    ];
-
     const prescriptionList = prescriptionMedicines.map(m => m.name).join(', ');
 
     const prompt = `You are a CONSERVATIVE medicine identification system for elderly users.
@@ -473,7 +439,8 @@ OUTPUT FORMAT (JSON only):
     "detected_medicine_name": "Medicine name extracted from text",
     "confidence": 95,
     "reason_if_unreadable": null,
-    "visual_description": "Brief description of what you see"
+    "visual_description": "Brief description of what you see",
+    "expiry_date": "Expiry exactly as printed (e.g. 'EXP 08/26') if visible, null if not"
 }
 
 If image is blurry or text is unreadable:
@@ -488,122 +455,71 @@ If image is blurry or text is unreadable:
 
 Return ONLY valid JSON, no explanation.`;
 
-    for (const modelName of MODELS_TO_TRY) {
-        try {
-            console.log(`🔍 Blind verification with: ${modelName}`);
-            const model = genAI.getGenerativeModel({ model: modelName });
-
-            // Wrap API call with timeout
-            const result = await withTimeout(
-                model.generateContent([
-                    prompt,
-                    {
-                        inlineData: {
-                            mimeType,
-                            data: base64Image
-                        }
-                    }
-                ]),
-                API_TIMEOUT_MS
-            );
-
-            const response = await result.response;
-            let text = response.text();
-            text = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
-            const data = JSON.parse(text);
-            console.log('🔍 Blind verification result:', data);
-
-            // If not readable, return early with retry suggestion
-            if (!data.readable) {
-                return {
-                    success: true,
-                    isReadable: false,
-                    reason: data.reason_if_unreadable || 'Could not read text',
-                    visualDescription: data.visual_description,
-                    shouldRetry: true,
-                    matchFound: false,
-                    detectedName: null,
-                    matchedMedicine: null
-                };
-            }
-
-            // Cross-reference detected medicine against prescription list
-            const detectedName = (data.detected_medicine_name || '').toLowerCase().trim();
-            let matchedMedicine = null;
-            let matchFound = false;
-
-            for (const med of prescriptionMedicines) {
-                const prescriptionName = med.name.toLowerCase().trim();
-                
-                // Fuzzy matching - check if names contain each other
-                if (prescriptionName.includes(detectedName) || 
-                    detectedName.includes(prescriptionName) ||
-                    // Also check first word (brand name often differs from generic)
-                    prescriptionName.split(' ')[0] === detectedName.split(' ')[0]) {
-                    matchFound = true;
-                    matchedMedicine = med;
-                    break;
-                }
-            }
-
-            console.log(`🎯 Match result: ${matchFound ? 'FOUND' : 'NOT FOUND'} - "${data.detected_medicine_name}"`);
+    try {
+        const { data } = await generateJson(prompt, {
+            task: 'medicineVerification',
+            image: { base64: base64Image, mimeType },
+            schema: MEDICINE_VERIFICATION_SCHEMA
+        });
+        console.log('🔍 Blind verification result:', data);
 
+        // If not readable, return early with retry suggestion
+        if (!data.readable) {
             return {
                 success: true,
-                isReadable: true,
-                detectedText: data.detected_text,
-                detectedName: data.detected_medicine_name,
-                confidence: data.confidence,
+                isReadable: false,
+                reason: data.reason_if_unreadable || 'Could not read text',
                 visualDescription: data.visual_description,
-                matchFound,
-                matchedMedicine,
-                shouldRetry: false
+                shouldRetry: true,
+                matchFound: false,
+                detectedName: null,
+                matchedMedicine: null
             };
-
-        } catch (error) {
-            console.warn(`⚠️ Blind verification failed with ${modelName}:`, error.message);
-            continue;
         }
-    }
-
-    return {
-        success: false,
-        error: 'Could not analyze the medicine. Please try again.',
-        isReadable: false,
-        matchFound: false
-    };
-};
 
-/**
- * Check for dangerous drug interactions
- * @param {array} newMedicines - Newly scanned medicines
- * @param {array} existingMedicines - User's saved medicine history
- * @returns {array} List of conflicts with warnings
- */
-export const checkDrugInteractions = (newMedicines, existingMedicines = []) => {
-    const conflicts = [];
-    const allDrugs = [
-        ...newMedicines.map(m => m.name.toLowerCase()),
-        ...existingMedicines.map(m => m.name.toLowerCase())
-    ];
-
-    DANGEROUS_COMBOS.forEach(combo => {
-        const [drug1, drug2] = combo.drugs;
-        const hasDrug1 = allDrugs.some(d => d.includes(drug1));
-        const hasDrug2 = allDrugs.some(d => d.includes(drug2));
-
-        if (hasDrug1 && hasDrug2) {
-            conflicts.push({
-                drug1,
-                drug2,
-                warning: combo.warning,
-                severity: 'HIGH'
-            });
+        // Cross-reference detected medicine against prescription list
+        const detectedName = (data.detected_medicine_name || '').toLowerCase().trim();
+        let matchedMedicine = null;
+        let matchFound = false;
+
+        for (const med of prescriptionMedicines) {
+            const prescriptionName = med.name.toLowerCase().trim();
+            
+            // Fuzzy matching - check if names contain each other
+            if (prescriptionName.includes(detectedName) || 
+                detectedName.includes(prescriptionName) ||
+                // Also check first word (brand name often differs from generic)
+                prescriptionName.split(' ')[0] === detectedName.split(' ')[0]) {
+                matchFound = true;
+                matchedMedicine = med;
+                break;
+            }
         }
-    });
 
-    return conflicts;
+        console.log(`🎯 Match result: ${matchFound ? 'FOUND' : 'NOT FOUND'} - "${data.detected_medicine_name}"`);
+
+        return {
+            success: true,
+            isReadable: true,
+            detectedText: data.detected_text,
+            detectedName: data.detected_medicine_name,
+            confidence: data.confidence,
+            visualDescription: data.visual_description,
+            expiryDate: data.expiry_date || null,
+            matchFound,
+            matchedMedicine,
+            shouldRetry: false
+        };
+    } catch (error) {
+        console.warn('⚠️ Blind verification failed:', error.message);
+        return {
+            success: false,
+            error: 'Could not analyze the medicine. Please try again.',
+            errorCode: classifyAIError(error),
+            isReadable: false,
+            matchFound: false
+        };
+    }
 };
 
 /**
@@ -660,22 +576,3 @@ export const generateVoiceSummary = (medicines, language = 'hi-IN') => {
     summary += '.';
     return summary;
 };
-
-/**
- * Generate conflict warning message
- * @param {array} conflicts - List of drug conflicts
- * @param {string} language - Language code
- * @returns {string} Warning message for TTS
- */
-export const generateConflictWarning = (conflicts, language = 'hi-IN') => {
-    if (!conflicts || conflicts.length === 0) return null;
-
-    const conflict = conflicts[0]; // Most severe
-    const templates = {
-        'en-US': `Warning! Please be careful. You are already taking a blood thinner. ${conflict.warning}. Consult your doctor before adding this new medicine.`,
-        'hi-IN': `चेतावनी! कृपया सावधान रहें। आप पहले से एक खून पतला करने वाली दवा ले रहे हैं। ${conflict.warning}। इस नई दवा को जोड़ने से पहले अपने डॉक्टर से सलाह लें।`,
-        'mr-IN': `चेतावनी! कृपया काळजी घ्या. तुम्ही आधीच रक्त पातळ करणारे औषध घेत आहात. ${conflict.warning}. हे नवीन औषध जोडण्यापूर्वी तुमच्या डॉक्टरांचा सल्ला घ्या.`
-    };
-
-    return templates[language] || templates['hi-IN'];
-};
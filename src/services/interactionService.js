@@ -0,0 +1,325 @@
+/**
+ * Interaction Service
+ * Checks a new prescription against the medicines already being taken using
+ * the bundled interaction dataset. Brand names ("Ecosprin", "Clopilet") are
+ * resolved to generic ingredients first, so rules never depend on brands.
+ *
+ * Pure functions only (no storage, no network) - safe to run offline.
+ */
+
+import { findBestMedicineMatch } from '../data/medicineDatabase';
+import {
+    INTERACTIONS,
+    INGREDIENT_ALIASES,
+    INGREDIENT_CLASSES,
+    SEVERITY,
+    SEVERITY_RANK,
+    INTERACTION_DATASET_VERSION
+} from '../data/interactionDataset';
+
+/**
+ * Severities that must be acknowledged before the medicines are saved
+ */
+export const ACKNOWLEDGE_SEVERITIES = [SEVERITY.CONTRAINDICATED, SEVERITY.MAJOR];
+
+// Brand lookups must be close - a loose fuzzy match would invent interactions
+const BRAND_MATCH_THRESHOLD = 80;
+
+// Salt / form words printed after the ingredient ("Diclofenac Sodium")
+const SALT_WORDS = [
+    'hydrochloride', 'hcl', 'sodium', 'potassium', 'calcium', 'magnesium',
+    'besylate', 'besilate', 'bisulfate', 'bisulphate', 'maleate', 'mesylate',
+    'succinate', 'tartrate', 'citrate', 'sulfate', 'sulphate', 'dihydrate', 'trihydrate'
+];
+
+const KNOWN_INGREDIENTS = new Set([
+    ...INTERACTIONS.flatMap(rule => rule.between).filter(side => !side.startsWith('class:')),
+    ...Object.values(INGREDIENT_CLASSES).flat(),
+    ...Object.values(INGREDIENT_ALIASES)
+]);
+
+const cleanText = (text) => (text || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/\b\d+(\.\d+)?\s*(mg|mcg|g|ml|iu|%)?\b/g, ' ')
+    .replace(/\b(tab|tabs|tablet|cap|caps|capsule|syp|syrup|inj)\b\.?/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Form words and units dropped but the strength kept ("Tab. Pan 40 mg" → "pan 40"),
+// since some brands carry it in their name
+const cleanKeepingStrength = (text) => (text || '')
+    .toLowerCase()
+    .replace(/\(.*?\)/g, ' ')
+    .replace(/\b(\d+(?:\.\d+)?)\s*(mg|mcg|g|ml|iu|%)(?=\s|$)/g, '$1')
+    .replace(/\b(tab|tabs|tablet|cap|caps|capsule|syp|syrup|inj)\b\.?/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Aliases cleaned like the text they are compared with
+// ("isosorbide-5-mononitrate" loses its 5 on both sides)
+const ALIAS_LOOKUP = Object.fromEntries(Object.entries(INGREDIENT_ALIASES)
+    .map(([alias, ingredient]) => [cleanText(alias), ingredient]));
+
+/**
+ * Canonical generic name for one ingredient ("Diclofenac Sodium" → "diclofenac")
+ * @param {string} ingredient - Ingredient as written
+ * @returns {string} Canonical ingredient ('' if empty)
+ */
+export const normalizeIngredient = (ingredient) => {
+    const text = cleanText(ingredient);
+    if (!text) return '';
+    if (ALIAS_LOOKUP[text]) return ALIAS_LOOKUP[text];
+    if (KNOWN_INGREDIENTS.has(text)) return text;
+
+    const withoutSalt = text
+        .split(' ')
+        .filter(word => !SALT_WORDS.includes(word))
+        .join(' ');
+    if (ALIAS_LOOKUP[withoutSalt]) return ALIAS_LOOKUP[withoutSalt];
+    return withoutSalt || text;
+};
+
+const splitIngredients = (genericName) => genericName
+    .split(/\s*(?:\+|,|\band\b)\s*/i)
+    .map(normalizeIngredient)
+    .filter(Boolean);
+
+// Known ingredient names written inside a free-text medicine name
+const findIngredientsInText = (text) => {
+    const cleaned = cleanText(text);
+    if (!cleaned) return [];
+    const found = [...KNOWN_INGREDIENTS, ...Object.keys(ALIAS_LOOKUP)]
+        .filter(term => new RegExp(`\\b${term.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&')}\\b`).test(cleaned))
+        .map(normalizeIngredient);
+    return [...new Set(found)];
+};
+
+/**
+ * Generic ingredients of a medicine.
+ * Order: its own genericName → ingredient named in the text → brand lookup
+ * (name as written, then without form words, then without the strength).
+ * @param {Object|string} medicine - Medicine record or just its name
+ * @returns {string[]} Canonical ingredients (may be empty)
+ */
+export const resolveIngredients = (medicine) => {
+    const name = typeof medicine === 'string' ? medicine : medicine?.name;
+    const genericName = typeof medicine === 'string' ? null : medicine?.genericName;
+
+    if (genericName) return [...new Set(splitIngredients(genericName))];
+
+    const inText = findIngredientsInText(name);
+    if (inText.length > 0) return inText;
+
+    // "Pan 40" is a brand of its own - without the 40 it is closest to "Pan D"
+    const lookups = [...new Set([(name || '').trim(), cleanKeepingStrength(name), cleanText(name)])].filter(Boolean);
+    for (const lookup of lookups) {
+        const match = findBestMedicineMatch(lookup, BRAND_MATCH_THRESHOLD);
+        if (match) return [...new Set(splitIngredients(match.medicine.genericName))];
+    }
+    return [];
+};
+
+const matchesSide = (ingredient, side) => side.startsWith('class:')
+    ? (INGREDIENT_CLASSES[side.slice(6)] || []).includes(ingredient)
+    : ingredient === side;
+
+// The ingredient pair of a and b that triggers the rule, if any
+const findTrigger = (rule, ingredientsA, ingredientsB) => {
+    const [first, second] = rule.between;
+    for (const a of ingredientsA) {
+        for (const b of ingredientsB) {
+            if (a === b) continue;
+            if (matchesSide(a, first) && matchesSide(b, second)) return [a, b];
+            if (matchesSide(a, second) && matchesSide(b, first)) return [a, b];
+        }
+    }
+    return null;
+};
+
+const sameName = (a, b) => cleanText(a) === cleanText(b);
+
+/**
+ * Check for drug interactions between newly scanned and existing medicines.
+ * Pairs of two existing medicines are skipped (they were checked already).
+ * @param {Array} newMedicines - Newly scanned medicines
+ * @param {Array} existingMedicines - Medicines the user is already taking
+ * @returns {Array} Conflicts, most severe first:
+ *   { id, drug1, drug2, ingredients, severity, mechanism, management, datasetVersion }
+ */
+export const checkDrugInteractions = (newMedicines, existingMedicines = []) => {
+    const entries = [
+        ...newMedicines.map(medicine => ({ medicine, isNew: true })),
+        ...existingMedicines
+            .filter(existing => !newMedicines.some(m => sameName(m.name, existing.name)))
+            .map(medicine => ({ medicine, isNew: false }))
+    ].map(entry => ({ ...entry, ingredients: resolveIngredients(entry.medicine) }));
+
+    const conflicts = [];
+    for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+            const a = entries[i];
+            const b = entries[j];
+            if (!a.isNew && !b.isNew) continue;
+
+            INTERACTIONS.forEach(rule => {
+                const trigger = findTrigger(rule, a.ingredients, b.ingredients);
+                if (!trigger) return;
+                conflicts.push({
+                    id: rule.id,
+                    drug1: a.medicine.name,
+                    drug2: b.medicine.name,
+                    ingredients: trigger,
+                    severity: rule.severity,
+                    mechanism: rule.mechanism,
+                    management: rule.management,
+                    datasetVersion: INTERACTION_DATASET_VERSION
+                });
+            });
+        }
+    }
+
+    if (conflicts.length > 0) {
+        console.log(`⚠️ ${conflicts.length} drug interaction(s) found (dataset v${INTERACTION_DATASET_VERSION})`);
+    }
+    return conflicts.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// LOCALIZED TEXT
+// ═══════════════════════════════════════════════════════════════════════
+
+const SEVERITY_LABELS = {
+    'en-US': {
+        [SEVERITY.CONTRAINDICATED]: 'Never take together',
+        [SEVERITY.MAJOR]: 'Serious',
+        [SEVERITY.MODERATE]: 'Caution',
+        [SEVERITY.MINOR]: 'Minor'
+    },
+    'hi-IN': {
+        [SEVERITY.CONTRAINDICATED]: 'कभी साथ न लें',
+        [SEVERITY.MAJOR]: 'गंभीर',
+        [SEVERITY.MODERATE]: 'सावधानी',
+        [SEVERITY.MINOR]: 'मामूली'
+    },
+    'mr-IN': {
+        [SEVERITY.CONTRAINDICATED]: 'कधीही एकत्र घेऊ नका',
+        [SEVERITY.MAJOR]: 'गंभीर',
+        [SEVERITY.MODERATE]: 'सावधगिरी',
+        [SEVERITY.MINOR]: 'किरकोळ'
+    }
+};
+
+const WARNING_TEMPLATES = {
+    'en-US': {
+        intro: 'Warning! I found {count} medicine interactions. Please show this list to your doctor.',
+        introOne: 'Warning! I found a medicine interaction. Please show it to your doctor.',
+        pair: '{drug1} with {drug2}: {severity}.',
+        acknowledge: 'I have not saved these medicines yet. Say "I understand" or tap the button to save them.'
+    },
+    'hi-IN': {
+        intro: 'चेतावनी! मुझे दवाओं के {count} आपसी असर मिले। कृपया यह सूची अपने डॉक्टर को दिखाएं।',
+        introOne: 'चेतावनी! मुझे दवाओं का एक आपसी असर मिला। कृपया इसे अपने डॉक्टर को दिखाएं।',
+        pair: '{drug1} के साथ {drug2}: {severity}।',
+        acknowledge: 'मैंने ये दवाएं अभी सेव नहीं की हैं। सेव करने के लिए "मैं समझ गया" बोलें या बटन दबाएं।'
+    },
+    'mr-IN': {
+        intro: 'सावधान! मला औषधांचे {count} परस्पर परिणाम सापडले. कृपया ही यादी तुमच्या डॉक्टरांना दाखवा.',
+        introOne: 'सावधान! मला औषधांचा एक परस्पर परिणाम सापडला. कृपया तो तुमच्या डॉक्टरांना दाखवा.',
+        pair: '{drug1} सोबत {drug2}: {severity}.',
+        acknowledge: 'मी ही औषधे अजून जतन केलेली नाहीत. जतन करण्यासाठी "मला समजले" म्हणा किंवा बटण दाबा.'
+    }
+};
+
+// Spoken phrases accepted as "I understand" (matched on the lower-cased transcript)
+const ACKNOWLEDGE_PHRASES = [
+    'i understand', 'understood', 'i got it',
+    'समझ गया', 'समझ गई', 'समझ गए', 'समझ लिया', 'samajh gaya', 'samajh gayi',
+    'समजले', 'समजलं', 'कळले', 'कळलं', 'samajle'
+];
+
+/**
+ * Localized severity label
+ * @param {string} severity - SEVERITY value
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+export const getSeverityLabel = (severity, language = 'en-US') => {
+    const labels = SEVERITY_LABELS[language] || SEVERITY_LABELS['en-US'];
+    return labels[severity] || severity;
+};
+
+/**
+ * Localized mechanism and advice for one conflict
+ * @param {Object} conflict - From checkDrugInteractions
+ * @param {string} language - Language code
+ * @returns {Object} { severity, mechanism, management }
+ */
+export const getInteractionText = (conflict, language = 'en-US') => ({
+    severity: getSeverityLabel(conflict.severity, language),
+    mechanism: conflict.mechanism[language] || conflict.mechanism['en-US'],
+    management: conflict.management[language] || conflict.management['en-US']
+});
+
+/**
+ * Whether any conflict is serious enough to block saving until acknowledged
+ * @param {Array} conflicts - From checkDrugInteractions
+ * @returns {boolean}
+ */
+export const requiresAcknowledgement = (conflicts) => {
+    return (conflicts || []).some(conflict => ACKNOWLEDGE_SEVERITIES.includes(conflict.severity));
+};
+
+/**
+ * Whether a voice transcript is an explicit "I understand"
+ * @param {string} transcript - Recognised speech
+ * @returns {boolean}
+ */
+export const isAcknowledgement = (transcript) => {
+    const text = (transcript || '').toLowerCase();
+    return ACKNOWLEDGE_PHRASES.some(phrase => text.includes(phrase));
+};
+
+/**
+ * Spoken warning that reads every conflict, most severe first, naming the
+ * actual pair. Ends with the "say I understand" prompt when saving is blocked.
+ * @param {Array} conflicts - From checkDrugInteractions
+ * @param {string} language - Language code
+ * @returns {string|null} TTS-ready warning, null when there are no conflicts
+ */
+export const generateConflictWarning = (conflicts, language = 'hi-IN') => {
+    if (!conflicts || conflicts.length === 0) return null;
+
+    const t = WARNING_TEMPLATES[language] || WARNING_TEMPLATES['hi-IN'];
+    const ordered = [...conflicts].sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+    const parts = [
+        ordered.length === 1 ? t.introOne : t.intro.replace('{count}', ordered.length)
+    ];
+
+    ordered.forEach(conflict => {
+        const text = getInteractionText(conflict, language);
+        parts.push(
+            t.pair
+                .replace('{drug1}', conflict.drug1)
+                .replace('{drug2}', conflict.drug2)
+                .replace('{severity}', text.severity),
+            text.mechanism,
+            text.management
+        );
+    });
+
+    if (requiresAcknowledgement(ordered)) parts.push(t.acknowledge);
+    return parts.join(' ');
+};
+
+export default {
+    ACKNOWLEDGE_SEVERITIES,
+    normalizeIngredient,
+    resolveIngredients,
+    checkDrugInteractions,
+    getSeverityLabel,
+    getInteractionText,
+    requiresAcknowledgement,
+    isAcknowledgement,
+    generateConflictWarning
+};
@@ -0,0 +1,260 @@
+/**
+ * Inventory Service
+ * Pill stock for each medicine: decremented on every "taken" log, and turned
+ * into a run-out prediction by walking the medicine's schedule day by day
+ * (so alternate-day, weekly and tapering medicines are predicted correctly).
+ */
+
+import { getMedicines, getMedicineById, updateMedicine } from './medicineRepository';
+import { getUnitsOnDay, getScheduleEnd, SCHEDULE_TYPES } from '../utils/scheduleModel';
+
+const ANNOUNCED_KEY = 'saarthi_refill_alerts';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Stop walking the schedule after a year - enough for any refill decision
+const MAX_FORECAST_DAYS = 365;
+
+/**
+ * Warn when this many days of stock (or fewer) are left
+ */
+export const LOW_STOCK_DAYS = 3;
+
+/**
+ * SOS medicines have no daily usage; warn below this many tablets instead
+ */
+export const LOW_STOCK_PRN_UNITS = 2;
+
+const readAnnounced = () => {
+    try {
+        return JSON.parse(localStorage.getItem(ANNOUNCED_KEY) || '{}');
+    } catch {
+        return {};
+    }
+};
+
+const clearRefillAnnouncement = (medicineId) => {
+    const announced = readAnnounced();
+    delete announced[medicineId];
+    localStorage.setItem(ANNOUNCED_KEY, JSON.stringify(announced));
+};
+
+const startOfDay = (value) => {
+    const day = new Date(value);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+const normalizeName = (name) => (name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+// Tablets already taken (and so already out of stock) on the given day
+const getUnitsTakenOn = (medicine, day) =>
+    medicine.takenToday?.date === day.toDateString() ? Number(medicine.takenToday.units) || 0 : 0;
+
+/**
+ * Stock and run-out prediction for one medicine
+ * @param {Object} medicine - Medicine record
+ * @param {Date} now - Reference time
+ * @returns {Object} { medicineId, name, quantity, packSize, daysRemaining,
+ *                     runOutDate, courseEndsFirst, needsRefill }
+ */
+export const getInventoryStatus = (medicine, now = new Date()) => {
+    const quantity = Math.max(0, Number(medicine.quantity) || 0);
+    // A taper ends on its own even when the medicine has no end date
+    const courseEnd = [medicine.endDate && new Date(medicine.endDate), getScheduleEnd(medicine)]
+        .filter(Boolean)
+        .sort((a, b) => a - b)[0] || null;
+    const isPrn = medicine.schedule?.type === SCHEDULE_TYPES.PRN;
+
+    let daysRemaining = null;
+    let courseEndsFirst = false;
+
+    if (!isPrn) {
+        let remaining = quantity;
+        const day = startOfDay(now);
+
+        for (let i = 0; i < MAX_FORECAST_DAYS; i++) {
+            if (courseEnd && day >= courseEnd) {
+                courseEndsFirst = true;
+                break;
+            }
+            // Today only the doses not taken yet still need stock
+            const needed = i === 0
+                ? Math.max(0, getUnitsOnDay(medicine, day) - getUnitsTakenOn(medicine, day))
+                : getUnitsOnDay(medicine, day);
+            if (needed > remaining) {
+                daysRemaining = i;
+                break;
+            }
+            remaining -= needed;
+            day.setDate(day.getDate() + 1);
+        }
+    }
+
+    const needsRefill = medicine.isActive !== false && (isPrn
+        ? quantity <= LOW_STOCK_PRN_UNITS
+        : daysRemaining !== null && daysRemaining <= LOW_STOCK_DAYS);
+
+    return {
+        medicineId: medicine.id,
+        name: medicine.name,
+        quantity,
+        packSize: medicine.packSize || null,
+        daysRemaining,
+        runOutDate: daysRemaining !== null
+            ? new Date(startOfDay(now).getTime() + daysRemaining * DAY_MS)
+            : null,
+        courseEndsFirst,
+        needsRefill
+    };
+};
+
+/**
+ * Active medicines that need a refill, soonest run-out first
+ * @param {Date} now - Reference time
+ * @returns {Array} Inventory statuses
+ */
+export const getRefillList = (now = new Date()) => {
+    return getMedicines()
+        .map(medicine => getInventoryStatus(medicine, now))
+        .filter(status => status.needsRefill)
+        .sort((a, b) => (a.daysRemaining ?? 0) - (b.daysRemaining ?? 0));
+};
+
+/**
+ * Take tablets out of stock after a "taken" log
+ * @param {string|null} medicineId - Medicine ID (falls back to the exact name)
+ * @param {string} medicineName - Medicine name
+ * @param {number} amount - Tablets taken
+ * @returns {Object|null} Inventory status after the dose
+ */
+export const recordDoseTaken = (medicineId, medicineName, amount = 1) => {
+    // "Dolo" must not take stock from "Dolo 650" - only an exact name stands in for the ID
+    const name = normalizeName(medicineName);
+    const medicine = (medicineId && getMedicineById(medicineId))
+        || (name && getMedicines().find(m => normalizeName(m.name) === name))
+        || null;
+    if (!medicine) return null;
+
+    const now = new Date();
+    const updated = updateMedicine(medicine.id, {
+        quantity: Math.max(0, (Number(medicine.quantity) || 0) - amount),
+        takenToday: { date: now.toDateString(), units: getUnitsTakenOn(medicine, now) + amount }
+    });
+
+    const status = getInventoryStatus(updated || medicine);
+    if (status.needsRefill) {
+        console.log(`📦 Low stock: ${status.name} (${status.quantity} left)`);
+    }
+    return status;
+};
+
+/**
+ * Set how many tablets are on hand (and optionally the pack size)
+ * @param {string} medicineId - Medicine ID
+ * @param {Object} stock - { quantity, packSize }
+ * @returns {Object|null} Updated medicine
+ */
+export const setStock = (medicineId, { quantity, packSize }) => {
+    const updates = { stockEstimated: false };
+    if (quantity !== undefined) updates.quantity = Math.max(0, Number(quantity) || 0);
+    if (packSize !== undefined) updates.packSize = Number(packSize) > 0 ? Number(packSize) : null;
+    return updateMedicine(medicineId, updates);
+};
+
+/**
+ * Add a bought refill to the stock
+ * @param {string} medicineId - Medicine ID
+ * @param {number} units - Tablets bought (defaults to one pack)
+ * @returns {Object|null} Updated medicine
+ */
+export const markRefilled = (medicineId, units) => {
+    const medicine = getMedicineById(medicineId);
+    if (!medicine) return null;
+
+    const added = Number(units) || medicine.packSize || 0;
+    clearRefillAnnouncement(medicineId);
+    return updateMedicine(medicineId, {
+        quantity: (Number(medicine.quantity) || 0) + added,
+        stockEstimated: false,
+        lastRefillAt: new Date().toISOString()
+    });
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// SPOKEN ALERTS (at most once a day per medicine)
+// ═══════════════════════════════════════════════════════════════════════
+
+const REFILL_MESSAGES = {
+    'en-US': {
+        daysLeft: 'Only {days} days of {name} left. Time to refill.',
+        oneDayLeft: 'Only 1 day of {name} left. Please refill today.',
+        runOut: '{name} has run out. Please refill it.',
+        unitsLeft: 'Only {count} tablets of {name} left. Time to refill.'
+    },
+    'hi-IN': {
+        daysLeft: '{name} सिर्फ {days} दिन की बची है। दवा फिर से लाने का समय है।',
+        oneDayLeft: '{name} सिर्फ 1 दिन की बची है। कृपया आज ही ले आइए।',
+        runOut: '{name} खत्म हो गई है। कृपया फिर से लाइए।',
+        unitsLeft: '{name} की सिर्फ {count} गोलियां बची हैं। दवा फिर से लाने का समय है।'
+    },
+    'mr-IN': {
+        daysLeft: '{name} फक्त {days} दिवसांचे उरले आहे. औषध पुन्हा आणण्याची वेळ आली आहे.',
+        oneDayLeft: '{name} फक्त 1 दिवसाचे उरले आहे. कृपया आजच आणा.',
+        runOut: '{name} संपले आहे. कृपया पुन्हा आणा.',
+        unitsLeft: '{name} च्या फक्त {count} गोळ्या उरल्या आहेत. औषध पुन्हा आणण्याची वेळ आली आहे.'
+    }
+};
+
+/**
+ * Spoken/visual refill message for a status
+ * @param {Object} status - getInventoryStatus result
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+export const getRefillMessage = (status, language = 'en-US') => {
+    const t = REFILL_MESSAGES[language] || REFILL_MESSAGES['en-US'];
+    let template;
+    if (status.quantity === 0) template = t.runOut;
+    else if (!status.daysRemaining) template = t.unitsLeft;
+    else if (status.daysRemaining === 1) template = t.oneDayLeft;
+    else template = t.daysLeft;
+
+    return template
+        .replace('{name}', status.name)
+        .replace('{days}', status.daysRemaining)
+        .replace('{count}', status.quantity);
+};
+
+/**
+ * Refill alerts not yet spoken today
+ * @param {Array} statuses - Statuses from getRefillList
+ * @returns {Array} Statuses to announce
+ */
+export const getDueRefillAnnouncements = (statuses) => {
+    const today = new Date().toDateString();
+    const announced = readAnnounced();
+    return statuses.filter(status => announced[status.medicineId] !== today);
+};
+
+/**
+ * Remember that these refill alerts were spoken today
+ * @param {Array} statuses - Statuses that were announced
+ */
+export const markRefillsAnnounced = (statuses) => {
+    const today = new Date().toDateString();
+    const announced = readAnnounced();
+    statuses.forEach(status => { announced[status.medicineId] = today; });
+    localStorage.setItem(ANNOUNCED_KEY, JSON.stringify(announced));
+};
+
+export default {
+    LOW_STOCK_DAYS,
+    LOW_STOCK_PRN_UNITS,
+    getInventoryStatus,
+    getRefillList,
+    recordDoseTaken,
+    setStock,
+    markRefilled,
+    getRefillMessage,
+    getDueRefillAnnouncements,
+    markRefillsAnnounced
+};
@@ -0,0 +1,468 @@
+/**
+ * Medicine Repository
+ * Single source of truth for the patient's medicines.
+ *
+ * - Local cache in localStorage (`saarthi_medicines`) so every screen works offline
+ * - Writes are mirrored to the Firestore `medicines` collection through the
+ *   offline outbox, using the same document ID as the local record
+ * - While signed in, a Firestore listener merges remote changes back in
+ *
+ * Conflict resolution is last-write-wins on `updatedAt` (set on the device at
+ * the moment of the change), so an edit made offline is not overwritten by an
+ * older copy coming back from the server.
+ *
+ * Reminders reference medicines by `medicineId`; deactivating a medicine or
+ * editing its name/schedule is cascaded to its reminders here.
+ */
+
+import { collection, query, where, onSnapshot } from 'firebase/firestore';
+import { onAuthStateChanged } from 'firebase/auth';
+import { db, auth } from '../firebase/firebase';
+import { enqueueWrite, flushOutbox, generateClientId } from './offlineQueue';
+import { syncRemindersForMedicine, linkRemindersToMedicines } from './reminderService';
+import { getUnitsForDays } from '../utils/scheduleModel';
+
+const STORAGE_KEY = 'saarthi_medicines';
+const MEDICINES_COLLECTION = 'medicines';
+const DEFAULT_QUANTITY = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Fields that reminders copy or are built from
+const REMINDER_FIELDS = [
+    'name', 'timing', 'isActive', 'dosage', 'visualType', 'visualColor', 'visualDescription',
+    'startDate', 'endDate', 'schedule'
+];
+
+let medicines = null;
+let syncStarted = false;
+let unsubscribeRemote = null;
+const listeners = new Set();
+
+// ═══════════════════════════════════════════════════════════════════════
+// LOCAL CACHE
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Convert Firestore Timestamps / Dates / ISO strings / numbers to milliseconds
+ */
+const toMillis = (value) => {
+    if (!value) return 0;
+    if (typeof value === 'number') return value;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? 0 : parsed;
+};
+
+const getUpdatedMillis = (medicine) =>
+    toMillis(medicine.updatedAt) || toMillis(medicine.createdAt) || toMillis(medicine.addedAt);
+
+const readCache = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return saved.map((m) => ({
+            ...m,
+            quantity: m.quantity ?? DEFAULT_QUANTITY,
+            isActive: m.isActive !== false
+        }));
+    } catch (error) {
+        console.error('Error reading medicines:', error);
+        return [];
+    }
+};
+
+const ensureLoaded = () => {
+    if (medicines === null) {
+        medicines = readCache();
+    }
+    return medicines;
+};
+
+const notify = () => {
+    listeners.forEach(({ listener, includeInactive }) => {
+        listener(getMedicines({ includeInactive }));
+    });
+};
+
+const persist = (next) => {
+    medicines = next;
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    } catch (error) {
+        console.error('Error saving medicines:', error);
+    }
+    notify();
+};
+
+/**
+ * Firestore data can contain Timestamps; keep the local cache JSON-friendly
+ */
+const fromRemote = (id, data) => {
+    const plain = { id };
+    Object.entries(data).forEach(([key, value]) => {
+        plain[key] = value && typeof value.toDate === 'function'
+            ? value.toDate().toISOString()
+            : value;
+    });
+    plain.isActive = plain.isActive !== false;
+    return plain;
+};
+
+/**
+ * Queue the full record for Firestore (merged into any existing document)
+ */
+const pushToRemote = (medicine) => {
+    const data = { ...medicine };
+    delete data.id;
+    enqueueWrite({
+        collection: MEDICINES_COLLECTION,
+        docId: medicine.id,
+        data: { ...data, userId: data.userId || auth.currentUser?.uid || null },
+        merge: true
+    }).then(() => flushOutbox());
+};
+
+/**
+ * Keep a medicine's reminders in step when fields they depend on changed
+ */
+const cascadeToReminders = (previous, next) => {
+    const changed = REMINDER_FIELDS.some(
+        (field) => JSON.stringify(previous?.[field]) !== JSON.stringify(next[field])
+    );
+    if (changed) {
+        syncRemindersForMedicine(next);
+    }
+};
+
+const normalizeName = (name) => (name || '').toLowerCase().trim();
+
+/**
+ * Two names refer to the same medicine (e.g. "Dolo" and "Dolo 650")
+ */
+const isSameMedicineName = (a, b) => {
+    const first = normalizeName(a);
+    const second = normalizeName(b);
+    if (!first || !second) return false;
+    return first === second || first.includes(second) || second.includes(first);
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// READ API
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Get medicines from the local cache
+ * @param {object} options
+ * @param {boolean} options.includeInactive - Also return deactivated medicines
+ * @returns {Array}
+ */
+export const getMedicines = ({ includeInactive = false } = {}) => {
+    const all = ensureLoaded();
+    return includeInactive ? [...all] : all.filter((m) => m.isActive);
+};
+
+/**
+ * Get one medicine by ID (active or not)
+ * @param {string} medicineId - Medicine ID
+ * @returns {object|null}
+ */
+export const getMedicineById = (medicineId) => {
+    if (!medicineId) return null;
+    return ensureLoaded().find((m) => m.id === medicineId) || null;
+};
+
+/**
+ * Find an active medicine by (fuzzy) name
+ * @param {string} name - Medicine name
+ * @returns {object|null}
+ */
+export const findMedicineByName = (name) => {
+    return getMedicines().find((m) => isSameMedicineName(m.name, name)) || null;
+};
+
+/**
+ * Whether the medicine's prescribed course is over
+ * @param {object} medicine - Medicine record
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export const isCourseFinished = (medicine, now = new Date()) => {
+    return !!medicine?.endDate && toMillis(medicine.endDate) <= now.getTime();
+};
+
+/**
+ * Subscribe to medicine changes. Called immediately with the current list.
+ * Starts Firestore sync on first use.
+ * @param {function} listener - Called with the medicine list
+ * @param {object} options - { includeInactive }
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeToMedicines = (listener, { includeInactive = false } = {}) => {
+    const entry = { listener, includeInactive };
+    listeners.add(entry);
+    startMedicineSync();
+    listener(getMedicines({ includeInactive }));
+    return () => listeners.delete(entry);
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// WRITE API
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Build a complete medicine record with defaults
+ * @param {object} data - Medicine fields (from scan, voice or form)
+ * @param {object} meta - { doctorName, date, source, prescriptionId }
+ */
+const buildMedicineRecord = (data, meta = {}) => {
+    const now = new Date();
+    const durationDays = data.durationDays || 5;
+
+    // Stock: what the prescription or the user said, else what the course needs
+    // (a month's supply when the course length is only a guess)
+    const stockEstimated = !(Number(data.quantity) > 0);
+    const quantity = stockEstimated
+        ? (data.durationWasGuessed ? DEFAULT_QUANTITY : getUnitsForDays(data, durationDays, now)) || DEFAULT_QUANTITY
+        : Number(data.quantity);
+
+    return {
+        dosage: '',
+        frequency: 'OD',
+        timing: ['morning'],
+        timesPerDay: 1,
+        reminderTimes: ['08:00'],
+        withFood: true,
+        visualType: 'Tablet',
+        visualColor: 'White',
+        visualDescription: '',
+        specialInstructions: '',
+        userPhoto: null,
+        expiryDate: null,
+        verifiedVisual: null,
+        doctorName: meta.doctorName || null,
+        prescriptionDate: meta.date || null,
+        // The scanned prescription this came from (prescriptionService)
+        prescriptionId: meta.prescriptionId || null,
+        packSize: null,
+        startDate: now.toISOString(),
+        // A guessed duration must not silently end a long-term medicine's reminders;
+        // the course stays open until the patient confirms how long to take it
+        endDate: data.durationWasGuessed
+            ? null
+            : new Date(now.getTime() + durationDays * DAY_MS).toISOString(),
+        addedBy: meta.source || 'manual',
+        ...data,
+        id: data.id || generateClientId('med'),
+        durationDays,
+        quantity,
+        stockEstimated,
+        userId: auth.currentUser?.uid || null,
+        isActive: true,
+        addedAt: data.addedAt || now.getTime(),
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+};
+
+/**
+ * Create a medicine unless an active one with the same name exists
+ * @param {object} data - Medicine fields
+ * @param {object} meta - { doctorName, date, source: 'scan' | 'voice' | 'manual', prescriptionId }
+ * @returns {{ medicine: object, duplicate: boolean }}
+ */
+export const createMedicine = (data, meta = {}) => {
+    const existing = findMedicineByName(data.name);
+    if (existing) {
+        console.log(`⚠️ Duplicate detected: ${data.name} - NOT adding`);
+        return { medicine: existing, duplicate: true };
+    }
+
+    const medicine = buildMedicineRecord(data, meta);
+    persist([...ensureLoaded(), medicine]);
+    pushToRemote(medicine);
+    console.log(`💊 Saved medicine: ${medicine.name} (ID: ${medicine.id})`);
+    return { medicine, duplicate: false };
+};
+
+/**
+ * Create several medicines (e.g. from one prescription), skipping duplicates
+ * @param {Array} list - Medicine fields
+ * @param {object} meta - { doctorName, date, source, prescriptionId }
+ * @returns {{ created: Array, duplicates: Array<string> }}
+ */
+export const createMedicines = (list, meta = {}) => {
+    const created = [];
+    const duplicates = [];
+
+    (list || []).forEach((data) => {
+        const result = createMedicine(data, meta);
+        if (result.duplicate) {
+            duplicates.push(data.name);
+        } else {
+            created.push(result.medicine);
+        }
+    });
+
+    return { created, duplicates };
+};
+
+/**
+ * Update fields on a medicine
+ * @param {string} medicineId - Medicine ID
+ * @param {object} updates - Fields to change
+ * @returns {object|null} Updated medicine or null if not found
+ */
+export const updateMedicine = (medicineId, updates) => {
+    const all = ensureLoaded();
+    const current = all.find((m) => m.id === medicineId);
+    if (!current) {
+        console.warn('Medicine not found:', medicineId);
+        return null;
+    }
+
+    const updatedAt = new Date().toISOString();
+    const updated = { ...current, ...updates, id: medicineId, updatedAt };
+
+    // A new course length moves the end date (unless one was given explicitly)
+    if (updates.durationDays && !updates.endDate) {
+        const start = toMillis(updated.startDate) || toMillis(updated.createdAt) || Date.now();
+        updated.endDate = new Date(start + updates.durationDays * DAY_MS).toISOString();
+        updated.durationWasGuessed = false;
+    }
+
+    persist(all.map((m) => (m.id === medicineId ? updated : m)));
+    pushToRemote(updated);
+    cascadeToReminders(current, updated);
+    return updated;
+};
+
+/**
+ * Deactivate a medicine (kept for history, hidden from active lists)
+ * @param {string} medicineId - Medicine ID
+ * @returns {object|null}
+ */
+export const deactivateMedicine = (medicineId) => {
+    const result = updateMedicine(medicineId, {
+        isActive: false,
+        deactivatedAt: new Date().toISOString()
+    });
+    if (result) {
+        console.log(`🛑 Deactivated medicine: ${medicineId}`);
+    }
+    return result;
+};
+
+/**
+ * Clear the local cache only (Firestore copies are untouched)
+ */
+export const clearLocalMedicines = () => {
+    persist([]);
+    localStorage.removeItem(STORAGE_KEY);
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// FIRESTORE SYNC
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Merge a Firestore snapshot into the local cache
+ * @param {Array} remoteMedicines - Plain medicine objects from Firestore
+ * @param {boolean} isComplete - Snapshot came from the server (not a partial cache)
+ */
+const mergeRemote = (remoteMedicines, isComplete) => {
+    const local = ensureLoaded();
+    const localById = new Map(local.map((m) => [m.id, m]));
+    const remoteIds = new Set();
+    const replaced = [];
+    let changed = false;
+
+    const merged = local.map((localMedicine) => {
+        const remote = remoteMedicines.find((r) => r.id === localMedicine.id);
+        if (!remote) return localMedicine;
+        remoteIds.add(remote.id);
+
+        if (getUpdatedMillis(remote) > getUpdatedMillis(localMedicine)) {
+            changed = true;
+            const next = { ...localMedicine, ...remote };
+            replaced.push([localMedicine, next]);
+            return next;
+        }
+        return localMedicine;
+    });
+
+    remoteMedicines.forEach((remote) => {
+        if (!localById.has(remote.id)) {
+            changed = true;
+            merged.push(remote);
+        }
+    });
+
+    // Records that never reached Firestore (e.g. saved before this sync existed)
+    if (isComplete) {
+        local
+            .filter((m) => !remoteIds.has(m.id))
+            .forEach((m) => pushToRemote(m));
+    }
+
+    if (changed) {
+        persist(merged);
+        // e.g. the medicine was stopped on another device
+        replaced.forEach(([previous, next]) => cascadeToReminders(previous, next));
+    }
+};
+
+const listenToRemote = (userId) => {
+    if (unsubscribeRemote) {
+        unsubscribeRemote();
+        unsubscribeRemote = null;
+    }
+    if (!userId) return;
+
+    const q = query(
+        collection(db, MEDICINES_COLLECTION),
+        where('userId', '==', userId)
+    );
+
+    unsubscribeRemote = onSnapshot(q,
+        (snapshot) => {
+            const remote = snapshot.docs.map((d) => fromRemote(d.id, d.data()));
+            mergeRemote(remote, !snapshot.metadata.fromCache);
+        },
+        (error) => console.warn('Medicine sync error:', error.message)
+    );
+};
+
+/**
+ * Start keeping the local cache and Firestore in sync. Safe to call repeatedly.
+ */
+export const startMedicineSync = () => {
+    if (syncStarted) return;
+    syncStarted = true;
+
+    onAuthStateChanged(auth, (firebaseUser) => listenToRemote(firebaseUser?.uid || null));
+
+    // Reminders saved before they carried a medicineId
+    linkRemindersToMedicines(findMedicineByName);
+
+    // Another tab changed the cache
+    window.addEventListener('storage', (event) => {
+        if (event.key === STORAGE_KEY) {
+            medicines = readCache();
+            notify();
+        }
+    });
+};
+
+export default {
+    getMedicines,
+    getMedicineById,
+    findMedicineByName,
+    isCourseFinished,
+    subscribeToMedicines,
+    createMedicine,
+    createMedicines,
+    updateMedicine,
+    deactivateMedicine,
+    clearLocalMedicines,
+    startMedicineSync
+};
@@ -0,0 +1,127 @@
+/**
+ * Missed Dose Service
+ * What to tell the patient about a dose the reminder engine marked missed:
+ * the "you missed your 9 PM dose - take it now or skip?" prompt, and whether
+ * taking it late is still reasonable.
+ *
+ * The rule is the usual pharmacist advice: take a missed dose when you
+ * remember, unless it is closer to the next dose than to the missed one -
+ * then skip it. Never take two doses together to make up.
+ */
+
+import { getUpcomingOccurrences, getReminderById } from './reminderService';
+import { getMissedGraceMinutes } from './reminderEngine';
+
+// How far ahead to look for the next dose of the same medicine
+const NEXT_DOSE_DAYS = 2;
+
+export const LATE_DOSE_ADVICE = {
+    TAKE: 'take',
+    SKIP: 'skip'
+};
+
+const TEXT = {
+    'en-US': {
+        prompt: 'You missed your {time} dose of {name}. Take it now or skip?',
+        take: 'It is still fine to take it now.',
+        takeBeforeNext: 'It is still fine to take it now. Your next dose is at {next}.',
+        skip: 'It is now closer to your next dose at {next}, so skip this one and take the next as usual.',
+        nextDue: 'Your next dose is already due. Skip this one and take only the next dose.',
+        never: 'Do not take two doses together. Ask your doctor or pharmacist if you are unsure.'
+    },
+    'hi-IN': {
+        prompt: 'आपकी {time} की {name} की खुराक छूट गई। अभी लें या छोड़ दें?',
+        take: 'इसे अभी लेना ठीक है।',
+        takeBeforeNext: 'इसे अभी लेना ठीक है। आपकी अगली खुराक {next} पर है।',
+        skip: 'अब आपकी अगली खुराक ({next}) ज़्यादा पास है, इसलिए यह छोड़ दें और अगली खुराक हमेशा की तरह लें।',
+        nextDue: 'आपकी अगली खुराक का समय हो गया है। यह छोड़ दें और सिर्फ अगली खुराक लें।',
+        never: 'दो खुराकें एक साथ न लें। शक हो तो अपने डॉक्टर या केमिस्ट से पूछें।'
+    },
+    'mr-IN': {
+        prompt: 'तुमचा {time} चा {name} चा डोस चुकला. आता घ्यायचा की वगळायचा?',
+        take: 'तो आता घेणे ठीक आहे.',
+        takeBeforeNext: 'तो आता घेणे ठीक आहे. तुमचा पुढचा डोस {next} ला आहे.',
+        skip: 'आता पुढचा डोस ({next}) जास्त जवळ आहे, म्हणून हा वगळा आणि पुढचा नेहमीप्रमाणे घ्या.',
+        nextDue: 'तुमच्या पुढच्या डोसची वेळ झाली आहे. हा वगळा आणि फक्त पुढचा डोस घ्या.',
+        never: 'दोन डोस एकत्र घेऊ नका. शंका असल्यास डॉक्टर किंवा केमिस्टला विचारा.'
+    }
+};
+
+const formatClock = (date, language) =>
+    new Date(date).toLocaleTimeString(language, { hour: 'numeric', minute: '2-digit' });
+
+/**
+ * Whether a dose has gone unanswered past the grace window
+ * @param {string|number|Date} scheduledTime - Originally scheduled time of the dose
+ * @param {Date} now - Reference time
+ * @returns {boolean}
+ */
+export const isDoseMissed = (scheduledTime, now = new Date()) => {
+    if (!scheduledTime) return false;
+    const elapsed = new Date(now).getTime() - new Date(scheduledTime).getTime();
+    return elapsed >= getMissedGraceMinutes() * 60 * 1000;
+};
+
+/**
+ * Next scheduled dose of the same medicine after a given dose
+ * @param {object} reminder - Reminder the dose belongs to
+ * @param {number} scheduledAt - Scheduled time of the dose (ms)
+ * @returns {Date|null}
+ */
+const getNextDoseAt = (reminder, scheduledAt) => {
+    const name = (reminder.medicineName || '').toLowerCase();
+    const next = getUpcomingOccurrences({ from: new Date(scheduledAt + 2 * 60 * 1000), days: NEXT_DOSE_DAYS })
+        .find(o => o.fireAt > scheduledAt
+            && (o.reminderId === reminder.id || (o.medicineName || '').toLowerCase() === name));
+    return next ? new Date(next.fireAt) : null;
+};
+
+/**
+ * Advice for a missed dose
+ * @param {object|string} reminder - Reminder object or ID
+ * @param {string|number|Date} scheduledTime - Originally scheduled time of the dose
+ * @param {object} options - { language, now }
+ * @returns {object|null} { advice: 'take' | 'skip', nextDoseAt, prompt, guidance }
+ */
+export const getLateDoseAdvice = (reminder, scheduledTime, { language = 'en-US', now = new Date() } = {}) => {
+    const found = typeof reminder === 'string' ? getReminderById(reminder) : reminder;
+    if (!found || !scheduledTime) return null;
+
+    const t = TEXT[language] || TEXT['en-US'];
+    const scheduledAt = new Date(scheduledTime).getTime();
+    const nowMs = new Date(now).getTime();
+    const nextDoseAt = getNextDoseAt(found, scheduledAt);
+
+    let advice = LATE_DOSE_ADVICE.TAKE;
+    let guidance = t.take;
+
+    if (nextDoseAt) {
+        const next = formatClock(nextDoseAt, language);
+        const interval = nextDoseAt.getTime() - scheduledAt;
+
+        if (nowMs >= nextDoseAt.getTime()) {
+            advice = LATE_DOSE_ADVICE.SKIP;
+            guidance = t.nextDue;
+        } else if (nowMs - scheduledAt > interval / 2) {
+            advice = LATE_DOSE_ADVICE.SKIP;
+            guidance = t.skip.replace('{next}', next);
+        } else {
+            guidance = t.takeBeforeNext.replace('{next}', next);
+        }
+    }
+
+    return {
+        advice,
+        nextDoseAt,
+        prompt: t.prompt
+            .replace('{time}', formatClock(scheduledAt, language))
+            .replace('{name}', found.medicineName),
+        guidance: `${guidance} ${t.never}`
+    };
+};
+
+export default {
+    LATE_DOSE_ADVICE,
+    isDoseMissed,
+    getLateDoseAdvice
+};
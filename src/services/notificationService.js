@@ -3,6 +3,8 @@
  * Handles browser notifications for medication reminders
  */
 
+import { getEngineRegistration } from './reminderEngine';
+
 /**
  * Check if browser supports notifications
  * @returns {boolean}
@@ -52,14 +54,17 @@ export const requestNotificationPermission = async () => {
 };
 
 /**
- * Trigger a browser notification
+ * Trigger a persistent notification through the reminder engine's service worker,
+ * or from the page while no worker is registered
  * @param {string} title - Notification title
  * @param {string} body - Notification body text
- * @param {string} reminderId - Optional reminder ID for click handling
+ * @param {string} reminderId - Optional reminder ID; tapping the notification opens /alarm/:id.
+ *                              These one-off notifications have no engine entry, so the dose
+ *                              is answered on the alarm screen rather than with Taken/Snooze/Skip buttons
  * @param {object} options - Additional notification options
- * @returns {Notification|null}
+ * @returns {Promise<boolean>} True if the notification was shown
  */
-export const triggerNotification = (title, body, reminderId = null, options = {}) => {
+export const triggerNotification = async (title, body, reminderId = null, options = {}) => {
     console.log('Triggering notification:', { title, body, reminderId });
 
     // Haptic feedback (vibration)
@@ -71,34 +76,47 @@ export const triggerNotification = (title, body, reminderId = null, options = {}
         console.error('Notifications not supported');
         // Fallback to alert
         alert(`📢 ${title}\n\n${body}`);
-        return null;
+        return false;
     }
 
     if (Notification.permission !== 'granted') {
         console.error('Notification permission not granted:', Notification.permission);
         alert(`📢 ${title}\n\n${body}`);
-        return null;
+        return false;
+    }
+
+    const url = reminderId ? `/alarm/${reminderId}` : '/dashboard';
+    const notificationOptions = {
+        body,
+        icon: '/logo.png',
+        badge: '/logo.png',
+        requireInteraction: true,
+        tag: `medication-reminder-${reminderId || Date.now()}`,
+        silent: false,
+        data: { reminderId, url },
+        ...options
+    };
+
+    // Shown by the service worker when it is registered, so it survives the tab
+    try {
+        const registration = await getEngineRegistration();
+        if (registration) {
+            await registration.showNotification(title, notificationOptions);
+            console.log('Notification shown by service worker');
+            return true;
+        }
+    } catch (error) {
+        console.warn('Service worker notification failed, showing it from the page:', error);
     }
 
+    // No worker (unsupported, or not registered yet) - a page notification still works
     try {
-        const notification = new Notification(title, {
-            body,
-            icon: '/logo.png',
-            badge: '/logo.png',
-            requireInteraction: true,
-            tag: `medication-reminder-${reminderId || Date.now()}`,
-            silent: false,
-            ...options
-        });
-
-        // Handle notification click
+        const notification = new Notification(title, notificationOptions);
         notification.onclick = () => {
             window.focus();
             notification.close();
-
-            // Navigate to reminder alert page if reminderId provided
             if (reminderId) {
-                window.location.href = `/reminder/alert/${reminderId}`;
+                window.location.href = url;
             }
         };
 
@@ -106,17 +124,18 @@ export const triggerNotification = (title, body, reminderId = null, options = {}
         setTimeout(() => notification.close(), 30000);
 
         console.log('Notification created successfully');
-        return notification;
+        return true;
     } catch (error) {
+        // Last resort, e.g. mobile browsers that only allow worker notifications
         console.error('Failed to create notification:', error);
         alert(`📢 ${title}\n\n${body}`);
-        return null;
+        return false;
     }
 };
 
 /**
  * Send a test notification to verify setup
- * @returns {Notification|null}
+ * @returns {Promise<boolean>}
  */
 export const sendTestNotification = () => {
     return triggerNotification(
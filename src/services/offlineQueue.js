@@ -0,0 +1,310 @@
+/**
+ * Offline Queue (Outbox)
+ * Durable local queue for Firestore writes made while offline or logged out.
+ *
+ * Every write is stored in IndexedDB first, then replayed to Firestore when the
+ * device is online and a user is signed in. Each entry targets a fixed document
+ * ID (generated on the device), so replaying the same entry twice - e.g. after a
+ * timeout that actually succeeded - overwrites the same document instead of
+ * creating a duplicate.
+ *
+ * A write Firestore rejects for good (bad data, no permission) would fail on
+ * every replay, so it is moved to a separate dead-letter store instead.
+ */
+
+import { doc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { onAuthStateChanged } from 'firebase/auth';
+import { db, auth } from '../firebase/firebase';
+import { idbGetAll, idbGet, idbPut, idbDelete, isIndexedDBSupported } from '../utils/idb';
+
+const OUTBOX_STORE = 'outbox';
+const FALLBACK_KEY = 'saarthi_outbox';
+const DEAD_LETTER_STORE = 'outboxFailed';
+const DEAD_LETTER_FALLBACK_KEY = 'saarthi_outbox_failed';
+const REPLAY_TIMEOUT_MS = 15000;
+
+// Firestore errors that replaying the same write can never fix
+const PERMANENT_ERROR_CODES = new Set(['invalid-argument', 'permission-denied', 'out-of-range']);
+
+let flushPromise = null;
+let flushRequested = false;
+let syncStarted = false;
+const listeners = new Set();
+
+/**
+ * Generate a document ID on the device (used as the Firestore doc ID)
+ * @param {string} prefix - Short prefix for readability (e.g. 'log', 'med')
+ * @returns {string}
+ */
+export const generateClientId = (prefix = 'doc') => {
+    const random = typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID().replace(/-/g, '').slice(0, 16)
+        : Math.random().toString(36).slice(2, 18);
+    return `${prefix}_${Date.now().toString(36)}_${random}`;
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// STORAGE (IndexedDB, with localStorage fallback when IndexedDB is blocked)
+// ═══════════════════════════════════════════════════════════════════════
+
+const createStore = (storeName, fallbackKey) => {
+    const readFallback = () => JSON.parse(localStorage.getItem(fallbackKey) || '{}');
+    const writeFallback = (entries) => localStorage.setItem(fallbackKey, JSON.stringify(entries));
+
+    return {
+        async getAll() {
+            if (isIndexedDBSupported()) {
+                try {
+                    return await idbGetAll(storeName);
+                } catch (error) {
+                    console.warn('Outbox IndexedDB read failed, using localStorage:', error);
+                }
+            }
+            return Object.values(readFallback());
+        },
+        async get(id) {
+            if (isIndexedDBSupported()) {
+                try {
+                    return await idbGet(storeName, id);
+                } catch (error) {
+                    console.warn('Outbox IndexedDB read failed, using localStorage:', error);
+                }
+            }
+            return readFallback()[id];
+        },
+        async put(entry) {
+            if (isIndexedDBSupported()) {
+                try {
+                    await idbPut(storeName, entry);
+                    return;
+                } catch (error) {
+                    console.warn('Outbox IndexedDB write failed, using localStorage:', error);
+                }
+            }
+            writeFallback({ ...readFallback(), [entry.id]: entry });
+        },
+        async remove(id) {
+            if (isIndexedDBSupported()) {
+                try {
+                    await idbDelete(storeName, id);
+                } catch (error) {
+                    console.warn('Outbox IndexedDB delete failed:', error);
+                }
+            }
+            const fallback = readFallback();
+            if (fallback[id]) {
+                delete fallback[id];
+                writeFallback(fallback);
+            }
+        }
+    };
+};
+
+const storage = createStore(OUTBOX_STORE, FALLBACK_KEY);
+const deadLetters = createStore(DEAD_LETTER_STORE, DEAD_LETTER_FALLBACK_KEY);
+
+const notifyListeners = async () => {
+    if (listeners.size === 0) return;
+    const entries = await storage.getAll();
+    listeners.forEach((listener) => listener(entries));
+};
+
+/**
+ * Copy of a document without undefined fields, which Firestore rejects
+ * (e.g. an optional medicine field that was never filled in)
+ * @param {*} value - Document data
+ * @returns {*}
+ */
+const stripUndefined = (value) => {
+    if (Array.isArray(value)) {
+        return value.filter(item => item !== undefined).map(stripUndefined);
+    }
+    if (value && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value)
+            .filter(([, item]) => item !== undefined)
+            .map(([key, item]) => [key, stripUndefined(item)]));
+    }
+    return value;
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// QUEUE API
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Queue a Firestore document write.
+ * Writes to the same document are coalesced into a single entry.
+ * @param {object} write
+ * @param {string} write.collection - Firestore collection name
+ * @param {string} write.docId - Document ID (generate with generateClientId)
+ * @param {object} write.data - Plain document data (Dates are fine, no FieldValues;
+ *   undefined fields are dropped)
+ * @param {boolean} write.merge - Merge into an existing document instead of replacing
+ * @returns {Promise<object>} The stored outbox entry
+ */
+export const enqueueWrite = async ({ collection, docId, data, merge = false }) => {
+    const id = `${collection}/${docId}`;
+    const existing = await storage.get(id);
+
+    const entry = {
+        id,
+        collection,
+        docId,
+        // A later update on top of a queued create keeps the create's fields
+        data: stripUndefined(existing ? { ...existing.data, ...data } : data),
+        merge: existing ? existing.merge && merge : merge,
+        queuedAt: existing?.queuedAt || new Date().toISOString(),
+        revision: (existing?.revision || 0) + 1,
+        attempts: existing?.attempts || 0,
+        lastError: null
+    };
+
+    await storage.put(entry);
+    console.log(`📮 Queued write: ${id}`);
+    notifyListeners();
+    return entry;
+};
+
+/**
+ * Get writes still waiting to reach Firestore
+ * @param {string} collection - Optional collection filter
+ * @returns {Promise<Array>}
+ */
+export const getPendingWrites = async (collection = null) => {
+    const entries = await storage.getAll();
+    return entries
+        .filter((entry) => !collection || entry.collection === collection)
+        .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+};
+
+/**
+ * Get writes Firestore rejected for good, kept for support and debugging
+ * @returns {Promise<Array>} Entries with lastError, errorCode and failedAt
+ */
+export const getFailedWrites = () => deadLetters.getAll();
+
+/**
+ * Subscribe to outbox changes (e.g. to show "waiting to sync" counts)
+ * @param {function} listener - Called with all pending entries
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeToOutbox = (listener) => {
+    listeners.add(listener);
+    storage.getAll().then(listener);
+    return () => listeners.delete(listener);
+};
+
+const withTimeout = (promise, ms) => Promise.race([
+    promise,
+    new Promise((_, reject) => setTimeout(() => reject(new Error('OUTBOX_TIMEOUT')), ms))
+]);
+
+const replayEntry = async (entry, userId) => {
+    // Entries queued before undefined fields were dropped at enqueue time
+    const data = {
+        ...stripUndefined(entry.data),
+        userId: entry.data.userId || userId,
+        syncedAt: serverTimestamp()
+    };
+
+    await withTimeout(
+        setDoc(doc(db, entry.collection, entry.docId), data, { merge: entry.merge }),
+        REPLAY_TIMEOUT_MS
+    );
+};
+
+/**
+ * Replay queued writes to Firestore (oldest first).
+ * Skips silently while offline or signed out; safe to call at any time.
+ * @returns {Promise<object>} { synced, failed, remaining } (failed includes writes
+ *   moved to the dead-letter store)
+ */
+export const flushOutbox = () => {
+    if (flushPromise) {
+        // Something was queued mid-flush; run again once this pass ends
+        flushRequested = true;
+        return flushPromise;
+    }
+
+    flushPromise = (async () => {
+        const userId = auth.currentUser?.uid;
+        const entries = await getPendingWrites();
+
+        if (entries.length === 0 || !userId || !navigator.onLine) {
+            return { synced: 0, failed: 0, remaining: entries.length };
+        }
+
+        let synced = 0;
+        let failed = 0;
+        let dropped = 0;
+
+        for (const entry of entries) {
+            try {
+                await replayEntry(entry, userId);
+                // Keep the entry if it was updated again while we were sending it
+                const latest = await storage.get(entry.id);
+                if (!latest || latest.revision === entry.revision) {
+                    await storage.remove(entry.id);
+                }
+                synced++;
+            } catch (error) {
+                failed++;
+                const latest = await storage.get(entry.id);
+                const attempted = { ...(latest || entry), attempts: entry.attempts + 1, lastError: error.message };
+
+                // A newer revision queued meanwhile gets its own chance
+                if (PERMANENT_ERROR_CODES.has(error.code) && (!latest || latest.revision === entry.revision)) {
+                    // Retrying would only fail the same way
+                    dropped++;
+                    await deadLetters.put({ ...attempted, errorCode: error.code, failedAt: new Date().toISOString() });
+                    await storage.remove(entry.id);
+                    console.error(`📮 Dropped write Firestore rejected (${error.code}): ${entry.id}`, error.message);
+                    continue;
+                }
+
+                await storage.put(attempted);
+                console.warn(`📮 Replay failed for ${entry.id}:`, error.message);
+                if (!navigator.onLine) break;
+            }
+        }
+
+        if (synced > 0) {
+            console.log(`☁️ Outbox synced ${synced} write(s)`);
+        }
+        notifyListeners();
+        return { synced, failed, remaining: entries.length - synced - dropped };
+    })().finally(() => {
+        flushPromise = null;
+        if (flushRequested) {
+            flushRequested = false;
+            flushOutbox();
+        }
+    });
+
+    return flushPromise;
+};
+
+/**
+ * Replay the outbox whenever connectivity returns or a user signs in.
+ * Call once at app start.
+ */
+export const startOutboxSync = () => {
+    if (syncStarted) return;
+    syncStarted = true;
+
+    window.addEventListener('online', () => flushOutbox());
+    onAuthStateChanged(auth, (firebaseUser) => {
+        if (firebaseUser) flushOutbox();
+    });
+    flushOutbox();
+};
+
+export default {
+    generateClientId,
+    enqueueWrite,
+    getPendingWrites,
+    getFailedWrites,
+    subscribeToOutbox,
+    flushOutbox,
+    startOutboxSync
+};
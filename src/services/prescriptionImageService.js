@@ -0,0 +1,217 @@
+/**
+ * Prescription Image Service
+ * Keeps the compressed photo of each scanned prescription in Cloud Storage
+ * (`prescriptions/{uid}/{prescriptionId}/page-{n}.{jpg|png|webp}`) so the
+ * original can be shown again later, e.g. when the doctor asks what was
+ * prescribed.
+ *
+ * Photos are private health data, so the user chooses how long they are
+ * kept (default 90 days, or not at all). The choice is saved on the user's
+ * profile, where a daily Cloud Function (functions/imageRetention.js) deletes
+ * expired photos of every prescription. The app also deletes them from this
+ * device's prescriptions when it starts and the user is signed in, and right
+ * away when the setting is made shorter.
+ */
+
+import { ref, uploadString, getDownloadURL, deleteObject } from 'firebase/storage';
+import { onAuthStateChanged } from 'firebase/auth';
+import { storage, auth } from '../firebase/firebase';
+import { getLocalPrescriptions, updatePrescription } from './prescriptionService';
+import { updateUserInFirestore } from './userService';
+
+const RETENTION_KEY = 'saarthi_image_retention';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// File extension for each photo type the scanner produces
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp'
+};
+
+/**
+ * Choices offered to the user: 0 = do not keep photos, null = keep until deleted
+ */
+export const IMAGE_RETENTION_OPTIONS = [0, 7, 30, 90, null];
+export const DEFAULT_RETENTION_DAYS = 90;
+
+let retentionStarted = false;
+
+// ═══════════════════════════════════════════════════════════════════════
+// RETENTION SETTING
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * How many days photos are kept
+ * @returns {number|null} Days, 0 for never stored, null for no limit
+ */
+export const getImageRetentionDays = () => {
+    const saved = localStorage.getItem(RETENTION_KEY);
+    if (saved === null) return DEFAULT_RETENTION_DAYS;
+    if (saved === 'forever') return null;
+    const days = parseInt(saved, 10);
+    return Number.isNaN(days) ? DEFAULT_RETENTION_DAYS : days;
+};
+
+/**
+ * Change how long photos are kept. Photos already older than the new limit
+ * are deleted straight away; the profile copy lets the server job apply it.
+ * @param {number|null} days - One of IMAGE_RETENTION_OPTIONS
+ * @returns {Promise<number>} Number of photos deleted
+ */
+export const setImageRetentionDays = (days) => {
+    localStorage.setItem(RETENTION_KEY, days === null ? 'forever' : String(days));
+    console.log('🗓️ Prescription photo retention:', days === null ? 'forever' : `${days} days`);
+
+    const uid = auth.currentUser?.uid;
+    if (uid) {
+        updateUserInFirestore(uid, { imageRetentionDays: days })
+            .catch(error => console.warn('Photo retention not saved to profile:', error.code || error.message));
+    }
+    return purgeExpiredImages();
+};
+
+/**
+ * When a stored photo will be deleted under the current setting
+ * @param {object} image - Image reference from a prescription record
+ * @returns {Date|null} null when photos are kept until deleted by hand
+ */
+export const getImageDeleteDate = (image) => {
+    const days = getImageRetentionDays();
+    if (days === null || !image?.uploadedAt) return null;
+    return new Date(Date.parse(image.uploadedAt) + days * DAY_MS);
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// UPLOAD & READ
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Upload the compressed pages of a scan
+ * @param {string} prescriptionId - Prescription the photos belong to
+ * @param {Array} pages - Compressed pages ({ base64, mimeType }), in order
+ * @returns {Promise<Array>} Stored references ({ path, page, contentType, uploadedAt });
+ *   empty when photos are not kept, the user is signed out or every upload failed
+ */
+export const archivePrescriptionImages = async (prescriptionId, pages) => {
+    const uid = auth.currentUser?.uid;
+    if (getImageRetentionDays() === 0 || !uid || !pages?.length) return [];
+
+    const uploads = pages.map(async (page, i) => {
+        if (!page?.base64) return null;
+        const contentType = page.mimeType || 'image/jpeg';
+        const extension = IMAGE_EXTENSIONS[contentType] || contentType.split('/')[1] || 'jpg';
+        const path = `prescriptions/${uid}/${prescriptionId}/page-${i + 1}.${extension}`;
+        try {
+            await uploadString(ref(storage, path), page.base64, 'base64', { contentType });
+            return { path, page: i + 1, contentType, uploadedAt: new Date().toISOString() };
+        } catch (error) {
+            console.error(`Error uploading prescription page ${i + 1}:`, error);
+            return null;
+        }
+    });
+
+    const images = (await Promise.all(uploads)).filter(Boolean);
+    console.log(`🗄️ Archived ${images.length} of ${pages.length} prescription photos`);
+    return images;
+};
+
+/**
+ * Download URL for a stored photo
+ * @param {string} path - Storage path from the prescription record
+ * @returns {Promise<string|null>}
+ */
+export const getPrescriptionImageUrl = async (path) => {
+    try {
+        return await getDownloadURL(ref(storage, path));
+    } catch (error) {
+        console.warn('Prescription photo unavailable:', path, error.code || error.message);
+        return null;
+    }
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// DELETION
+// ═══════════════════════════════════════════════════════════════════════
+
+// true when the object is gone (already deleted counts)
+const deleteImage = async (image) => {
+    try {
+        await deleteObject(ref(storage, image.path));
+        return true;
+    } catch (error) {
+        if (error.code === 'storage/object-not-found') return true;
+        console.error('Error deleting prescription photo:', image.path, error);
+        return false;
+    }
+};
+
+const removeImages = async (prescription, images) => {
+    const results = await Promise.all(images.map(deleteImage));
+    const deleted = images.filter((_, i) => results[i]);
+    if (deleted.length === 0) return 0;
+
+    const deletedPaths = new Set(deleted.map(image => image.path));
+    updatePrescription(prescription.id, {
+        images: prescription.images.filter(image => !deletedPaths.has(image.path)),
+        imagesDeletedAt: new Date().toISOString()
+    });
+    return deleted.length;
+};
+
+/**
+ * Delete every stored photo of one prescription (the record itself is kept)
+ * @param {object} prescription - Prescription record
+ * @returns {Promise<number>} Number of photos deleted
+ */
+export const deletePrescriptionImages = async (prescription) => {
+    if (!prescription?.images?.length || !auth.currentUser) return 0;
+    return removeImages(prescription, prescription.images);
+};
+
+/**
+ * Delete photos older than the retention setting
+ * @param {number} now - Current time in ms (default Date.now())
+ * @returns {Promise<number>} Number of photos deleted
+ */
+export const purgeExpiredImages = async (now = Date.now()) => {
+    const days = getImageRetentionDays();
+    if (days === null || !auth.currentUser) return 0;
+
+    const cutoff = now - days * DAY_MS;
+    let purged = 0;
+    for (const prescription of getLocalPrescriptions()) {
+        const expired = (prescription.images || []).filter(image => Date.parse(image.uploadedAt) <= cutoff);
+        if (expired.length > 0) {
+            purged += await removeImages(prescription, expired);
+        }
+    }
+
+    if (purged > 0) console.log(`🧹 Deleted ${purged} expired prescription photos`);
+    return purged;
+};
+
+/**
+ * Purge expired photos whenever a user signs in (call once at app start)
+ */
+export const startImageRetention = () => {
+    if (retentionStarted) return;
+    retentionStarted = true;
+
+    onAuthStateChanged(auth, (firebaseUser) => {
+        if (firebaseUser) purgeExpiredImages();
+    });
+};
+
+export default {
+    IMAGE_RETENTION_OPTIONS,
+    DEFAULT_RETENTION_DAYS,
+    getImageRetentionDays,
+    setImageRetentionDays,
+    getImageDeleteDate,
+    archivePrescriptionImages,
+    getPrescriptionImageUrl,
+    deletePrescriptionImages,
+    purgeExpiredImages,
+    startImageRetention
+};
@@ -0,0 +1,152 @@
+/**
+ * Multi-page Prescription Service
+ * Many prescriptions run over two sides or two sheets. Each photo is read on
+ * its own - so every medicine remembers the page it came from - and the
+ * results are merged into one prescription, with a medicine that appears on
+ * two pages (or a page photographed twice) kept only once.
+ */
+
+import { analyzePrescription } from './geminiService';
+
+/**
+ * Most photos one scan session accepts
+ */
+export const MAX_PRESCRIPTION_PAGES = 4;
+
+// Worst reading wins: one poor page makes the whole scan worth a second look
+const QUALITY_RANK = { CLEAR: 0, PARTIAL: 1, POOR: 2 };
+
+const normalizeName = (name) => (name || '').toLowerCase().replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ').trim();
+const normalizeDosage = (dosage) => (dosage || '').toLowerCase().replace(/\s+/g, '');
+
+// Same name, and no two different written strengths
+const isSameMedicine = (a, b) => {
+    if (normalizeName(a.name) !== normalizeName(b.name)) return false;
+    const dosageA = normalizeDosage(a.dosage);
+    const dosageB = normalizeDosage(b.dosage);
+    return !dosageA || !dosageB || dosageA === dosageB;
+};
+
+// Keep the more confident reading and fill its gaps from the other one
+const mergeReadings = (kept, extra) => {
+    const [primary, secondary] = (extra.confidence || 0) > (kept.confidence || 0) ? [extra, kept] : [kept, extra];
+    const merged = { ...primary };
+
+    ['dosage', 'genericName', 'specialInstructions', 'probableReason'].forEach(key => {
+        if (!merged[key] && secondary[key]) merged[key] = secondary[key];
+    });
+    if (merged.quantity == null && secondary.quantity != null) merged.quantity = secondary.quantity;
+    if (merged.durationWasGuessed && !secondary.durationWasGuessed) {
+        merged.durationDays = secondary.durationDays;
+        merged.durationWasGuessed = false;
+    }
+
+    merged.pages = [...new Set([...kept.pages, ...extra.pages])].sort((a, b) => a - b);
+    merged.page = merged.pages[0];
+    return merged;
+};
+
+/**
+ * Merge per-page analysis results into one prescription
+ * @param {Array<{ page: number, result: object }>} pageResults - analyzePrescription result per page (1-based)
+ * @returns {object} Same shape as analyzePrescription's data, plus:
+ *   medicines[].page / medicines[].pages (and the same on reviewItems),
+ *   pageCount, failedPages, mergedDuplicates
+ */
+export const mergePrescriptionPages = (pageResults) => {
+    const readable = pageResults.filter(({ result }) => result.success && result.data);
+    const isMultiPage = pageResults.length > 1;
+    const medicines = [];
+    let mergedDuplicates = 0;
+
+    readable.forEach(({ page, result }) => {
+        result.data.medicines.forEach(medicine => {
+            const reading = { ...medicine, page, pages: [page] };
+            const index = medicines.findIndex(existing => isSameMedicine(existing, reading));
+            if (index >= 0) {
+                medicines[index] = mergeReadings(medicines[index], reading);
+                mergedDuplicates++;
+            } else {
+                medicines.push(reading);
+            }
+        });
+    });
+
+    // Unsure readings: one the other page read clearly needs no question
+    const reviewItems = [];
+    readable.forEach(({ page, result }) => {
+        (result.data.reviewItems || []).forEach(item => {
+            // boxPage travels with box, so a merged item is cropped from the right photo
+            const reading = { ...item, page, pages: [page], boxPage: page };
+            const confident = medicines.findIndex(existing => isSameMedicine(existing, reading));
+            if (confident >= 0) {
+                medicines[confident].pages = [...new Set([...medicines[confident].pages, page])].sort((a, b) => a - b);
+                mergedDuplicates++;
+                return;
+            }
+            const index = reviewItems.findIndex(existing => isSameMedicine(existing, reading));
+            if (index >= 0) {
+                reviewItems[index] = mergeReadings(reviewItems[index], reading);
+                mergedDuplicates++;
+            } else {
+                reviewItems.push(reading);
+            }
+        });
+    });
+
+    const pageData = readable.map(({ result }) => result.data);
+    const firstFound = (key) => pageData.map(data => data[key]).find(Boolean) || null;
+    // "Page 2: dosage of Pan 40" - only worth saying when there are pages
+    const labelled = (key) => readable.flatMap(({ page, result }) =>
+        (result.data[key] || []).map(item => (isMultiPage ? `Page ${page}: ${item}` : item)));
+
+    const extractionQuality = pageData
+        .map(data => data.extractionQuality || 'CLEAR')
+        .reduce((worst, quality) => (QUALITY_RANK[quality] > QUALITY_RANK[worst] ? quality : worst), 'CLEAR');
+
+    if (mergedDuplicates > 0) {
+        console.log(`📄 Merged ${mergedDuplicates} medicine(s) found on more than one page`);
+    }
+
+    return {
+        medicines,
+        reviewItems,
+        doctorName: firstFound('doctorName'),
+        date: firstFound('date'),
+        extractionQuality,
+        unreadableSections: labelled('unreadableSections'),
+        missingInfo: labelled('missingInfo'),
+        needsDurationConfirmation: medicines.some(m => m.durationWasGuessed),
+        filteredCount: pageData.reduce((sum, data) => sum + (data.filteredCount || 0), 0),
+        pageCount: pageResults.length,
+        failedPages: pageResults
+            .filter(({ result }) => !result.success)
+            .map(({ page, result }) => ({ page, errorCode: result.errorCode })),
+        mergedDuplicates
+    };
+};
+
+/**
+ * Analyze every page of a prescription and merge the medicines
+ * @param {Array<{ base64: string, mimeType: string }>} pages - Compressed photos, in page order
+ * @returns {Promise<object>} Like analyzePrescription: { success, data } on any readable
+ *   page, otherwise the first page's failure ({ success: false, error, errorCode, ... })
+ */
+export const analyzePrescriptionPages = async (pages) => {
+    const photos = pages.slice(0, MAX_PRESCRIPTION_PAGES);
+    console.log(`📄 Analyzing ${photos.length} prescription page(s)`);
+
+    const results = await Promise.all(photos.map(photo => analyzePrescription(photo.base64, photo.mimeType)));
+    const pageResults = results.map((result, i) => ({ page: i + 1, result }));
+
+    if (pageResults.every(({ result }) => !result.success)) {
+        return pageResults[0].result;
+    }
+    return { success: true, data: mergePrescriptionPages(pageResults) };
+};
+
+export default {
+    MAX_PRESCRIPTION_PAGES,
+    mergePrescriptionPages,
+    analyzePrescriptionPages
+};
@@ -1,111 +1,212 @@
 /**
- * Prescription Service - Firestore operations for prescriptions
- * Stores prescriptions as subcollection under users/{userId}/prescriptions
+ * Prescription Service
+ * One record per scanned prescription: who wrote it, when, what was read off
+ * it and which saved medicines came from it.
+ *
+ * Like the medicine repository, records are kept on the device first
+ * (`saarthi_prescriptions`) and written to the Firestore `prescriptions`
+ * collection through the offline outbox, so a scan made offline or before
+ * sign-in is not lost. Reading a user's list merges in what Firestore has
+ * (e.g. scans made on another phone).
  */
 
-import { 
-    collection, 
-    doc, 
-    addDoc, 
-    getDoc, 
-    getDocs, 
-    query, 
-    orderBy,
-    serverTimestamp 
-} from 'firebase/firestore';
-import { db } from '../firebase/firebase';
+import { collection, doc, getDoc, getDocs, query, where } from 'firebase/firestore';
+import { db, auth } from '../firebase/firebase';
+import { enqueueWrite, flushOutbox, generateClientId } from './offlineQueue';
 
-/**
- * Save a prescription to Firestore
- * @param {string} uid - User's Firebase UID
- * @param {object} prescriptionData - Prescription data from Gemini
- * @returns {Promise<string>} - The saved prescription ID
- */
-export const savePrescription = async (uid, prescriptionData) => {
+const STORAGE_KEY = 'saarthi_prescriptions';
+const PRESCRIPTIONS_COLLECTION = 'prescriptions';
+
+// What each medicine looked like on the paper - the saved medicine may be edited later
+const SNAPSHOT_FIELDS = [
+    'name', 'genericName', 'originalName', 'dosage', 'frequency', 'timing', 'durationDays',
+    'withFood', 'specialInstructions', 'probableReason', 'confidence', 'userConfirmed', 'page'
+];
+
+// ═══════════════════════════════════════════════════════════════════════
+// LOCAL CACHE
+// ═══════════════════════════════════════════════════════════════════════
+
+const readCache = () => {
     try {
-        if (!uid) {
-            throw new Error('User ID is required to save prescription');
-        }
-
-        const prescriptionsRef = collection(db, 'users', uid, 'prescriptions');
-        
-        const prescriptionDoc = {
-            patient: prescriptionData.patient || null,
-            doctor: prescriptionData.doctor || null,
-            prescriptionDate: prescriptionData.prescriptionDate || null,
-            diagnosis: prescriptionData.diagnosis || null,
-            medicines: prescriptionData.medicines || [],
-            generalAdvice: prescriptionData.generalAdvice || null,
-            followUp: prescriptionData.followUp || null,
-            createdAt: serverTimestamp()
-        };
-
-        const docRef = await addDoc(prescriptionsRef, prescriptionDoc);
-        
-        console.log('💾 Prescription saved to Firestore:', docRef.id);
-        return docRef.id;
+        return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
     } catch (error) {
-        console.error('Error saving prescription to Firestore:', error);
-        throw error;
+        console.error('Error reading prescriptions:', error);
+        return [];
+    }
+};
+
+const writeCache = (prescriptions) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(prescriptions));
+    } catch (error) {
+        console.error('Error saving prescriptions:', error);
+    }
+};
+
+const toMillis = (value) => {
+    if (!value) return 0;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? 0 : parsed;
+};
+
+// Firestore Timestamps → ISO strings, so the cache stays JSON
+const fromRemote = (id, data) => {
+    const plain = { id };
+    Object.entries(data).forEach(([key, value]) => {
+        plain[key] = value && typeof value.toDate === 'function' ? value.toDate().toISOString() : value;
+    });
+    return plain;
+};
+
+const newestFirst = (a, b) => toMillis(b.createdAt) - toMillis(a.createdAt);
+
+const pushToRemote = (prescription) => {
+    const data = { ...prescription };
+    delete data.id;
+    enqueueWrite({
+        collection: PRESCRIPTIONS_COLLECTION,
+        docId: prescription.id,
+        data: { ...data, userId: data.userId || auth.currentUser?.uid || null },
+        merge: true
+    }).then(() => flushOutbox());
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// WRITE API
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Save a scanned prescription
+ * @param {object} analysis - Prescription analysis (analyzePrescriptionPages data)
+ * @param {object} options - { medicineIds: saved medicines it produced, images: stored photo references }
+ * @returns {object} The saved record (with its id)
+ */
+export const savePrescription = (analysis, { medicineIds = [], images = [] } = {}) => {
+    const now = new Date().toISOString();
+    const prescription = {
+        id: generateClientId('rx'),
+        userId: auth.currentUser?.uid || null,
+        doctorName: analysis.doctorName || null,
+        prescriptionDate: analysis.date || null,
+        extractionQuality: analysis.extractionQuality || null,
+        medicines: (analysis.medicines || []).map(medicine => Object.fromEntries(
+            SNAPSHOT_FIELDS.filter(field => medicine[field] !== undefined).map(field => [field, medicine[field]])
+        )),
+        medicineIds,
+        unreadableSections: analysis.unreadableSections || [],
+        missingInfo: analysis.missingInfo || [],
+        pageCount: analysis.pageCount || 1,
+        images,
+        source: 'scan',
+        createdAt: now,
+        updatedAt: now
+    };
+
+    writeCache([prescription, ...readCache()]);
+    pushToRemote(prescription);
+    console.log(`💾 Saved prescription: ${prescription.id} (${prescription.medicines.length} medicines)`);
+    return prescription;
+};
+
+/**
+ * Update fields on a saved prescription
+ * @param {string} prescriptionId - Prescription ID
+ * @param {object} updates - Fields to change
+ * @returns {object|null} Updated record, or null if it is not on this device
+ */
+export const updatePrescription = (prescriptionId, updates) => {
+    const all = readCache();
+    const current = all.find(p => p.id === prescriptionId);
+    if (!current) {
+        console.warn('Prescription not found:', prescriptionId);
+        return null;
     }
+
+    const updated = { ...current, ...updates, id: prescriptionId, updatedAt: new Date().toISOString() };
+    writeCache(all.map(p => (p.id === prescriptionId ? updated : p)));
+    pushToRemote(updated);
+    return updated;
 };
 
+// ═══════════════════════════════════════════════════════════════════════
+// READ API
+// ═══════════════════════════════════════════════════════════════════════
+
 /**
- * Get all prescriptions for a user
- * @param {string} uid - User's Firebase UID
- * @returns {Promise<array>} - Array of prescriptions
+ * Prescriptions saved on this device, newest first
+ * @returns {Array}
  */
-export const getUserPrescriptions = async (uid) => {
+export const getLocalPrescriptions = () => readCache().sort(newestFirst);
+
+/**
+ * Get all prescriptions for a user, newest first.
+ * Firestore copies are merged into the device cache (newer updatedAt wins);
+ * offline or signed out, the device cache is returned.
+ * @param {string} uid - User's Firebase UID (optional)
+ * @returns {Promise<Array>}
+ */
+export const getUserPrescriptions = async (uid = auth.currentUser?.uid) => {
+    const local = readCache();
+    if (!uid || !navigator.onLine) return local.sort(newestFirst);
+
     try {
-        if (!uid) {
-            throw new Error('User ID is required to fetch prescriptions');
-        }
-
-        const prescriptionsRef = collection(db, 'users', uid, 'prescriptions');
-        const q = query(prescriptionsRef, orderBy('createdAt', 'desc'));
-        const querySnapshot = await getDocs(q);
-
-        const prescriptions = [];
-        querySnapshot.forEach((doc) => {
-            prescriptions.push({
-                id: doc.id,
-                ...doc.data()
-            });
+        const q = query(collection(db, PRESCRIPTIONS_COLLECTION), where('userId', '==', uid));
+        const snapshot = await getDocs(q);
+        const merged = new Map(local.map(p => [p.id, p]));
+
+        snapshot.docs.forEach(d => {
+            const remote = fromRemote(d.id, d.data());
+            const existing = merged.get(d.id);
+            if (!existing || toMillis(remote.updatedAt) > toMillis(existing.updatedAt)) {
+                merged.set(d.id, { ...existing, ...remote });
+            }
         });
 
-        console.log(`📋 Fetched ${prescriptions.length} prescriptions for user:`, uid);
+        const prescriptions = [...merged.values()].sort(newestFirst);
+        writeCache(prescriptions);
+        console.log(`📋 Fetched ${snapshot.size} prescriptions for user:`, uid);
         return prescriptions;
     } catch (error) {
-        console.error('Error fetching prescriptions from Firestore:', error);
-        throw error;
+        console.warn('Prescription fetch failed, showing saved copies:', error.message);
+        return local.sort(newestFirst);
     }
 };
 
 /**
- * Get a specific prescription by ID
- * @param {string} uid - User's Firebase UID
- * @param {string} prescriptionId - Prescription document ID
- * @returns {Promise<object|null>} - Prescription data or null
+ * Get one prescription of the signed-in user - from the device, else from Firestore
+ * @param {string} prescriptionId - Prescription ID
+ * @returns {Promise<object|null>} null when missing or owned by someone else
  */
-export const getPrescriptionById = async (uid, prescriptionId) => {
-    try {
-        if (!uid || !prescriptionId) {
-            throw new Error('User ID and Prescription ID are required');
-        }
+export const getPrescriptionById = async (prescriptionId) => {
+    if (!prescriptionId) return null;
+    // On a fresh page load the signed-in user is restored asynchronously
+    await auth.authStateReady();
+    const uid = auth.currentUser?.uid || null;
 
-        const prescriptionRef = doc(db, 'users', uid, 'prescriptions', prescriptionId);
-        const docSnap = await getDoc(prescriptionRef);
+    // Scans made before sign-in carry no owner yet and stay readable on this device
+    const local = readCache().find(p => p.id === prescriptionId);
+    if (local) return !local.userId || local.userId === uid ? local : null;
+    if (!uid) return null;
 
-        if (docSnap.exists()) {
-            return {
-                id: docSnap.id,
-                ...docSnap.data()
-            };
-        }
+    try {
+        const docSnap = await getDoc(doc(db, PRESCRIPTIONS_COLLECTION, prescriptionId));
+        if (!docSnap.exists() || docSnap.data().userId !== uid) return null;
 
-        return null;
+        const prescription = fromRemote(docSnap.id, docSnap.data());
+        writeCache([prescription, ...readCache()]);
+        return prescription;
     } catch (error) {
         console.error('Error fetching prescription from Firestore:', error);
-        throw error;
+        return null;
     }
 };
+
+export default {
+    savePrescription,
+    updatePrescription,
+    getLocalPrescriptions,
+    getUserPrescriptions,
+    getPrescriptionById
+};
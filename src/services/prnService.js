@@ -0,0 +1,148 @@
+/**
+ * PRN ("as needed" / SOS) Service
+ * SOS medicines never ring - the user logs a dose with "Take now" instead.
+ *
+ * Before a dose is logged it is checked against the prescription's minimum
+ * gap between doses and maximum doses per day (a rolling 24 hours, so a dose
+ * at 11 PM still counts the next morning). Doses are read from the device
+ * copy of the adherence log, so the guard works offline and before sign-in.
+ */
+
+import { getMedicines } from './medicineRepository';
+import { logDose, getLocalDoseLog } from './adherenceLog';
+import { SCHEDULE_TYPES } from '../utils/scheduleModel';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Used when the prescription says "SOS" without writing limits
+ * (typical adult limits for common SOS painkillers / antipyretics)
+ */
+export const DEFAULT_PRN_LIMITS = {
+    minIntervalHours: 4,
+    maxPerDay: 4
+};
+
+/**
+ * Check if a medicine is taken only when needed
+ * @param {Object} medicine - Medicine record
+ * @returns {boolean}
+ */
+export const isPrnMedicine = (medicine) => {
+    return medicine?.schedule?.type === SCHEDULE_TYPES.PRN;
+};
+
+/**
+ * Active SOS medicines
+ * @returns {Array}
+ */
+export const getPrnMedicines = () => {
+    return getMedicines().filter(isPrnMedicine);
+};
+
+/**
+ * Dose limits for an SOS medicine
+ * @param {Object} medicine - Medicine record
+ * @returns {Object} { minIntervalHours, maxPerDay, fromPrescription }
+ */
+export const getPrnLimits = (medicine) => {
+    const schedule = medicine?.schedule || {};
+    return {
+        minIntervalHours: Number(schedule.minIntervalHours) || DEFAULT_PRN_LIMITS.minIntervalHours,
+        maxPerDay: Number(schedule.maxPerDay) || DEFAULT_PRN_LIMITS.maxPerDay,
+        fromPrescription: !!(schedule.minIntervalHours || schedule.maxPerDay)
+    };
+};
+
+/**
+ * Times this medicine was taken within the last 24 hours (oldest first)
+ * @param {Object} medicine - Medicine record
+ * @param {Date} now - Reference time
+ * @returns {Date[]}
+ */
+export const getRecentPrnDoses = (medicine, now = new Date()) => {
+    const name = medicine.name?.toLowerCase();
+    return getLocalDoseLog()
+        .filter(entry => entry.action === 'taken')
+        .filter(entry => entry.medicineId
+            ? entry.medicineId === medicine.id
+            : entry.medicineName?.toLowerCase() === name)
+        .map(entry => new Date(entry.time))
+        .filter(time => now - time < DAY_MS && time <= now)
+        .sort((a, b) => a - b);
+};
+
+/**
+ * Whether another dose may be taken right now
+ * @param {Object} medicine - Medicine record
+ * @param {Date} now - Reference time
+ * @returns {Object} { allowed, reason: null | 'too_soon' | 'daily_max',
+ *                     lastTakenAt, dosesToday, nextAllowedAt, limits }
+ */
+export const checkPrnDose = (medicine, now = new Date()) => {
+    const limits = getPrnLimits(medicine);
+    const doses = getRecentPrnDoses(medicine, now);
+    const lastTakenAt = doses[doses.length - 1] || null;
+
+    let reason = null;
+    let nextAllowedAt = null;
+
+    if (doses.length >= limits.maxPerDay) {
+        reason = 'daily_max';
+        // The oldest dose in the window has to drop out first
+        nextAllowedAt = new Date(doses[doses.length - limits.maxPerDay].getTime() + DAY_MS);
+    }
+
+    if (lastTakenAt) {
+        const gapEnds = new Date(lastTakenAt.getTime() + limits.minIntervalHours * HOUR_MS);
+        if (gapEnds > now && (!nextAllowedAt || gapEnds > nextAllowedAt)) {
+            reason = reason || 'too_soon';
+            nextAllowedAt = gapEnds;
+        }
+    }
+
+    return {
+        allowed: !reason,
+        reason,
+        lastTakenAt,
+        dosesToday: doses.length,
+        nextAllowedAt,
+        limits
+    };
+};
+
+/**
+ * Log an SOS dose, unless it breaks the minimum gap or the daily maximum
+ * @param {Object} medicine - Medicine record
+ * @returns {Promise<Object>} checkPrnDose result plus { logged, logId }
+ */
+export const takePrnDose = async (medicine) => {
+    const now = new Date();
+    const check = checkPrnDose(medicine, now);
+
+    if (!check.allowed) {
+        console.warn(`⛔ SOS dose blocked for ${medicine.name}: ${check.reason}`);
+        return { ...check, logged: false, logId: null };
+    }
+
+    const logId = await logDose(medicine.id, medicine.name, 'taken', {
+        actionTime: now.toISOString(),
+        timing: 'sos',
+        asNeeded: true,
+        notes: 'Taken as needed'
+    });
+
+    console.log(`💊 SOS dose logged: ${medicine.name}`);
+    return { ...checkPrnDose(medicine, now), logged: true, logId };
+};
+
+export default {
+    DEFAULT_PRN_LIMITS,
+    isPrnMedicine,
+    getPrnMedicines,
+    getPrnLimits,
+    getRecentPrnDoses,
+    checkPrnDose,
+    takePrnDose
+};
@@ -0,0 +1,55 @@
+/**
+ * Gemini Provider
+ * Talks to Google's Gemini models straight from the browser through
+ * @google/generative-ai. Development only: the key has to be in the page, so
+ * production builds go through the proxy provider instead.
+ * Only knows how to send one request to one model - fallback, timeout and
+ * retry live in aiProvider.
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// Behind the DEV check so `vite build` drops the key from the bundle
+const API_KEY = import.meta.env.DEV ? import.meta.env.VITE_GEMINI_API_KEY : undefined;
+
+/**
+ * Create a Gemini provider
+ * @param {string} apiKey - Gemini API key
+ * @returns {object} Provider { name, isConfigured, generate }
+ */
+export const createGeminiProvider = (apiKey = API_KEY) => {
+    // Never log any part of the key
+    console.log(`🔑 Gemini API Key: ${apiKey ? 'CONFIGURED' : '❌ MISSING!'}`);
+    if (!apiKey) {
+        console.error('❌ VITE_GEMINI_API_KEY is not set - direct Gemini only works in development');
+    }
+
+    const genAI = new GoogleGenerativeAI(apiKey || 'MISSING_KEY');
+
+    return {
+        name: 'gemini',
+        isConfigured: Boolean(apiKey),
+
+        /**
+         * Send one request
+         * @param {object} request - { model, prompt, image: { base64, mimeType }, json, schema }
+         * @returns {Promise<string>} Raw response text
+         */
+        generate: async ({ model: modelName, prompt, image, json, schema }) => {
+            const generationConfig = json
+                ? { responseMimeType: 'application/json', ...(schema ? { responseSchema: schema } : {}) }
+                : undefined;
+            const model = genAI.getGenerativeModel({ model: modelName, generationConfig });
+
+            const parts = image
+                ? [prompt, { inlineData: { mimeType: image.mimeType, data: image.base64 } }]
+                : prompt;
+
+            const result = await model.generateContent(parts);
+            const response = await result.response;
+            return response.text();
+        }
+    };
+};
+
+export default createGeminiProvider;
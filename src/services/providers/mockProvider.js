@@ -0,0 +1,169 @@
+/**
+ * Mock AI Provider
+ * Deterministic, offline stand-in for Gemini: every request is answered from a
+ * fixture chosen by its task, so prescription, photo and voice flows can be
+ * tested and demoed without a key or network. Fixtures are either a response
+ * object or a function of the request.
+ */
+
+const DEFAULT_LATENCY_MS = 400;
+
+// Medicine list written in a request prompt ("PRESCRIPTION MEDICINES TO MATCH AGAINST:")
+const readPromptList = (prompt) => {
+    const match = prompt.match(/MATCH AGAINST:\s*\n(.+)/);
+    if (!match || match[1].trim() === 'None provided') return [];
+    return match[1].split(',').map(name => name.trim()).filter(Boolean);
+};
+
+const readVoiceInput = (prompt) => prompt.match(/VOICE INPUT: "(.*)"/)?.[1] || '';
+
+/**
+ * Fixtures used when none are passed in, keyed by task
+ */
+export const DEFAULT_FIXTURES = {
+    prescription: {
+        medicines: [
+            {
+                name: 'Dolo 650',
+                confidence: 95,
+                dosage: '650mg',
+                frequency: 'TDS',
+                duration_days: 5,
+                with_food: true,
+                visual_type: 'Tablet',
+                visual_color: 'White',
+                special_instructions: 'After food',
+                probable_reason: 'Fever',
+                box_2d: [320, 90, 380, 720]
+            },
+            {
+                name: 'Pan 40',
+                confidence: 92,
+                dosage: '40mg',
+                frequency: 'OD',
+                duration_days: 5,
+                with_food: false,
+                visual_type: 'Tablet',
+                visual_color: 'Yellow',
+                special_instructions: 'Before breakfast',
+                probable_reason: 'Acidity',
+                box_2d: [400, 90, 460, 680]
+            },
+            {
+                name: 'Glycomet 500',
+                confidence: 90,
+                dosage: '500mg',
+                frequency: '1-0-1',
+                duration_days: 30,
+                with_food: true,
+                visual_type: 'Tablet',
+                visual_color: 'White',
+                special_instructions: '',
+                probable_reason: 'Diabetes',
+                box_2d: [480, 90, 540, 760]
+            },
+            {
+                // Smudged line - goes to the review step
+                name: 'Amlodipne 5',
+                confidence: 64,
+                dosage: '5mg',
+                frequency: 'OD',
+                duration_days: 30,
+                with_food: true,
+                visual_type: 'Tablet',
+                visual_color: 'White',
+                special_instructions: '',
+                probable_reason: 'High BP',
+                box_2d: [560, 90, 620, 700]
+            }
+        ],
+        extraction_quality: 'CLEAR',
+        doctor_name: 'Dr. A. Sharma',
+        prescription_date: null,
+        unreadable_sections: [],
+        missing_info: []
+    },
+
+    medicinePhoto: {
+        expiry_date: 'EXP 08/27',
+        visual_description: 'White round tablet in a silver strip',
+        shape: 'Round',
+        color: 'White',
+        size: 'Medium',
+        medicine_type: 'Tablet',
+        packaging_text: 'DOLO 650',
+        matches_expected: null,
+        usual_use: 'Fever and pain relief'
+    },
+
+    // Reads the first prescription medicine back, as if it were on the strip
+    medicineVerification: ({ prompt }) => {
+        const [first] = readPromptList(prompt);
+        if (!first) {
+            return {
+                readable: false,
+                detected_text: null,
+                detected_medicine_name: null,
+                confidence: 0,
+                reason_if_unreadable: 'No text visible',
+                visual_description: 'Blister strip'
+            };
+        }
+        return {
+            readable: true,
+            detected_text: first.toUpperCase(),
+            detected_medicine_name: first,
+            confidence: 95,
+            reason_if_unreadable: null,
+            visual_description: 'Blister strip',
+            expiry_date: 'EXP 08/27'
+        };
+    },
+
+    // Whatever was said after "add" becomes the medicine name
+    voiceMedicine: ({ prompt }) => ({
+        name: readVoiceInput(prompt).replace(/^\s*(please\s+)?add\s+/i, '').trim() || 'Unknown Medicine',
+        dosage: '',
+        timing: ['morning'],
+        frequency: 'once daily',
+        durationDays: 30,
+        withFood: true,
+        specialInstructions: '',
+        quantity: null,
+        packSize: null,
+        confidence: 0.9
+    })
+};
+
+/**
+ * Create a mock provider
+ * @param {object} fixtures - Responses keyed by task (merged over the defaults)
+ * @param {object} options - { latencyMs }
+ * @returns {object} Provider { name, isConfigured, generate, calls }
+ */
+export const createMockProvider = (fixtures = {}, { latencyMs = DEFAULT_LATENCY_MS } = {}) => {
+    const allFixtures = { ...DEFAULT_FIXTURES, ...fixtures };
+    const calls = [];
+
+    return {
+        name: 'mock',
+        isConfigured: true,
+        // Every request, in order - lets tests assert on prompts and models
+        calls,
+
+        generate: async (request) => {
+            calls.push(request);
+            if (latencyMs > 0) await new Promise(resolve => setTimeout(resolve, latencyMs));
+
+            const fixture = allFixtures[request.task];
+            if (fixture === undefined) {
+                throw new Error(`MOCK_NO_FIXTURE: ${request.task || 'untitled task'}`);
+            }
+            const response = typeof fixture === 'function' ? fixture(request) : fixture;
+            if (response instanceof Error) throw response;
+            return typeof response === 'string' ? response : JSON.stringify(response);
+        }
+    };
+};
+
+export default createMockProvider;
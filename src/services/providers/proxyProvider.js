@@ -0,0 +1,61 @@
+/**
+ * Proxy Provider
+ * Sends each model request to the aiGenerate Cloud Function
+ * (functions/aiProxy.js), which holds the Gemini key and applies per-user
+ * rate and size limits. This is the provider production builds use.
+ */
+
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../../firebase/firebase';
+import { AI_ERROR_CODES, createAIError } from '../aiErrors';
+
+// Callable error code → what the rest of the app understands
+const ERROR_CODES = {
+    'functions/resource-exhausted': AI_ERROR_CODES.QUOTA,
+    'functions/deadline-exceeded': AI_ERROR_CODES.TIMEOUT,
+    'functions/unavailable': AI_ERROR_CODES.NETWORK,
+    'functions/unauthenticated': AI_ERROR_CODES.NOT_CONFIGURED,
+    'functions/permission-denied': AI_ERROR_CODES.NOT_CONFIGURED,
+    'functions/failed-precondition': AI_ERROR_CODES.NOT_CONFIGURED,
+    'functions/not-found': AI_ERROR_CODES.NOT_CONFIGURED
+};
+
+const toProxyError = (error) => {
+    const code = ERROR_CODES[error?.code] || AI_ERROR_CODES.UNKNOWN;
+    // Keep "UNAVAILABLE" in the message so aiProvider retries it like any overload
+    const message = error?.code === 'functions/unavailable'
+        ? `UNAVAILABLE: ${error.message}`
+        : (error?.message || 'AI proxy request failed');
+    return createAIError(code, message, {
+        proxyCode: error?.code,
+        // Our own limit, not Gemini's - another model will not help
+        rateLimited: error?.details?.reason === 'rate-limit',
+        retryAfterSeconds: error?.details?.retryAfterSeconds
+    });
+};
+
+/**
+ * Create a proxy provider
+ * @param {Function} callable - httpsCallable for aiGenerate (tests pass their own)
+ * @returns {object} Provider { name, isConfigured, generate }
+ */
+export const createProxyProvider = (callable = httpsCallable(functions, 'aiGenerate')) => ({
+    name: 'proxy',
+    isConfigured: true,
+
+    /**
+     * Send one request through the Cloud Function
+     * @param {object} request - { task, model, prompt, image: { base64, mimeType }, json, schema }
+     * @returns {Promise<string>} Raw response text
+     */
+    generate: async ({ task, model, prompt, image, json, schema }) => {
+        try {
+            const { data } = await callable({ task, model, prompt, image, json, schema });
+            return data.text;
+        } catch (error) {
+            throw toProxyError(error);
+        }
+    }
+});
+
+export default createProxyProvider;
@@ -0,0 +1,304 @@
+/**
+ * Reminder Engine
+ * Bridge between the app and the service worker (public/sw.js) that owns the
+ * reminder schedule, so alarms keep firing while the app is in the background.
+ *
+ * With the app fully closed there is no guarantee: browsers stop idle workers
+ * and nothing sends a push to wake them. See the note in public/sw.js.
+ */
+
+import { getUpcomingOccurrences, getOccurrenceKey, getReminderById, getDoseAmount } from './reminderService';
+import { logDose, hasAnsweredDose } from './adherenceLog';
+
+const SERVICE_WORKER_URL = '/sw.js';
+const REMINDERS_STORAGE_KEY = 'saarthirx_reminders';
+const MISSED_GRACE_KEY = 'saarthi_missed_grace_minutes';
+const PERIODIC_SYNC_TAG = 'reminder-check';
+const SCHEDULE_DAYS = 7;
+
+/**
+ * Minutes after a reminder rings with no answer before the dose counts as missed
+ */
+export const MISSED_GRACE_OPTIONS = [30, 60, 120];
+export const DEFAULT_MISSED_GRACE_MINUTES = 60;
+
+// Notification text per language (the service worker has no access to app state)
+const NOTIFICATION_LABELS = {
+    'en-US': {
+        title: '💊 Medicine Time!',
+        body: 'It\'s time to take your {name}',
+        lastDoseBody: 'This is your last dose of {name}. Your course ends today.',
+        doseBody: 'Take {count} tablets of {name} now',
+        taken: '✓ Taken',
+        snooze: '⏰ Snooze 15 min',
+        skip: '✕ Skip',
+        missedTitle: '⚠️ Missed dose',
+        missedBody: 'You missed your {time} dose of {name}. Take it now or skip?'
+    },
+    'hi-IN': {
+        title: '💊 दवा का समय!',
+        body: 'आपकी {name} लेने का समय हो गया है',
+        lastDoseBody: 'यह आपकी {name} की आखिरी खुराक है। आज आपका कोर्स पूरा हो रहा है।',
+        doseBody: 'अभी {name} की {count} गोलियां लें',
+        taken: '✓ ले लिया',
+        snooze: '⏰ 15 मिनट बाद',
+        skip: '✕ छोड़ें',
+        missedTitle: '⚠️ खुराक छूट गई',
+        missedBody: 'आपकी {time} की {name} की खुराक छूट गई। अभी लें या छोड़ दें?'
+    },
+    'mr-IN': {
+        title: '💊 औषधाची वेळ!',
+        body: 'तुमची {name} घेण्याची वेळ झाली आहे',
+        lastDoseBody: 'हा तुमच्या {name} चा शेवटचा डोस आहे. आज तुमचा कोर्स पूर्ण होत आहे.',
+        doseBody: 'आता {name} च्या {count} गोळ्या घ्या',
+        taken: '✓ घेतले',
+        snooze: '⏰ 15 मिनिटांनी',
+        skip: '✕ वगळा',
+        missedTitle: '⚠️ डोस चुकला',
+        missedBody: 'तुमचा {time} चा {name} चा डोस चुकला. आता घ्यायचा की वगळायचा?'
+    }
+};
+
+let registrationPromise = null;
+const messageListeners = new Set();
+
+/**
+ * Check if the browser can run the service worker reminder engine
+ * @returns {boolean}
+ */
+export const isReminderEngineSupported = () => {
+    return 'serviceWorker' in navigator;
+};
+
+/**
+ * Resolve the active service worker, or null if the engine is not running
+ */
+const getActiveWorker = async () => {
+    if (!registrationPromise) return null;
+    const registration = await registrationPromise;
+    if (!registration) return null;
+    const ready = await navigator.serviceWorker.ready;
+    return ready.active;
+};
+
+const postToWorker = async (message) => {
+    const worker = await getActiveWorker();
+    if (!worker) return false;
+    worker.postMessage(message);
+    return true;
+};
+
+/**
+ * Ask the browser to wake the worker periodically. Only Chrome does this, only
+ * for installed apps, and it decides the interval itself (usually hours), so
+ * it is a catch-up for missed doses rather than a way to ring on time.
+ * Best effort - silently ignored where unsupported.
+ */
+const registerPeriodicCheck = async (registration) => {
+    if (!('periodicSync' in registration)) return;
+    try {
+        await registration.periodicSync.register(PERIODIC_SYNC_TAG, {
+            minInterval: 15 * 60 * 1000
+        });
+    } catch (error) {
+        console.warn('Periodic reminder check not available:', error.message);
+    }
+};
+
+/**
+ * Get the service worker registration (null if unsupported or failed)
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export const getEngineRegistration = () => {
+    return registrationPromise || Promise.resolve(null);
+};
+
+/**
+ * Get the missed-dose grace window chosen by the user
+ * @returns {number} Minutes
+ */
+export const getMissedGraceMinutes = () => {
+    const minutes = parseInt(localStorage.getItem(MISSED_GRACE_KEY), 10);
+    return MISSED_GRACE_OPTIONS.includes(minutes) ? minutes : DEFAULT_MISSED_GRACE_MINUTES;
+};
+
+/**
+ * Change the missed-dose grace window and hand it to the engine
+ * @param {number} minutes - One of MISSED_GRACE_OPTIONS
+ * @returns {Promise<boolean>} True if the engine received it
+ */
+export const setMissedGraceMinutes = (minutes) => {
+    localStorage.setItem(MISSED_GRACE_KEY, String(minutes));
+    return syncReminderSchedule();
+};
+
+/**
+ * Send the upcoming reminder schedule to the service worker
+ * @param {string} language - Language for notification text
+ * @returns {Promise<boolean>} True if the schedule was delivered
+ */
+export const syncReminderSchedule = async (language = localStorage.getItem('saarthi_language') || 'hi-IN') => {
+    const occurrences = getUpcomingOccurrences({ days: SCHEDULE_DAYS });
+    // The locale formats the dose time inside missed-dose notifications
+    const labels = { ...(NOTIFICATION_LABELS[language] || NOTIFICATION_LABELS['en-US']), locale: language };
+
+    const delivered = await postToWorker({
+        type: 'SYNC_SCHEDULE',
+        occurrences,
+        labels,
+        missedAfterMinutes: getMissedGraceMinutes()
+    });
+    if (delivered) {
+        console.log(`📅 Synced ${occurrences.length} upcoming reminder(s) to engine`);
+    }
+    return delivered;
+};
+
+/**
+ * Ask the worker to fire anything that is due right now.
+ * Used while the app is open, since browsers may pause idle workers.
+ */
+export const checkDueReminders = () => {
+    return postToWorker({ type: 'CHECK_DUE' });
+};
+
+/**
+ * Snooze one dose occurrence inside the engine
+ * @param {string} reminderId - Reminder ID
+ * @param {string|number} scheduledTime - Originally scheduled time of the dose
+ * @param {number} minutes - Snooze length
+ * @returns {Promise<boolean>} False if the engine is not running
+ */
+export const snoozeReminderOccurrence = (reminderId, scheduledTime, minutes = 15) => {
+    if (!reminderId || !scheduledTime) return Promise.resolve(false);
+    return postToWorker({
+        type: 'SNOOZE',
+        key: getOccurrenceKey(reminderId, scheduledTime),
+        minutes
+    });
+};
+
+/**
+ * Tell the engine a dose was answered in the app so it stops ringing
+ * @param {string} reminderId - Reminder ID
+ * @param {string|number} scheduledTime - Originally scheduled time of the dose
+ */
+export const resolveReminderOccurrence = (reminderId, scheduledTime) => {
+    if (!reminderId || !scheduledTime) return Promise.resolve(false);
+    return postToWorker({
+        type: 'RESOLVE',
+        key: getOccurrenceKey(reminderId, scheduledTime)
+    });
+};
+
+/**
+ * Record answers the patient gave from notification buttons
+ * while the app was closed, and doses the engine marked missed
+ */
+const drainQueuedActions = async () => {
+    const worker = await getActiveWorker();
+    if (!worker) return;
+
+    const actions = await new Promise((resolve) => {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = (event) => resolve(event.data?.actions || []);
+        worker.postMessage({ type: 'TAKE_ACTIONS' }, [channel.port2]);
+        setTimeout(() => resolve([]), 5000);
+    });
+
+    if (actions.length === 0) return;
+    console.log(`📥 Recording ${actions.length} notification action(s)`);
+
+    for (const entry of actions) {
+        try {
+            // Answered in the app before the worker heard about it
+            if (entry.action === 'missed' && hasAnsweredDose(entry.medicineName, entry.scheduledTime)) continue;
+
+            // One ID per dose and answer, so a repeated drain does not log twice.
+            // A late answer to a missed dose takes over the missed entry.
+            await logDose(entry.medicineId || null, entry.medicineName, entry.action, {
+                logId: `${entry.key}:${entry.wasMissed ? 'missed' : entry.action}`,
+                actionTime: entry.time,
+                scheduledTime: entry.scheduledTime,
+                // Answers queued by an older worker carry no amount
+                doseAmount: entry.doseAmount || getDoseAmount(getReminderById(entry.reminderId), entry.scheduledTime),
+                notes: entry.action === 'missed'
+                    ? 'No answer within the reminder window'
+                    : entry.wasMissed ? 'Answered late from notification' : 'Answered from notification'
+            });
+        } catch (error) {
+            console.error('Failed to log notification action:', error);
+        }
+    }
+};
+
+const handleWorkerMessage = (event) => {
+    const message = event.data || {};
+    if (message.type === 'REMINDER_ACTION' || message.type === 'DOSE_MISSED') {
+        drainQueuedActions();
+    }
+    messageListeners.forEach((listener) => listener(message));
+};
+
+/**
+ * Subscribe to engine events (e.g. REMINDER_FIRED, DOSE_MISSED)
+ * @param {function} listener - Called with each message from the worker
+ * @returns {function} Unsubscribe function
+ */
+export const onReminderEngineMessage = (listener) => {
+    messageListeners.add(listener);
+    return () => messageListeners.delete(listener);
+};
+
+/**
+ * Register the service worker and hand it the current schedule.
+ * Safe to call more than once.
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export const registerReminderEngine = () => {
+    if (!isReminderEngineSupported()) {
+        console.warn('Service workers not supported - reminders only ring while the app is open');
+        return Promise.resolve(null);
+    }
+
+    if (!registrationPromise) {
+        registrationPromise = navigator.serviceWorker.register(SERVICE_WORKER_URL)
+            .then((registration) => {
+                console.log('✅ Reminder engine registered');
+
+                navigator.serviceWorker.addEventListener('message', handleWorkerMessage);
+                window.addEventListener('remindersChanged', () => syncReminderSchedule());
+                window.addEventListener('storage', (event) => {
+                    if (event.key === REMINDERS_STORAGE_KEY) syncReminderSchedule();
+                });
+
+                registerPeriodicCheck(registration);
+                return registration;
+            })
+            .catch((error) => {
+                console.error('Reminder engine registration failed:', error);
+                return null;
+            });
+
+        registrationPromise.then((registration) => {
+            if (!registration) return;
+            syncReminderSchedule();
+            drainQueuedActions();
+        });
+    }
+
+    return registrationPromise;
+};
+
+export default {
+    registerReminderEngine,
+    syncReminderSchedule,
+    getMissedGraceMinutes,
+    setMissedGraceMinutes,
+    checkDueReminders,
+    snoozeReminderOccurrence,
+    resolveReminderOccurrence,
+    onReminderEngineMessage,
+    getEngineRegistration,
+    isReminderEngineSupported
+};
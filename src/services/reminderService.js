@@ -3,6 +3,15 @@
  * Manages medication reminders with localStorage persistence
  */
 
+import {
+    getDoseTimesOn,
+    getScheduleEnd,
+    toReminderFields,
+    getIntervalStartTime,
+    describeSchedule,
+    SCHEDULE_TYPES
+} from '../utils/scheduleModel';
+
 const STORAGE_KEY = 'saarthirx_reminders';
 
 /**
@@ -74,6 +83,8 @@ export const getReminders = () => {
 const saveReminders = (reminders) => {
     try {
         localStorage.setItem(STORAGE_KEY, JSON.stringify(reminders));
+        // Let the reminder engine (service worker) pick up the new schedule
+        window.dispatchEvent(new CustomEvent('remindersChanged'));
     } catch (error) {
         console.error('Error saving reminders:', error);
     }
@@ -82,6 +93,10 @@ const saveReminders = (reminders) => {
 /**
  * Add a new reminder with proper ISO timestamp
  * @param {Object} reminder - Reminder data (without id)
+ * @param {string} reminder.medicineId - ID of the medicine record this reminder is for
+ * @param {Object} reminder.schedule - Schedule rule, see utils/scheduleModel (optional)
+ * @param {string} reminder.startDate - ISO start of the course (optional)
+ * @param {string} reminder.endDate - ISO end of the course; no doses at or after it (optional)
  * @returns {Object} The created reminder with id and nextFireTime
  */
 export const addReminder = (reminder) => {
@@ -92,6 +107,8 @@ export const addReminder = (reminder) => {
     
     const newReminder = {
         id: generateId(),
+        // Stable link to the medicine record (null for free-text reminders)
+        medicineId: reminder.medicineId || null,
         medicineName: reminder.medicineName || 'Medicine',
         description: reminder.description || '',
         color: reminder.color || '#3B82F6',
@@ -102,6 +119,11 @@ export const addReminder = (reminder) => {
         nextFireMinute: nextFireTime.getMinutes(),
         enabled: reminder.enabled !== undefined ? reminder.enabled : true,
         repeatDays: reminder.repeatDays || ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
+        // Interval / alternate-day / weekly / SOS / taper rules (null = plain daily)
+        schedule: reminder.schedule || null,
+        // Course window copied from the medicine (null = no end date)
+        startDate: reminder.startDate || null,
+        endDate: reminder.endDate || null,
         createdAt: new Date().toISOString()
     };
     reminders.push(newReminder);
@@ -187,16 +209,247 @@ export const getReminderById = (id) => {
 export const getRemindersForTime = (time) => {
     const reminders = getReminders();
     const now = new Date();
-    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    const today = dayNames[now.getDay()];
 
     return reminders.filter(r =>
         r.enabled &&
-        r.time === time &&
-        r.repeatDays.includes(today)
+        getDoseTimesOn(r, now).some(dose =>
+            toTimeString(dose.at) === time && isWithinCourse(r, dose.at)
+        )
     );
 };
 
+const toTimeString = (date) => {
+    return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+};
+
+/**
+ * When the reminder's course ends: the medicine's end date, or the end of
+ * a taper if that comes first
+ * @param {Object} reminder - Reminder object
+ * @returns {Date|null} null if the course has no end
+ */
+export const getCourseEnd = (reminder) => {
+    const ends = [reminder.endDate && new Date(reminder.endDate), getScheduleEnd(reminder)].filter(Boolean);
+    if (ends.length === 0) return null;
+    return new Date(Math.min(...ends.map(d => d.getTime())));
+};
+
+/**
+ * Check whether a dose time falls inside the reminder's course.
+ * The course starts on the day of startDate and ends at the course end moment.
+ * @param {Object} reminder - Reminder object
+ * @param {Date} fireAt - Dose time
+ * @returns {boolean}
+ */
+export const isWithinCourse = (reminder, fireAt) => {
+    if (reminder.startDate) {
+        const firstDay = new Date(reminder.startDate);
+        firstDay.setHours(0, 0, 0, 0);
+        if (fireAt < firstDay) return false;
+    }
+    const courseEnd = getCourseEnd(reminder);
+    if (courseEnd && fireAt >= courseEnd) return false;
+    return true;
+};
+
+/**
+ * Check whether a reminder should ring on a given day
+ * @param {Object} reminder - Reminder object
+ * @param {Date} date - Day to check
+ * @returns {boolean}
+ */
+export const isReminderDueOn = (reminder, date) => {
+    return !!reminder.enabled && !!reminder.time && getDoseTimesOn(reminder, date).length > 0;
+};
+
+/**
+ * Doses of an enabled reminder on a given day that fall inside its course
+ */
+const getCourseDosesOn = (reminder, day) => {
+    if (!isReminderDueOn(reminder, day)) return [];
+    return getDoseTimesOn(reminder, day).filter(dose => isWithinCourse(reminder, dose.at));
+};
+
+/**
+ * Last dose time of a single reminder, or null if its course has no end
+ */
+const getReminderLastDose = (reminder) => {
+    const courseEnd = getCourseEnd(reminder);
+    if (!courseEnd || !reminder.time) return null;
+
+    // Walk back from the end of the course to the last day this reminder rings
+    const day = new Date(courseEnd);
+    for (let i = 0; i < 8; i++) {
+        const doses = getCourseDosesOn(reminder, day);
+        if (doses.length > 0) {
+            return doses[doses.length - 1].at;
+        }
+        day.setDate(day.getDate() - 1);
+    }
+    return null;
+};
+
+/**
+ * Whether a dose is the last one of the medicine's course
+ * (across all of the medicine's reminders, e.g. morning + night)
+ * @param {Object} reminder - Reminder object
+ * @param {number|string|Date} scheduledAt - Scheduled time of the dose
+ * @returns {boolean}
+ */
+export const isLastDose = (reminder, scheduledAt) => {
+    if (!reminder || !scheduledAt || !getCourseEnd(reminder)) return false;
+
+    const siblings = reminder.medicineId
+        ? getReminders().filter(r => r.medicineId === reminder.medicineId)
+        : [reminder];
+    const lastDoses = siblings.map(getReminderLastDose).filter(Boolean);
+    if (lastDoses.length === 0) return false;
+
+    const finalDose = Math.max(...lastDoses.map(d => d.getTime()));
+    return new Date(scheduledAt).getTime() === finalDose;
+};
+
+/**
+ * Tablets to take for one dose (a taper step's amount, otherwise 1)
+ * @param {Object} reminder - Reminder object
+ * @param {number|string|Date} scheduledAt - Scheduled time of the dose (defaults to now)
+ * @returns {number}
+ */
+export const getDoseAmount = (reminder, scheduledAt) => {
+    if (!reminder?.schedule) return 1;
+    const doses = getDoseTimesOn(reminder, scheduledAt ? new Date(scheduledAt) : new Date());
+    return doses[0]?.doseAmount || 1;
+};
+
+/**
+ * Turn off reminders whose course has ended
+ * @param {Date} now - Current time
+ * @returns {number} Number of reminders disabled
+ */
+export const disableEndedReminders = (now = new Date()) => {
+    const reminders = getReminders();
+    let disabled = 0;
+
+    const updated = reminders.map(r => {
+        const courseEnd = r.enabled ? getCourseEnd(r) : null;
+        if (!courseEnd || courseEnd > now) return r;
+        disabled++;
+        return { ...r, enabled: false, courseEndedAt: now.toISOString() };
+    });
+
+    if (disabled > 0) {
+        saveReminders(updated);
+        console.log(`🏁 Course finished - disabled ${disabled} reminder(s)`);
+    }
+    return disabled;
+};
+
+/**
+ * Build a stable key for one dose occurrence of a reminder
+ * @param {string} reminderId - Reminder ID
+ * @param {number|string|Date} scheduledAt - Scheduled time of the dose
+ * @returns {string}
+ */
+export const getOccurrenceKey = (reminderId, scheduledAt) => {
+    return `${reminderId}@${new Date(scheduledAt).getTime()}`;
+};
+
+/**
+ * Expand enabled reminders into concrete dose times for the next few days.
+ * This is the schedule handed to the service worker reminder engine.
+ * @param {Object} options
+ * @param {Date} options.from - Start of the window (default: now)
+ * @param {number} options.days - Number of days to expand (default: 7)
+ * @returns {Array} [{ key, reminderId, medicineId, medicineName, description, fireAt, doseAmount, isLastDose }]
+ */
+export const getUpcomingOccurrences = ({ from = new Date(), days = 7 } = {}) => {
+    const reminders = getReminders();
+    const occurrences = [];
+
+    for (let offset = 0; offset < days; offset++) {
+        const day = new Date(from);
+        day.setDate(day.getDate() + offset);
+
+        reminders.forEach(reminder => {
+            getCourseDosesOn(reminder, day).forEach(({ at: fireAt, doseAmount }) => {
+                // Keep today's earlier doses out; the engine only needs what is still ahead
+                if (offset === 0 && fireAt.getTime() < from.getTime() - 60 * 1000) return;
+
+                occurrences.push({
+                    key: getOccurrenceKey(reminder.id, fireAt),
+                    reminderId: reminder.id,
+                    // Carried into queued notification answers so the dose log and stock hit the right record
+                    medicineId: reminder.medicineId || null,
+                    medicineName: reminder.medicineName,
+                    description: reminder.description || '',
+                    fireAt: fireAt.getTime(),
+                    doseAmount,
+                    isLastDose: isLastDose(reminder, fireAt)
+                });
+            });
+        });
+    }
+
+    return occurrences.sort((a, b) => a.fireAt - b.fireAt);
+};
+
+/**
+ * Get the reminders that belong to one medicine record
+ * @param {string} medicineId - Medicine ID
+ * @returns {Array} Array of reminder objects
+ */
+export const getRemindersForMedicine = (medicineId) => {
+    if (!medicineId) return [];
+    return getReminders().filter(r => r.medicineId === medicineId);
+};
+
+/**
+ * Delete every reminder for a medicine (e.g. when it is deactivated)
+ * @param {string} medicineId - Medicine ID
+ * @returns {number} Number of reminders removed
+ */
+export const deleteRemindersForMedicine = (medicineId) => {
+    const reminders = getReminders();
+    const remaining = reminders.filter(r => r.medicineId !== medicineId);
+    const removed = reminders.length - remaining.length;
+
+    if (removed > 0) {
+        saveReminders(remaining);
+        console.log(`🗑️ Removed ${removed} reminder(s) for medicine ${medicineId}`);
+    }
+    return removed;
+};
+
+/**
+ * Link older reminders (created before reminders stored a medicineId)
+ * to their medicine record by name, picking up the course dates too
+ * @param {function} findMedicine - (medicineName) => medicine | null
+ * @returns {number} Number of reminders linked
+ */
+export const linkRemindersToMedicines = (findMedicine) => {
+    const reminders = getReminders();
+    let linked = 0;
+
+    const updated = reminders.map(r => {
+        if (r.medicineId) return r;
+        const medicine = findMedicine(r.medicineName);
+        if (!medicine?.id) return r;
+        linked++;
+        return {
+            ...r,
+            medicineId: medicine.id,
+            startDate: r.startDate || medicine.startDate || null,
+            endDate: r.endDate || medicine.endDate || null
+        };
+    });
+
+    if (linked > 0) {
+        saveReminders(updated);
+        console.log(`🔗 Linked ${linked} reminder(s) to medicine records`);
+    }
+    return linked;
+};
+
 /**
  * Format time for display (12-hour format)
  * @param {string} time - Time in HH:MM format
@@ -262,6 +515,126 @@ export const DAYS_OF_WEEK = [
     { short: 'Sat', full: 'Saturday' }
 ];
 
+// Timing to actual time mapping
+const TIMING_TO_TIME = {
+    morning: '09:00',
+    afternoon: '14:00',
+    evening: '18:00',
+    night: '21:00'
+};
+
+// Color mapping for pill visuals
+const PILL_COLOR_MAPPING = {
+    white: '#F3F4F6',
+    pink: '#EC4899',
+    blue: '#3B82F6',
+    red: '#EF4444',
+    yellow: '#F59E0B',
+    green: '#10B981',
+    orange: '#F97316',
+    purple: '#8B5CF6'
+};
+
+/**
+ * Reminder times (HH:MM) for a medicine's timing slots.
+ * An "every N hours" medicine gets one reminder (its first dose time) and an
+ * SOS medicine gets none.
+ * @param {Object} medicine - Medicine with timing: ['morning', 'night', ...] and optional schedule
+ * @returns {Array<string>} Unique times like ['09:00', '21:00']
+ */
+const getReminderTimesForMedicine = (medicine) => {
+    const type = medicine.schedule?.type;
+    if (type === SCHEDULE_TYPES.PRN) return [];
+    if (type === SCHEDULE_TYPES.INTERVAL) {
+        return [medicine.schedule.startTime || getIntervalStartTime(medicine.schedule.everyHours)];
+    }
+
+    const timings = medicine.timing?.length ? medicine.timing : ['morning'];
+    return [...new Set(timings.map(timing => TIMING_TO_TIME[timing] || '09:00'))];
+};
+
+/**
+ * Reminder fields copied from a medicine record
+ */
+const getReminderDetailsForMedicine = (medicine) => {
+    const { repeatDays, schedule } = toReminderFields(medicine.schedule, null);
+    return {
+        ...getMedicineDisplayFields(medicine),
+        repeatDays,
+        schedule
+    };
+};
+
+const getMedicineDisplayFields = (medicine) => ({
+    medicineId: medicine.id || null,
+    medicineName: medicine.name,
+    description: medicine.visualDescription || `${medicine.dosage || ''} ${medicine.visualType || 'Tablet'}`.trim(),
+    color: PILL_COLOR_MAPPING[medicine.visualColor?.toLowerCase()] || '#3B82F6',
+    startDate: medicine.startDate || null,
+    endDate: medicine.endDate || null
+});
+
+/**
+ * Re-enable a reminder switched off by disableEndedReminders when the
+ * course was extended
+ */
+const getCourseState = (reminder, details) => {
+    const extended = reminder.courseEndedAt && (!details.endDate || new Date(details.endDate) > new Date());
+    return extended ? { enabled: true, courseEndedAt: null } : {};
+};
+
+/**
+ * Bring a medicine's reminders in line with its record after an edit:
+ * renamed medicines update their reminders, changed timing slots add or
+ * remove reminders, a changed course window moves the end date, and an
+ * inactive medicine loses all of them.
+ * @param {Object} medicine - Updated medicine record (must have an id)
+ * @returns {Object} { added, removed, updated }
+ */
+export const syncRemindersForMedicine = (medicine) => {
+    if (!medicine?.id) return { added: 0, removed: 0, updated: 0 };
+
+    if (medicine.isActive === false) {
+        return { added: 0, removed: deleteRemindersForMedicine(medicine.id), updated: 0 };
+    }
+
+    const wantedTimes = getReminderTimesForMedicine(medicine);
+    const details = getReminderDetailsForMedicine(medicine);
+    const reminders = getReminders();
+    const existingTimes = new Set();
+    let removed = 0;
+    let updated = 0;
+
+    const kept = [];
+    reminders.forEach(r => {
+        if (r.medicineId !== medicine.id) {
+            kept.push(r);
+        } else if (!wantedTimes.includes(r.time)) {
+            removed++;
+        } else {
+            existingTimes.add(r.time);
+            const changed = Object.keys(details).some(
+                field => JSON.stringify(r[field] ?? null) !== JSON.stringify(details[field])
+            );
+            if (changed) {
+                updated++;
+                kept.push({ ...r, ...details, ...getCourseState(r, details), updatedAt: new Date().toISOString() });
+            } else {
+                kept.push(r);
+            }
+        }
+    });
+
+    if (removed > 0 || updated > 0) {
+        saveReminders(kept);
+    }
+
+    const missingTimes = wantedTimes.filter(time => !existingTimes.has(time));
+    missingTimes.forEach(time => addReminder({ ...details, time, enabled: true }));
+
+    return { added: missingTimes.length, removed, updated };
+};
+
 /**
  * Auto-Scheduler: Create reminders from prescription analysis
  * Converts timing (morning/night) to actual times (9:00 AM/9:00 PM)
@@ -273,56 +646,38 @@ export const createRemindersFromPrescription = (medicines, language = 'en-US') =
         return { created: 0, reminders: [], voiceAnnouncement: '' };
     }
 
-    // Timing to actual time mapping
-    const timeMapping = {
-        morning: '09:00',
-        afternoon: '14:00',
-        evening: '18:00',
-        night: '21:00'
-    };
-
-    // Color mapping for pill visuals
-    const colorMapping = {
-        white: '#F3F4F6',
-        pink: '#EC4899',
-        blue: '#3B82F6',
-        red: '#EF4444',
-        yellow: '#F59E0B',
-        green: '#10B981',
-        orange: '#F97316',
-        purple: '#8B5CF6'
-    };
-
     const createdReminders = [];
     const announcementParts = [];
 
     medicines.forEach(medicine => {
         const timings = medicine.timing || ['morning'];
-        const color = colorMapping[medicine.visualColor?.toLowerCase()] || '#3B82F6';
 
-        timings.forEach(timing => {
-            const time = timeMapping[timing] || '09:00';
-            
+        getReminderTimesForMedicine(medicine).forEach(time => {
             // Check if reminder already exists for this medicine + time
             const existingReminders = getReminders();
-            const exists = existingReminders.some(
-                r => r.medicineName.toLowerCase() === medicine.name.toLowerCase() && r.time === time
-            );
+            const exists = existingReminders.some(r => r.time === time && (
+                medicine.id
+                    ? r.medicineId === medicine.id
+                    : r.medicineName.toLowerCase() === medicine.name.toLowerCase()
+            ));
 
             if (!exists) {
                 const newReminder = addReminder({
-                    medicineName: medicine.name,
-                    description: medicine.visualDescription || `${medicine.dosage || ''} ${medicine.visualType || 'Tablet'}`.trim(),
-                    color: color,
+                    ...getReminderDetailsForMedicine(medicine),
                     time: time,
-                    enabled: true,
-                    repeatDays: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+                    enabled: true
                 });
                 createdReminders.push(newReminder);
             }
         });
 
         // Build announcement
+        const scheduleLabel = describeSchedule(medicine.schedule, language);
+        if (scheduleLabel) {
+            announcementParts.push(`${medicine.name} (${scheduleLabel})`);
+            return;
+        }
+
         const timeDisplay = timings.map(t => {
             if (t === 'morning') return '9 AM';
             if (t === 'afternoon') return '2 PM';
@@ -85,6 +85,24 @@ const DEMO_MEDICINES = [
         quantity: 2, // Low stock for testing alert
         addedAt: Date.now(),
         prescriptionDate: new Date().toISOString()
+    },
+    {
+        id: 'demo-6',
+        // Same ingredient as "Pan 40" in the mock scan - brands with the
+        // strength in their name must still raise the duplicate prompt
+        name: 'Pantocid 40',
+        dosage: '40mg',
+        timing: ['morning'],
+        frequency: 'Once daily',
+        durationDays: 14,
+        withFood: false,
+        visualType: 'Tablet',
+        visualColor: 'yellow',
+        visualDescription: 'Yellow oval tablet',
+        specialInstructions: 'Before breakfast',
+        quantity: 10,
+        addedAt: Date.now(),
+        prescriptionDate: new Date().toISOString()
     }
 ];
 
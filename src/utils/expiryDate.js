@@ -0,0 +1,125 @@
+/**
+ * Expiry Date Utilities
+ * Parses expiry dates the way they are printed on Indian strips and bottles:
+ * "EXP 08/26", "EXP. 08-2026", "Exp.Dt: AUG 2026", "08.26", "2026-08",
+ * "31/08/2026". A month-only date expires at the END of that month.
+ */
+
+const MONTHS = {
+    jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+    jul: 6, aug: 7, sep: 8, sept: 8, oct: 9, nov: 10, dec: 11
+};
+
+/**
+ * Days before expiry at which a medicine counts as "expiring soon"
+ */
+export const EXPIRING_SOON_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toFullYear = (year) => {
+    const value = Number(year);
+    return value < 100 ? 2000 + value : value;
+};
+
+const endOfMonth = (year, month) => new Date(year, month + 1, 0, 23, 59, 59, 999);
+
+const endOfDay = (year, month, day) => new Date(year, month, day, 23, 59, 59, 999);
+
+const isValidMonth = (month) => month >= 0 && month <= 11;
+
+/**
+ * Parse a printed expiry date
+ * @param {string|Date} value - Text as printed (or a Date)
+ * @returns {Date|null} Last moment the medicine is usable, null if unreadable
+ */
+export const parseExpiryDate = (value) => {
+    if (!value) return null;
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value;
+
+    // Packs print "MFG 01/24 EXP 12/25" - only read what follows EXP
+    const raw = value.toString().toLowerCase();
+    const expIndex = raw.lastIndexOf('exp');
+    const text = (expIndex >= 0 ? raw.slice(expIndex) : raw)
+        .replace(/exp(iry)?\.?\s*(dt|date)?\.?\s*[:.-]?/g, ' ')
+        .replace(/use\s*before|best\s*before|bb/g, ' ')
+        .trim();
+
+    // 31/08/2026, 31-08-26
+    let match = text.match(/\b(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})\b/);
+    if (match) {
+        const month = Number(match[2]) - 1;
+        if (isValidMonth(month)) return endOfDay(toFullYear(match[3]), month, Number(match[1]));
+    }
+
+    // 2026-08, 2026/08
+    match = text.match(/\b(\d{4})[/.-](\d{1,2})\b/);
+    if (match) {
+        const month = Number(match[2]) - 1;
+        if (isValidMonth(month)) return endOfMonth(Number(match[1]), month);
+    }
+
+    // 08/26, 08-2026, 8.26
+    match = text.match(/\b(\d{1,2})\s*[/.-]\s*(\d{2}|\d{4})\b/);
+    if (match) {
+        const month = Number(match[1]) - 1;
+        if (isValidMonth(month)) return endOfMonth(toFullYear(match[2]), month);
+    }
+
+    // AUG 2026, Aug-26, aug/2026, august 2026
+    match = text.match(/\b([a-z]{3,9})\.?\s*[/.-]?\s*(\d{2}|\d{4})\b/);
+    if (match) {
+        const month = MONTHS[match[1].slice(0, 4)] ?? MONTHS[match[1].slice(0, 3)];
+        if (month !== undefined) return endOfMonth(toFullYear(match[2]), month);
+    }
+
+    return null;
+};
+
+/**
+ * Normalise a printed expiry to the stored "MM/YYYY" form
+ * @param {string} value - Text as printed
+ * @returns {string|null} "MM/YYYY", or null if unreadable
+ */
+export const normalizeExpiryDate = (value) => {
+    const date = parseExpiryDate(value);
+    if (!date) return null;
+    return `${String(date.getMonth() + 1).padStart(2, '0')}/${date.getFullYear()}`;
+};
+
+/**
+ * Expiry status of a printed/stored expiry date
+ * @param {string} value - Expiry as stored or printed
+ * @param {Date} now - Reference time
+ * @returns {Object} { status: 'expired' | 'expiring' | 'ok' | 'unknown', date, daysLeft }
+ */
+export const getExpiryStatus = (value, now = new Date()) => {
+    const date = parseExpiryDate(value);
+    if (!date) return { status: 'unknown', date: null, daysLeft: null };
+
+    const daysLeft = Math.ceil((date - now) / DAY_MS);
+    let status = 'ok';
+    if (date < now) status = 'expired';
+    else if (daysLeft <= EXPIRING_SOON_DAYS) status = 'expiring';
+
+    return { status, date, daysLeft };
+};
+
+/**
+ * Month and year for display/speech ("Aug 2026", "अग॰ 2026")
+ * @param {Date} date - Expiry date
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+export const formatExpiryMonth = (date, language = 'en-US') => {
+    if (!date) return '';
+    return date.toLocaleDateString(language, { month: 'short', year: 'numeric' });
+};
+
+export default {
+    EXPIRING_SOON_DAYS,
+    parseExpiryDate,
+    normalizeExpiryDate,
+    getExpiryStatus,
+    formatExpiryMonth
+};
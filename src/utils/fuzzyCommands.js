@@ -93,6 +93,13 @@ const contextCommands = [
         keywords: ['click', 'capture', 'take', 'shoot', 'snap'],
         hindiKeywords: ['क्लिक', 'खींचो', 'लो', 'ले लो', 'खिंचो'],
         marathiKeywords: ['क्लिक', 'घ्या', 'काढा']
+    },
+    {
+        action: 'SUMMARY',
+        routes: ['/adherence'],
+        keywords: ['summary', 'report', 'how am i doing', 'tell me'],
+        hindiKeywords: ['सारांश', 'रिपोर्ट', 'बताओ', 'कैसा चल रहा'],
+        marathiKeywords: ['सारांश', 'अहवाल', 'सांगा']
     }
 ];
 
@@ -0,0 +1,114 @@
+/**
+ * IndexedDB Utilities
+ * Small promise wrapper around the app's local database.
+ * Add new object stores to STORES and bump DB_VERSION.
+ */
+
+const DB_NAME = 'saarthirx';
+const DB_VERSION = 2;
+
+/**
+ * Object stores and their options
+ */
+const STORES = {
+    outbox: { keyPath: 'id' },
+    outboxFailed: { keyPath: 'id' }
+};
+
+let dbPromise = null;
+
+/**
+ * Check if IndexedDB is available (private mode in some browsers blocks it)
+ * @returns {boolean}
+ */
+export const isIndexedDBSupported = () => {
+    return typeof indexedDB !== 'undefined';
+};
+
+/**
+ * Open (and upgrade if needed) the app database
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = () => {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const database = request.result;
+            Object.entries(STORES).forEach(([name, options]) => {
+                if (!database.objectStoreNames.contains(name)) {
+                    database.createObjectStore(name, options);
+                }
+            });
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+};
+
+/**
+ * Run a single request against a store
+ * @param {string} storeName - Object store name
+ * @param {string} mode - 'readonly' | 'readwrite'
+ * @param {function} makeRequest - Receives the store, returns an IDBRequest
+ * @returns {Promise<any>} Request result (after the transaction commits for writes)
+ */
+const runRequest = async (storeName, mode, makeRequest) => {
+    const database = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(storeName, mode);
+        const request = makeRequest(tx.objectStore(storeName));
+
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+};
+
+/**
+ * Get one record by key
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @returns {Promise<object|undefined>}
+ */
+export const idbGet = (storeName, key) => {
+    return runRequest(storeName, 'readonly', (store) => store.get(key));
+};
+
+/**
+ * Get every record in a store
+ * @param {string} storeName - Object store name
+ * @returns {Promise<Array>}
+ */
+export const idbGetAll = (storeName) => {
+    return runRequest(storeName, 'readonly', (store) => store.getAll());
+};
+
+/**
+ * Insert or replace a record
+ * @param {string} storeName - Object store name
+ * @param {object} value - Record (must contain the store's keyPath)
+ * @returns {Promise<string>} Record key
+ */
+export const idbPut = (storeName, value) => {
+    return runRequest(storeName, 'readwrite', (store) => store.put(value));
+};
+
+/**
+ * Delete a record by key
+ * @param {string} storeName - Object store name
+ * @param {string} key - Record key
+ * @returns {Promise<void>}
+ */
+export const idbDelete = (storeName, key) => {
+    return runRequest(storeName, 'readwrite', (store) => store.delete(key));
+};
@@ -124,6 +124,49 @@ export const clearImageData = (imageData) => {
     console.log('🔒 Image data cleared from memory');
 };
 
+/**
+ * Cut one region out of a compressed photo (for showing a single
+ * prescription line to the user)
+ * @param {object} imageData - { base64, mimeType }
+ * @param {number[]} box - [ymin, xmin, ymax, xmax] on a 0-1000 scale
+ * @param {number} padding - Extra margin around the box, as a fraction of the photo (default 0.03)
+ * @returns {Promise<string|null>} JPEG data URL, or null when the box or photo is unusable
+ */
+export const cropImageRegion = (imageData, box, padding = 0.03) => {
+    if (!imageData?.base64 || !Array.isArray(box) || box.length !== 4) {
+        return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+        const img = new Image();
+
+        img.onload = () => {
+            const clamp = (value) => Math.min(1, Math.max(0, value));
+            const [ymin, xmin, ymax, xmax] = box.map(value => value / 1000);
+            const left = clamp(Math.min(xmin, xmax) - padding) * img.width;
+            const top = clamp(Math.min(ymin, ymax) - padding) * img.height;
+            const width = clamp(Math.max(xmin, xmax) + padding) * img.width - left;
+            const height = clamp(Math.max(ymin, ymax) + padding) * img.height - top;
+
+            if (width < 1 || height < 1) {
+                resolve(null);
+                return;
+            }
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(width);
+            canvas.height = Math.round(height);
+            canvas.getContext('2d').drawImage(img, left, top, width, height, 0, 0, canvas.width, canvas.height);
+            resolve(canvas.toDataURL('image/jpeg', 0.85));
+        };
+
+        // A missing crop only hides the picture - the question can still be asked
+        img.onerror = () => resolve(null);
+
+        img.src = `data:${imageData.mimeType || 'image/jpeg'};base64,${imageData.base64}`;
+    });
+};
+
 /**
  * Validate image file
  * @param {File} file - Image file
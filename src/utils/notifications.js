@@ -4,6 +4,8 @@
  * For elderly-friendly medication reminders without backend
  */
 
+import { getMedicines } from '../services/medicineRepository';
+
 /**
  * Request notification permission gracefully
  * @returns {Promise<boolean>} Whether permission was granted
@@ -127,8 +129,10 @@ export const scheduleReminderNotification = (medicineName, delayMs, language = '
  * Trigger "missed dose" notification after timeout
  * Deep-links to ReminderAlert page on click (same tab)
  * @param {object} medicine - Medicine object with name, visualDescription, visualColor, id
+ *                            (and reminderId to open that reminder's alert)
  * @param {string} language - Language code
- * @param {string} scheduledTime - ISO timestamp of when reminder was scheduled (for stale detection)
+ * @param {string} scheduledTime - ISO timestamp of when reminder was scheduled. When given,
+ *                                 the dose is reported as missed and the alert asks take or skip
  */
 export const triggerMissedDoseNotification = (medicine, language = 'en-US', scheduledTime = null) => {
     // Handle both string (name only) and object (full medicine)
@@ -137,6 +141,7 @@ export const triggerMissedDoseNotification = (medicine, language = 'en-US', sche
         ? (medicine.visualDescription || `${medicine.visualColor || 'blue'} tablet`)
         : 'your medicine';
     const medicineId = typeof medicine === 'object' ? medicine.id : null;
+    const reminderId = typeof medicine === 'object' ? medicine.reminderId : null;
 
     const titles = {
         'en-US': '💊 Medicine Time!',
@@ -150,17 +155,36 @@ export const triggerMissedDoseNotification = (medicine, language = 'en-US', sche
         'mr-IN': `${medicineName} (${visualDesc}) घेण्याची वेळ. टॅप करा.`
     };
 
+    const doseTime = scheduledTime
+        ? new Date(scheduledTime).toLocaleTimeString(language, { hour: 'numeric', minute: '2-digit' })
+        : '';
+    const missedTitles = {
+        'en-US': '⚠️ Missed dose',
+        'hi-IN': '⚠️ खुराक छूट गई',
+        'mr-IN': '⚠️ डोस चुकला'
+    };
+    const missedBodies = {
+        'en-US': `You missed your ${doseTime} dose of ${medicineName}. Take it now or skip?`,
+        'hi-IN': `आपकी ${doseTime} की ${medicineName} की खुराक छूट गई। अभी लें या छोड़ दें?`,
+        'mr-IN': `तुमचा ${doseTime} चा ${medicineName} चा डोस चुकला. आता घ्यायचा की वगळायचा?`
+    };
+
     return triggerBrowserNotification(
-        titles[language] || titles['en-US'],
-        bodies[language] || bodies['en-US'],
+        scheduledTime ? missedTitles[language] || missedTitles['en-US'] : titles[language] || titles['en-US'],
+        scheduledTime ? missedBodies[language] || missedBodies['en-US'] : bodies[language] || bodies['en-US'],
         { 
             tag: `alarm-${medicineName}`,
             requireInteraction: true,
             onClick: () => {
                 // Navigate to ReminderAlert page in the same tab (not a new tab)
-                const alertUrl = medicineId 
-                    ? `/reminder/alert/${medicineId}${scheduledTime ? `?scheduled=${encodeURIComponent(scheduledTime)}` : ''}`
-                    : '/reminder/alert';
+                const params = new URLSearchParams();
+                if (medicineId && !reminderId) params.set('medicine', medicineId);
+                if (scheduledTime) {
+                    params.set('scheduled', scheduledTime);
+                    params.set('missed', '1');
+                }
+                const query = params.toString();
+                const alertUrl = `/reminder/alert${reminderId ? `/${reminderId}` : ''}${query ? `?${query}` : ''}`;
                 
                 // Focus the existing window/tab and navigate
                 window.focus();
@@ -189,8 +213,8 @@ export const testNotification = async () => {
         return;
     }
     
-    // Get first medicine from localStorage or use demo
-    const medicines = JSON.parse(localStorage.getItem('saarthi_medicines') || '[]');
+    // Get first saved medicine or use demo
+    const medicines = getMedicines();
     const testMedicine = medicines[0] || {
         id: 'test-1',
         name: 'Paracetamol',
@@ -188,6 +188,77 @@ export const parseSpokenNumber = (text, language = 'en-US') => {
     return result;
 };
 
+// Words that join a spoken decimal ("zero point five" → "0.5")
+const POINT_WORDS = ['point', 'पॉइंट', 'पॉईंट', 'दशमलव'];
+
+/**
+ * Join one run of spoken number values into digits the way strengths are read
+ * out: "six fifty" → "650", "six hundred fifty" → "650", "twenty five" → "25"
+ */
+const spokenRunToDigits = (values) => {
+    const groups = [];
+
+    for (const value of values) {
+        const last = groups.length > 0 && groups[groups.length - 1] !== '.'
+            ? Number(groups[groups.length - 1])
+            : null;
+
+        if (value === '.') {
+            groups.push('.');
+        } else if (value === 100 && last > 0 && last < 10) {
+            // "six hundred"
+            groups[groups.length - 1] = String(last * 100);
+        } else if (last !== null && ((last >= 100 && last % 100 === 0 && value < 100)
+            || (last >= 20 && last % 10 === 0 && value < 10))) {
+            // "six hundred fifty", "twenty five"
+            groups[groups.length - 1] = String(last + value);
+        } else {
+            groups.push(String(value));
+        }
+    }
+
+    return groups.join('').replace(/\.$/, '').replace(/^\./, '0.');
+};
+
+/**
+ * Replace spoken numbers inside free text with digits, keeping every other word.
+ * Used for spoken medicine names: "pan forty" → "pan 40", "dolo six fifty" →
+ * "dolo 650", "पैन चालीस" → "पैन 40", "alprax zero point two five" → "alprax 0.25"
+ * @param {string} text - Transcript
+ * @returns {string} Text with number words turned into digits
+ */
+export const replaceNumberWords = (text) => {
+    if (!text) return '';
+
+    const numberDict = {
+        ...ENGLISH_NUMBERS,
+        ...TRANSLITERATED_ENGLISH,
+        ...HINDI_NUMBERS,
+        ...MARATHI_NUMBERS
+    };
+    const output = [];
+    let run = [];
+    const flush = () => {
+        if (run.length > 0) output.push(spokenRunToDigits(run));
+        run = [];
+    };
+
+    for (const word of text.trim().split(/\s+/)) {
+        const lower = word.toLowerCase();
+        if (numberDict[lower] !== undefined) {
+            run.push(numberDict[lower]);
+        } else if (POINT_WORDS.includes(lower) && run.length > 0) {
+            run.push('.');
+        } else {
+            flush();
+            output.push(word);
+        }
+    }
+    flush();
+
+    return output.join(' ');
+};
+
 /**
  * Parse age from spoken text
  * Supports two-digit spoken format like "six five" meaning 65
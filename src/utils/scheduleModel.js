@@ -0,0 +1,467 @@
+/**
+ * Schedule Model
+ * Describes when a reminder rings, beyond "this time on these weekdays".
+ *
+ * A reminder keeps its `time` (HH:MM) and `repeatDays`, plus an optional
+ * `schedule` object:
+ *   { type: 'daily' }                                  - time on repeatDays (default)
+ *   { type: 'weekly', days: ['Sun'] }                  - same as daily, fewer days
+ *   { type: 'interval', everyHours: 8 }                - every N hours from `time`
+ *   { type: 'alternate', everyDays: 2 }                - every Nth day at `time`
+ *   { type: 'prn', minIntervalHours, maxPerDay }       - SOS / as needed, never rings
+ *   { type: 'taper', steps: [{ dose: 3, days: 3 }, …] } - dose drops step by step
+ *
+ * Interval, alternate and taper schedules count from `anchorDate`
+ * (falls back to the reminder's startDate / createdAt).
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ALL_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const SCHEDULE_TYPES = {
+    DAILY: 'daily',
+    WEEKLY: 'weekly',
+    INTERVAL: 'interval',
+    ALTERNATE: 'alternate',
+    PRN: 'prn',
+    TAPER: 'taper'
+};
+
+/**
+ * Starting point offered when a taper is entered by hand: 3 tablets, then 2,
+ * then 1 (3 days each). Never filled in for a taper whose steps were not written.
+ */
+export const DEFAULT_TAPER_STEPS = [
+    { dose: 3, days: 3 },
+    { dose: 2, days: 3 },
+    { dose: 1, days: 3 }
+];
+
+// ═══════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════
+
+const startOfDay = (value) => {
+    const day = new Date(value);
+    day.setHours(0, 0, 0, 0);
+    return day;
+};
+
+const parseTime = (time) => {
+    const [hours, minutes] = (time || '08:00').split(':').map(Number);
+    return { hours: hours || 0, minutes: minutes || 0 };
+};
+
+const atTime = (day, time) => {
+    const { hours, minutes } = parseTime(time);
+    const date = new Date(day);
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+};
+
+/**
+ * Whole days between two dates (calendar days, DST-safe)
+ */
+const daysBetween = (from, to) => {
+    return Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+};
+
+/**
+ * Fill in defaults so callers never deal with partial schedules
+ * @param {Object} schedule - Possibly missing or partial schedule
+ * @returns {Object} Normalized schedule
+ */
+export const normalizeSchedule = (schedule) => {
+    const type = Object.values(SCHEDULE_TYPES).includes(schedule?.type)
+        ? schedule.type
+        : SCHEDULE_TYPES.DAILY;
+
+    switch (type) {
+        case SCHEDULE_TYPES.INTERVAL:
+            return { ...schedule, type, everyHours: Math.max(1, Number(schedule.everyHours) || 8) };
+        case SCHEDULE_TYPES.ALTERNATE:
+            return { ...schedule, type, everyDays: Math.max(2, Number(schedule.everyDays) || 2) };
+        case SCHEDULE_TYPES.TAPER: {
+            const steps = (schedule.steps || [])
+                .map(step => ({ dose: Number(step.dose) || 0, days: Number(step.days) || 0 }))
+                .filter(step => step.dose > 0 && step.days > 0);
+            // No steps means no doses - never doses the doctor did not write
+            return { ...schedule, type, steps };
+        }
+        default:
+            return { ...schedule, type };
+    }
+};
+
+/**
+ * Day the schedule counts from
+ */
+const getAnchor = (reminder, schedule) => {
+    return startOfDay(schedule.anchorDate || reminder.startDate || reminder.createdAt || Date.now());
+};
+
+/**
+ * Total length of a taper in days
+ * @param {Object} schedule - Taper schedule
+ * @returns {number}
+ */
+export const getTaperLength = (schedule) => {
+    return normalizeSchedule(schedule).steps.reduce((sum, step) => sum + step.days, 0);
+};
+
+/**
+ * Dose amount on a given day of a taper (0 once the taper is over)
+ */
+const getTaperDose = (steps, dayIndex) => {
+    let remaining = dayIndex;
+    for (const step of steps) {
+        if (remaining < step.days) return step.dose;
+        remaining -= step.days;
+    }
+    return 0;
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// EXPANSION
+// ═══════════════════════════════════════════════════════════════════════
+
+/**
+ * Every dose a reminder asks for on one calendar day.
+ * Ignores `enabled` and the course window - callers check those.
+ * @param {Object} reminder - Reminder with time, repeatDays and optional schedule
+ * @param {Date} day - Any time on the day to expand
+ * @returns {Array<{ at: Date, doseAmount: number|null }>}
+ */
+export const getDoseTimesOn = (reminder, day) => {
+    const schedule = normalizeSchedule(reminder.schedule);
+    const dayStart = startOfDay(day);
+
+    switch (schedule.type) {
+        case SCHEDULE_TYPES.PRN:
+            return [];
+
+        case SCHEDULE_TYPES.INTERVAL: {
+            // Doses run continuously from the anchor, so "every 5 hours" drifts across days
+            const first = atTime(getAnchor(reminder, schedule), reminder.time);
+            const stepMs = schedule.everyHours * HOUR_MS;
+            const dayEnd = new Date(dayStart.getTime() + DAY_MS);
+            const doses = [];
+
+            let k = Math.max(0, Math.ceil((dayStart - first) / stepMs));
+            for (let at = first.getTime() + k * stepMs; at < dayEnd.getTime(); at = first.getTime() + (++k) * stepMs) {
+                doses.push({ at: new Date(at), doseAmount: null });
+            }
+            return doses;
+        }
+
+        case SCHEDULE_TYPES.ALTERNATE: {
+            const offset = daysBetween(getAnchor(reminder, schedule), dayStart);
+            if (offset < 0 || offset % schedule.everyDays !== 0) return [];
+            return [{ at: atTime(dayStart, reminder.time), doseAmount: null }];
+        }
+
+        case SCHEDULE_TYPES.TAPER: {
+            const offset = daysBetween(getAnchor(reminder, schedule), dayStart);
+            const dose = offset < 0 ? 0 : getTaperDose(schedule.steps, offset);
+            if (dose === 0) return [];
+            return [{ at: atTime(dayStart, reminder.time), doseAmount: dose }];
+        }
+
+        default: {
+            // daily / weekly
+            const days = reminder.repeatDays || schedule.days || ALL_DAYS;
+            if (!days.includes(DAY_NAMES[dayStart.getDay()])) return [];
+            return [{ at: atTime(dayStart, reminder.time), doseAmount: null }];
+        }
+    }
+};
+
+/**
+ * The moment after which a schedule has no more doses (tapers only)
+ * @param {Object} reminder - Reminder object
+ * @returns {Date|null}
+ */
+export const getScheduleEnd = (reminder) => {
+    const schedule = normalizeSchedule(reminder.schedule);
+    if (schedule.type !== SCHEDULE_TYPES.TAPER) return null;
+    return new Date(getAnchor(reminder, schedule).getTime() + getTaperLength(schedule) * DAY_MS);
+};
+
+/**
+ * Doses per day, for display and summaries
+ * @param {Object} schedule - Schedule object
+ * @returns {number|null} null for as-needed
+ */
+export const getDosesPerDay = (schedule) => {
+    const normalized = normalizeSchedule(schedule);
+    if (normalized.type === SCHEDULE_TYPES.PRN) return null;
+    if (normalized.type === SCHEDULE_TYPES.INTERVAL) return Math.max(1, Math.floor(24 / normalized.everyHours));
+    return 1;
+};
+
+/**
+ * Tablets a medicine record uses on one day (every time slot, taper dose
+ * amounts included). Ignores the course window - callers check that.
+ * @param {Object} medicine - Medicine record (timing, reminderTimes, schedule, startDate)
+ * @param {Date} day - Any time on the day
+ * @returns {number}
+ */
+export const getUnitsOnDay = (medicine, day) => {
+    const schedule = normalizeSchedule(medicine.schedule);
+    const doses = getDoseTimesOn({
+        time: medicine.reminderTimes?.[0] || '08:00',
+        repeatDays: schedule.days || ALL_DAYS,
+        schedule: medicine.schedule,
+        startDate: medicine.startDate,
+        createdAt: medicine.createdAt
+    }, day);
+
+    // An interval schedule already expands to every dose of the day
+    const slots = schedule.type === SCHEDULE_TYPES.INTERVAL
+        ? 1
+        : (medicine.timing?.length || medicine.timesPerDay || 1);
+
+    return doses.reduce((sum, dose) => sum + (dose.doseAmount || 1) * slots, 0);
+};
+
+/**
+ * Tablets needed for a number of days starting on `from`
+ * @param {Object} medicine - Medicine record
+ * @param {number} days - Number of days
+ * @param {Date} from - First day
+ * @returns {number}
+ */
+export const getUnitsForDays = (medicine, days, from = new Date()) => {
+    let total = 0;
+    for (let i = 0; i < days; i++) {
+        const day = startOfDay(from);
+        day.setDate(day.getDate() + i);
+        total += getUnitsOnDay(medicine, day);
+    }
+    return total;
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// PARSING (prescription / voice frequency text)
+// ═══════════════════════════════════════════════════════════════════════
+
+// "for 2 weeks", "x 1 week" - how long the course runs, not how often
+const COURSE_LENGTH = /(?:for|x|×)\s*\d+\s*(?:weeks?|wks?|हफ्ते|हफ़्ते|आठवडे)/g;
+
+// "once a week", "twice weekly", "3 times per week", "हफ्ते में दो बार", "आठवड्यातून एकदा"
+const TIMES_PER_WEEK = [
+    [/\b(once|one time|1\s*(?:times?|x))\s*(?:a|per|in a|every|\/)?\s*(?:week|wk)(?:ly)?\b|हफ्ते में एक बार|हफ़्ते में एक बार|आठवड्यातून एकदा/, 1],
+    [/\b(twice|two times|2\s*(?:times?|x))\s*(?:a|per|in a|every|\/)?\s*(?:week|wk)(?:ly)?\b|हफ्ते में दो बार|हफ़्ते में दो बार|आठवड्यातून दोनदा/, 2],
+    [/\b(thrice|three times|3\s*(?:times?|x))\s*(?:a|per|in a|every|\/)?\s*(?:week|wk)(?:ly)?\b|हफ्ते में तीन बार|हफ़्ते में तीन बार|आठवड्यातून तीनदा/, 3]
+];
+
+const WEEKDAY_WORDS = {
+    Sun: ['sunday', 'sun', 'रविवार', 'इतवार'],
+    Mon: ['monday', 'mon', 'सोमवार'],
+    Tue: ['tuesday', 'tue', 'मंगलवार', 'मंगळवार'],
+    Wed: ['wednesday', 'wed', 'बुधवार'],
+    Thu: ['thursday', 'thu', 'गुरुवार'],
+    Fri: ['friday', 'fri', 'शुक्रवार'],
+    Sat: ['saturday', 'sat', 'शनिवार']
+};
+
+/**
+ * Safety limits written next to an SOS instruction:
+ * "6 hours apart", "min gap 4 hrs", "max 3 a day", "not more than 4 in 24 hours"
+ * @param {string} text - Lower-cased frequency text
+ * @returns {Object} { minIntervalHours?, maxPerDay? } (only what was found)
+ */
+const parsePrnLimits = (text) => {
+    const limits = {};
+
+    const gapMatch = text.match(/(\d+)\s*(?:hours?|hrs?|h|घंटे|तास)\s*(?:apart|gap|interval|के अंतर|अंतराने)/)
+        || text.match(/(?:gap|interval|at least|atleast|min(?:imum)?)\s*(?:of\s*)?(\d+)\s*(?:hours?|hrs?|h)(?![a-z])/)
+        || text.match(/\bq\s*(\d+)\s*h\b/)
+        || text.match(/(?:every|हर|दर)\s*(\d+)\s*(?:hours?|hrs?|h|घंटे|तास)(?![a-z])/);
+    if (gapMatch) limits.minIntervalHours = Number(gapMatch[1]);
+
+    const maxMatch = text.match(/(?:max(?:imum)?|not more than|upto|up to|no more than)\s*(\d+)/)
+        || text.match(/(\d+)\s*(?:times?|tabs?|tablets?|doses?)?\s*(?:\/|per|a|in)\s*(?:day|24\s*(?:hours?|hrs?|h))\b/)
+        || text.match(/(?:दिन में|दिवसातून)\s*(\d+)/);
+    if (maxMatch) limits.maxPerDay = Number(maxMatch[1]);
+
+    return limits;
+};
+
+/**
+ * Recognise schedules that do not fit the fixed morning/afternoon/evening/night
+ * slots. Returns null for ordinary slot-based frequencies (OD, BD, 1-0-1, …),
+ * which the caller maps to slots as before.
+ * @param {string} frequency - Frequency as written, e.g. "Q8H", "alternate days",
+ *                             "once a week on Sunday", "SOS", "taper 3-2-1 x 3 days"
+ * @returns {Object|null} Schedule object
+ */
+export const parseScheduleFromFrequency = (frequency) => {
+    if (!frequency) return null;
+    const text = frequency.toString().toLowerCase().trim();
+
+    // SOS / PRN / as needed
+    if (/\b(sos|prn|as needed|as required|when needed|if needed)\b|ज़रूरत पड़ने पर|जरूरत पड़ने पर|गरज असल्यास/.test(text)) {
+        return { type: SCHEDULE_TYPES.PRN, ...parsePrnLimits(text) };
+    }
+
+    // Tapering: "taper 3-2-1", "3 tab x 3 days, 2 tab x 3 days, 1 tab x 3 days".
+    // A step is a standalone tablet count - never the tail of a pattern like
+    // "1-0-1 for 5 days" - with a unit, or any count once "taper" is written.
+    const isTaperText = /taper/.test(text);
+    const taperSteps = [...text.matchAll(/(?<!-\s*)(?<!\d)(\d+)\s*(tabs?|tablets?|गोली|गोळ्या)?\s*(?:x|×|for)\s*(\d+)\s*(?:days?|दिन|दिवस)/g)]
+        .filter(m => m[2] || isTaperText)
+        .map(m => ({ dose: Number(m[1]), days: Number(m[3]) }));
+    if (taperSteps.length >= 2) {
+        return normalizeSchedule({ type: SCHEDULE_TYPES.TAPER, steps: taperSteps });
+    }
+    if (isTaperText) {
+        // "taper over 2 weeks" names no doses - leave it for the user to fill in
+        const sequence = text.match(/\d+(?:\s*-\s*\d+)+/);
+        if (!sequence) return null;
+        const daysEach = text.match(/(\d+)\s*days?\s*each/) || text.match(/(?:x|×|for)\s*(\d+)\s*days?/);
+        const stepDays = daysEach ? Number(daysEach[1]) : 3;
+        const steps = sequence[0].split('-').map(n => ({ dose: Number(n.trim()), days: stepDays }));
+        return normalizeSchedule({ type: SCHEDULE_TYPES.TAPER, steps });
+    }
+
+    // Every N hours: "every 8 hours", "Q8H", "8 hourly"
+    const hoursMatch = text.match(/(?:every|each|हर)\s*(\d+)\s*(?:hours?|hrs?|h|घंटे|तास)(?![a-z])/)
+        || text.match(/\bq\s*(\d+)\s*h\b/)
+        || text.match(/\b(\d+)\s*(?:hourly|hrly)\b/);
+    if (hoursMatch) {
+        return normalizeSchedule({ type: SCHEDULE_TYPES.INTERVAL, everyHours: Number(hoursMatch[1]) });
+    }
+
+    // Alternate days / every N days
+    if (/alternate|every other day|\bevery 2nd day|\bqod\b|एक दिन छोड़कर|दिवसाआड/.test(text)) {
+        return { type: SCHEDULE_TYPES.ALTERNATE, everyDays: 2 };
+    }
+    const daysMatch = text.match(/every\s*(\d+)\s*(?:st|nd|rd|th)?\s*days?/);
+    if (daysMatch && Number(daysMatch[1]) >= 2) {
+        return { type: SCHEDULE_TYPES.ALTERNATE, everyDays: Number(daysMatch[1]) };
+    }
+
+    // Weekly: "once a week on Sunday", "twice a week", "weekly", "every Monday".
+    // "for 2 weeks" is a course length and leaves a daily medicine daily.
+    const scheduleText = text.replace(COURSE_LENGTH, ' ');
+    const namedDays = Object.entries(WEEKDAY_WORDS)
+        .filter(([, words]) => words.some(word => new RegExp(`(^|[^a-z])${word}([^a-z]|$)`).test(scheduleText)))
+        .map(([day]) => day);
+    const timesMatch = TIMES_PER_WEEK.find(([pattern]) => pattern.test(scheduleText));
+    const isWeekly = !!timesMatch || /\bweekly\b|\bper week\b|साप्ताहिक/.test(scheduleText);
+    if (isWeekly || (namedDays.length > 0 && /\b(every|each|on)\b|हर|दर/.test(scheduleText))) {
+        const timesPerWeek = timesMatch ? timesMatch[1] : 1;
+        // No days written: spread the doses over the week, starting Sunday
+        const spreadDays = Array.from({ length: timesPerWeek }, (_, i) => ALL_DAYS[Math.floor((i * 7) / timesPerWeek)]);
+        return { type: SCHEDULE_TYPES.WEEKLY, days: namedDays.length > 0 ? namedDays : spreadDays };
+    }
+
+    return null;
+};
+
+/**
+ * Reminder fields (time + repeatDays + schedule) for a schedule
+ * @param {Object} schedule - Schedule object (or null for daily)
+ * @param {string} time - Time of day (start time for intervals)
+ * @returns {Object} { time, repeatDays, schedule }
+ */
+export const toReminderFields = (schedule, time) => {
+    const normalized = normalizeSchedule(schedule);
+    return {
+        time,
+        repeatDays: normalized.type === SCHEDULE_TYPES.WEEKLY ? (normalized.days || ['Sun']) : ALL_DAYS,
+        schedule: normalized.type === SCHEDULE_TYPES.DAILY ? null : normalized
+    };
+};
+
+/**
+ * Default first dose time for an interval schedule
+ * (early enough that doses do not land in the middle of the night)
+ * @param {number} everyHours - Hours between doses
+ * @returns {string} HH:MM
+ */
+export const getIntervalStartTime = (everyHours) => {
+    return everyHours >= 12 ? '08:00' : '06:00';
+};
+
+// ═══════════════════════════════════════════════════════════════════════
+// DISPLAY
+// ═══════════════════════════════════════════════════════════════════════
+
+const DESCRIPTIONS = {
+    'en-US': {
+        interval: 'Every {n} hours',
+        alternate: 'Every {n} days',
+        alternate2: 'Alternate days',
+        weekly: 'Weekly',
+        prn: 'As needed (SOS)',
+        taper: 'Tapering {steps}',
+        taperNoSteps: 'Tapering - steps not set, check with your doctor'
+    },
+    'hi-IN': {
+        interval: 'हर {n} घंटे',
+        alternate: 'हर {n} दिन',
+        alternate2: 'एक दिन छोड़कर',
+        weekly: 'साप्ताहिक',
+        prn: 'ज़रूरत पड़ने पर (SOS)',
+        taper: 'घटती खुराक {steps}',
+        taperNoSteps: 'घटती खुराक - चरण तय नहीं, अपने डॉक्टर से पूछें'
+    },
+    'mr-IN': {
+        interval: 'दर {n} तासांनी',
+        alternate: 'दर {n} दिवसांनी',
+        alternate2: 'दिवसाआड',
+        weekly: 'साप्ताहिक',
+        prn: 'गरज असल्यास (SOS)',
+        taper: 'कमी होणारा डोस {steps}',
+        taperNoSteps: 'कमी होणारा डोस - टप्पे ठरलेले नाहीत, डॉक्टरांना विचारा'
+    }
+};
+
+/**
+ * Short label for a schedule, or null for plain daily schedules
+ * @param {Object} schedule - Schedule object
+ * @param {string} language - Language code
+ * @returns {string|null}
+ */
+export const describeSchedule = (schedule, language = 'en-US') => {
+    if (!schedule) return null;
+    const normalized = normalizeSchedule(schedule);
+    const t = DESCRIPTIONS[language] || DESCRIPTIONS['en-US'];
+
+    switch (normalized.type) {
+        case SCHEDULE_TYPES.INTERVAL:
+            return t.interval.replace('{n}', normalized.everyHours);
+        case SCHEDULE_TYPES.ALTERNATE:
+            return normalized.everyDays === 2 ? t.alternate2 : t.alternate.replace('{n}', normalized.everyDays);
+        case SCHEDULE_TYPES.WEEKLY:
+            return t.weekly;
+        case SCHEDULE_TYPES.PRN:
+            return t.prn;
+        case SCHEDULE_TYPES.TAPER:
+            return normalized.steps.length > 0
+                ? t.taper.replace('{steps}', normalized.steps.map(step => step.dose).join('-'))
+                : t.taperNoSteps;
+        default:
+            return null;
+    }
+};
+
+export default {
+    SCHEDULE_TYPES,
+    DEFAULT_TAPER_STEPS,
+    normalizeSchedule,
+    getDoseTimesOn,
+    getScheduleEnd,
+    getTaperLength,
+    getDosesPerDay,
+    getUnitsOnDay,
+    getUnitsForDays,
+    parseScheduleFromFrequency,
+    toReminderFields,
+    getIntervalStartTime,
+    describeSchedule
+};
@@ -0,0 +1,342 @@
+/**
+ * Schema Validator
+ * Turns what a language model actually sends back into the shape the app
+ * expects. Models wrap JSON in prose, leave trailing commas, answer "5 days"
+ * where a number was asked for and get cut off mid-object; this module repairs
+ * the text, coerces each field to its declared type and reports anything it
+ * had to throw away.
+ *
+ * A schema is a plain object:
+ *   { type: 'object', fields: { name: { type: 'string', required: true } } }
+ * Field options: type ('string' | 'number' | 'integer' | 'boolean' | 'enum' |
+ * 'array' | 'object'), required, default, min, max, minLength, maxLength,
+ * values (enum), items (array), fields (object), percent (0-1 → 0-100),
+ * fraction (0-100 → 0-1).
+ */
+
+import { replaceNumberWords } from './numberParser';
+
+// Values that mean "nothing here" when a model writes them as text
+const EMPTY_STRINGS = new Set(['', 'null', 'none', 'n/a', 'na', 'nil', 'unknown', 'undefined', '-']);
+
+const TRUE_STRINGS = new Set(['true', 'yes', 'y', '1', 'haan', 'ha']);
+const FALSE_STRINGS = new Set(['false', 'no', 'n', '0', 'nahi']);
+
+// Python-style literals some models fall back to
+const BARE_WORDS = {
+    true: 'true', false: 'false', null: 'null',
+    True: 'true', False: 'false', None: 'null',
+    undefined: 'null', NaN: 'null'
+};
+
+const SMART_QUOTES = { '“': '"', '”': '"', '„': '"', '‘': "'", '’': "'" };
+
+// ═══════════════════════════════════════════════════════════════════════════
+// JSON REPAIR
+// ═══════════════════════════════════════════════════════════════════════════
+
+const stripTrailingComma = (text) => text.replace(/,\s*$/, '');
+
+// A key whose value never arrived: `, "dosage":` or `{"dosage"`
+const stripDanglingKey = (text) => text.replace(/([{,])\s*"(?:[^"\\]|\\.)*"\s*:?\s*$/, '$1');
+
+/**
+ * Rewrite near-JSON into JSON. Works character by character so text inside
+ * strings is never touched: single quotes, unquoted keys, Python literals,
+ * trailing commas, raw newlines in strings, smart quotes and prose around the
+ * object are all fixed. Output cut off mid-array loses only the unfinished
+ * element.
+ * @param {string} text - Raw model output
+ * @returns {{ text: string, repairs: string[] }} Repaired text and what was fixed
+ */
+export const repairJson = (text) => {
+    const repairs = [];
+    const source = (text || '')
+        .replace(/^\uFEFF/, '')
+        .replace(/```(?:json)?/gi, '')
+        .replace(/[“”„‘’]/g, quote => SMART_QUOTES[quote]);
+
+    const start = source.search(/[{[]/);
+    if (start < 0) return { text: '', repairs: ['no-json'] };
+    if (source.slice(0, start).trim()) repairs.push('leading-text');
+
+    let out = '';
+    const stack = [];
+    let quote = null;
+    // Last point where every array element so far was complete
+    let safeCut = null;
+    let i = start;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (quote) {
+            if (char === '\\') {
+                out += char + (source[i + 1] ?? '');
+                i += 2;
+                continue;
+            }
+            if (char === quote) {
+                out += '"';
+                quote = null;
+            } else if (char === '"') {
+                out += '\\"';
+            } else if (char === '\n' || char === '\r') {
+                out += '\\n';
+                if (!repairs.includes('newline-in-string')) repairs.push('newline-in-string');
+            } else {
+                out += char;
+            }
+            i++;
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            if (char === "'" && !repairs.includes('single-quotes')) repairs.push('single-quotes');
+            quote = char;
+            out += '"';
+            i++;
+            continue;
+        }
+
+        if (char === '{' || char === '[') {
+            stack.push(char === '{' ? '}' : ']');
+            out += char;
+            i++;
+            continue;
+        }
+
+        if (char === '}' || char === ']') {
+            const trimmed = stripTrailingComma(out);
+            if (trimmed !== out && !repairs.includes('trailing-comma')) repairs.push('trailing-comma');
+            out = trimmed + stack.pop();
+            i++;
+            if (stack.length === 0) break;
+            if (stack[stack.length - 1] === ']') safeCut = { length: out.length, stack: [...stack] };
+            continue;
+        }
+
+        if (/[A-Za-z_$]/.test(char)) {
+            const word = source.slice(i).match(/^[A-Za-z_$][\w$]*/)[0];
+            const isKey = /^\s*:/.test(source.slice(i + word.length));
+            if (isKey) {
+                out += `"${word}"`;
+                if (!repairs.includes('unquoted-keys')) repairs.push('unquoted-keys');
+            } else if (BARE_WORDS[word]) {
+                out += BARE_WORDS[word];
+                if (word !== BARE_WORDS[word] && !repairs.includes('literals')) repairs.push('literals');
+            } else {
+                out += `"${word}"`;
+                if (!repairs.includes('bare-words')) repairs.push('bare-words');
+            }
+            i += word.length;
+            continue;
+        }
+
+        out += char;
+        i++;
+    }
+
+    if (quote || stack.length > 0) {
+        repairs.push('truncated');
+        let open = stack;
+        if (safeCut) {
+            // Drop the half-written element rather than guess its contents
+            out = safeCut.length < out.length ? out.slice(0, safeCut.length) : out;
+            open = safeCut.stack;
+        } else if (quote) {
+            out += '"';
+        }
+        out = stripTrailingComma(stripDanglingKey(stripTrailingComma(out)));
+        while (open.length > 0) {
+            out = stripTrailingComma(out) + open.pop();
+        }
+    } else if (source.slice(i).trim()) {
+        repairs.push('trailing-text');
+    }
+
+    return { text: out, repairs };
+};
+
+/**
+ * Parse a model response as JSON, repairing it when it does not parse as-is
+ * @param {string} text - Raw model output
+ * @returns {{ ok: boolean, data: any, repairs: string[], error: string|null }}
+ */
+export const parseJsonLenient = (text) => {
+    const trimmed = (text || '').trim();
+    try {
+        return { ok: true, data: JSON.parse(trimmed), repairs: [], error: null };
+    } catch {
+        // Fall through to repair
+    }
+
+    const { text: repaired, repairs } = repairJson(trimmed);
+    try {
+        return { ok: true, data: JSON.parse(repaired), repairs, error: null };
+    } catch (error) {
+        return { ok: false, data: null, repairs, error: error.message };
+    }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TYPE COERCION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const isEmpty = (value) => value === null || value === undefined
+    || (typeof value === 'string' && EMPTY_STRINGS.has(value.trim().toLowerCase()));
+
+// "5 days" → 5, "#30" → 30, "95%" → 95, "five days" → 5
+const toNumber = (value) => {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : undefined;
+    if (typeof value === 'boolean' || typeof value !== 'string') return undefined;
+    const match = replaceNumberWords(value.replace(/,(?=\d{3}\b)/g, '')).match(/-?\d+(?:\.\d+)?/);
+    return match ? parseFloat(match[0]) : undefined;
+};
+
+const toBoolean = (value) => {
+    if (typeof value === 'boolean') return value;
+    if (typeof value === 'number') return value !== 0;
+    if (typeof value !== 'string') return undefined;
+    const word = value.trim().toLowerCase();
+    if (TRUE_STRINGS.has(word)) return true;
+    if (FALSE_STRINGS.has(word)) return false;
+    return undefined;
+};
+
+const toText = (value) => {
+    if (typeof value === 'string') return value.trim();
+    if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+    return undefined;
+};
+
+// "morning, night" → ['morning', 'night']; a single value becomes a one-item list
+const toList = (value) => {
+    if (Array.isArray(value)) return value;
+    if (typeof value === 'string') return value.split(/\s*(?:,|;|\band\b)\s*/).filter(Boolean);
+    if (value !== null && typeof value === 'object') return undefined;
+    return [value];
+};
+
+const issue = (path, code, message) => ({ path: path || '(root)', code, message });
+
+const describe = (value) => JSON.stringify(value)?.slice(0, 40);
+
+// ═══════════════════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Returns { value, issues, fatal }. A fatal field makes its parent invalid.
+const validateNode = (raw, schema, path) => {
+    const issues = [];
+    const fallback = () => {
+        if (schema.required && schema.default === undefined) {
+            return { value: undefined, issues, fatal: true };
+        }
+        return { value: schema.default !== undefined ? schema.default : null, issues, fatal: false };
+    };
+
+    if (isEmpty(raw)) {
+        if (schema.required && schema.default === undefined) {
+            issues.push(issue(path, 'required', 'Missing required value'));
+        }
+        return fallback();
+    }
+
+    let value;
+    switch (schema.type) {
+        case 'number':
+        case 'integer': {
+            value = toNumber(raw);
+            if (value === undefined) break;
+            if (schema.percent && value > 0 && value <= 1) value *= 100;
+            if (schema.fraction && value > 1 && value <= 100) value /= 100;
+            if (schema.type === 'integer') value = Math.round(value);
+            if ((schema.min !== undefined && value < schema.min) || (schema.max !== undefined && value > schema.max)) {
+                issues.push(issue(path, 'range', `${value} is outside ${schema.min ?? '-∞'}–${schema.max ?? '∞'}`));
+                return fallback();
+            }
+            break;
+        }
+        case 'boolean':
+            value = toBoolean(raw);
+            break;
+        case 'string': {
+            value = toText(raw);
+            if (value === undefined) break;
+            if (schema.minLength && value.length < schema.minLength) {
+                issues.push(issue(path, 'range', `"${value}" is too short`));
+                return fallback();
+            }
+            if (schema.maxLength && value.length > schema.maxLength) {
+                issues.push(issue(path, 'range', `Text longer than ${schema.maxLength} characters`));
+                return fallback();
+            }
+            break;
+        }
+        case 'enum': {
+            const text = toText(raw)?.toLowerCase();
+            value = schema.values.find(option => option.toLowerCase() === text);
+            break;
+        }
+        case 'array': {
+            const list = toList(raw);
+            if (list === undefined) break;
+            value = [];
+            list.forEach((item, index) => {
+                const result = validateNode(item, schema.items, `${path}[${index}]`);
+                issues.push(...result.issues);
+                if (result.fatal) {
+                    issues.push(issue(`${path}[${index}]`, 'dropped', 'Item removed as invalid'));
+                } else if (result.value !== null) {
+                    value.push(result.value);
+                }
+            });
+            if (schema.minItems && value.length < schema.minItems) {
+                issues.push(issue(path, 'range', `Needs at least ${schema.minItems} item(s)`));
+                return fallback();
+            }
+            break;
+        }
+        case 'object': {
+            if (typeof raw !== 'object' || Array.isArray(raw)) break;
+            value = {};
+            let fatal = false;
+            Object.entries(schema.fields).forEach(([key, fieldSchema]) => {
+                const result = validateNode(raw[key], fieldSchema, path ? `${path}.${key}` : key);
+                issues.push(...result.issues);
+                if (result.fatal) fatal = true;
+                else value[key] = result.value;
+            });
+            if (fatal) return { value: undefined, issues, fatal: true };
+            break;
+        }
+        default:
+            value = raw;
+    }
+
+    if (value === undefined) {
+        issues.push(issue(path, 'type', `Expected ${schema.type}, got ${describe(raw)}`));
+        return fallback();
+    }
+    return { value, issues, fatal: false };
+};
+
+/**
+ * Validate and coerce parsed data against a schema. Unknown keys are dropped,
+ * wrong-typed or out-of-range values fall back to the field default, and array
+ * items that fail a required field are removed.
+ * @param {any} data - Parsed model output
+ * @param {object} schema - Schema (see top of file)
+ * @returns {{ valid: boolean, value: any, issues: Array<{ path: string, code: string, message: string }> }}
+ */
+export const validateAgainstSchema = (data, schema) => {
+    const { value, issues, fatal } = validateNode(data, schema, '');
+    return { valid: !fatal, value: fatal ? null : value, issues };
+};
+
+export default {
+    repairJson,
+    parseJsonLenient,
+    validateAgainstSchema
+};
@@ -90,6 +90,23 @@ export const VOICE_PROMPTS = {
         'mr-IN': 'खूप जास्त प्रयत्न. कृपया काही मिनिटे थांबा आणि पुन्हा प्रयत्न करा.'
     },
 
+    // AI Errors
+    ERR_AI_TIMEOUT: {
+        'en-US': 'This is taking too long. Please try again with a clearer photo.',
+        'hi-IN': 'इसमें बहुत समय लग रहा है। कृपया साफ फोटो के साथ फिर कोशिश करें।',
+        'mr-IN': 'याला खूप वेळ लागत आहे. कृपया स्पष्ट फोटोसह पुन्हा प्रयत्न करा.'
+    },
+    ERR_AI_BUSY: {
+        'en-US': 'The reading service is busy right now. Please try again in a few minutes.',
+        'hi-IN': 'पढ़ने वाली सेवा अभी व्यस्त है। कृपया कुछ मिनट बाद फिर कोशिश करें।',
+        'mr-IN': 'वाचन सेवा सध्या व्यस्त आहे. कृपया काही मिनिटांनी पुन्हा प्रयत्न करा.'
+    },
+    ERR_AI_UNREADABLE: {
+        'en-US': 'I could not understand what I read. Please take the photo again in good light.',
+        'hi-IN': 'मैं जो पढ़ा वह समझ नहीं पाया। कृपया अच्छी रोशनी में फिर से फोटो लें।',
+        'mr-IN': 'मी जे वाचले ते मला समजले नाही. कृपया चांगल्या प्रकाशात पुन्हा फोटो घ्या.'
+    },
+
     // Dashboard
     DASHBOARD_SUBTITLE: {
         'en-US': 'How can I help you today?',
@@ -121,6 +138,11 @@ export const VOICE_PROMPTS = {
         'hi-IN': 'इतिहास',
         'mr-IN': 'इतिहास'
     },
+    DASHBOARD_PRESCRIPTIONS: {
+        'en-US': 'My Prescriptions',
+        'hi-IN': 'मेरे पर्चे',
+        'mr-IN': 'माझी प्रिस्क्रिप्शन'
+    },
     DASHBOARD_SCAN_MEDICINE: {
         'en-US': 'Scan Medicine',
         'hi-IN': 'दवाई स्कैन',
@@ -0,0 +1,131 @@
+/**
+ * Transliteration Utilities
+ * Devanagari (Hindi / Marathi) to a rough Latin spelling, tuned for matching
+ * medicine names rather than for display: "डोलो" → "dolo", "क्रोसिन" → "krosin",
+ * "अमलोडिपिन" → "amlodipin". Long and short vowels collapse to one letter and
+ * the silent inherent "a" is dropped the way Hindi speakers drop it.
+ */
+
+const VOWELS = {
+    'अ': 'a', 'आ': 'a', 'इ': 'i', 'ई': 'i', 'उ': 'u', 'ऊ': 'u',
+    'ऋ': 'ri', 'ए': 'e', 'ऐ': 'ai', 'ओ': 'o', 'औ': 'au',
+    'ऑ': 'o', 'ऍ': 'e', 'ॲ': 'a'
+};
+
+// Dependent vowel signs (matras)
+const VOWEL_SIGNS = {
+    'ा': 'a', 'ि': 'i', 'ी': 'i', 'ु': 'u', 'ू': 'u', 'ृ': 'ri',
+    'े': 'e', 'ै': 'ai', 'ो': 'o', 'ौ': 'au', 'ॉ': 'o', 'ॅ': 'a'
+};
+
+const CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'घ': 'gh', 'ङ': 'n',
+    'च': 'ch', 'छ': 'chh', 'ज': 'j', 'झ': 'z', 'ञ': 'n',
+    'ट': 't', 'ठ': 'th', 'ड': 'd', 'ढ': 'dh', 'ण': 'n',
+    'त': 't', 'थ': 'th', 'द': 'd', 'ध': 'dh', 'न': 'n',
+    'प': 'p', 'फ': 'ph', 'ब': 'b', 'भ': 'bh', 'म': 'm',
+    'य': 'y', 'र': 'r', 'ल': 'l', 'ळ': 'l', 'व': 'v',
+    'श': 'sh', 'ष': 'sh', 'स': 's', 'ह': 'h'
+};
+
+// Consonant + nukta, as used for English sounds ("ज़ीरोडोल" = Zerodol)
+const NUKTA_CONSONANTS = {
+    'क': 'k', 'ख': 'kh', 'ग': 'g', 'ज': 'z', 'ड': 'r', 'ढ': 'rh', 'फ': 'f'
+};
+
+const VIRAMA = '्';
+const NUKTA = '़';
+const NASALS = { 'ं': 'n', 'ँ': 'n', 'ः': 'h' };
+const DEVANAGARI_PATTERN = /[ऀ-ॿ]/;
+
+/**
+ * Does the text contain Devanagari script?
+ * @param {string} text - Any text
+ * @returns {boolean}
+ */
+export const hasDevanagari = (text) => DEVANAGARI_PATTERN.test(text || '');
+
+/**
+ * Split one Devanagari word into syllable units:
+ * { consonant, vowel, inherent } where inherent marks an unwritten "a"
+ */
+const toUnits = (word) => {
+    const units = [];
+    // NFD splits precomposed nukta letters (U+0958-095F) into consonant + nukta
+    const chars = [...word.normalize('NFD')];
+
+    for (let i = 0; i < chars.length; i++) {
+        const char = chars[i];
+
+        if (CONSONANTS[char]) {
+            let consonant = CONSONANTS[char];
+            if (chars[i + 1] === NUKTA) {
+                consonant = NUKTA_CONSONANTS[char] || consonant;
+                i++;
+            }
+            const next = chars[i + 1];
+            if (next === VIRAMA) {
+                units.push({ consonant, vowel: '', inherent: false });
+                i++;
+            } else if (VOWEL_SIGNS[next]) {
+                units.push({ consonant, vowel: VOWEL_SIGNS[next], inherent: false });
+                i++;
+            } else {
+                units.push({ consonant, vowel: 'a', inherent: true });
+            }
+        } else if (VOWELS[char]) {
+            units.push({ consonant: '', vowel: VOWELS[char], inherent: false });
+        } else if (NASALS[char] && units.length > 0) {
+            units[units.length - 1].vowel += NASALS[char];
+        } else if (VOWEL_SIGNS[char] && units.length > 0) {
+            units[units.length - 1].vowel += VOWEL_SIGNS[char];
+        }
+    }
+    return units;
+};
+
+const isSpokenSyllable = (unit) => Boolean(unit?.vowel);
+
+/**
+ * Drop silent inherent vowels: at the end of a word ("डोलोन" → "dolon"), and
+ * in the middle when a voiced syllable comes before and a consonant-vowel
+ * after ("अमलोडिपिन" → "amlodipin", not "amalodipin").
+ */
+const dropSilentVowels = (units) => {
+    units.forEach((unit, i) => {
+        if (!unit.inherent || units.length < 2) return;
+        const isLast = i === units.length - 1;
+        const previous = units[i - 1];
+        const next = units[i + 1];
+        if (isLast || (isSpokenSyllable(previous) && next?.consonant && next.vowel !== '' && !next.inherent)) {
+            unit.vowel = '';
+        }
+    });
+    return units;
+};
+
+const transliterateWord = (word) => dropSilentVowels(toUnits(word))
+    .map(unit => unit.consonant + unit.vowel)
+    .join('');
+
+/**
+ * Convert Devanagari in a text to a rough Latin spelling.
+ * Latin letters, digits and spacing are left as they are; Devanagari digits
+ * become ASCII digits.
+ * @param {string} text - Text in any mix of scripts
+ * @returns {string} Latin-script text
+ */
+export const transliterateToLatin = (text) => {
+    if (!text) return '';
+    if (!hasDevanagari(text)) return text;
+
+    return text
+        .replace(/[।॥]/g, ' ')
+        .replace(/[०-९]/g, digit => String(digit.charCodeAt(0) - 0x0966))
+        .replace(/[ऀ-ॿ]+/g, transliterateWord);
+};
+
+export default {
+    hasDevanagari,
+    transliterateToLatin
+};
@@ -1,7 +1,40 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import fs from 'node:fs'
+import path from 'node:path'
+import { createHash } from 'node:crypto'
+
+// Stamps the built file list into dist/sw.js so the service worker can
+// precache the app shell for offline use (see public/sw.js)
+const precacheManifest = () => {
+  let outDir = 'dist'
+  let files = []
+
+  return {
+    name: 'saarthirx-precache-manifest',
+    apply: 'build',
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir)
+    },
+    generateBundle(_options, bundle) {
+      files = Object.keys(bundle)
+        .filter((file) => !file.endsWith('.map'))
+        .map((file) => `/${file}`)
+    },
+    closeBundle() {
+      const swPath = path.join(outDir, 'sw.js')
+      if (!fs.existsSync(swPath)) return
+
+      const version = createHash('sha256').update(files.join('|')).digest('hex').slice(0, 12)
+      const source = fs.readFileSync(swPath, 'utf8')
+        .replace("const PRECACHE_VERSION = 'dev';", `const PRECACHE_VERSION = '${version}';`)
+        .replace('const PRECACHE_FILES = [];', `const PRECACHE_FILES = ${JSON.stringify(files)};`)
+      fs.writeFileSync(swPath, source)
+    },
+  }
+}
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
 })